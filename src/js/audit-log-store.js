@@ -0,0 +1,348 @@
+/**
+ * audit-log-store.js
+ * 監査ログの永続化 (監査ログ専用アプリ) と改ざん検出
+ *
+ * 監査イベントを専用のKintoneアプリに1件1レコードで保存する。各レコードは直前のレコードの
+ * ハッシュ (prev_hash) を含めたSHA-256 (entry_hash) を持ち、連番 (sequence) と合わせて
+ * 途中のレコードの編集・削除を検証で検出できる。
+ * 保持期間を過ぎたログは先頭から削除し、削除範囲と最後に削除したレコードのハッシュを
+ * AUDIT_LOG_PRUNED イベントとして記録するため、削除後も残りのログの連結を検証できる。
+ *
+ * 監査ログアプリの設定:
+ * - sequence (数値) は「値の重複を禁止する」を有効にする (同時書き込み時の連番の重複を防ぐ)
+ * - レコードの編集・削除権限はプラグイン管理者のみに制限する
+ *   (末尾のログの削除は連結では検出できないため、検証結果の最終連番・日時を確認すること)
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @compliance IPA安全なウェブサイトの作り方準拠
+ */
+
+const CryptoJS = require('crypto-js');
+
+/**
+ * 監査ログアプリのフィールドコード
+ */
+const FIELDS = {
+  sequence: 'sequence',
+  occurredAt: 'occurred_at',
+  event: 'event',
+  actor: 'actor',
+  details: 'details',
+  prevHash: 'prev_hash',
+  entryHash: 'entry_hash'
+};
+
+/**
+ * 先頭のログの prev_hash
+ */
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * 保持期間による削除を記録するイベント名
+ */
+const PRUNE_EVENT = 'AUDIT_LOG_PRUNED';
+
+/**
+ * レコード取得・削除の1回あたり件数 (Kintone API上限)
+ */
+const FETCH_LIMIT = 500;
+const DELETE_LIMIT = 100;
+
+/**
+ * 連番の重複 (同時書き込み) 時の再試行回数
+ */
+const MAX_APPEND_ATTEMPTS = 3;
+
+/**
+ * 監査ログ保存クラス
+ */
+class AuditLogStore {
+  /**
+   * @param {Object} options - オプション
+   * @param {number} options.appId - 監査ログアプリのID
+   * @param {number} options.retentionDays - 保持期間 (日)
+   */
+  constructor(options = {}) {
+    if (!options.appId) {
+      throw new Error('監査ログアプリが指定されていません');
+    }
+
+    this.appId = options.appId;
+    this.retentionDays = options.retentionDays || 90;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * プラグイン設定から生成
+   * @param {Object} config - kintone.plugin.app.getConfig() の結果
+   * @returns {AuditLogStore|null} 監査ログアプリ未設定・監査ログ無効の場合はnull
+   */
+  static fromConfig(config = {}) {
+    const appId = parseInt(config.audit_app_id, 10);
+    if (!appId || config.audit_enabled === 'false') {
+      return null;
+    }
+
+    return new AuditLogStore({
+      appId,
+      retentionDays: parseInt(config.log_retention, 10) || 90
+    });
+  }
+
+  /**
+   * ログのハッシュ (直前のログのハッシュを含む)
+   * @param {Object} entry - { sequence, occurredAt, event, actor, details (JSON文字列), prevHash }
+   * @returns {string} SHA-256 (16進数)
+   */
+  static computeHash(entry) {
+    const content = JSON.stringify([
+      entry.sequence,
+      entry.occurredAt,
+      entry.event,
+      entry.actor,
+      entry.details,
+      entry.prevHash
+    ]);
+    return CryptoJS.SHA256(content).toString(CryptoJS.enc.Hex);
+  }
+
+  /**
+   * レコード → ログ
+   * @param {Object} record - Kintoneレコード
+   * @returns {Object} ログ
+   */
+  static fromRecord(record) {
+    return {
+      id: record.$id?.value,
+      sequence: Number(record[FIELDS.sequence].value),
+      occurredAt: record[FIELDS.occurredAt].value,
+      event: record[FIELDS.event].value,
+      actor: record[FIELDS.actor].value,
+      details: record[FIELDS.details].value,
+      prevHash: record[FIELDS.prevHash].value,
+      entryHash: record[FIELDS.entryHash].value
+    };
+  }
+
+  /**
+   * ログ → レコード
+   * @param {Object} entry - ログ
+   * @returns {Object} Kintoneレコード
+   */
+  static toRecord(entry) {
+    return Object.fromEntries(
+      Object.entries(FIELDS).map(([key, code]) => [code, { value: String(entry[key]) }])
+    );
+  }
+
+  /**
+   * ログの追記
+   * 同じ画面からの追記は順番に実行する
+   * @param {string} event - イベント名
+   * @param {Object} details - 詳細情報
+   * @returns {Promise<Object>} 保存したログ
+   */
+  append(event, details = {}) {
+    const result = this.queue.then(() => this._append(event, details));
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * ログの追記 (連番の重複時は最新のログを取得し直して再試行)
+   * @private
+   */
+  async _append(event, details) {
+    const user = typeof kintone.getLoginUser === 'function' ? kintone.getLoginUser() : null;
+
+    for (let attempt = 1; ; attempt++) {
+      const last = await this.fetchLast();
+      const entry = {
+        sequence: last ? last.sequence + 1 : 1,
+        occurredAt: new Date().toISOString(),
+        event,
+        actor: user ? user.code : '',
+        details: JSON.stringify(details),
+        prevHash: last ? last.entryHash : GENESIS_HASH
+      };
+      entry.entryHash = AuditLogStore.computeHash(entry);
+
+      try {
+        await kintone.api(kintone.api.url('/k/v1/record', true), 'POST', {
+          app: this.appId,
+          record: AuditLogStore.toRecord(entry)
+        });
+        return entry;
+      } catch (error) {
+        // 入力エラー (連番の重複) 以外、または再試行の上限に達した場合は中止
+        if (attempt >= MAX_APPEND_ATTEMPTS || !error || error.code !== 'CB_VA01') {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * ログの検索
+   * @param {string} query - クエリ
+   * @returns {Promise<Array<Object>>} ログ
+   * @private
+   */
+  async _fetch(query) {
+    const response = await kintone.api(kintone.api.url('/k/v1/records', true), 'GET', {
+      app: this.appId,
+      query,
+      fields: ['$id', ...Object.values(FIELDS)]
+    });
+    return (response.records || []).map(record => AuditLogStore.fromRecord(record));
+  }
+
+  /**
+   * 最新のログ
+   * @returns {Promise<Object|null>} ログ (未記録の場合はnull)
+   */
+  async fetchLast() {
+    const [last] = await this._fetch(`order by ${FIELDS.sequence} desc limit 1`);
+    return last || null;
+  }
+
+  /**
+   * 全ログ (連番順)
+   * offset の上限を避けるため連番で区切って取得する
+   * @returns {Promise<Array<Object>>} ログ
+   */
+  async fetchAll() {
+    const entries = [];
+
+    for (let after = 0; ;) {
+      const page = await this._fetch(
+        `${FIELDS.sequence} > ${after} order by ${FIELDS.sequence} asc limit ${FETCH_LIMIT}`
+      );
+      entries.push(...page);
+      if (page.length < FETCH_LIMIT) break;
+      after = page[page.length - 1].sequence;
+    }
+
+    return entries;
+  }
+
+  /**
+   * ログの連結検証
+   * @param {Array<Object>} entries - ログ (省略時は監査ログアプリから取得)
+   * @returns {Promise<Object>} { valid, total, first, last, problems }
+   */
+  async verify(entries = null) {
+    const logs = entries || await this.fetchAll();
+    const problems = [];
+
+    logs.forEach((entry, index) => {
+      if (AuditLogStore.computeHash(entry) !== entry.entryHash) {
+        problems.push(`#${entry.sequence}: 記録後に内容が変更されています`);
+      }
+
+      const previous = logs[index - 1];
+      if (!previous) {
+        const problem = this._verifyStart(entry, logs);
+        if (problem) problems.push(problem);
+      } else if (entry.sequence !== previous.sequence + 1) {
+        problems.push(`#${previous.sequence + 1}〜#${entry.sequence - 1}: ログが削除されています`);
+      } else if (entry.prevHash !== previous.entryHash) {
+        problems.push(`#${entry.sequence}: 直前のログと連結していません`);
+      }
+    });
+
+    return {
+      valid: problems.length === 0,
+      total: logs.length,
+      first: logs[0] || null,
+      last: logs[logs.length - 1] || null,
+      problems
+    };
+  }
+
+  /**
+   * 先頭のログの検証 (保持期間による削除の記録と照合)
+   * @param {Object} first - 先頭のログ
+   * @param {Array<Object>} logs - 全ログ
+   * @returns {string|null} 問題 (なければnull)
+   * @private
+   */
+  _verifyStart(first, logs) {
+    if (first.sequence === 1) {
+      return first.prevHash === GENESIS_HASH ? null : '#1: 先頭のログの連結値が正しくありません';
+    }
+
+    const pruned = logs.some(entry => {
+      if (entry.event !== PRUNE_EVENT) return false;
+      try {
+        const details = JSON.parse(entry.details);
+        return details.throughSequence === first.sequence - 1 && details.lastHash === first.prevHash;
+      } catch (error) {
+        return false;
+      }
+    });
+    return pruned ? null : `#1〜#${first.sequence - 1}: 保持期間による削除の記録がないまま削除されています`;
+  }
+
+  /**
+   * 保持期間を過ぎたログの削除
+   * 削除範囲を先に記録してから、先頭から連続して削除する
+   * @param {number} retentionDays - 保持期間 (日、省略時は設定値)
+   * @returns {Promise<Object>} { deleted, throughSequence }
+   */
+  async prune(retentionDays = this.retentionDays) {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    const [through] = await this._fetch(
+      `${FIELDS.occurredAt} < "${cutoff}" order by ${FIELDS.sequence} desc limit 1`
+    );
+    if (!through) {
+      return { deleted: 0, throughSequence: null };
+    }
+
+    await this.append(PRUNE_EVENT, {
+      throughSequence: through.sequence,
+      lastHash: through.entryHash,
+      retentionDays
+    });
+
+    let deleted = 0;
+    for (;;) {
+      const page = await this._fetch(
+        `${FIELDS.sequence} <= ${through.sequence} order by ${FIELDS.sequence} asc limit ${DELETE_LIMIT}`
+      );
+      if (page.length === 0) break;
+
+      await kintone.api(kintone.api.url('/k/v1/records', true), 'DELETE', {
+        app: this.appId,
+        ids: page.map(entry => entry.id)
+      });
+      deleted += page.length;
+    }
+
+    return { deleted, throughSequence: through.sequence };
+  }
+
+  /**
+   * 検証結果の表示用文字列
+   * @param {Object} result - verify() の結果
+   * @returns {string} 表示文字列
+   */
+  formatVerification(result) {
+    if (result.total === 0) {
+      return '監査ログはまだ記録されていません';
+    }
+
+    const range = `#${result.first.sequence}〜#${result.last.sequence} (最終記録: ${result.last.occurredAt})`;
+    return result.valid
+      ? `全${result.total}件の連結を確認しました ${range}`
+      : `改ざん・削除の可能性があります ${range}: ${result.problems.join(' / ')}`;
+  }
+}
+
+AuditLogStore.FIELDS = FIELDS;
+AuditLogStore.GENESIS_HASH = GENESIS_HASH;
+AuditLogStore.PRUNE_EVENT = PRUNE_EVENT;
+
+module.exports = AuditLogStore;
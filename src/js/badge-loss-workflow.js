@@ -0,0 +1,239 @@
+/**
+ * badge-loss-workflow.js
+ * 社員証紛失の対応手順管理
+ *
+ * 社員証 (入館証を兼ねるIDカード) の紛失は交通系ICカードとは別の区分 (report_type) で扱い、
+ * 入退館権限の停止 → 仮入館証の発行 → 再発行 → 受け渡しと仮入館証の回収 の手順を記録する。
+ * 手順は交通機関の利用停止チェックリストと同じサブテーブル (stop_checklist) に保存するため、
+ * 保存形式の変換は ProviderStopChecklist を使用する。
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @compliance IPA安全なウェブサイトの作り方準拠
+ */
+
+/**
+ * インシデント区分 (report_type に保存される表示値)
+ */
+const REPORT_TYPES = {
+  TRANSIT: 'ICカード紛失',
+  BADGE: '社員証紛失'
+};
+
+/**
+ * 社員証を表すカード種別 (card_type)
+ */
+const BADGE_CARD_TYPE = '社員証';
+
+/**
+ * チェックリスト上の担当 (交通機関の代わりに表示)
+ */
+const BADGE_OWNER = {
+  id: 'badge',
+  name: '総務・入退館管理'
+};
+
+/**
+ * 社員証紛失の対応手順
+ * referenceLabel がある手順は完了時に番号の入力が必須
+ * requires に指定した手順が完了するまで完了にできない
+ */
+const BADGE_STEPS = [
+  {
+    key: 'access-revocation',
+    category: 'accessRevocation',
+    label: '入退館システムで紛失した社員証の権限を停止',
+    urgencyLevel: 'HIGH',
+    referenceLabel: null,
+    requires: []
+  },
+  {
+    key: 'temporary-pass',
+    category: 'temporaryPass',
+    label: '仮入館証を発行',
+    urgencyLevel: 'MEDIUM',
+    referenceLabel: '仮入館証番号',
+    requires: ['accessRevocation']
+  },
+  {
+    key: 'reissue',
+    category: 'reissue',
+    label: '社員証の再発行を申請',
+    urgencyLevel: 'MEDIUM',
+    referenceLabel: '再発行申請番号',
+    requires: ['accessRevocation']
+  },
+  {
+    key: 'handover',
+    category: 'handover',
+    label: '新しい社員証を受け渡し、仮入館証を回収',
+    urgencyLevel: 'LOW',
+    referenceLabel: null,
+    requires: ['reissue']
+  }
+];
+
+/**
+ * 社員証紛失ワークフロークラス
+ */
+class BadgeLossWorkflow {
+  /**
+   * カード種別からインシデント区分を判定
+   * @param {string} cardType - カード種別
+   * @returns {string} インシデント区分 (REPORT_TYPES の値)
+   */
+  static getReportType(cardType) {
+    return cardType === BADGE_CARD_TYPE ? REPORT_TYPES.BADGE : REPORT_TYPES.TRANSIT;
+  }
+
+  /**
+   * レコードのインシデント区分
+   * report_type が未設定の旧レコードはカード種別から判定する
+   * @param {Object} record - 紛失報告レコード
+   * @returns {string} インシデント区分
+   */
+  static resolveReportType(record) {
+    const reportType = record.report_type?.value;
+    if (reportType === REPORT_TYPES.BADGE) {
+      return REPORT_TYPES.BADGE;
+    }
+    return BadgeLossWorkflow.getReportType(record.card_type?.value);
+  }
+
+  /**
+   * 社員証紛失のレコードか
+   * @param {Object} record - 紛失報告レコード
+   * @returns {boolean} 社員証紛失かどうか
+   */
+  static isBadgeIncident(record) {
+    return BadgeLossWorkflow.resolveReportType(record) === REPORT_TYPES.BADGE;
+  }
+
+  /**
+   * 手順定義取得
+   * @param {string} category - 手順カテゴリ
+   * @returns {Object|null} 手順定義
+   */
+  getStepDefinition(category) {
+    return BADGE_STEPS.find(step => step.category === category) || null;
+  }
+
+  /**
+   * 完了時に入力する番号の名称
+   * @param {string} category - 手順カテゴリ
+   * @returns {string|null} 番号の名称 (入力不要の場合はnull)
+   */
+  getReferenceLabel(category) {
+    const definition = this.getStepDefinition(category);
+    return definition ? definition.referenceLabel : null;
+  }
+
+  /**
+   * 社員証紛失のチェックリスト生成
+   * @returns {Array<Object>} チェックリスト手順 (ProviderStopChecklist と同じ形式)
+   */
+  createChecklist() {
+    return BADGE_STEPS.map(step => ({
+      stepId: `${BADGE_OWNER.id}:${step.key}`,
+      providerId: BADGE_OWNER.id,
+      providerName: BADGE_OWNER.name,
+      category: step.category,
+      label: step.label,
+      urgencyLevel: step.urgencyLevel,
+      completed: false,
+      completedBy: '',
+      completedAt: '',
+      referenceNumber: ''
+    }));
+  }
+
+  /**
+   * 手順完了記録
+   * @param {Array<Object>} checklist - チェックリスト
+   * @param {string} stepId - 手順ID
+   * @param {Object} context - 完了情報
+   * @param {string} context.actor - 完了者 (ユーザーコード)
+   * @param {string} context.referenceNumber - 仮入館証番号・再発行申請番号
+   * @returns {Array<Object>} 更新後のチェックリスト
+   */
+  completeStep(checklist, stepId, context = {}) {
+    const target = checklist.find(step => step.stepId === stepId);
+    if (!target) {
+      throw new Error(`チェックリストの手順が見つかりません: ${stepId}`);
+    }
+    if (target.completed) {
+      throw new Error('この手順は既に完了しています');
+    }
+    if (!context.actor) {
+      throw new Error('操作者が特定できません');
+    }
+
+    const definition = this.getStepDefinition(target.category);
+    if (!definition) {
+      throw new Error(`社員証紛失の手順ではありません: ${stepId}`);
+    }
+    if (definition.referenceLabel && !context.referenceNumber) {
+      throw new Error(`${definition.referenceLabel}を入力してください`);
+    }
+
+    const pending = definition.requires
+      .map(category => this.getStepDefinition(category))
+      .filter(required => !this.isCompleted(checklist, required.category));
+    if (pending.length > 0) {
+      throw new Error(`先に「${pending.map(step => step.label).join('」「')}」を完了してください`);
+    }
+
+    return checklist.map(step => step.stepId !== stepId ? step : {
+      ...step,
+      completed: true,
+      completedBy: context.actor,
+      completedAt: new Date().toISOString(),
+      referenceNumber: context.referenceNumber || ''
+    });
+  }
+
+  /**
+   * 手順の完了判定
+   * @param {Array<Object>} checklist - チェックリスト
+   * @param {string} category - 手順カテゴリ
+   * @returns {boolean} 完了済みかどうか
+   */
+  isCompleted(checklist, category) {
+    return checklist.some(step => step.category === category && step.completed);
+  }
+
+  /**
+   * 発行済みの仮入館証番号 (未回収のもの)
+   * @param {Array<Object>} checklist - チェックリスト
+   * @returns {string} 仮入館証番号 (なければ空文字)
+   */
+  getOutstandingTemporaryPass(checklist) {
+    if (this.isCompleted(checklist, 'handover')) return '';
+
+    const step = checklist.find(s => s.category === 'temporaryPass' && s.completed);
+    return step ? step.referenceNumber : '';
+  }
+
+  /**
+   * ステータス変更のガード条件に渡すコンテキスト
+   * 利用停止済み = 入退館権限の停止、再発行済み = 再発行申請、完了 = 受け渡しと仮入館証の回収
+   * @param {Array<Object>} checklist - チェックリスト
+   * @returns {Object} { incidentCategory, accessRevoked, replacementRequested, replacementConfirmed }
+   */
+  toTransitionContext(checklist) {
+    return {
+      incidentCategory: 'badge',
+      accessRevoked: this.isCompleted(checklist, 'accessRevocation'),
+      replacementRequested: this.isCompleted(checklist, 'reissue'),
+      replacementConfirmed: this.isCompleted(checklist, 'handover')
+    };
+  }
+}
+
+BadgeLossWorkflow.REPORT_TYPES = REPORT_TYPES;
+BadgeLossWorkflow.BADGE_CARD_TYPE = BADGE_CARD_TYPE;
+BadgeLossWorkflow.BADGE_OWNER = BADGE_OWNER;
+BadgeLossWorkflow.BADGE_STEPS = BADGE_STEPS;
+
+module.exports = BadgeLossWorkflow;
@@ -0,0 +1,400 @@
+/**
+ * card-format-registry.js
+ * ICカード番号形式レジストリ
+ *
+ * カード番号の形式 (接頭辞・桁数・チェックサム・マスキング規則) を一元管理する。
+ * 入力値検証 (InputValidator)、ハッシュ化 (SecureHashManager)、ICCardValidator、
+ * 交通機関データ、申告フォームのリアルタイム検証はすべてこのレジストリを参照するため、
+ * ある層で受け付けた番号が別の層で拒否されることはない。
+ * 接頭辞のない数字のみの形式 (交通系16桁・企業系・学生証系) は桁数で判定するため、
+ * 接頭辞のない形式同士で桁数を重複させることはできない。
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @compliance IPA安全なウェブサイトの作り方準拠
+ */
+
+/**
+ * 既定のマスキング規則 (末尾4桁のみ表示)
+ */
+const DEFAULT_MASK = { head: 0, tail: 4 };
+
+/**
+ * 標準のカード番号形式
+ * TOICA等は旧形式 (接頭辞+14桁) と新形式 (接頭辞+16桁) の両方を受け付ける
+ * 接頭辞のない形式は ICCardValidator の旧定義 (数字のみ) を引き継ぐ。
+ * 学生証系は旧定義の8-14桁のうち企業系と重複しない桁数のみとする (旧定義でも10-12桁は企業系と判定)。
+ */
+const DEFAULT_FORMATS = [
+  {
+    type: 'TOICA',
+    displayName: 'TOICA（JR東海）',
+    issuer: 'JR東海',
+    prefixes: ['TO'],
+    digitCounts: [14, 16],
+    regions: ['東海', '静岡']
+  },
+  {
+    type: 'manaca',
+    displayName: 'manaca（名古屋市交通局・名鉄）',
+    issuer: '名古屋市交通局・名鉄',
+    prefixes: ['MA'],
+    digitCounts: [14, 16],
+    regions: ['名古屋', '東海']
+  },
+  {
+    type: 'Suica',
+    displayName: 'Suica（JR東日本）',
+    issuer: 'JR東日本',
+    prefixes: ['JE'],
+    digitCounts: [15],
+    regions: ['関東', '仙台', '新潟']
+  },
+  {
+    type: 'ICOCA',
+    displayName: 'ICOCA（JR西日本）',
+    issuer: 'JR西日本',
+    prefixes: ['IC'],
+    digitCounts: [14, 16],
+    regions: ['関西', '中国', '四国']
+  },
+  {
+    type: 'SUGOCA',
+    displayName: 'SUGOCA（JR九州）',
+    issuer: 'JR九州',
+    prefixes: ['SG'],
+    digitCounts: [14, 16],
+    regions: ['九州', '福岡']
+  },
+  {
+    type: 'PASMO',
+    displayName: 'PASMO',
+    issuer: 'PASMO',
+    prefixes: ['PA', 'PB'],
+    digitCounts: [14, 16],
+    regions: ['関東']
+  },
+  {
+    type: 'PiTaPa',
+    displayName: 'PiTaPa（スルッとKANSAI）',
+    issuer: 'スルッとKANSAI',
+    prefixes: ['PT'],
+    digitCounts: [14],
+    regions: ['関西']
+  },
+  {
+    type: 'Kitaca',
+    displayName: 'Kitaca（JR北海道）',
+    issuer: 'JR北海道',
+    prefixes: ['KT'],
+    digitCounts: [14],
+    regions: ['北海道', '札幌']
+  },
+  {
+    type: 'はやかけん',
+    displayName: 'はやかけん（福岡市交通局）',
+    issuer: '福岡市交通局',
+    prefixes: ['HY'],
+    digitCounts: [14],
+    regions: ['福岡']
+  },
+  {
+    type: 'nimoca',
+    displayName: 'nimoca（西日本鉄道）',
+    issuer: '西日本鉄道',
+    prefixes: ['NM'],
+    digitCounts: [14],
+    regions: ['九州', '福岡', '熊本']
+  },
+  {
+    type: 'SUICA',
+    displayName: 'Suica/PASMO系ICカード',
+    issuer: 'JR東日本・関東私鉄',
+    prefixes: [],
+    digitCounts: [16],
+    checksum: 'luhn',
+    regions: ['関東', '東海', '仙台', '新潟']
+  },
+  {
+    type: 'CORPORATE',
+    displayName: '企業系ICカード',
+    issuer: '各企業・団体',
+    prefixes: [],
+    digitCounts: [10, 11, 12],
+    regions: ['全国']
+  },
+  {
+    type: 'STUDENT',
+    displayName: '学生証系ICカード',
+    issuer: '各教育機関',
+    prefixes: [],
+    digitCounts: [8, 9, 13, 14],
+    regions: ['全国']
+  }
+];
+
+/**
+ * 共有インスタンス
+ */
+let defaultRegistry = null;
+
+/**
+ * ICカード番号形式レジストリクラス
+ */
+class CardFormatRegistry {
+  /**
+   * @param {Array<Object>} formats - 登録する形式 (省略時は標準形式)
+   */
+  constructor(formats = DEFAULT_FORMATS) {
+    this.formats = new Map();
+    formats.forEach(format => this.register(format));
+  }
+
+  /**
+   * 全モジュールで共有するレジストリ
+   * @returns {CardFormatRegistry} 共有インスタンス
+   */
+  static getDefault() {
+    if (!defaultRegistry) {
+      defaultRegistry = new CardFormatRegistry();
+    }
+    return defaultRegistry;
+  }
+
+  /**
+   * カード番号の正規化 (空白・ハイフン除去、英字大文字化)
+   * 入力検証・ハッシュ化・照合はすべてこの正規化後の値で行う
+   * @param {string} cardNumber - 入力カード番号
+   * @returns {string} 正規化済みカード番号
+   */
+  static normalize(cardNumber) {
+    if (!cardNumber || typeof cardNumber !== 'string') {
+      return '';
+    }
+    return cardNumber.replace(/[\s-]/g, '').toUpperCase();
+  }
+
+  /**
+   * Luhnアルゴリズムによるチェックサム検証
+   * @param {string} digits - 数字列
+   * @returns {boolean} チェックサム有効性
+   */
+  static luhn(digits) {
+    let sum = 0;
+    let alternate = false;
+
+    for (let i = digits.length - 1; i >= 0; i--) {
+      let digit = Number(digits[i]);
+      if (alternate) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+      alternate = !alternate;
+    }
+
+    return sum % 10 === 0;
+  }
+
+  /**
+   * 形式の登録 (同じ種別は置き換え)
+   * @param {Object} format - カード番号形式
+   * @param {string} format.type - カード種別
+   * @param {string} format.displayName - 表示名
+   * @param {string} format.issuer - 発行事業者
+   * @param {Array<string>} format.prefixes - 接頭辞 (英大文字1-4文字、空の場合は数字のみの形式)
+   * @param {Array<number>} format.digitCounts - 接頭辞に続く数字の桁数
+   * @param {string} format.checksum - チェックサム方式 ('luhn' またはなし)
+   * @param {Object} format.mask - マスキング規則 { head, tail } (表示する先頭・末尾の文字数)
+   * @param {Array<string>} format.regions - 主な利用地域
+   * @returns {Object} 登録した形式
+   */
+  register(format) {
+    if (!format || typeof format.type !== 'string' || !format.type.trim()) {
+      throw new Error('カード種別が指定されていません');
+    }
+
+    const prefixes = format.prefixes || [];
+    if (prefixes.some(prefix => !/^[A-Z]{1,4}$/.test(prefix))) {
+      throw new Error(`カード種別 '${format.type}' の接頭辞は英大文字1-4文字で指定してください`);
+    }
+
+    const digitCounts = format.digitCounts || [];
+    if (digitCounts.length === 0 || digitCounts.some(count => !Number.isInteger(count) || count < 4 || count > 20)) {
+      throw new Error(`カード種別 '${format.type}' の桁数は4-20の整数で指定してください`);
+    }
+
+    if (format.checksum && format.checksum !== 'luhn') {
+      throw new Error(`カード種別 '${format.type}' のチェックサム方式は対応していません`);
+    }
+
+    // 接頭辞は種別を一意に判定できること
+    for (const other of this.formats.values()) {
+      if (other.type === format.type) continue;
+      const shared = prefixes.find(prefix => other.prefixes.some(p => p.startsWith(prefix) || prefix.startsWith(p)));
+      if (shared) {
+        throw new Error(`接頭辞 '${shared}' は '${other.type}' と重複しています`);
+      }
+      // 接頭辞のない形式は桁数で種別を一意に判定できること
+      const sharedCount = prefixes.length === 0 && other.prefixes.length === 0 &&
+        digitCounts.find(count => other.digitCounts.includes(count));
+      if (sharedCount) {
+        throw new Error(`桁数 ${sharedCount} は '${other.type}' と重複しています`);
+      }
+    }
+
+    const entry = {
+      displayName: format.type,
+      issuer: '',
+      checksum: null,
+      regions: [],
+      ...format,
+      prefixes: [...prefixes],
+      digitCounts: [...digitCounts].sort((a, b) => a - b),
+      mask: { ...DEFAULT_MASK, ...(format.mask || {}) }
+    };
+
+    this.formats.set(entry.type, entry);
+    return entry;
+  }
+
+  /**
+   * 形式の登録解除
+   * @param {string} type - カード種別
+   * @returns {boolean} 解除したかどうか
+   */
+  unregister(type) {
+    return this.formats.delete(type);
+  }
+
+  /**
+   * 形式取得
+   * @param {string} type - カード種別
+   * @returns {Object|null} カード番号形式
+   */
+  get(type) {
+    return this.formats.get(type) || null;
+  }
+
+  /**
+   * 登録済みカード種別一覧
+   * @returns {Array<string>} カード種別
+   */
+  getTypes() {
+    return [...this.formats.keys()];
+  }
+
+  /**
+   * 登録済み形式一覧
+   * @returns {Array<Object>} カード番号形式
+   */
+  getAll() {
+    return [...this.formats.values()];
+  }
+
+  /**
+   * 形式の正規表現 (表示・交通機関データ用)
+   * @param {string} type - カード種別
+   * @returns {string} 正規表現文字列 (例: "^TO(?:\d{14}|\d{16})$")
+   */
+  getPattern(type) {
+    const format = this.get(type);
+    if (!format) return '';
+
+    const prefix = format.prefixes.length <= 1 ? format.prefixes.join('') : `(?:${format.prefixes.join('|')})`;
+    const digits = format.digitCounts.length === 1
+      ? `\\d{${format.digitCounts[0]}}`
+      : `(?:${format.digitCounts.map(count => `\\d{${count}}`).join('|')})`;
+
+    return `^${prefix}${digits}$`;
+  }
+
+  /**
+   * 形式の説明 (例: "TO + 14桁または16桁の数字")
+   * @param {string} type - カード種別
+   * @returns {string} 説明文
+   */
+  describe(type) {
+    const format = this.get(type);
+    if (!format) return '';
+
+    const digits = `${format.digitCounts.join('桁または')}桁の数字`;
+    return format.prefixes.length > 0 ? `${format.prefixes.join('/')} + ${digits}` : digits;
+  }
+
+  /**
+   * 接頭辞からカード種別を判定 (入力途中の値にも使用)
+   * 数字のみの番号は桁数が一致する接頭辞のない形式と判定する
+   * @param {string} cardNumber - カード番号
+   * @returns {Object|null} カード番号形式
+   */
+  detect(cardNumber) {
+    const normalized = CardFormatRegistry.normalize(cardNumber);
+    if (!normalized) return null;
+
+    const formats = this.getAll();
+    const prefixed = formats.find(format => format.prefixes.some(prefix => normalized.startsWith(prefix)));
+    if (prefixed || !/^\d+$/.test(normalized)) return prefixed || null;
+
+    return formats.find(format => format.prefixes.length === 0 && format.digitCounts.includes(normalized.length)) || null;
+  }
+
+  /**
+   * カード番号の形式検証
+   * @param {string} cardNumber - カード番号
+   * @returns {Object} { valid, normalized, format, errors }
+   */
+  match(cardNumber) {
+    const normalized = CardFormatRegistry.normalize(cardNumber);
+    if (!normalized) {
+      return { valid: false, normalized, format: null, errors: ['カード番号を入力してください'] };
+    }
+
+    const format = this.detect(normalized);
+    if (!format) {
+      return { valid: false, normalized, format: null, errors: ['対応していないICカード形式です'] };
+    }
+
+    const prefix = format.prefixes.find(p => normalized.startsWith(p)) || '';
+    const digits = normalized.slice(prefix.length);
+
+    if (!/^\d+$/.test(digits) || !format.digitCounts.includes(digits.length)) {
+      return {
+        valid: false,
+        normalized,
+        format,
+        errors: [`${format.displayName}の番号は ${this.describe(format.type)} で入力してください`]
+      };
+    }
+
+    if (format.checksum === 'luhn' && !CardFormatRegistry.luhn(digits)) {
+      return { valid: false, normalized, format, errors: ['ICカード番号のチェックサムが正しくありません'] };
+    }
+
+    return { valid: true, normalized, format, errors: [] };
+  }
+
+  /**
+   * カード番号のマスキング (形式ごとの規則を適用)
+   * 形式を判定できない番号は既定の規則 (末尾4桁のみ表示) でマスクする
+   * @param {string} cardNumber - カード番号
+   * @returns {string} マスク済み番号
+   */
+  mask(cardNumber) {
+    const normalized = CardFormatRegistry.normalize(cardNumber);
+    const format = this.detect(normalized);
+    const { head, tail } = format ? format.mask : DEFAULT_MASK;
+
+    if (normalized.length <= head + tail) {
+      return '****';
+    }
+
+    return normalized.slice(0, head) + '*'.repeat(normalized.length - head - tail) + normalized.slice(-tail);
+  }
+}
+
+CardFormatRegistry.DEFAULT_FORMATS = DEFAULT_FORMATS;
+CardFormatRegistry.DEFAULT_MASK = DEFAULT_MASK;
+
+module.exports = CardFormatRegistry;
@@ -0,0 +1,377 @@
+/**
+ * card-replacement.js
+ * 再発行カードの申請・受領確認と残高移行・経費精算の管理
+ *
+ * 報告フォームで入力された残高 (card_balance) と付帯機能 (card_features) を元に、
+ * 再発行申請・再発行手数料・移行する残高・定期券区間の復元を記録する。
+ * 再発行カードの受領確認が済むまでインシデントは完了にできない (ライフサイクルのガード条件)。
+ * 再発行手数料は経費精算アプリ (expense_app_id) に精算レコードとして登録する。
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @compliance IPA安全なウェブサイトの作り方準拠
+ */
+
+const { KintoneAPIHelper } = require('./common');
+
+/**
+ * 既定のルール
+ * プラグイン設定 (reissue_fee, expense_app_id) で上書き可能
+ */
+const DEFAULT_RULES = {
+  reissueFee: 520,
+  expenseAppId: null
+};
+
+/**
+ * 再発行の進捗 (replacement_status に保存される表示値)
+ */
+const REPLACEMENT_STATES = {
+  NOT_REQUESTED: '未申請',
+  REQUESTED: '申請済み',
+  CONFIRMED: '受領確認済み'
+};
+
+/**
+ * 紛失報告レコードのフィールドコード
+ */
+const REPLACEMENT_FIELDS = {
+  status: 'replacement_status',
+  referenceNumber: 'replacement_reference',
+  requestedAt: 'replacement_requested_at',
+  requestedBy: 'replacement_requested_by',
+  reissueFee: 'reissue_fee',
+  balanceToTransfer: 'balance_to_transfer',
+  balanceTransferred: 'balance_transferred',
+  commuterPass: 'commuter_pass',
+  commuterPassRestored: 'commuter_pass_restored',
+  confirmedAt: 'replacement_confirmed_at',
+  confirmedBy: 'replacement_confirmed_by',
+  expenseClaimId: 'expense_claim_id'
+};
+
+/**
+ * 経費精算アプリのフィールドコード
+ */
+const EXPENSE_FIELDS = {
+  claimType: 'claim_type',
+  amount: 'amount',
+  claimant: 'claimant',
+  incidentRecordId: 'incident_record_id',
+  submissionId: 'submission_id',
+  description: 'description'
+};
+
+/**
+ * 経費精算の種別 (claim_type)
+ */
+const CLAIM_TYPE = 'ICカード再発行手数料';
+
+/**
+ * 定期券機能を表す付帯機能の値 (card_features)
+ */
+const COMMUTER_PASS_FEATURE = '定期券';
+
+/**
+ * チェックボックス等に保存する「該当あり」の値
+ */
+const COMMUTER_PASS_VALUE = '対象';
+const RESTORED_VALUE = '復元済み';
+
+/**
+ * 再発行管理クラス
+ */
+class CardReplacement {
+  /**
+   * @param {Object} rules - ルール (DEFAULT_RULESと同形式)
+   */
+  constructor(rules = {}) {
+    this.rules = { ...DEFAULT_RULES, ...rules };
+  }
+
+  /**
+   * プラグイン設定からルールを生成
+   * @param {Object} config - kintone.plugin.app.getConfig() の結果
+   * @returns {Object} ルール
+   */
+  static rulesFromConfig(config = {}) {
+    const fee = parseInt(config.reissue_fee, 10);
+    const appId = parseInt(config.expense_app_id, 10);
+
+    return {
+      reissueFee: isNaN(fee) || fee < 0 ? DEFAULT_RULES.reissueFee : fee,
+      expenseAppId: isNaN(appId) || appId <= 0 ? null : appId
+    };
+  }
+
+  /**
+   * 金額入力値の変換 (不正値は0)
+   * @param {string|number} value - 入力値
+   * @returns {number} 金額 (円)
+   */
+  static toAmount(value) {
+    const amount = parseInt(value, 10);
+    return isNaN(amount) || amount < 0 ? 0 : amount;
+  }
+
+  /**
+   * 報告内容から初期状態を生成
+   * @param {Object} report - 報告内容
+   * @param {string|number} report.balance - 残高 (概算)
+   * @param {Array<string>} report.features - 付帯機能
+   * @returns {Object} 再発行情報
+   */
+  create({ balance, features = [] } = {}) {
+    return {
+      status: REPLACEMENT_STATES.NOT_REQUESTED,
+      referenceNumber: '',
+      requestedAt: '',
+      requestedBy: '',
+      reissueFee: this.rules.reissueFee,
+      balanceToTransfer: CardReplacement.toAmount(balance),
+      balanceTransferred: 0,
+      commuterPass: features.includes(COMMUTER_PASS_FEATURE),
+      commuterPassRestored: false,
+      confirmedAt: '',
+      confirmedBy: '',
+      expenseClaimId: ''
+    };
+  }
+
+  /**
+   * 再発行申請の登録
+   * @param {Object} replacement - 再発行情報
+   * @param {Object} context - 申請情報
+   * @param {string} context.actor - 登録者 (ユーザーコード)
+   * @param {string} context.referenceNumber - 交通機関の再発行受付番号
+   * @param {string|number} context.reissueFee - 再発行手数料 (省略時は設定値)
+   * @returns {Object} 更新後の再発行情報
+   */
+  requestReissue(replacement, context = {}) {
+    if (replacement.status !== REPLACEMENT_STATES.NOT_REQUESTED) {
+      throw new Error('再発行は既に申請されています');
+    }
+    if (!context.actor) {
+      throw new Error('操作者が特定できません');
+    }
+    if (!context.referenceNumber) {
+      throw new Error('再発行の受付番号を入力してください');
+    }
+
+    return {
+      ...replacement,
+      status: REPLACEMENT_STATES.REQUESTED,
+      referenceNumber: context.referenceNumber,
+      requestedAt: new Date().toISOString(),
+      requestedBy: context.actor,
+      reissueFee: context.reissueFee === undefined || context.reissueFee === ''
+        ? replacement.reissueFee
+        : CardReplacement.toAmount(context.reissueFee)
+    };
+  }
+
+  /**
+   * 再発行カードの受領確認
+   * 定期券機能付きのカードは区間の復元確認が必須
+   * @param {Object} replacement - 再発行情報
+   * @param {Object} context - 確認情報
+   * @param {string} context.actor - 確認者 (ユーザーコード)
+   * @param {string|number} context.balanceTransferred - 新しいカードへ移行された残高
+   * @param {boolean} context.commuterPassRestored - 定期券区間の復元確認
+   * @returns {Object} 更新後の再発行情報
+   */
+  confirmReplacement(replacement, context = {}) {
+    if (replacement.status !== REPLACEMENT_STATES.REQUESTED) {
+      throw new Error('再発行が申請されていないか、既に受領確認済みです');
+    }
+    if (!context.actor) {
+      throw new Error('操作者が特定できません');
+    }
+    if (replacement.commuterPass && !context.commuterPassRestored) {
+      throw new Error('定期券区間の復元を確認してください');
+    }
+
+    return {
+      ...replacement,
+      status: REPLACEMENT_STATES.CONFIRMED,
+      balanceTransferred: CardReplacement.toAmount(context.balanceTransferred),
+      commuterPassRestored: replacement.commuterPass && !!context.commuterPassRestored,
+      confirmedAt: new Date().toISOString(),
+      confirmedBy: context.actor
+    };
+  }
+
+  /**
+   * 未完了の項目
+   * @param {Object} replacement - 再発行情報
+   * @returns {Array<string>} 未完了項目の説明
+   */
+  getOpenItems(replacement) {
+    const items = [];
+
+    if (replacement.status === REPLACEMENT_STATES.NOT_REQUESTED) {
+      items.push('再発行申請');
+    }
+    if (replacement.status !== REPLACEMENT_STATES.CONFIRMED) {
+      items.push('再発行カードの受領確認');
+    }
+    if (replacement.commuterPass && !replacement.commuterPassRestored) {
+      items.push('定期券区間の復元');
+    }
+    if (this.rules.expenseAppId && replacement.reissueFee > 0 && !replacement.expenseClaimId &&
+        replacement.status !== REPLACEMENT_STATES.NOT_REQUESTED) {
+      items.push('再発行手数料の経費精算');
+    }
+
+    return items;
+  }
+
+  /**
+   * 残高の差額 (移行予定 - 移行済み)
+   * @param {Object} replacement - 再発行情報
+   * @returns {number} 差額 (円、受領確認前は0)
+   */
+  getBalanceDifference(replacement) {
+    if (replacement.status !== REPLACEMENT_STATES.CONFIRMED) return 0;
+    return replacement.balanceToTransfer - replacement.balanceTransferred;
+  }
+
+  /**
+   * ステータス変更のガード条件に渡すコンテキスト
+   * @param {Object} replacement - 再発行情報
+   * @returns {Object} { replacementRequested, replacementConfirmed }
+   */
+  toTransitionContext(replacement) {
+    return {
+      replacementRequested: replacement.status !== REPLACEMENT_STATES.NOT_REQUESTED,
+      replacementConfirmed: replacement.status === REPLACEMENT_STATES.CONFIRMED
+    };
+  }
+
+  /**
+   * 経費精算レコードの生成
+   * @param {Object} record - 紛失報告レコード
+   * @param {Object} replacement - 再発行情報
+   * @returns {Object} 経費精算アプリのレコード
+   */
+  buildExpenseClaim(record, replacement) {
+    if (replacement.status === REPLACEMENT_STATES.NOT_REQUESTED) {
+      throw new Error('再発行の申請前に経費精算は作成できません');
+    }
+    if (replacement.reissueFee <= 0) {
+      throw new Error('再発行手数料が0円のため経費精算は不要です');
+    }
+
+    const cardType = record.card_type?.value || 'ICカード';
+
+    return {
+      [EXPENSE_FIELDS.claimType]: { value: CLAIM_TYPE },
+      [EXPENSE_FIELDS.amount]: { value: String(replacement.reissueFee) },
+      [EXPENSE_FIELDS.claimant]: { value: record.reporter_name?.value || '' },
+      [EXPENSE_FIELDS.incidentRecordId]: { value: record.$id?.value || record.record_number?.value || '' },
+      [EXPENSE_FIELDS.submissionId]: { value: record.submission_id?.value || '' },
+      [EXPENSE_FIELDS.description]: {
+        value: `${cardType} 紛失に伴う再発行手数料 (再発行受付番号: ${replacement.referenceNumber})`
+      }
+    };
+  }
+
+  /**
+   * 経費精算アプリへの登録
+   * 登録後に expense_claim_id を保存できなかった場合に重複して登録しないよう、
+   * 同じ紛失報告の精算レコードが既にあればそのレコードを使用する。
+   * @param {Object} record - 紛失報告レコード
+   * @param {Object} replacement - 再発行情報
+   * @returns {Promise<Object>} 更新後の再発行情報 (expenseClaimId 設定済み)
+   */
+  async submitExpenseClaim(record, replacement) {
+    if (!this.rules.expenseAppId) {
+      throw new Error('経費精算アプリが設定されていません');
+    }
+    if (replacement.expenseClaimId) {
+      throw new Error('経費精算は既に作成されています');
+    }
+
+    const claim = this.buildExpenseClaim(record, replacement);
+    const existing = await kintone.api(kintone.api.url('/k/v1/records', true), 'GET', {
+      app: this.rules.expenseAppId,
+      query: `${EXPENSE_FIELDS.incidentRecordId} = ${KintoneAPIHelper.quoteQueryValue(claim[EXPENSE_FIELDS.incidentRecordId].value)}` +
+        ` and ${EXPENSE_FIELDS.claimType} = ${KintoneAPIHelper.quoteQueryValue(CLAIM_TYPE)} order by $id asc limit 1`,
+      fields: ['$id']
+    });
+    if (existing.records && existing.records.length > 0) {
+      return { ...replacement, expenseClaimId: String(existing.records[0].$id.value) };
+    }
+
+    const response = await kintone.api(kintone.api.url('/k/v1/record', true), 'POST', {
+      app: this.rules.expenseAppId,
+      record: claim
+    });
+
+    return { ...replacement, expenseClaimId: String(response.id) };
+  }
+
+  /**
+   * 再発行情報をKintoneレコードのフィールド値に変換
+   * @param {Object} replacement - 再発行情報
+   * @returns {Object} フィールド値
+   */
+  toRecordFields(replacement) {
+    return {
+      [REPLACEMENT_FIELDS.status]: { value: replacement.status },
+      [REPLACEMENT_FIELDS.referenceNumber]: { value: replacement.referenceNumber },
+      [REPLACEMENT_FIELDS.requestedAt]: { value: replacement.requestedAt || null },
+      [REPLACEMENT_FIELDS.requestedBy]: { value: replacement.requestedBy },
+      [REPLACEMENT_FIELDS.reissueFee]: { value: String(replacement.reissueFee) },
+      [REPLACEMENT_FIELDS.balanceToTransfer]: { value: String(replacement.balanceToTransfer) },
+      [REPLACEMENT_FIELDS.balanceTransferred]: { value: String(replacement.balanceTransferred) },
+      [REPLACEMENT_FIELDS.commuterPass]: { value: replacement.commuterPass ? [COMMUTER_PASS_VALUE] : [] },
+      [REPLACEMENT_FIELDS.commuterPassRestored]: { value: replacement.commuterPassRestored ? [RESTORED_VALUE] : [] },
+      [REPLACEMENT_FIELDS.confirmedAt]: { value: replacement.confirmedAt || null },
+      [REPLACEMENT_FIELDS.confirmedBy]: { value: replacement.confirmedBy },
+      [REPLACEMENT_FIELDS.expenseClaimId]: { value: replacement.expenseClaimId }
+    };
+  }
+
+  /**
+   * Kintoneレコードから再発行情報を取得
+   * 再発行項目が未設定の旧レコードは報告内容 (card_balance, card_features) から初期化する
+   * @param {Object} record - 紛失報告レコード
+   * @returns {Object} 再発行情報
+   */
+  fromRecord(record) {
+    const read = (field) => record[REPLACEMENT_FIELDS[field]]?.value;
+    const status = read('status');
+
+    if (!Object.values(REPLACEMENT_STATES).includes(status)) {
+      return this.create({
+        balance: record.card_balance?.value,
+        features: (record.card_features?.value || '').split(',').map(v => v.trim())
+      });
+    }
+
+    return {
+      status,
+      referenceNumber: read('referenceNumber') || '',
+      requestedAt: read('requestedAt') || '',
+      requestedBy: read('requestedBy') || '',
+      reissueFee: CardReplacement.toAmount(read('reissueFee')),
+      balanceToTransfer: CardReplacement.toAmount(read('balanceToTransfer')),
+      balanceTransferred: CardReplacement.toAmount(read('balanceTransferred')),
+      commuterPass: (read('commuterPass') || []).includes(COMMUTER_PASS_VALUE),
+      commuterPassRestored: (read('commuterPassRestored') || []).includes(RESTORED_VALUE),
+      confirmedAt: read('confirmedAt') || '',
+      confirmedBy: read('confirmedBy') || '',
+      expenseClaimId: read('expenseClaimId') || ''
+    };
+  }
+}
+
+CardReplacement.DEFAULT_RULES = DEFAULT_RULES;
+CardReplacement.REPLACEMENT_STATES = REPLACEMENT_STATES;
+CardReplacement.REPLACEMENT_FIELDS = REPLACEMENT_FIELDS;
+CardReplacement.EXPENSE_FIELDS = EXPENSE_FIELDS;
+CardReplacement.COMMUTER_PASS_FEATURE = COMMUTER_PASS_FEATURE;
+
+module.exports = CardReplacement;
@@ -73,7 +73,7 @@ class CommonUtils {
    */
   static getSafeString(input, type = 'text') {
     try {
-      if (!this.validator.validate(input, type).isValid) {
+      if (!this.validator.validateBasicInput(input).valid) {
         return null;
       }
       return this.escapeHtml(input.trim());
@@ -381,15 +381,128 @@ class CommonUtils {
 class KintoneAPIHelper {
   static validator = new InputValidator();
 
+  /**
+   * フィールド値の検証 (フィールドの形式ごと)
+   * - 文字列・数値: 文字列は危険なパターンと長さを検証
+   * - 文字列の一覧 (チェックボックス・複数選択): 各選択肢を検証
+   * - { code } の一覧 (ユーザー・組織・グループ選択)、{ fileKey } の一覧 (添付ファイル)
+   * - { value } の行の一覧 (サブテーブル): 各行のセルを個別に検証
+   * 値はエスケープせずにそのまま保存し、HTMLエスケープは表示時に行う
+   * (保存のたびにエスケープすると、読み込んだ値を書き戻す際に二重にエスケープされる)
+   * @param {any} value - フィールド値
+   * @param {string} fieldCode - フィールドコード (エラー表示用)
+   * @returns {any} 検証済みの値 (入力値と同じ内容)
+   * @throws {Error} 危険なパターン・長すぎる文字列・未対応の形式の値
+   */
+  static validateFieldValue(value, fieldCode) {
+    const reject = (reason) => {
+      throw new Error(`フィールド ${fieldCode} の値が不正です: ${reason}`);
+    };
+
+    if (value === null || value === undefined || value === '') {
+      return value;
+    }
+
+    if (typeof value === 'number') {
+      if (!Number.isFinite(value)) reject('数値ではありません');
+      return value;
+    }
+
+    if (typeof value === 'string') {
+      const result = this.validator.validateBasicInput(value, { maxInputLength: this.MAX_FIELD_LENGTH });
+      if (!result.valid) reject(result.errors.join(', '));
+      return value;
+    }
+
+    if (Array.isArray(value)) {
+      return value.map((item, index) => {
+        const path = `${fieldCode}[${index}]`;
+
+        // チェックボックス・複数選択
+        if (typeof item === 'string') {
+          return this.validateFieldValue(item, path);
+        }
+        if (!item || typeof item !== 'object') {
+          return reject('一覧の要素の形式が正しくありません');
+        }
+
+        // ユーザー・組織・グループ選択、添付ファイル
+        if (typeof item.code === 'string') {
+          return { code: this.validateFieldValue(item.code, `${path}.code`) };
+        }
+        if (typeof item.fileKey === 'string') {
+          return { fileKey: this.validateFieldValue(item.fileKey, `${path}.fileKey`) };
+        }
+
+        // サブテーブル: 各行のセルを個別に検証
+        if (!item.value || typeof item.value !== 'object' || Array.isArray(item.value)) {
+          return reject('サブテーブルの行の形式が正しくありません');
+        }
+        const cells = {};
+        Object.keys(item.value).forEach(cellKey => {
+          cells[cellKey] = {
+            value: this.validateFieldValue(item.value[cellKey]?.value, `${path}.${cellKey}`)
+          };
+        });
+        return item.id ? { id: item.id, value: cells } : { value: cells };
+      });
+    }
+
+    return reject('未対応の形式です');
+  }
+
+  /**
+   * クエリの文字列リテラル (\ と " をエスケープして引用符で囲む)
+   * 利用者の入力・設定値をクエリに埋め込む箇所では必ず使用すること
+   * @param {string} value - 値
+   * @returns {string} "値"
+   */
+  static quoteQueryValue(value) {
+    return `"${String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  }
+
+  /**
+   * ブラインドインデックスによる絞り込み条件の追加
+   * 条件は order by・limit・offset より前に and で結合する
+   * @param {string} query - 元のクエリ
+   * @param {Object} blindIndex - { field: フィールドコード, values: インデックス一覧, includeUnindexed: インデックス未設定のレコードも含めるか }
+   * @returns {string} 絞り込み条件を追加したクエリ
+   */
+  static addBlindIndexCondition(query, blindIndex) {
+    const field = blindIndex.field || '';
+    const values = blindIndex.values || [];
+    // インデックスは16進数のみ、フィールドコードはクエリの区切り文字を含まないこと (クエリインジェクション対策)
+    if (!/^[^\s"'()=<>!,]+$/.test(field) || values.length === 0 || !values.every(value => /^[0-9a-f]+$/.test(value))) {
+      throw new Error('ブラインドインデックスの検索条件が正しくありません');
+    }
+
+    let condition = `${field} in (${values.map(value => `"${value}"`).join(', ')})`;
+    if (blindIndex.includeUnindexed) {
+      condition = `(${condition} or ${field} = "")`;
+    }
+
+    const match = /\b(order\s+by|limit|offset)\b/i.exec(query || '');
+    const where = (match ? query.slice(0, match.index) : query || '').trim();
+    const rest = match ? query.slice(match.index).trim() : '';
+    return [where ? `(${where}) and ${condition}` : condition, rest].filter(Boolean).join(' ');
+  }
+
   /**
    * セキュアなレコード取得
    * @param {Object} params - 取得パラメータ
+   * @param {string} params.query - クエリ
+   * @param {Array<string>} params.fields - 取得フィールド
+   * @param {Object} params.blindIndex - ブラインドインデックスによる絞り込み (addBlindIndexCondition 参照)
    * @returns {Promise<Object>} レコードデータ
    */
   static async getRecordsSecurely(params = {}) {
     try {
       // パラメータバリデーション
-      const query = CommonUtils.getSafeString(params.query || '', 'text');
+      // クエリはKintoneのクエリ構文のためHTMLエスケープしない (文字列リテラルの引用符が壊れる)
+      let query = typeof params.query === 'string' ? params.query.trim() : '';
+      if (params.blindIndex) {
+        query = this.addBlindIndexCondition(query, params.blindIndex);
+      }
       const fields = Array.isArray(params.fields) ? params.fields : [];
       
       const requestParams = {
@@ -435,7 +548,7 @@ class KintoneAPIHelper {
           const value = record[key];
           if (value && typeof value === 'object' && value.value !== undefined) {
             validatedRecord[key] = {
-              value: CommonUtils.getSafeString(value.value, 'text')
+              value: this.validateFieldValue(value.value, key)
             };
           }
         });
@@ -485,15 +598,16 @@ class KintoneAPIHelper {
 
         const validatedRecord = {
           id: CommonUtils.getSafeNumber(record.id),
-          revision: CommonUtils.getSafeNumber(record.revision)
+          revision: CommonUtils.getSafeNumber(record.revision),
+          record: {}
         };
 
         Object.keys(record).forEach(key => {
           if (key !== 'id' && key !== 'revision') {
             const value = record[key];
             if (value && typeof value === 'object' && value.value !== undefined) {
-              validatedRecord[key] = {
-                value: CommonUtils.getSafeString(value.value, 'text')
+              validatedRecord.record[key] = {
+                value: this.validateFieldValue(value.value, key)
               };
             }
           }
@@ -570,6 +684,11 @@ class KintoneAPIHelper {
   }
 }
 
+/**
+ * 保存する文字列の上限 (Kintoneの複数行テキストの上限)
+ */
+KintoneAPIHelper.MAX_FIELD_LENGTH = 65535;
+
 // グローバルエクスポート
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = { CommonUtils, KintoneAPIHelper };
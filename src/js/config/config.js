@@ -13,6 +13,24 @@
 const SecureHashManager = require('../security/SecureHashManager');
 const InputValidator = require('../security/InputValidator');
 const SecurityConfig = require('../security/SecurityConfig');
+const SlaEngine = require('../sla-engine');
+const CardReplacement = require('../card-replacement');
+const TransportationManager = require('../transportation-manager');
+const ProviderEditor = require('./provider-editor');
+const FieldMapping = require('../field-mapping');
+const FieldMappingEditor = require('./field-mapping-editor');
+const HashPolicyAudit = require('../hash-policy-audit');
+const DataSecurityScan = require('../data-security-scan');
+const FieldCipher = require('../security/FieldCipher');
+const ProxyFieldCipher = require('../security/ProxyFieldCipher');
+const AuditLogStore = require('../audit-log-store');
+const RateLimiter = require('../rate-limiter');
+const ReauthManager = require('../security/ReauthManager');
+const DataRetention = require('../data-retention');
+const PersonalDataRequest = require('../personal-data-request');
+const ContactAccess = require('../contact-access');
+const ValidationSchema = require('../validation-schema');
+const UserCodes = require('../user-codes');
 
 /**
  * IPAガイドライン準拠設定画面管理クラス
@@ -22,7 +40,17 @@ class ConfigManager {
     this.securityConfig = new SecurityConfig();
     this.validator = new InputValidator();
     this.hashManager = null;
+    this.providerEditor = null;
+    this.fieldMappingEditor = null;
     this.currentConfig = {};
+    this.disclosure = null;
+
+    // PDF章節1-8準拠: 重要操作の実行前の再認証 (Kintoneのログインユーザーのパスワード)
+    this.reauth = new ReauthManager({
+      prompt: (request) => this.promptAdminPassword(request),
+      ttlMinutes: this.securityConfig.config.session.reauthTtlMinutes,
+      auditLogger: this.securityConfig
+    });
     
     // PDF章節1-8準拠: 重要操作の定義
     this.criticalOperations = [
@@ -42,6 +70,12 @@ class ConfigManager {
     try {
       // 既存設定の読み込み
       await this.loadExistingConfig();
+
+      // フィールドコード対応付け
+      await this.initializeFieldMappingEditor();
+
+      // 交通機関データ編集
+      await this.initializeProviderEditor();
       
       // イベントリスナー設定
       this.setupEventListeners();
@@ -69,11 +103,16 @@ class ConfigManager {
       this.populateForm(config);
       
       // セキュリティマネージャー初期化
-      this.hashManager = new SecureHashManager({
-        iterations: parseInt(config.hash_iterations) || 100000,
-        saltLength: parseInt(config.salt_length) || 32,
-        pepper: config.security_pepper || ''
-      });
+      this.hashManager = SecureHashManager.fromConfig(config);
+
+      // ヘルスチェックに保存済みのレート制限ポリシーを反映
+      this.securityConfig.loadConfig({ rateLimit: RateLimiter.policyFromConfig(config) });
+
+      // 再認証・ロックアウトを保存済みの監査ログアプリに記録
+      this.securityConfig.setAuditStore(AuditLogStore.fromConfig(config));
+
+      // 再認証のパスワードの誤りをレート制限の失敗として記録 (報告画面と同じポリシー)
+      this.reauth.rateLimiter = RateLimiter.fromConfig(config, this.securityConfig);
 
     } catch (error) {
       console.error('設定読み込みエラー:', error);
@@ -82,6 +121,44 @@ class ConfigManager {
     }
   }
 
+  /**
+   * フィールドコード対応付け編集の初期化
+   * アプリのフィールド一覧を取得できない場合は保存済みの対応付けを維持する
+   */
+  async initializeFieldMappingEditor() {
+    try {
+      this.fieldMappingEditor = new FieldMappingEditor('field-mapping-editor', {
+        fieldMapping: FieldMapping.fromConfig(this.currentConfig)
+      });
+      await this.fieldMappingEditor.load();
+      this.fieldMappingEditor.render();
+      this.fieldMappingEditor.setupEventListeners();
+    } catch (error) {
+      console.error('フィールド一覧読み込みエラー:', error);
+      this.fieldMappingEditor = null;
+      document.getElementById('field-mapping-list').textContent = 'アプリのフィールド一覧を読み込めませんでした';
+    }
+  }
+
+  /**
+   * 交通機関データ編集の初期化
+   * 失敗しても他の設定は編集可能とする
+   */
+  async initializeProviderEditor() {
+    try {
+      this.providerEditor = new ProviderEditor('provider-editor', {
+        overrides: TransportationManager.overridesFromConfig(this.currentConfig)
+      });
+      await this.providerEditor.load();
+      this.providerEditor.render();
+      this.providerEditor.setupEventListeners();
+    } catch (error) {
+      console.error('交通機関データ読み込みエラー:', error);
+      this.providerEditor = null;
+      document.getElementById('provider-list').textContent = '交通機関データを読み込めませんでした';
+    }
+  }
+
   /**
    * フォームに設定値を入力
    * @param {Object} config - 設定データ
@@ -95,9 +172,24 @@ class ConfigManager {
       this.updatePepperStrength('strong');
     }
 
+    // ペッパーのバージョン (ローテーション済みの旧ペッパーは照合用に保持)
+    const { peppers, pepperVersion } = SecureHashManager.peppersFromConfig(config);
+    document.getElementById('pepper-version-text').textContent = config.security_pepper
+      ? `現在のバージョン: ${pepperVersion} (保持中: ${Object.keys(peppers).join(', ')})`
+      : '';
+
+    // 連絡先の暗号化 (鍵は暗号化サービスのプロキシ設定に保存)
+    const { keys, keyVersion } = this.getCipherSettings(config);
+    document.getElementById('contact-handler-groups').value = config.contact_handler_groups || '';
+    document.getElementById('contact-cipher-endpoint').value = config.contact_cipher_endpoint || '';
+    document.getElementById('encryption-key-version-text').textContent = keys[keyVersion]
+      ? `現在のバージョン: ${keyVersion} (保持中: ${Object.keys(keys).join(', ')})`
+      : '';
+
     // ハッシュ設定
     document.getElementById('hash-iterations').value = config.hash_iterations || 100000;
     document.getElementById('salt-length').value = config.salt_length || 32;
+    document.getElementById('hash-use-worker').checked = config.hash_use_worker === 'true';
 
     // プラグイン設定
     document.getElementById('plugin-enabled').checked = config.plugin_enabled === 'true';
@@ -116,9 +208,47 @@ class ConfigManager {
       document.getElementById('emergency-contacts').value = config.emergency_contacts;
     }
 
+    // 対応担当者 (プロセス管理の作業者)
+    document.getElementById('handler-user-codes').value = config[UserCodes.CONFIG_KEYS.handlers] || '';
+
+    // 入力検証ルール
+    document.getElementById('validation-rule-sets').value = config[ValidationSchema.CONFIG_KEY] || '';
+
+    // SLA・エスカレーション設定
+    const slaRules = SlaEngine.rulesFromConfig(config);
+    document.getElementById('sla-enabled').checked = slaRules.enabled;
+    document.getElementById('sla-high-minutes').value = slaRules.allowanceMinutes.HIGH;
+    document.getElementById('sla-medium-minutes').value = slaRules.allowanceMinutes.MEDIUM;
+    document.getElementById('sla-low-minutes').value = slaRules.allowanceMinutes.LOW;
+    document.getElementById('sla-warning-minutes').value = slaRules.warningMinutes;
+    document.getElementById('sla-escalation-target').value = slaRules.escalationTarget;
+    document.getElementById('sla-escalation-priority').value = slaRules.escalationPriority;
+    document.getElementById('emergency-contact-user-codes').value = slaRules.emergencyContacts.join(', ');
+    document.getElementById('admin-user-codes').value = slaRules.admins.join(', ');
+
+    // 再発行・経費精算設定
+    const replacementRules = CardReplacement.rulesFromConfig(config);
+    document.getElementById('reissue-fee').value = replacementRules.reissueFee;
+    document.getElementById('expense-app-id').value = replacementRules.expenseAppId || '';
+
     // 監査設定
     document.getElementById('audit-enabled').checked = config.audit_enabled !== 'false';
     document.getElementById('log-retention').value = config.log_retention || 90;
+    document.getElementById('audit-app-id').value = config.audit_app_id || '';
+
+    // レート制限設定 (未設定の項目はセキュリティ設定の既定値)
+    const rateLimit = { ...this.securityConfig.defaultConfig.rateLimit, ...RateLimiter.policyFromConfig(config) };
+    document.getElementById('rate-limit-enabled').checked = config.rate_limit_enabled !== 'false';
+    document.getElementById('rate-limit-app-id').value = config.rate_limit_app_id || '';
+    document.getElementById('rate-limit-requests-per-minute').value = rateLimit.maxRequestsPerMinute;
+    document.getElementById('rate-limit-failures-per-hour').value = rateLimit.maxFailedAttemptsPerHour;
+    document.getElementById('rate-limit-lockout-minutes').value = rateLimit.lockoutDurationMinutes;
+
+    // 個人情報の保持期間
+    const retention = DataRetention.policyFromConfig(config);
+    for (const category of DataRetention.CATEGORIES) {
+      document.getElementById(`retention-${category.key}-days`).value = retention[category.key];
+    }
   }
 
   /**
@@ -169,13 +299,29 @@ class ConfigManager {
       this.cancelConfig();
     });
 
-    // 確認ダイアログイベント
-    document.getElementById('confirm-operation').addEventListener('click', () => {
-      this.executeOperation();
+    // 監査ログの検証・保持期間による削除
+    document.getElementById('verify-audit-log').addEventListener('click', () => {
+      this.verifyAuditLog();
+    });
+
+    document.getElementById('prune-audit-log').addEventListener('click', () => {
+      this.handleCriticalOperation('prune-audit-log');
     });
 
-    document.getElementById('cancel-operation').addEventListener('click', () => {
-      this.cancelOperation();
+    // 個人情報の保持期間による削除 (ドライラン・実行)
+    document.getElementById('preview-retention').addEventListener('click', () => {
+      this.previewRetention();
+    });
+
+    document.getElementById('purge-retention').addEventListener('click', () => {
+      this.handleCriticalOperation('purge-retention');
+    });
+
+    // 本人からの開示・削除請求
+    ['disclosure-search', 'disclosure-export', 'disclosure-anonymize', 'disclosure-delete'].forEach(operation => {
+      document.getElementById(operation).addEventListener('click', () => {
+        this.handleCriticalOperation(operation);
+      });
     });
 
     // 入力値検証 (リアルタイム)
@@ -294,15 +440,19 @@ class ConfigManager {
 
   /**
    * 重要操作ハンドリング (PDF章節1-8準拠)
+   * Kintoneのログインユーザーのパスワードを再入力した場合のみ実行する
    * @param {string} operation - 操作種別
    * @param {*} value - 操作値
    */
   async handleCriticalOperation(operation, value = null) {
     try {
-      // 重要操作の確認ダイアログ表示
-      const confirmed = await this.showCriticalOperationDialog(operation, value);
+      // 再認証 (確認トークンはペッパー変更・一括削除の実行時に検証)
+      const token = await this.reauth.confirm(
+        this.getReauthPurpose(operation),
+        this.getCriticalOperationMessage(operation, value)
+      );
       
-      if (!confirmed) {
+      if (!token) {
         return;
       }
 
@@ -315,7 +465,23 @@ class ConfigManager {
           await this.resetToDefaultConfig();
           break;
         case 'save-config':
-          await this.saveConfiguration();
+          await this.saveConfiguration(token);
+          break;
+        case 'prune-audit-log':
+          await this.pruneAuditLog(token);
+          break;
+        case 'purge-retention':
+          await this.purgeRetention(token);
+          break;
+        case 'disclosure-search':
+          await this.searchPersonalData(token);
+          break;
+        case 'disclosure-export':
+          await this.exportPersonalData(token);
+          break;
+        case 'disclosure-anonymize':
+        case 'disclosure-delete':
+          await this.erasePersonalData(operation, token);
           break;
         default:
           throw new Error(`未知の操作: ${operation}`);
@@ -328,66 +494,91 @@ class ConfigManager {
   }
 
   /**
-   * 重要操作確認ダイアログ表示 (PDF章節1-8準拠)
+   * 重要操作の再認証の目的
+   * @param {string} operation - 操作種別
+   * @returns {string} ReauthManager.PURPOSES
+   */
+  getReauthPurpose(operation) {
+    const { PURPOSES } = ReauthManager;
+
+    if (['prune-audit-log', 'purge-retention', 'disclosure-anonymize', 'disclosure-delete'].includes(operation)) {
+      return PURPOSES.BULK_DELETE;
+    }
+    if (operation === 'disclosure-search' || operation === 'disclosure-export') {
+      return PURPOSES.VIEW_PII;
+    }
+    if (operation === 'save-config' && this.isPepperChanged(this.collectFormData().security_pepper)) {
+      return PURPOSES.CHANGE_PEPPER;
+    }
+    return PURPOSES.CONFIG_CHANGE;
+  }
+
+  /**
+   * 重要操作の確認メッセージ
    * @param {string} operation - 操作種別
    * @param {*} value - 操作値
-   * @returns {Promise<boolean>} 確認結果
+   * @returns {string} メッセージ
    */
-  showCriticalOperationDialog(operation, value) {
+  getCriticalOperationMessage(operation, value) {
+    switch (operation) {
+      case 'plugin-toggle':
+        return `プラグインを${value ? '有効' : '無効'}にします。この変更により、ユーザーの利用状況が変わります。`;
+      case 'reset-config':
+        return '設定をデフォルト値にリセットします。現在の設定は失われます。';
+      case 'save-config':
+        return this.isPepperChanged(this.collectFormData().security_pepper)
+          ? 'ペッパーを変更して設定を保存します。以降の報告は新しいペッパーでハッシュ化されます。'
+          : '設定を保存します。変更内容が即座に反映されます。';
+      case 'prune-audit-log':
+        return '保持期間を過ぎた監査ログを削除します。削除したログは復元できません。';
+      case 'purge-retention':
+        return '保持期間を過ぎた報告の個人情報を削除します。削除した情報は復元できません。';
+      case 'disclosure-search':
+      case 'disclosure-export':
+        return '本人からの請求に対応するため、社員番号で報告を検索し、個人情報を表示・出力します。';
+      case 'disclosure-anonymize':
+        return `請求者の報告${this.disclosure ? this.disclosure.records.length : 0}件の個人情報を削除します。削除した情報は復元できません。`;
+      case 'disclosure-delete':
+        return `請求者の報告${this.disclosure ? this.disclosure.records.length : 0}件を削除します。削除した報告は復元できません。`;
+      default:
+        return 'この操作は重要な設定変更を伴います。';
+    }
+  }
+
+  /**
+   * 保存済みの現行ペッパーから変更されているか
+   * @param {string} pepper - 保存するペッパー値
+   * @returns {boolean} 変更されているかどうか
+   */
+  isPepperChanged(pepper) {
+    const { peppers, pepperVersion } = SecureHashManager.peppersFromConfig(this.currentConfig);
+    return (peppers[pepperVersion] || '') !== (pepper || '');
+  }
+
+  /**
+   * 管理者パスワード入力ダイアログ (ReauthManager の prompt)
+   * @param {Object} request - { message, error }
+   * @returns {Promise<string|null>} パスワード (キャンセル時はnull)
+   */
+  promptAdminPassword({ message, error = '' }) {
     return new Promise((resolve) => {
       const dialog = document.getElementById('confirmation-dialog');
-      const messageElement = document.getElementById('confirmation-message');
       const passwordInput = document.getElementById('admin-password');
       
-      // 操作別メッセージ設定
-      let message = '';
-      switch (operation) {
-        case 'plugin-toggle':
-          message = `プラグインを${value ? '有効' : '無効'}にします。この変更により、ユーザーの利用状況が変わります。`;
-          break;
-        case 'reset-config':
-          message = '設定をデフォルト値にリセットします。現在の設定は失われます。';
-          break;
-        case 'save-config':
-          message = '設定を保存します。変更内容が即座に反映されます。';
-          break;
-      }
-      
-      messageElement.textContent = message;
+      document.getElementById('confirmation-message').textContent = message;
+      document.getElementById('admin-password-error').textContent = error;
       passwordInput.value = '';
       dialog.style.display = 'flex';
       
-      // 一時的なイベントハンドラー設定
-      const handleConfirm = async () => {
-        const password = passwordInput.value;
-        
-        // パスワード検証 (実際の実装では適切な認証処理)
-        if (!password) {
-          alert('管理者パスワードを入力してください');
-          return;
-        }
-        
-        // 簡易認証 (実際の実装では強化が必要)
-        if (password.length < 8) {
-          alert('パスワードが正しくありません');
-          return;
-        }
-        
+      const close = (result) => {
+        passwordInput.value = '';
         dialog.style.display = 'none';
-        cleanup();
-        resolve(true);
-      };
-      
-      const handleCancel = () => {
-        dialog.style.display = 'none';
-        cleanup();
-        resolve(false);
-      };
-      
-      const cleanup = () => {
         document.getElementById('confirm-operation').removeEventListener('click', handleConfirm);
         document.getElementById('cancel-operation').removeEventListener('click', handleCancel);
+        resolve(result);
       };
+      const handleConfirm = () => close(passwordInput.value);
+      const handleCancel = () => close(null);
       
       document.getElementById('confirm-operation').addEventListener('click', handleConfirm);
       document.getElementById('cancel-operation').addEventListener('click', handleCancel);
@@ -399,11 +590,17 @@ class ConfigManager {
 
   /**
    * 設定保存 (IPA準拠セキュリティ処理)
+   * @param {Object} token - 再認証の確認トークン (ペッパーを変更する場合は必須)
    */
-  async saveConfiguration() {
+  async saveConfiguration(token = null) {
     try {
       // フォームデータ収集
       const formData = this.collectFormData();
+
+      // ペッパーの変更は再認証済みの場合のみ
+      if (this.isPepperChanged(formData.security_pepper)) {
+        this.reauth.assertToken(token, ReauthManager.PURPOSES.CHANGE_PEPPER);
+      }
       
       // 入力値検証 (Phase 1統合)
       const validationResult = await this.validateConfiguration(formData);
@@ -436,22 +633,70 @@ class ConfigManager {
    */
   collectFormData() {
     const pepperInput = document.getElementById('security-pepper');
+    // 変更していない場合はマスク表示ではなく保存済みの現行ペッパーを使用
+    const { peppers, pepperVersion } = SecureHashManager.peppersFromConfig(this.currentConfig);
+    const pepper = pepperInput.dataset.actualValue ||
+      (pepperInput.dataset.hasValue === 'true' ? peppers[pepperVersion] : pepperInput.value);
     
     return {
       // セキュリティ設定
-      security_pepper: pepperInput.dataset.actualValue || pepperInput.value,
+      security_pepper: pepper,
       hash_iterations: document.getElementById('hash-iterations').value,
       salt_length: document.getElementById('salt-length').value,
+      hash_use_worker: document.getElementById('hash-use-worker').checked ? 'true' : 'false',
+      contact_handler_groups: document.getElementById('contact-handler-groups').value.trim(),
+      contact_cipher_endpoint: document.getElementById('contact-cipher-endpoint').value.trim(),
       
       // プラグイン設定
       plugin_enabled: document.getElementById('plugin-enabled').checked ? 'true' : 'false',
       user_scope: document.querySelector('input[name="user-scope"]:checked').value,
       target_users: document.getElementById('target-users').value,
       emergency_contacts: document.getElementById('emergency-contacts').value,
+      [UserCodes.CONFIG_KEYS.handlers]: UserCodes.parse(document.getElementById('handler-user-codes').value).join(','),
+      [ValidationSchema.CONFIG_KEY]: document.getElementById('validation-rule-sets').value.trim(),
+      
+      // SLA・エスカレーション設定
+      sla_enabled: document.getElementById('sla-enabled').checked ? 'true' : 'false',
+      sla_high_minutes: document.getElementById('sla-high-minutes').value,
+      sla_medium_minutes: document.getElementById('sla-medium-minutes').value,
+      sla_low_minutes: document.getElementById('sla-low-minutes').value,
+      sla_warning_minutes: document.getElementById('sla-warning-minutes').value,
+      sla_escalation_target: document.getElementById('sla-escalation-target').value,
+      sla_escalation_priority: document.getElementById('sla-escalation-priority').value,
+      [UserCodes.CONFIG_KEYS.emergencyContacts]: UserCodes.parse(document.getElementById('emergency-contact-user-codes').value).join(','),
+      [UserCodes.CONFIG_KEYS.admins]: UserCodes.parse(document.getElementById('admin-user-codes').value).join(','),
+
+      // 再発行・経費精算設定
+      reissue_fee: document.getElementById('reissue-fee').value,
+      expense_app_id: document.getElementById('expense-app-id').value.trim(),
+
+      // フィールドコード対応付け (読み込み失敗時は保存済みの値を維持)
+      [FieldMapping.CONFIG_KEY]: this.fieldMappingEditor
+        ? this.fieldMappingEditor.toConfigValue()
+        : (this.currentConfig[FieldMapping.CONFIG_KEY] || ''),
+
+      // 交通機関データ (読み込み失敗時は保存済みの値を維持)
+      [TransportationManager.OVERRIDES_CONFIG_KEY]: this.providerEditor
+        ? this.providerEditor.toConfigValue()
+        : (this.currentConfig[TransportationManager.OVERRIDES_CONFIG_KEY] || ''),
       
       // 監査設定
       audit_enabled: document.getElementById('audit-enabled').checked ? 'true' : 'false',
       log_retention: document.getElementById('log-retention').value,
+      audit_app_id: document.getElementById('audit-app-id').value.trim(),
+
+      // レート制限設定
+      rate_limit_enabled: document.getElementById('rate-limit-enabled').checked ? 'true' : 'false',
+      rate_limit_app_id: document.getElementById('rate-limit-app-id').value.trim(),
+      rate_limit_requests_per_minute: document.getElementById('rate-limit-requests-per-minute').value,
+      rate_limit_failures_per_hour: document.getElementById('rate-limit-failures-per-hour').value,
+      rate_limit_lockout_minutes: document.getElementById('rate-limit-lockout-minutes').value,
+
+      // 個人情報の保持期間
+      ...Object.fromEntries(DataRetention.CATEGORIES.map(category => [
+        `retention_${category.key}_days`,
+        document.getElementById(`retention-${category.key}-days`).value
+      ])),
       
       // メタデータ
       last_updated: new Date().toISOString(),
@@ -490,6 +735,58 @@ class ConfigManager {
         }
       }
 
+      // 連絡先の暗号化サービス検証 (プロキシ設定の鍵はこのURLに送信される)
+      if (!/^https:\/\/[^\s/]+/.test(config.contact_cipher_endpoint || '')) {
+        errors.push('連絡先の暗号化サービスのURLは https:// で始まるURLを入力してください');
+      }
+
+      // 対応担当者検証 (Kintoneのログイン名)
+      errors.push(...UserCodes.checkConfigValue(config[UserCodes.CONFIG_KEYS.handlers], 'handlers'));
+
+      // 入力検証ルール検証
+      errors.push(...ValidationSchema.checkConfigValue(config[ValidationSchema.CONFIG_KEY]));
+
+      // SLA設定検証
+      const slaErrors = this.validateSlaConfiguration(config);
+      errors.push(...slaErrors);
+
+      // 再発行・経費精算設定検証
+      if (!/^\d+$/.test(String(config.reissue_fee))) {
+        errors.push('再発行手数料は0以上の整数で入力してください');
+      }
+      if (config.expense_app_id && !/^[1-9]\d*$/.test(config.expense_app_id)) {
+        errors.push('経費精算アプリのアプリIDは数字で入力してください');
+      }
+
+      // 監査ログアプリ検証 (報告アプリ自身には保存しない)
+      if (config.audit_app_id) {
+        if (!/^[1-9]\d*$/.test(config.audit_app_id)) {
+          errors.push('監査ログアプリのアプリIDは数字で入力してください');
+        } else if (Number(config.audit_app_id) === Number(kintone.app.getId())) {
+          errors.push('監査ログアプリには報告アプリ以外のアプリを指定してください');
+        }
+      }
+
+      // レート制限設定検証
+      errors.push(...this.validateRateLimitConfiguration(config));
+
+      // 個人情報の保持期間検証
+      for (const category of DataRetention.CATEGORIES) {
+        if (!/^\d+$/.test(String(config[`retention_${category.key}_days`]))) {
+          errors.push(`個人情報の保持期間 (${category.label}) は0以上の整数で入力してください`);
+        }
+      }
+
+      // フィールドコード対応付け検証
+      if (this.fieldMappingEditor) {
+        errors.push(...this.fieldMappingEditor.validateAll());
+      }
+
+      // 交通機関データ検証
+      if (this.providerEditor) {
+        errors.push(...this.providerEditor.validateAll());
+      }
+
       // ユーザー/グループ設定検証
       if (config.user_scope !== 'all' && !config.target_users.trim()) {
         errors.push('対象ユーザー/グループを指定してください');
@@ -508,6 +805,84 @@ class ConfigManager {
     }
   }
 
+  /**
+   * SLA・エスカレーション設定検証
+   * @param {Object} config - 設定データ
+   * @returns {Array<string>} エラーメッセージ
+   */
+  validateSlaConfiguration(config) {
+    const errors = [];
+    const minuteFields = {
+      sla_high_minutes: '緊急度HIGHの猶予時間',
+      sla_medium_minutes: '緊急度MEDIUMの猶予時間',
+      sla_low_minutes: '緊急度LOWの猶予時間',
+      sla_warning_minutes: '期限接近の警告時間'
+    };
+
+    for (const [field, label] of Object.entries(minuteFields)) {
+      if (!/^\d+$/.test(String(config[field]))) {
+        errors.push(`${label}は0以上の整数で入力してください`);
+      }
+    }
+
+    if (!SlaEngine.ESCALATION_TARGETS.includes(config.sla_escalation_target)) {
+      errors.push('エスカレーション先が不正です');
+    }
+
+    if (!SlaEngine.ESCALATION_PRIORITIES.includes(config.sla_escalation_priority)) {
+      errors.push('エスカレーション時の優先度が不正です');
+    }
+
+    const emergencyContacts = config[UserCodes.CONFIG_KEYS.emergencyContacts];
+    const admins = config[UserCodes.CONFIG_KEYS.admins];
+    errors.push(...UserCodes.checkConfigValue(emergencyContacts, 'emergencyContacts'));
+    errors.push(...UserCodes.checkConfigValue(admins, 'admins'));
+
+    if (config.sla_enabled === 'true') {
+      if (config.sla_escalation_target === 'admins' && !admins) {
+        errors.push('エスカレーション先の管理者のログイン名を入力してください');
+      }
+      if (config.sla_escalation_target === 'emergency_contact_users' && !emergencyContacts) {
+        errors.push('エスカレーション先の緊急連絡先のログイン名を入力してください');
+      }
+      if (config.sla_escalation_target === 'both' && !emergencyContacts && !admins) {
+        errors.push('エスカレーション先のログイン名を入力してください');
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * レート制限設定検証
+   * @param {Object} config - 設定データ
+   * @returns {Array<string>} エラーメッセージ
+   */
+  validateRateLimitConfiguration(config) {
+    const errors = [];
+    const limitFields = {
+      rate_limit_requests_per_minute: '1分間の操作回数の上限',
+      rate_limit_failures_per_hour: '1時間の失敗回数の上限',
+      rate_limit_lockout_minutes: 'ロックアウト時間'
+    };
+
+    for (const [field, label] of Object.entries(limitFields)) {
+      if (!/^[1-9]\d*$/.test(String(config[field]))) {
+        errors.push(`${label}は1以上の整数で入力してください`);
+      }
+    }
+
+    if (config.rate_limit_app_id) {
+      if (!/^[1-9]\d*$/.test(config.rate_limit_app_id)) {
+        errors.push('レート制限カウンターアプリのアプリIDは数字で入力してください');
+      } else if ([kintone.app.getId(), config.audit_app_id].map(Number).includes(Number(config.rate_limit_app_id))) {
+        errors.push('レート制限カウンターアプリには報告アプリ・監査ログアプリ以外のアプリを指定してください');
+      }
+    }
+
+    return errors;
+  }
+
   /**
    * 機密データ暗号化
    * @param {Object} config - 設定データ
@@ -519,9 +894,11 @@ class ConfigManager {
       
       // ペッパー値の暗号化 (実際の実装では適切な暗号化処理)
       if (config.security_pepper) {
-        // 簡易暗号化 (実装時は強化必要)
-        secureConfig.security_pepper = btoa(config.security_pepper);
+        Object.assign(secureConfig, this.rotatePepper(config.security_pepper));
       }
+
+      // 連絡先の暗号化キー (未生成の場合・追加指定時は新しいバージョンを生成)
+      Object.assign(secureConfig, await this.rotateEncryptionKey(config, document.getElementById('rotate-encryption-key').checked));
       
       return secureConfig;
       
@@ -530,6 +907,82 @@ class ConfigManager {
     }
   }
 
+  /**
+   * ペッパーのバージョン管理
+   * 保存済みと異なるペッパーは新しいバージョンとして追加し、旧ペッパーは
+   * 既存レコードの照合・再ハッシュ化のため保持する (security_peppers)
+   * @param {string} pepper - 保存するペッパー値
+   * @returns {Object} { security_pepper, security_pepper_version, security_peppers }
+   */
+  rotatePepper(pepper) {
+    const { peppers, pepperVersion } = SecureHashManager.peppersFromConfig(this.currentConfig);
+    let version = pepperVersion;
+
+    if (peppers[version] !== pepper) {
+      // 未設定 (空のバージョン1) の場合は置き換え
+      version = peppers[version] ? Math.max(...Object.keys(peppers).map(Number)) + 1 : version;
+      peppers[version] = pepper;
+    }
+
+    // 簡易暗号化 (実装時は強化必要)
+    return {
+      security_pepper: btoa(pepper),
+      security_pepper_version: String(version),
+      security_peppers: JSON.stringify(Object.fromEntries(
+        Object.entries(peppers).filter(([, value]) => value).map(([key, value]) => [key, btoa(value)])
+      ))
+    };
+  }
+
+  /**
+   * 保存済みの連絡先暗号化キー (暗号化サービスのプロキシ設定から読み込む)
+   * @param {Object} config - 保存済みの設定データ
+   * @returns {Object} { keys, keyVersion, handlerGroups }
+   */
+  getCipherSettings(config) {
+    const proxyConfig = config.contact_cipher_endpoint
+      ? kintone.plugin.app.getProxyConfig(config.contact_cipher_endpoint, 'POST')
+      : null;
+    return ProxyFieldCipher.settingsFromProxyData(proxyConfig ? proxyConfig.data : {});
+  }
+
+  /**
+   * 連絡先暗号化キーのバージョン管理
+   * 鍵・担当者グループは暗号化サービスのプロキシ設定に保存し (旧バージョンの鍵は既存レコードの
+   * 復号のため保持)、プラグイン設定には鍵バージョンのみを保存する
+   * @param {Object} config - 保存する設定データ
+   * @param {boolean} addVersion - 新しいバージョンを追加するか
+   * @returns {Promise<Object>} { contact_cipher_key_version }
+   */
+  async rotateEncryptionKey(config, addVersion) {
+    const { keys, keyVersion } = this.getCipherSettings(this.currentConfig);
+    let version = keyVersion;
+
+    if (!keys[version] || addVersion) {
+      version = Math.max(0, ...Object.keys(keys).map(Number)) + 1;
+      keys[version] = FieldCipher.generateKey();
+    }
+
+    const data = ProxyFieldCipher.toProxyData({
+      keys,
+      keyVersion: version,
+      handlerGroups: ContactAccess.handlerGroupsFromConfig(config)
+    });
+    await new Promise(resolve => {
+      kintone.plugin.app.setProxyConfig(config.contact_cipher_endpoint, 'POST', {}, data, resolve);
+    });
+
+    // URLを変更した場合は変更前のURLに鍵を送信しないよう削除
+    const previous = this.currentConfig.contact_cipher_endpoint;
+    if (previous && previous !== config.contact_cipher_endpoint) {
+      await new Promise(resolve => {
+        kintone.plugin.app.setProxyConfig(previous, 'POST', {}, {}, resolve);
+      });
+    }
+
+    return { contact_cipher_key_version: String(version) };
+  }
+
   /**
    * セキュリティヘルスチェック更新
    */
@@ -545,12 +998,340 @@ class ConfigManager {
         .map(([key, passed]) => `${key}: ${passed ? '✅' : '❌'}`)
         .join('<br>');
       detailsElement.innerHTML = details;
+
+      // 保存済みハッシュの現行ポリシー適合状況
+      await this.updateHashPolicyStatus(detailsElement);
+
+      // 保存済みデータ・アプリの権限の診断
+      await this.updateDataSecurityStatus(detailsElement);
       
     } catch (error) {
       console.error('ヘルスチェックエラー:', error);
     }
   }
 
+  /**
+   * 保存済みの設定による監査ログ保存先
+   * @returns {AuditLogStore} 監査ログ保存先
+   */
+  getAuditLogStore() {
+    const store = AuditLogStore.fromConfig(this.currentConfig);
+    if (!store) {
+      throw new Error('監査ログアプリが設定されていません (設定の保存後に実行してください)');
+    }
+    return store;
+  }
+
+  /**
+   * 監査ログの連結検証
+   */
+  async verifyAuditLog() {
+    const status = document.getElementById('audit-log-status');
+    status.textContent = '検証中...';
+
+    try {
+      const store = this.getAuditLogStore();
+      const result = await store.verify();
+      status.textContent = `${result.valid ? '✅' : '❌'} ${store.formatVerification(result)}`;
+    } catch (error) {
+      console.error('監査ログ検証エラー:', error);
+      status.textContent = `❌ 監査ログを検証できませんでした: ${error.message}`;
+    }
+  }
+
+  /**
+   * 保持期間を過ぎた監査ログの削除
+   * @param {Object} token - 再認証の確認トークン
+   */
+  async pruneAuditLog(token) {
+    this.reauth.assertToken(token, ReauthManager.PURPOSES.BULK_DELETE);
+
+    const status = document.getElementById('audit-log-status');
+    const result = await this.getAuditLogStore().prune();
+    status.textContent = result.deleted > 0
+      ? `✅ #${result.throughSequence}までの${result.deleted}件を削除しました`
+      : '✅ 保持期間を過ぎたログはありません';
+  }
+
+  /**
+   * 保存済みの設定による個人情報の保持期間管理
+   * @param {AuditLogStore} auditStore - 削除を記録する監査ログ保存先 (ドライランでは省略)
+   * @returns {DataRetention} 保持期間管理
+   */
+  getDataRetention(auditStore = null) {
+    let auditLogger = null;
+    if (auditStore) {
+      auditLogger = new SecurityConfig();
+      auditLogger.setAuditStore(auditStore);
+    }
+
+    return new DataRetention(DataRetention.policyFromConfig(this.currentConfig), {
+      fieldMapping: FieldMapping.fromConfig(this.currentConfig),
+      auditLogger
+    });
+  }
+
+  /**
+   * 保持期間を過ぎた個人情報の表示 (ドライラン、レコードは更新しない)
+   */
+  async previewRetention() {
+    const status = document.getElementById('retention-status');
+    const report = document.getElementById('retention-report');
+    status.textContent = '確認中...';
+    report.textContent = '';
+
+    try {
+      const retention = this.getDataRetention();
+      const entries = await retention.preview();
+      status.textContent = entries.length > 0
+        ? `削除対象のレコード ${entries.length}件 (まだ削除していません)`
+        : '✅ 保持期間を過ぎた個人情報はありません';
+      this.renderRetentionReport(retention.formatEntries(entries));
+    } catch (error) {
+      console.error('保持期間の確認エラー:', error);
+      status.textContent = `❌ 削除対象を確認できませんでした: ${error.message}`;
+    }
+  }
+
+  /**
+   * 保持期間を過ぎた個人情報の削除
+   * 削除は1レコードごとに監査ログに記録するため、監査ログアプリが必要
+   * @param {Object} token - 再認証の確認トークン
+   */
+  async purgeRetention(token) {
+    this.reauth.assertToken(token, ReauthManager.PURPOSES.BULK_DELETE);
+
+    const status = document.getElementById('retention-status');
+    const retention = this.getDataRetention(this.getAuditLogStore());
+    const result = await retention.execute();
+
+    status.textContent = result.failed.length > 0
+      ? `❌ ${result.purged.length}件を削除し、${result.failed.length}件は更新できませんでした: ${result.errors.join(', ')}`
+      : `✅ ${result.purged.length}件の個人情報を削除しました`;
+    this.renderRetentionReport(retention.formatEntries(result.purged));
+  }
+
+  /**
+   * 保持期間の確認・削除結果の一覧表示
+   * @param {Array<string>} lines - 表示する行
+   */
+  renderRetentionReport(lines) {
+    const report = document.getElementById('retention-report');
+    report.textContent = '';
+    lines.forEach(line => {
+      const item = document.createElement('li');
+      item.textContent = line;
+      report.appendChild(item);
+    });
+  }
+
+  /**
+   * 本人からの請求への対応 (保存済みの設定を使用)
+   * 監査ログアプリが未設定の場合は検索・出力・削除を行わない
+   * @returns {PersonalDataRequest} 請求への対応
+   */
+  getPersonalDataRequest() {
+    if (!this.hashManager) {
+      throw new Error('ハッシュ設定が読み込まれていません');
+    }
+
+    const auditLogger = new SecurityConfig();
+    auditLogger.setAuditStore(this.getAuditLogStore());
+    const fieldMapping = FieldMapping.fromConfig(this.currentConfig);
+
+    return new PersonalDataRequest(this.hashManager, {
+      fieldMapping,
+      auditLogger,
+      contactAccess: new ContactAccess(ProxyFieldCipher.fromConfig(this.currentConfig), {
+        handlerGroups: ContactAccess.handlerGroupsFromConfig(this.currentConfig),
+        auditLogger,
+        reauth: this.reauth
+      }),
+      retention: new DataRetention(DataRetention.policyFromConfig(this.currentConfig), { fieldMapping, auditLogger })
+    });
+  }
+
+  /**
+   * 請求者の社員番号による報告の検索
+   * 社員番号は検索後に入力欄から消去する
+   * @param {Object} token - 再認証の確認トークン
+   */
+  async searchPersonalData(token) {
+    this.reauth.assertToken(token, ReauthManager.PURPOSES.VIEW_PII);
+
+    const input = document.getElementById('disclosure-employee-id');
+    const status = document.getElementById('disclosure-status');
+    this.setDisclosure(null);
+    status.textContent = '検索中...';
+
+    try {
+      const request = this.getPersonalDataRequest();
+      const records = await request.findRecords(input.value);
+      input.value = '';
+      this.setDisclosure(records.length > 0 ? { request, records } : null);
+      status.textContent = records.length > 0
+        ? `請求番号 ${request.requestId}: 該当する報告 ${records.length}件`
+        : `請求番号 ${request.requestId}: 該当する報告はありません`;
+    } catch (error) {
+      status.textContent = `❌ 検索できませんでした: ${error.message}`;
+      throw error;
+    }
+  }
+
+  /**
+   * 開示書の出力 (テキストファイルのダウンロード)
+   * @param {Object} token - 再認証の確認トークン
+   */
+  async exportPersonalData(token) {
+    this.reauth.assertToken(token, ReauthManager.PURPOSES.VIEW_PII);
+    const { request, records } = this.requireDisclosure();
+
+    const { fileName, content } = await request.exportPackage(records, { user: kintone.getLoginUser(), token });
+    const url = URL.createObjectURL(new Blob([content], { type: 'text/plain;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+
+    document.getElementById('disclosure-status').textContent = `✅ 請求番号 ${request.requestId}: 開示書を出力しました`;
+  }
+
+  /**
+   * 請求者の個人情報の削除 (個人情報のみ、またはレコードごと)
+   * @param {string} operation - 'disclosure-anonymize' | 'disclosure-delete'
+   * @param {Object} token - 再認証の確認トークン
+   */
+  async erasePersonalData(operation, token) {
+    this.reauth.assertToken(token, ReauthManager.PURPOSES.BULK_DELETE);
+    const { request, records } = this.requireDisclosure();
+    const status = document.getElementById('disclosure-status');
+
+    if (operation === 'disclosure-delete') {
+      const result = await request.deleteRecords(records);
+      status.textContent = result.failed.length > 0
+        ? `❌ ${result.deleted.length}件を削除し、${result.failed.length}件は削除できませんでした: ${result.errors.map(error => error.message).join(', ')}`
+        : `✅ 請求番号 ${request.requestId}: 報告${result.deleted.length}件を削除しました`;
+      this.setDisclosure(null);
+      return;
+    }
+
+    const result = await request.anonymize(records);
+    status.textContent = result.failed.length > 0
+      ? `❌ ${result.purged.length}件を削除し、${result.failed.length}件は更新できませんでした: ${result.errors.join(', ')}`
+      : `✅ 請求番号 ${request.requestId}: ${result.purged.length}件の個人情報を削除しました`;
+    this.setDisclosure(null);
+  }
+
+  /**
+   * 検索済みの請求
+   * @returns {Object} { request, records }
+   */
+  requireDisclosure() {
+    if (!this.disclosure) {
+      throw new Error('先に請求者の報告を検索してください');
+    }
+    return this.disclosure;
+  }
+
+  /**
+   * 検索結果の保持と表示 (検索結果がない場合は出力・削除ボタンを無効にする)
+   * @param {Object|null} disclosure - { request, records }
+   */
+  setDisclosure(disclosure) {
+    this.disclosure = disclosure;
+
+    ['disclosure-export', 'disclosure-anonymize', 'disclosure-delete'].forEach(id => {
+      document.getElementById(id).disabled = !disclosure;
+    });
+
+    const report = document.getElementById('disclosure-report');
+    report.textContent = '';
+    (disclosure ? disclosure.records : []).forEach(record => {
+      const item = document.createElement('li');
+      const submittedAt = record.submitted_at?.value ? record.submitted_at.value.slice(0, 10) : '';
+      item.textContent = `#${record.record_number?.value || record.$id?.value} ${submittedAt} ${record.card_type?.value || ''}`.trim();
+      report.appendChild(item);
+    });
+  }
+
+  /**
+   * 保存済みハッシュの更新要否をヘルスチェックに追記
+   * 集計に失敗しても他のチェック結果は表示する
+   * @param {HTMLElement} detailsElement - ヘルスチェック詳細の表示先
+   */
+  async updateHashPolicyStatus(detailsElement) {
+    const line = document.createElement('div');
+    line.className = 'health-hash-policy';
+
+    try {
+      const audit = new HashPolicyAudit(this.hashManager, {
+        fieldMapping: FieldMapping.fromConfig(this.currentConfig)
+      });
+      const summary = await audit.run();
+      line.textContent = `hashPolicy: ${summary.upgradeRequired === 0 ? '✅' : '❌'} ${audit.formatSummary(summary)}`;
+    } catch (error) {
+      console.error('ハッシュポリシー集計エラー:', error);
+      line.textContent = 'hashPolicy: 保存済みレコードを集計できませんでした';
+    }
+
+    detailsElement.appendChild(line);
+  }
+
+  /**
+   * 保存済みデータ・アプリの権限の診断結果をヘルスチェックに追記
+   * 検出したレコードはレコード詳細画面へのリンクで確認できる
+   * @param {HTMLElement} detailsElement - ヘルスチェック詳細の表示先
+   */
+  async updateDataSecurityStatus(detailsElement) {
+    const section = document.createElement('div');
+    section.className = 'health-data-scan';
+
+    try {
+      const scan = new DataSecurityScan({ fieldMapping: FieldMapping.fromConfig(this.currentConfig) });
+      const result = await scan.run();
+
+      const summary = document.createElement('div');
+      summary.textContent = `dataScan: 最新のレコード${result.scanned}件とアプリの権限を確認しました`;
+      section.appendChild(summary);
+
+      for (const [check, label] of Object.entries(DataSecurityScan.CHECKS)) {
+        const findings = result.findings[check];
+        const line = document.createElement(findings.length > 0 ? 'details' : 'div');
+        const title = document.createElement(findings.length > 0 ? 'summary' : 'span');
+        title.textContent = `${check}: ${findings.length === 0 ? '✅' : '❌'} ${label} ${findings.length}件`;
+        line.appendChild(title);
+
+        if (findings.length > 0) {
+          const list = document.createElement('ul');
+          findings.forEach(finding => {
+            const item = document.createElement('li');
+            if (finding.recordId) {
+              const link = document.createElement('a');
+              link.href = scan.recordUrl(finding.recordId);
+              link.target = '_blank';
+              link.rel = 'noopener noreferrer';
+              link.textContent = `#${finding.recordNumber}`;
+              item.appendChild(link);
+              item.appendChild(document.createTextNode(` ${finding.field}: ${finding.detail}`));
+            } else {
+              item.textContent = `${finding.entity}: ${finding.rights.join('・')}`;
+            }
+            list.appendChild(item);
+          });
+          line.appendChild(list);
+        }
+
+        section.appendChild(line);
+      }
+    } catch (error) {
+      console.error('データ診断エラー:', error);
+      section.textContent = 'dataScan: 保存済みレコード・アプリの権限を確認できませんでした';
+    }
+
+    detailsElement.appendChild(section);
+  }
+
   /**
    * セキュリティテスト実行
    */
@@ -588,7 +1369,7 @@ class ConfigManager {
     try {
       // ハッシュ化テスト
       if (this.hashManager) {
-        const testHash = this.hashManager.hashICCardNumber('TO1234567890123456');
+        const testHash = await this.hashManager.hashICCardNumber('TO1234567890123456');
         results.hashTest = !!testHash.hash;
       }
       
@@ -650,9 +1431,18 @@ class ConfigManager {
   setDefaultConfig() {
     document.getElementById('hash-iterations').value = 100000;
     document.getElementById('salt-length').value = 32;
+    document.getElementById('hash-use-worker').checked = false;
     document.getElementById('plugin-enabled').checked = false;
     document.getElementById('audit-enabled').checked = true;
     document.getElementById('log-retention').value = 90;
+    document.getElementById('validation-rule-sets').value = '';
+    document.getElementById('rate-limit-enabled').checked = true;
+    document.getElementById('rate-limit-requests-per-minute').value = 60;
+    document.getElementById('rate-limit-failures-per-hour').value = 10;
+    document.getElementById('rate-limit-lockout-minutes').value = 30;
+    for (const [key, days] of Object.entries(DataRetention.defaultPolicy())) {
+      document.getElementById(`retention-${key}-days`).value = days;
+    }
     
     this.updateIterationsDisplay(100000);
   }
@@ -0,0 +1,170 @@
+/**
+ * field-mapping-editor.js
+ * 設定画面のフィールドコード対応付け編集
+ *
+ * アプリのフィールド一覧 (/k/v1/app/form/fields) を読み込み、論理フィールドごとに
+ * 種類が一致するフィールドを選択肢として表示する。サブテーブル内の項目は
+ * 選択中のサブテーブルのフィールドから選択する。編集内容はプラグイン設定
+ * (field_mapping) にJSONで保存される。
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @compliance IPA安全なウェブサイトの作り方準拠
+ */
+
+const { CommonUtils } = require('../common');
+const FieldMapping = require('../field-mapping');
+
+/**
+ * フィールドコード対応付け編集クラス
+ */
+class FieldMappingEditor {
+  /**
+   * @param {HTMLElement|string} container - 一覧を含むコンテナ
+   * @param {Object} options - オプション
+   * @param {FieldMapping} options.fieldMapping - 保存済みの対応付け (FieldMapping.fromConfig() の結果)
+   */
+  constructor(container, options = {}) {
+    this.container = typeof container === 'string' ? document.getElementById(container) : container;
+    this.fieldMapping = options.fieldMapping || new FieldMapping();
+    this.properties = {};
+  }
+
+  /**
+   * アプリのフィールド一覧読み込み
+   */
+  async load() {
+    const response = await kintone.api(kintone.api.url('/k/v1/app/form/fields', true), 'GET', {
+      app: kintone.app.getId()
+    });
+    this.properties = response.properties || {};
+  }
+
+  /**
+   * 選択肢となるフィールド
+   * @param {Object} definition - 論理フィールド定義
+   * @param {Object} properties - フィールド定義 (サブテーブル内の項目はサブテーブルの fields)
+   * @returns {Array<Object>} { code, label }
+   */
+  getCandidates(definition, properties) {
+    return Object.values(properties)
+      .filter(property => definition.types.includes(property.type))
+      .map(property => ({ code: property.code, label: property.label }))
+      .sort((a, b) => a.code.localeCompare(b.code));
+  }
+
+  /**
+   * 選択中のサブテーブルのフィールド定義
+   * @param {string} key - サブテーブルの論理フィールド名
+   * @returns {Object} サブテーブル内のフィールド定義
+   */
+  getSubtableProperties(key) {
+    const property = this.properties[this.fieldMapping.code(key)];
+    return property && property.type === 'SUBTABLE' ? property.fields || {} : {};
+  }
+
+  /**
+   * 全対応付けの検証 (設定保存前)
+   * 任意フィールドの不足は保存可能とし、必須フィールドの不足・種類違いのみエラーとする
+   * @returns {Array<string>} エラーメッセージ
+   */
+  validateAll() {
+    return this.fieldMapping.check(this.properties).errors;
+  }
+
+  /**
+   * プラグイン設定に保存する値
+   * @returns {string} JSON文字列
+   */
+  toConfigValue() {
+    return this.fieldMapping.toConfigValue();
+  }
+
+  /**
+   * 一覧描画
+   */
+  render() {
+    const list = this.container.querySelector('#field-mapping-list');
+    if (!list) return;
+
+    const groups = [...new Set(FieldMapping.FIELDS.map(field => field.group))];
+    const result = this.fieldMapping.check(this.properties);
+
+    list.innerHTML = `
+      ${result.warnings.length > 0 ? `
+      <ul class="field-mapping-warnings">
+        ${result.warnings.map(warning => `<li>${CommonUtils.escapeHtml(warning)}</li>`).join('')}
+      </ul>` : ''}
+      ${groups.map(group => `
+      <table class="provider-table field-mapping-table">
+        <caption>${CommonUtils.escapeHtml(group)}</caption>
+        <thead>
+          <tr>
+            <th scope="col">項目</th>
+            <th scope="col">フィールドコード</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${FieldMapping.FIELDS.filter(field => field.group === group).map(field => `
+          ${this.renderRow(field, this.properties, field.label)}
+          ${this.fieldMapping.getColumns(field.key).map(column => this.renderRow(
+            { key: column, types: FieldMapping.TYPES.COLUMN },
+            this.getSubtableProperties(field.key),
+            `└ ${column}`
+          )).join('')}`).join('')}
+        </tbody>
+      </table>`).join('')}
+    `;
+  }
+
+  /**
+   * 論理フィールド1件の行HTML
+   * @param {Object} definition - 論理フィールド定義
+   * @param {Object} properties - 選択肢のフィールド定義
+   * @param {string} label - 表示名
+   * @returns {string} 行HTML
+   */
+  renderRow(definition, properties, label) {
+    const current = this.fieldMapping.code(definition.key);
+    const candidates = this.getCandidates(definition, properties);
+    const options = candidates.some(candidate => candidate.code === current)
+      ? candidates
+      : [{ code: current, label: 'アプリにありません' }, ...candidates];
+
+    return `
+          <tr>
+            <td>
+              <label for="field-mapping-${CommonUtils.escapeHtml(definition.key)}"
+                     class="${definition.required ? 'required' : ''}">${CommonUtils.escapeHtml(label)}</label>
+            </td>
+            <td>
+              <select id="field-mapping-${CommonUtils.escapeHtml(definition.key)}"
+                      class="form-input field-mapping-select"
+                      data-field-key="${CommonUtils.escapeHtml(definition.key)}">
+                ${options.map(option => `
+                <option value="${CommonUtils.escapeHtml(option.code)}" ${option.code === current ? 'selected' : ''}>
+                  ${CommonUtils.escapeHtml(option.code)} (${CommonUtils.escapeHtml(option.label)})
+                </option>`).join('')}
+              </select>
+            </td>
+          </tr>`;
+  }
+
+  /**
+   * イベントリスナー設定
+   * サブテーブルの変更時は項目の選択肢を更新するため再描画する
+   */
+  setupEventListeners() {
+    const list = this.container.querySelector('#field-mapping-list');
+    list.addEventListener('change', (e) => {
+      const select = e.target.closest('.field-mapping-select');
+      if (!select) return;
+
+      this.fieldMapping.setCode(select.dataset.fieldKey, select.value);
+      this.render();
+    });
+  }
+}
+
+module.exports = FieldMappingEditor;
@@ -0,0 +1,404 @@
+/**
+ * provider-editor.js
+ * 設定画面の交通機関データ編集
+ *
+ * 同梱の交通機関データ (src/data) を元に、管理者が連絡先・利用停止手順・
+ * カード番号の表示名を編集/追加/無効化する。編集内容はプラグイン設定
+ * (provider_overrides) にJSONで保存され、同梱データより優先される。
+ * 番号の形式 (接頭辞・桁数) はカード番号形式レジストリで一元管理するため編集対象外。
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @compliance IPA安全なウェブサイトの作り方準拠
+ */
+
+const { CommonUtils } = require('../common');
+const TransportationManager = require('../transportation-manager');
+
+/**
+ * 編集フォームの入力欄ID
+ */
+const FORM_FIELDS = {
+  id: 'provider-id',
+  region: 'provider-region',
+  name: 'provider-name',
+  category: 'provider-category',
+  icCards: 'provider-ic-cards',
+  primaryIC: 'provider-primary-ic',
+  phone: 'provider-phone',
+  businessHours: 'provider-business-hours',
+  emergencyContact: 'provider-emergency-contact',
+  url: 'provider-url',
+  method: 'provider-stop-method',
+  requiredInfo: 'provider-required-info',
+  urgencyLevel: 'provider-urgency',
+  processingTime: 'provider-processing-time',
+  notes: 'provider-notes',
+  additionalSteps: 'provider-additional-steps',
+  cardFormats: 'provider-card-formats'
+};
+
+/**
+ * 一覧に表示する編集状態
+ */
+const STATE_LABELS = {
+  bundled: '標準',
+  edited: '編集済み',
+  added: '追加'
+};
+
+/**
+ * 交通機関データ編集クラス
+ */
+class ProviderEditor {
+  /**
+   * @param {HTMLElement|string} container - 一覧・フォームを含むコンテナ
+   * @param {Object} options - オプション
+   * @param {Object} options.overrides - 保存済みの編集データ (overridesFromConfig() の結果)
+   * @param {TransportationManager} options.transportationManager - 同梱データ取得用
+   */
+  constructor(container, options = {}) {
+    this.container = typeof container === 'string' ? document.getElementById(container) : container;
+    this.transportationManager = options.transportationManager || new TransportationManager();
+
+    const overrides = options.overrides || { providers: {}, disabled: [] };
+    this.overrides = {
+      providers: { ...overrides.providers },
+      disabled: [...overrides.disabled]
+    };
+
+    this.bundled = {};
+    this.regions = [];
+    this.regionIndex = null;
+    this.editingId = null;
+  }
+
+  /**
+   * 同梱データ・地域一覧の読み込み
+   */
+  async load() {
+    this.bundled = await this.transportationManager.getBundledProviders();
+    this.regions = await this.transportationManager.getRegions();
+    this.regionIndex = await this.transportationManager.getRegionIndex();
+  }
+
+  /**
+   * 同梱データに編集内容を反映した交通機関データ
+   * @param {string} id - 交通機関ID
+   * @returns {Object|null} 交通機関データ
+   */
+  getProvider(id) {
+    return this.overrides.providers[id] || this.bundled[id] || null;
+  }
+
+  /**
+   * 一覧表示用の行データ
+   * @returns {Array<Object>} { id, provider, state, disabled }
+   */
+  getRows() {
+    const ids = [...new Set([...Object.keys(this.bundled), ...Object.keys(this.overrides.providers)])];
+
+    return ids.map(id => {
+      let state = 'bundled';
+      if (this.overrides.providers[id]) {
+        state = this.bundled[id] ? 'edited' : 'added';
+      }
+      return {
+        id,
+        provider: this.getProvider(id),
+        state,
+        disabled: this.overrides.disabled.includes(id)
+      };
+    });
+  }
+
+  /**
+   * 交通機関データを編集フォームの値に変換
+   * @param {Object} provider - 交通機関データ
+   * @returns {Object} FORM_FIELDS のキーごとの文字列
+   */
+  providerToForm(provider) {
+    const procedure = provider.stopProcedure || {};
+    const contact = provider.contact || {};
+
+    return {
+      id: provider.id || '',
+      region: provider.region || '',
+      name: provider.name || '',
+      category: provider.category || 'railway',
+      icCards: (provider.icCards || []).join(', '),
+      primaryIC: provider.primaryIC || '',
+      phone: contact.phone || '',
+      businessHours: contact.businessHours || '',
+      emergencyContact: contact.emergencyContact || '',
+      url: (provider.urls && provider.urls.main) || '',
+      method: procedure.method || '',
+      requiredInfo: (procedure.requiredInfo || []).join(', '),
+      urgencyLevel: procedure.urgencyLevel || 'MEDIUM',
+      processingTime: procedure.processingTime || '',
+      notes: procedure.notes || '',
+      additionalSteps: (procedure.additionalSteps || []).join('\n'),
+      cardFormats: Object.entries(provider.cardNumberFormats || {})
+        .map(([cardType, format]) => [cardType, format.displayName || '', format.example || ''].join(' | '))
+        .join('\n')
+    };
+  }
+
+  /**
+   * 編集フォームの値を交通機関データに変換
+   * 編集元の項目 (nameEn, serviceAreas等) は引き継ぐ
+   * 番号形式はレジストリから付与されるため表示名・入力例のみ保存する
+   * @param {Object} values - FORM_FIELDS のキーごとの文字列
+   * @returns {Object} 交通機関データ
+   */
+  formToProvider(values) {
+    const splitList = (value, separator) => (value || '').split(separator).map(v => v.trim()).filter(v => v);
+    const base = this.getProvider(values.id) || {};
+
+    const cardNumberFormats = {};
+    splitList(values.cardFormats, '\n').forEach(line => {
+      const [cardType, displayName, example] = line.split('|').map(v => v.trim());
+      cardNumberFormats[cardType] = {
+        displayName: displayName || cardType,
+        example: example || ''
+      };
+    });
+
+    const icCards = splitList(values.icCards, ',');
+
+    return {
+      ...base,
+      id: values.id.trim(),
+      region: values.region,
+      name: values.name.trim(),
+      category: values.category,
+      icCards,
+      primaryIC: values.primaryIC.trim() || icCards[0] || '',
+      contact: {
+        ...(base.contact || {}),
+        phone: values.phone.trim(),
+        businessHours: values.businessHours.trim(),
+        emergencyContact: values.emergencyContact.trim()
+      },
+      urls: {
+        ...(base.urls || {}),
+        main: values.url.trim()
+      },
+      cardNumberFormats,
+      stopProcedure: {
+        ...(base.stopProcedure || {}),
+        method: values.method.trim(),
+        requiredInfo: splitList(values.requiredInfo, ','),
+        urgencyLevel: values.urgencyLevel,
+        processingTime: values.processingTime.trim(),
+        notes: values.notes.trim(),
+        additionalSteps: splitList(values.additionalSteps, '\n')
+      }
+    };
+  }
+
+  /**
+   * 交通機関データの保存 (プラグイン設定の保存時に反映)
+   * @param {Object} values - 編集フォームの値
+   * @param {boolean} isNew - 新規追加か
+   * @returns {Object} { valid, errors }
+   */
+  saveProvider(values, isNew = false) {
+    const provider = this.formToProvider(values);
+    const errors = this.transportationManager.validateProviderOverride(provider.id, provider, this.regionIndex);
+
+    if (isNew && this.getProvider(provider.id)) {
+      errors.push(`交通機関ID '${provider.id}' は既に登録されています`);
+    }
+    if (provider.primaryIC && !provider.icCards.includes(provider.primaryIC)) {
+      errors.push('主要ICカードは対応ICカードに含めてください');
+    }
+
+    if (errors.length > 0) {
+      return { valid: false, errors };
+    }
+
+    this.overrides.providers[provider.id] = provider;
+    return { valid: true, errors: [] };
+  }
+
+  /**
+   * 交通機関の無効化/有効化切替
+   * @param {string} id - 交通機関ID
+   */
+  toggleDisabled(id) {
+    if (this.overrides.disabled.includes(id)) {
+      this.overrides.disabled = this.overrides.disabled.filter(disabledId => disabledId !== id);
+    } else {
+      this.overrides.disabled.push(id);
+    }
+  }
+
+  /**
+   * 編集内容を破棄して同梱データに戻す (追加した交通機関は削除)
+   * @param {string} id - 交通機関ID
+   */
+  revertProvider(id) {
+    delete this.overrides.providers[id];
+    this.overrides.disabled = this.overrides.disabled.filter(disabledId => disabledId !== id);
+  }
+
+  /**
+   * 全編集データの再検証 (設定保存前)
+   * @returns {Array<string>} エラーメッセージ
+   */
+  validateAll() {
+    const errors = [];
+
+    for (const [id, provider] of Object.entries(this.overrides.providers)) {
+      errors.push(...this.transportationManager.validateProviderOverride(id, provider, this.regionIndex));
+    }
+
+    const providerCount = this.getRows().filter(row => !row.disabled).length;
+    if (providerCount === 0) {
+      errors.push('有効な交通機関が1件以上必要です');
+    }
+
+    return errors;
+  }
+
+  /**
+   * プラグイン設定に保存する値
+   * @returns {string} JSON文字列
+   */
+  toConfigValue() {
+    return JSON.stringify({
+      providers: this.overrides.providers,
+      disabled: this.overrides.disabled
+    });
+  }
+
+  /**
+   * 一覧描画
+   */
+  render() {
+    const list = this.container.querySelector('#provider-list');
+    const regionSelect = this.container.querySelector(`#${FORM_FIELDS.region}`);
+    if (!list) return;
+
+    if (regionSelect) {
+      regionSelect.innerHTML = this.regions.map(region => `
+        <option value="${CommonUtils.escapeHtml(region.id)}">${CommonUtils.escapeHtml(region.name)}</option>`
+      ).join('');
+    }
+
+    const regionNames = Object.fromEntries(this.regions.map(region => [region.id, region.name]));
+
+    list.innerHTML = `
+      <table class="provider-table">
+        <thead>
+          <tr>
+            <th scope="col">地域</th>
+            <th scope="col">交通機関</th>
+            <th scope="col">電話番号</th>
+            <th scope="col">状態</th>
+            <th scope="col">操作</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${this.getRows().map(row => `
+          <tr class="${row.disabled ? 'provider-disabled' : ''}" data-provider-id="${CommonUtils.escapeHtml(row.id)}">
+            <td>${CommonUtils.escapeHtml(regionNames[row.provider.region] || row.provider.region || '')}</td>
+            <td>${CommonUtils.escapeHtml(row.provider.name)}</td>
+            <td>${CommonUtils.escapeHtml(row.provider.contact.phone)}</td>
+            <td>${CommonUtils.escapeHtml(row.disabled ? '無効' : STATE_LABELS[row.state])}</td>
+            <td>
+              <button type="button" class="btn btn-secondary provider-action" data-action="edit">編集</button>
+              <button type="button" class="btn btn-warning provider-action" data-action="toggle">
+                ${row.disabled ? '有効化' : '無効化'}
+              </button>
+              ${row.state !== 'bundled' || row.disabled ? `
+              <button type="button" class="btn btn-secondary provider-action" data-action="revert">
+                ${row.state === 'added' ? '削除' : '標準に戻す'}
+              </button>` : ''}
+            </td>
+          </tr>`).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * イベントリスナー設定
+   */
+  setupEventListeners() {
+    const list = this.container.querySelector('#provider-list');
+    list.addEventListener('click', (e) => {
+      const button = e.target.closest('.provider-action');
+      if (!button) return;
+
+      const id = button.closest('tr').dataset.providerId;
+      switch (button.dataset.action) {
+        case 'edit':
+          this.openForm(id);
+          break;
+        case 'toggle':
+          this.toggleDisabled(id);
+          this.render();
+          break;
+        case 'revert':
+          this.revertProvider(id);
+          this.render();
+          break;
+      }
+    });
+
+    this.container.querySelector('#add-provider').addEventListener('click', () => this.openForm(null));
+    this.container.querySelector('#provider-save').addEventListener('click', () => this.submitForm());
+    this.container.querySelector('#provider-cancel').addEventListener('click', () => this.closeForm());
+  }
+
+  /**
+   * 編集フォーム表示
+   * @param {string|null} id - 編集する交通機関ID (nullは新規追加)
+   */
+  openForm(id) {
+    const provider = id ? this.getProvider(id) : { region: this.regionIndex.defaultRegion };
+    const values = this.providerToForm(provider);
+
+    this.editingId = id;
+    for (const [key, elementId] of Object.entries(FORM_FIELDS)) {
+      this.container.querySelector(`#${elementId}`).value = values[key];
+    }
+    this.container.querySelector(`#${FORM_FIELDS.id}`).readOnly = Boolean(id);
+    this.container.querySelector('#provider-form-errors').textContent = '';
+    this.container.querySelector('#provider-edit-form').hidden = false;
+  }
+
+  /**
+   * 編集フォーム非表示
+   */
+  closeForm() {
+    this.editingId = null;
+    this.container.querySelector('#provider-edit-form').hidden = true;
+  }
+
+  /**
+   * 編集フォームの内容を反映
+   */
+  submitForm() {
+    const values = {};
+    for (const [key, elementId] of Object.entries(FORM_FIELDS)) {
+      values[key] = this.container.querySelector(`#${elementId}`).value;
+    }
+
+    const result = this.saveProvider(values, this.editingId === null);
+    if (!result.valid) {
+      this.container.querySelector('#provider-form-errors').textContent = result.errors.join('\n');
+      return;
+    }
+
+    this.closeForm();
+    this.render();
+  }
+}
+
+ProviderEditor.FORM_FIELDS = FORM_FIELDS;
+
+module.exports = ProviderEditor;
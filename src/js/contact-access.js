@@ -0,0 +1,161 @@
+/**
+ * contact-access.js
+ * 報告者連絡先の暗号化保存と担当者による復号
+ *
+ * 報告者への折り返し連絡に必要な連絡先 (電話番号・メールアドレス) は一方向ハッシュではなく
+ * AES-GCM で暗号化して保存する。暗号化キーはブラウザに渡さず、暗号化・復号は暗号化サービスが
+ * 行う (ProxyFieldCipher)。連絡先の表示はプラグイン設定の担当者グループ (contact_handler_groups)
+ * に所属するユーザーに限り、復号・拒否はすべて監査ログに記録する。
+ * canDecrypt はブラウザ上の表示の制御であり、復号の可否は暗号化サービスが再認証の資格情報と
+ * プロキシ設定の担当者グループで確認する。
+ * 再認証 (ReauthManager) を指定した場合は、パスワードの再入力による確認トークンも必要とする。
+ * 関連データにフィールド名を使用するため、暗号文を別のフィールドに移すと復号できない。
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @compliance IPA安全なウェブサイトの作り方準拠
+ */
+
+const ReauthManager = require('./security/ReauthManager');
+
+/**
+ * 暗号化して保存する連絡先 (key: 平文の論理名・関連データ、field: 保存先の論理フィールド名)
+ */
+const CONTACT_FIELDS = [
+  { key: 'contact_phone', field: 'contact_phone_encrypted', label: '連絡先電話' },
+  { key: 'contact_email', field: 'contact_email_encrypted', label: '連絡先メール' }
+];
+
+/**
+ * 連絡先アクセス管理クラス
+ */
+class ContactAccess {
+  /**
+   * @param {ProxyFieldCipher} cipher - フィールド暗号化 (decrypt の第3引数に閲覧者の資格情報を渡す)
+   * @param {Object} options - オプション
+   * @param {Array<string>} options.handlerGroups - 復号を許可するグループコード
+   * @param {Object} options.auditLogger - 監査ログ (logAuditEvent(event, details) を持つオブジェクト)
+   * @param {ReauthManager} options.reauth - 復号前の再認証
+   */
+  constructor(cipher, options = {}) {
+    if (!cipher) {
+      throw new Error('暗号化モジュールが指定されていません');
+    }
+
+    this.cipher = cipher;
+    this.handlerGroups = options.handlerGroups || [];
+    this.auditLogger = options.auditLogger || null;
+    this.reauth = options.reauth || null;
+    this.membership = new Map();
+  }
+
+  /**
+   * プラグイン設定から担当者グループを取得
+   * @param {Object} config - kintone.plugin.app.getConfig() の結果
+   * @returns {Array<string>} グループコード
+   */
+  static handlerGroupsFromConfig(config = {}) {
+    return (config.contact_handler_groups || '')
+      .split(',')
+      .map(code => code.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * 連絡先の暗号化
+   * @param {Object} contacts - { contact_phone, contact_email } (平文、未入力の項目は保存しない)
+   * @returns {Promise<Object>} 保存用フィールド (論理フィールド名)
+   */
+  async encryptContacts(contacts) {
+    if (!this.cipher.hasKey()) {
+      throw new Error('連絡先の暗号化キーが設定されていません。プラグイン設定を保存してください');
+    }
+
+    const fields = {};
+    for (const contact of CONTACT_FIELDS) {
+      if (contacts[contact.key]) {
+        fields[contact.field] = { value: await this.cipher.encrypt(contacts[contact.key], contact.key) };
+      }
+    }
+    return fields;
+  }
+
+  /**
+   * ユーザーが担当者グループに所属しているか
+   * @param {string} userCode - ユーザーコード
+   * @returns {Promise<boolean>} 復号可能かどうか
+   */
+  async canDecrypt(userCode) {
+    if (!userCode || this.handlerGroups.length === 0) return false;
+
+    if (!this.membership.has(userCode)) {
+      this.membership.set(userCode, kintone.api(kintone.api.url('/v1/user/groups', true), 'GET', { code: userCode })
+        .then(response => (response.groups || []).some(group => this.handlerGroups.includes(group.code)))
+        .catch(error => {
+          this.membership.delete(userCode);
+          throw error;
+        }));
+    }
+    return this.membership.get(userCode);
+  }
+
+  /**
+   * レコードの連絡先の復号
+   * @param {Object} record - レコード (論理フィールド名で参照可能)
+   * @param {Object} user - 閲覧者 (kintone.getLoginUser() の結果)
+   * @param {Object} token - 再認証の確認トークン (再認証を指定した場合は必須)
+   * @returns {Promise<Object>} { contact_phone, contact_email } (未保存の項目は空文字)
+   */
+  async decryptContacts(record, user, token = null) {
+    const recordId = record.$id?.value || '';
+    const fields = CONTACT_FIELDS.filter(contact => record[contact.field]?.value);
+
+    if (!(await this.canDecrypt(user && user.code))) {
+      await this._audit('CONTACT_DECRYPT_DENIED', { recordId, user: user && user.code });
+      throw new Error('連絡先を閲覧する権限がありません');
+    }
+
+    if (this.reauth && !this.reauth.isValid(token, ReauthManager.PURPOSES.VIEW_PII)) {
+      await this._audit('CONTACT_DECRYPT_DENIED', { recordId, user: user.code, reason: 'REAUTH_REQUIRED' });
+      throw new Error('連絡先を表示するにはパスワードの再入力が必要です');
+    }
+
+    const contacts = {};
+    try {
+      for (const contact of CONTACT_FIELDS) {
+        contacts[contact.key] = record[contact.field]?.value
+          ? await this.cipher.decrypt(record[contact.field].value, contact.key, token && token.credentials)
+          : '';
+      }
+    } catch (error) {
+      await this._audit('CONTACT_DECRYPT_FAILED', { recordId, user: user.code, error: error.message });
+      throw error;
+    }
+
+    // 監査ログに記録できない場合は復号結果を返さない
+    await this._audit('CONTACT_DECRYPTED', {
+      recordId,
+      user: user.code,
+      fields: fields.map(contact => contact.label)
+    });
+    return contacts;
+  }
+
+  /**
+   * 監査ログ記録
+   * @param {string} event - イベント名
+   * @param {Object} details - 詳細情報
+   * @private
+   */
+  async _audit(event, details) {
+    if (!this.auditLogger) {
+      throw new Error('監査ログが設定されていません');
+    }
+    await this.auditLogger.logAuditEvent(event, details);
+  }
+}
+
+ContactAccess.CONTACT_FIELDS = CONTACT_FIELDS;
+
+module.exports = ContactAccess;
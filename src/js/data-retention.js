@@ -0,0 +1,377 @@
+/**
+ * data-retention.js
+ * 完了した報告の個人情報の保持期間管理・削除
+ *
+ * 報告が終了状態 (完了・キャンセル) になった日時をステータス履歴から求め、
+ * 項目の区分ごとの保持期間を過ぎた個人情報を削除する。
+ * - 連絡先・識別子 (ハッシュ・ソルト)・自由記述・接続情報は空にする
+ * - 報告者名と、ステータス履歴の新規報告の実行者 (報告者のログイン名) は仮名に置き換える
+ * カード種別・紛失日時・交通機関・所属部署・ステータス等の集計に使用する項目は残す。
+ * 仮名はレコードIDから作成し、同じ報告者の別の報告とは紐付けない。
+ *
+ * 削除はドライラン (対象レコードの一覧) で確認してから管理者が実行する。
+ * 実行時はレコードごとに PII_PURGED を監査ログに記録する。
+ * 本人からの削除請求 (PersonalDataRequest) では planAll() で保持期間にかかわらず全区分を対象とする。
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @compliance IPA安全なウェブサイトの作り方準拠
+ */
+
+const { KintoneAPIHelper } = require('./common');
+const FieldMapping = require('./field-mapping');
+const IncidentLifecycle = require('./incident-lifecycle');
+
+/**
+ * 項目の区分と保持期間の既定値 (終了から何日後に削除するか)
+ * action: 'clear' は空にする、'pseudonymize' は仮名に置き換える
+ */
+const CATEGORIES = [
+  {
+    key: 'contact',
+    label: '連絡先',
+    action: 'clear',
+    defaultDays: 30,
+    fields: ['contact_email', 'contact_phone_hash', 'contact_phone_salt', 'contact_phone_encrypted', 'contact_email_encrypted']
+  },
+  {
+    key: 'reporter',
+    label: '報告者',
+    action: 'pseudonymize',
+    defaultDays: 90,
+    fields: ['reporter_name', 'reporter_employee_id_hash', 'reporter_employee_id_salt']
+  },
+  {
+    key: 'identifier',
+    label: 'カード番号 (ハッシュ)',
+    action: 'clear',
+    defaultDays: 365,
+    fields: ['card_number_hash', 'card_number_salt', 'card_number_hash_version', 'card_number_index', 'card_number_masked']
+  },
+  {
+    key: 'narrative',
+    label: '自由記述',
+    action: 'clear',
+    defaultDays: 365,
+    fields: ['loss_circumstances', 'discovery_timing', 'found_location', 'status_note']
+  },
+  {
+    key: 'technical',
+    label: '接続情報',
+    action: 'clear',
+    defaultDays: 90,
+    fields: ['reporter_ip', 'user_agent']
+  }
+];
+
+/**
+ * 仮名の接頭辞
+ */
+const PSEUDONYM_PREFIX = '仮名-';
+
+/**
+ * 削除を記録する監査イベント名
+ */
+const PURGE_EVENT = 'PII_PURGED';
+
+/**
+ * レコード取得・更新の1回あたり件数 (Kintone API上限)
+ */
+const FETCH_LIMIT = 500;
+const UPDATE_LIMIT = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 個人情報の保持期間管理クラス
+ */
+class DataRetention {
+  /**
+   * @param {Object} policy - 区分ごとの保持期間 (日、0は無期限) { contact, reporter, identifier, narrative, technical }
+   * @param {Object} options - オプション
+   * @param {FieldMapping} options.fieldMapping - フィールドコード対応付け
+   * @param {Object} options.auditLogger - 監査ログ (logAuditEvent(event, details) を持つオブジェクト)
+   */
+  constructor(policy = {}, options = {}) {
+    this.policy = { ...DataRetention.defaultPolicy(), ...policy };
+    this.fieldMapping = options.fieldMapping || new FieldMapping();
+    this.auditLogger = options.auditLogger || null;
+    this.lifecycle = new IncidentLifecycle();
+  }
+
+  /**
+   * 既定の保持期間
+   * @returns {Object} 区分ごとの保持期間 (日)
+   */
+  static defaultPolicy() {
+    return Object.fromEntries(CATEGORIES.map(category => [category.key, category.defaultDays]));
+  }
+
+  /**
+   * プラグイン設定から保持期間を取得 (retention_<区分>_days、未設定の区分は既定値)
+   * @param {Object} config - kintone.plugin.app.getConfig() の結果
+   * @returns {Object} 区分ごとの保持期間 (日)
+   */
+  static policyFromConfig(config = {}) {
+    const policy = DataRetention.defaultPolicy();
+    for (const category of CATEGORIES) {
+      const days = parseInt(config[`retention_${category.key}_days`], 10);
+      if (Number.isInteger(days) && days >= 0) {
+        policy[category.key] = days;
+      }
+    }
+    return policy;
+  }
+
+  /**
+   * 終了日時 (最後の履歴が終了状態への遷移の場合のみ)
+   * @param {Object} record - レコード (論理フィールド名で参照可能)
+   * @returns {Date|null} 終了日時
+   */
+  getClosedAt(record) {
+    const history = this.lifecycle.fromHistoryTable(record.status_history?.value);
+    const last = history[history.length - 1];
+    if (!last || !this.lifecycle.isTerminal(last.to)) return null;
+
+    const closedAt = new Date(last.at);
+    return isNaN(closedAt.getTime()) ? null : closedAt;
+  }
+
+  /**
+   * 削除対象の判定
+   * @param {Array<Object>} records - レコード (論理フィールド名で参照可能)
+   * @param {Date} now - 基準日時
+   * @returns {Array<Object>} { id, revision, recordNumber, closedAt, categories, fields } (fields は更新する論理フィールド)
+   */
+  plan(records, now = new Date()) {
+    const entries = [];
+
+    for (const record of records) {
+      const closedAt = this.getClosedAt(record);
+      if (!closedAt) continue;
+
+      const elapsedDays = (now.getTime() - closedAt.getTime()) / DAY_MS;
+      const expired = CATEGORIES.filter(category => {
+        const days = this.policy[category.key];
+        return days && elapsedDays >= days;
+      });
+
+      const entry = this._buildEntry(record, expired, closedAt);
+      if (entry) entries.push(entry);
+    }
+
+    return entries;
+  }
+
+  /**
+   * 保持期間・終了状態にかかわらずすべての区分を削除する対象 (本人からの削除請求等)
+   * @param {Array<Object>} records - レコード (論理フィールド名で参照可能)
+   * @returns {Array<Object>} plan() と同じ形式 (未終了のレコードは closedAt がnull)
+   */
+  planAll(records) {
+    return records
+      .map(record => this._buildEntry(record, CATEGORIES, this.getClosedAt(record)))
+      .filter(Boolean);
+  }
+
+  /**
+   * 判定に必要な項目を含むレコード取得
+   * offset の上限 (10,000件) を超えても取得できるよう、レコードIDの昇順に続きから取得する
+   * @returns {Promise<Array<Object>>} レコード (論理フィールド名で参照可能)
+   */
+  async fetchRecords() {
+    const keys = ['record_number', 'status_history', ...CATEGORIES.flatMap(category => category.fields)];
+    const records = [];
+
+    for (let lastId = 0; ;) {
+      const response = await kintone.api(kintone.api.url('/k/v1/records', true), 'GET', {
+        app: kintone.app.getId(),
+        query: `$id > ${lastId} order by $id asc limit ${FETCH_LIMIT}`,
+        fields: ['$id', '$revision', ...this.fieldMapping.getCodes(keys)]
+      });
+
+      const page = response.records || [];
+      records.push(...page.map(record => this.fieldMapping.fromRecord(record)));
+      if (page.length < FETCH_LIMIT) break;
+      lastId = page[page.length - 1].$id.value;
+    }
+
+    return records;
+  }
+
+  /**
+   * ドライラン (削除対象の一覧、レコードは更新しない)
+   * @param {Date} now - 基準日時
+   * @returns {Promise<Array<Object>>} plan() の結果
+   */
+  async preview(now = new Date()) {
+    return this.plan(await this.fetchRecords(), now);
+  }
+
+  /**
+   * 削除の実行 (実行時点のレコードで対象を判定し直す)
+   * 更新に失敗したレコード (編集の競合等) は次回の実行で再度対象となる
+   * @param {Date} now - 基準日時
+   * @returns {Promise<Object>} { purged, failed, errors }
+   */
+  async execute(now = new Date()) {
+    return this.apply(await this.preview(now));
+  }
+
+  /**
+   * 削除対象の更新 (レコードごとに監査ログを記録)
+   * @param {Array<Object>} entries - plan() または planAll() の結果
+   * @param {Object} audit - 監査ログ { event, details } (省略時は PII_PURGED)
+   * @returns {Promise<Object>} { purged, failed, errors }
+   */
+  async apply(entries, audit = {}) {
+    const result = { purged: [], failed: [], errors: [] };
+
+    for (let i = 0; i < entries.length; i += UPDATE_LIMIT) {
+      const chunk = entries.slice(i, i + UPDATE_LIMIT);
+      const updateResult = await KintoneAPIHelper.updateRecordsSecurely(chunk.map(entry => ({
+        id: entry.id,
+        revision: entry.revision,
+        ...this.fieldMapping.toRecord(entry.fields)
+      })));
+
+      if (!updateResult.success) {
+        result.failed.push(...chunk);
+        result.errors.push(updateResult.error);
+        continue;
+      }
+
+      for (const entry of chunk) {
+        await this._audit(entry, audit.event || PURGE_EVENT, audit.details);
+        result.purged.push(entry);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * ドライラン・実行結果の表示用の文字列
+   * @param {Array<Object>} entries - plan() の結果
+   * @returns {Array<string>} 1レコード1行
+   */
+  formatEntries(entries) {
+    const labels = Object.fromEntries(CATEGORIES.map(category => [category.key, category.label]));
+    return entries.map(entry => {
+      const closedOn = entry.closedAt ? `${entry.closedAt.slice(0, 10)} 終了` : '未完了';
+      return `#${entry.recordNumber} (${closedOn}): ${entry.categories.map(key => labels[key]).join('・')}`;
+    });
+  }
+
+  /**
+   * レコードの削除対象 (値が残っている区分のみ)
+   * @param {Object} record - レコード
+   * @param {Array<Object>} categories - 対象の区分
+   * @param {Date|null} closedAt - 終了日時
+   * @returns {Object|null} plan() の要素 (削除する値がない場合はnull)
+   * @private
+   */
+  _buildEntry(record, categories, closedAt) {
+    const id = record.$id?.value;
+    const keys = [];
+    const fields = {};
+
+    for (const category of categories) {
+      const changes = category.action === 'pseudonymize'
+        ? this._pseudonymize(record, category, `${PSEUDONYM_PREFIX}${id}`)
+        : this._clear(record, category);
+      if (Object.keys(changes).length > 0) {
+        keys.push(category.key);
+        Object.assign(fields, changes);
+      }
+    }
+
+    if (keys.length === 0) return null;
+
+    return {
+      id,
+      revision: record.$revision?.value,
+      recordNumber: record.record_number?.value || id,
+      closedAt: closedAt ? closedAt.toISOString() : null,
+      categories: keys,
+      fields
+    };
+  }
+
+  /**
+   * 空にする項目 (値が残っている項目のみ)
+   * @param {Object} record - レコード
+   * @param {Object} category - 区分
+   * @returns {Object} 更新する論理フィールド
+   * @private
+   */
+  _clear(record, category) {
+    const fields = {};
+    for (const key of category.fields) {
+      if (record[key]?.value) {
+        fields[key] = { value: '' };
+      }
+    }
+    return fields;
+  }
+
+  /**
+   * 報告者の仮名化 (報告者名・新規報告の履歴の実行者を仮名に置き換え、社員番号のハッシュは空にする)
+   * @param {Object} record - レコード
+   * @param {Object} category - 区分
+   * @param {string} pseudonym - 仮名
+   * @returns {Object} 更新する論理フィールド
+   * @private
+   */
+  _pseudonymize(record, category, pseudonym) {
+    const fields = {};
+    for (const key of category.fields) {
+      const value = record[key]?.value;
+      if (!value || value === pseudonym) continue;
+      fields[key] = { value: key === 'reporter_name' ? pseudonym : '' };
+    }
+
+    const rows = record.status_history?.value || [];
+    const actorColumn = IncidentLifecycle.HISTORY_FIELDS.actor;
+    const isReportRow = row => !row.value?.[IncidentLifecycle.HISTORY_FIELDS.from]?.value;
+    if (rows.some(row => isReportRow(row) && row.value[actorColumn]?.value && row.value[actorColumn].value !== pseudonym)) {
+      fields.status_history = {
+        value: rows.map(row => (isReportRow(row)
+          ? { ...row, value: { ...row.value, [actorColumn]: { value: pseudonym } } }
+          : row))
+      };
+    }
+
+    return fields;
+  }
+
+  /**
+   * 削除の監査ログ記録
+   * @param {Object} entry - plan() の要素
+   * @param {string} event - イベント名
+   * @param {Object} details - 追加の詳細情報
+   * @private
+   */
+  async _audit(entry, event, details = {}) {
+    if (!this.auditLogger) return;
+
+    try {
+      await this.auditLogger.logAuditEvent(event, {
+        ...details,
+        recordId: entry.id,
+        closedAt: entry.closedAt,
+        categories: entry.categories,
+        fields: Object.keys(entry.fields)
+      });
+    } catch (error) {
+      console.error('監査ログの保存エラー:', error);
+    }
+  }
+}
+
+DataRetention.CATEGORIES = CATEGORIES;
+DataRetention.PSEUDONYM_PREFIX = PSEUDONYM_PREFIX;
+DataRetention.PURGE_EVENT = PURGE_EVENT;
+
+module.exports = DataRetention;
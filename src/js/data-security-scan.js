@@ -0,0 +1,307 @@
+/**
+ * data-security-scan.js
+ * 保存済みデータとアプリの権限のセキュリティ診断
+ *
+ * 設定値の診断 (SecurityConfig.performSecurityHealthCheck) に加えて、報告レコードの内容と
+ * アプリのアクセス権 (/k/v1/app/acl) を確認し、設定画面のセキュリティヘルスチェックに表示する。
+ * - 平文のカード番号: ハッシュ・暗号化の項目以外のすべての項目 (サブテーブルを含む)
+ *   (入力用のカード番号の項目は保存時に消去されるため、値が残っていれば形式にかかわらず検出する)
+ * - ソルトのないハッシュ: パラメーターを含まない旧形式で、ソルトの項目が空のもの
+ * - 弱いパラメーターのハッシュ: 反復回数・ソルト長が SecureHashManager の下限未満のもの
+ * - 自由記述欄の電話番号・メールアドレス
+ * - 広すぎる権限: 「全員」グループ、または下位組織を含む組織への閲覧・編集・削除・読み書き出し・アプリ管理の許可
+ * レコードは新しいものから最大 SCAN_LIMIT 件を確認する。
+ * 結果には検出した値そのものを含めない (カード番号・電話番号・メールアドレスはマスクする)。
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @compliance IPA安全なウェブサイトの作り方準拠
+ */
+
+const FieldMapping = require('./field-mapping');
+const SecureHashManager = require('./security/SecureHashManager');
+const SensitiveDataScrubber = require('./sensitive-data-scrubber');
+
+/**
+ * 診断項目
+ */
+const CHECKS = {
+  plaintextCard: '平文のカード番号',
+  missingSalt: 'ソルトのないハッシュ',
+  weakHash: '弱いパラメーターのハッシュ',
+  freeTextPii: '自由記述欄の個人情報',
+  broadPermissions: '広すぎるアプリの権限'
+};
+
+/**
+ * ハッシュとソルトの項目
+ */
+const HASH_FIELDS = [
+  { hash: 'card_number_hash', salt: 'card_number_salt' },
+  { hash: 'reporter_employee_id_hash', salt: 'reporter_employee_id_salt' },
+  { hash: 'contact_phone_hash', salt: 'contact_phone_salt' }
+];
+
+/**
+ * 平文の確認から除外する項目 (ハッシュ・ソルト・暗号文・検索用インデックス・マスク済みの値)
+ */
+const PROTECTED_FIELDS = [
+  ...HASH_FIELDS.flatMap(field => [field.hash, field.salt]),
+  'card_number_hash_version', 'card_number_index', 'card_number_masked', 'hash_algorithm',
+  'contact_phone_encrypted', 'contact_email_encrypted'
+];
+
+/**
+ * 電話番号・メールアドレスを確認する自由記述欄
+ */
+const FREE_TEXT_FIELDS = [
+  'loss_location', 'loss_circumstances', 'discovery_timing', 'actions_taken', 'found_location', 'status_note'
+];
+
+/**
+ * 弱いハッシュの基準 (SecureHashManager の設定検証と同じ下限)
+ */
+const WEAK_HASH = {
+  minIterations: 100000,
+  minSaltBytes: 16
+};
+
+/**
+ * 広すぎる権限の判定対象 (レコードの追加は報告のため全員に許可してよい)
+ */
+const SENSITIVE_RIGHTS = {
+  recordViewable: '閲覧',
+  recordEditable: '編集',
+  recordDeletable: '削除',
+  recordImportable: '読み込み',
+  recordExportable: '書き出し',
+  appEditable: 'アプリ管理'
+};
+
+/**
+ * 「全員」グループのコード
+ */
+const EVERYONE_GROUP = 'everyone';
+
+/**
+ * 確認するレコードの上限と1回あたりの取得件数 (Kintone API上限)
+ */
+const SCAN_LIMIT = 1000;
+const FETCH_LIMIT = 500;
+
+/**
+ * データセキュリティ診断クラス
+ */
+class DataSecurityScan {
+  /**
+   * @param {Object} options - オプション
+   * @param {FieldMapping} options.fieldMapping - フィールドコード対応付け
+   * @param {SensitiveDataScrubber} options.scrubber - カード番号・電話番号・メールアドレスの検出
+   * @param {number} options.appId - 対象アプリID (省略時は表示中のアプリ)
+   * @param {number} options.limit - 確認するレコードの上限
+   */
+  constructor(options = {}) {
+    this.fieldMapping = options.fieldMapping || new FieldMapping();
+    this.scrubber = options.scrubber || new SensitiveDataScrubber();
+    this.appId = options.appId || null;
+    this.limit = options.limit || SCAN_LIMIT;
+  }
+
+  /**
+   * 対象アプリID
+   * @returns {number} アプリID
+   */
+  getAppId() {
+    return this.appId || kintone.app.getId();
+  }
+
+  /**
+   * レコード取得 (新しいものから上限まで、全項目)
+   * @returns {Promise<Array<Object>>} レコード (フィールドコードのまま)
+   */
+  async fetchRecords() {
+    const records = [];
+
+    for (let offset = 0; offset < this.limit; offset += FETCH_LIMIT) {
+      const size = Math.min(FETCH_LIMIT, this.limit - offset);
+      const response = await kintone.api(kintone.api.url('/k/v1/records', true), 'GET', {
+        app: this.getAppId(),
+        query: `order by $id desc limit ${size} offset ${offset}`
+      });
+
+      const page = response.records || [];
+      records.push(...page);
+      if (page.length < size) break;
+    }
+
+    return records;
+  }
+
+  /**
+   * アプリのアクセス権取得
+   * @returns {Promise<Array<Object>>} /k/v1/app/acl の rights
+   */
+  async fetchRights() {
+    const response = await kintone.api(kintone.api.url('/k/v1/app/acl', true), 'GET', {
+      app: this.getAppId()
+    });
+    return response.rights || [];
+  }
+
+  /**
+   * レコードの診断
+   * @param {Array<Object>} records - レコード (フィールドコードのまま)
+   * @returns {Object} 診断項目ごとの検出結果 { recordId, recordNumber, field, detail } (broadPermissions を除く)
+   */
+  scanRecords(records) {
+    const findings = Object.fromEntries(Object.keys(CHECKS)
+      .filter(check => check !== 'broadPermissions')
+      .map(check => [check, []]));
+
+    const labels = new Map();
+    const protectedCodes = new Set(this.fieldMapping.getCodes(PROTECTED_FIELDS));
+    const cardInputCode = this.fieldMapping.code('card_number');
+    FieldMapping.FIELDS.forEach(field => labels.set(this.fieldMapping.code(field.key), field.label));
+
+    for (const raw of records) {
+      const record = this.fieldMapping.fromRecord(raw);
+      const base = {
+        recordId: raw.$id?.value,
+        recordNumber: record.record_number?.value || raw.$id?.value
+      };
+      const add = (check, field, detail) => findings[check].push({ ...base, field, detail });
+
+      // 平文のカード番号 (ハッシュ・暗号化の項目以外)
+      for (const [code, field] of Object.entries(raw)) {
+        if (code.startsWith('$') || protectedCodes.has(code)) continue;
+
+        for (const text of this._textValues(field)) {
+          const cards = this.scrubber.findAll(text)
+            .filter(found => found.kind === SensitiveDataScrubber.KINDS.CARD_NUMBER);
+          cards.forEach(found => add('plaintextCard', labels.get(code) || code,
+            this.scrubber.mask(found.kind, found.normalized)));
+
+          // 入力用の項目は保存時に消去されるため、形式に合わない値でも残っていれば検出する
+          if (cards.length === 0 && code === cardInputCode) {
+            add('plaintextCard', labels.get(code), '入力用の項目に値が残っています');
+          }
+        }
+      }
+
+      // ソルトのないハッシュ・弱いパラメーターのハッシュ
+      for (const { hash, salt } of HASH_FIELDS) {
+        const stored = record[hash]?.value;
+        if (!stored) continue;
+
+        const label = labels.get(this.fieldMapping.code(hash));
+        const phc = SecureHashManager.parsePhc(stored);
+        const saltValue = phc ? phc.salt : record[salt]?.value;
+        if (!saltValue) {
+          add('missingSalt', label, 'ソルトが保存されていません');
+          continue;
+        }
+
+        const weakness = this._hashWeakness(phc, saltValue);
+        if (weakness) add('weakHash', label, weakness);
+      }
+
+      // 自由記述欄の電話番号・メールアドレス
+      for (const key of FREE_TEXT_FIELDS) {
+        const text = record[key]?.value;
+        if (typeof text !== 'string') continue;
+
+        this.scrubber.findAll(text)
+          .filter(found => found.kind !== SensitiveDataScrubber.KINDS.CARD_NUMBER)
+          .forEach(found => add('freeTextPii', labels.get(this.fieldMapping.code(key)),
+            `${SensitiveDataScrubber.LABELS[found.kind]} ${this.scrubber.mask(found.kind, found.normalized)}`));
+      }
+    }
+
+    return findings;
+  }
+
+  /**
+   * アクセス権の診断
+   * @param {Array<Object>} rights - /k/v1/app/acl の rights
+   * @returns {Array<Object>} { entity, rights } (entity は表示名、rights は許可されている操作の表示名)
+   */
+  checkPermissions(rights) {
+    return rights
+      .filter(right => {
+        const entity = right.entity || {};
+        return (entity.type === 'GROUP' && entity.code === EVERYONE_GROUP)
+          || (entity.type === 'ORGANIZATION' && right.includeSubs);
+      })
+      .map(right => ({
+        entity: right.entity.code === EVERYONE_GROUP ? '全員' : `${right.entity.code} (下位組織を含む)`,
+        rights: Object.entries(SENSITIVE_RIGHTS)
+          .filter(([key]) => right[key])
+          .map(([, label]) => label)
+      }))
+      .filter(finding => finding.rights.length > 0);
+  }
+
+  /**
+   * 診断実行
+   * @returns {Promise<Object>} { scanned, findings } (findings は診断項目ごとの検出結果)
+   */
+  async run() {
+    const records = await this.fetchRecords();
+    const findings = this.scanRecords(records);
+    findings.broadPermissions = this.checkPermissions(await this.fetchRights());
+
+    return { scanned: records.length, findings };
+  }
+
+  /**
+   * レコード詳細画面のURL
+   * @param {string} recordId - レコードID
+   * @returns {string} URL (ドメインからの相対パス)
+   */
+  recordUrl(recordId) {
+    return `/k/${encodeURIComponent(this.getAppId())}/show#record=${encodeURIComponent(recordId)}`;
+  }
+
+  /**
+   * 文字列の値 (サブテーブルは各行の文字列の値)
+   * @param {Object} field - レコードのフィールド
+   * @returns {Array<string>} 文字列の値
+   * @private
+   */
+  _textValues(field) {
+    if (!field) return [];
+    if (typeof field.value === 'string') return field.value ? [field.value] : [];
+    if (field.type === 'SUBTABLE' && Array.isArray(field.value)) {
+      return field.value.flatMap(row => Object.values(row.value || {}).flatMap(cell => this._textValues(cell)));
+    }
+    return [];
+  }
+
+  /**
+   * ハッシュのパラメーターの弱さ
+   * @param {Object|null} phc - SecureHashManager.parsePhc() の結果 (旧形式はnull)
+   * @param {string} salt - Base64エンコードされたソルト
+   * @returns {string|null} 理由 (基準を満たす場合はnull)
+   * @private
+   */
+  _hashWeakness(phc, salt) {
+    const reasons = [];
+    if (phc && phc.iterations < WEAK_HASH.minIterations) {
+      reasons.push(`反復回数 ${phc.iterations}回`);
+    }
+
+    const saltBytes = Math.floor(salt.replace(/=+$/, '').length * 3 / 4);
+    if (saltBytes < WEAK_HASH.minSaltBytes) {
+      reasons.push(`ソルト ${saltBytes}バイト`);
+    }
+
+    return reasons.length > 0 ? reasons.join('・') : null;
+  }
+}
+
+DataSecurityScan.CHECKS = CHECKS;
+DataSecurityScan.WEAK_HASH = WEAK_HASH;
+DataSecurityScan.SCAN_LIMIT = SCAN_LIMIT;
+
+module.exports = DataSecurityScan;
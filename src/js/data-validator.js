@@ -10,6 +10,159 @@
 import { InputValidator } from './security/input-validator.js';
 import { SecureHashManager } from './security/hash-manager.js';
 import { Logger } from './common/logger.js';
+import ValidationSchema from './validation-schema.js';
+import CardFormatRegistry from './card-format-registry.js';
+
+/**
+ * 従来から受け付けているカード種別 (大文字表記)
+ */
+const LEGACY_CARD_TYPES = ['SUICA', 'PASMO', 'ICOCA', 'MANACA', 'TOICA', 'SUGOCA', 'KITACA', 'HAYAKAKEN', 'NIMOCA', 'CORPORATE', 'STUDENT'];
+
+/**
+ * 既定の検証ルールセット
+ * JSON で記述できる宣言的な定義 (validation-schema.js)。プラグイン設定の
+ * validation_rule_sets の dataValidator で上書きできる
+ */
+export const DEFAULT_RULE_SET = {
+    properties: {
+        // 個人情報関連
+        employeeId: {
+            type: 'string',
+            pattern: '^[A-Za-z0-9]{6,12}$',
+            maxLength: 12,
+            required: true,
+            sanitize: true,
+            description: '従業員ID（英数字6-12桁）'
+        },
+        
+        employeeName: {
+            type: 'string',
+            pattern: '^[ぁ-んァ-ヶー一-龠a-zA-Z\\s]{1,50}$',
+            maxLength: 50,
+            required: true,
+            sanitize: true,
+            description: '従業員名（日本語・英字、50文字以内）'
+        },
+        
+        department: {
+            type: 'string',
+            pattern: '^[ぁ-んァ-ヶー一-龠a-zA-Z0-9\\s\\-]{1,30}$',
+            maxLength: 30,
+            required: true,
+            sanitize: true,
+            description: '部署名（30文字以内）'
+        },
+        
+        email: {
+            type: 'string',
+            format: 'email',
+            maxLength: 100,
+            sanitize: true,
+            description: 'メールアドレス'
+        },
+        
+        phoneNumber: {
+            type: 'string',
+            pattern: '^[0-9\\-\\(\\)\\s]{10,15}$',
+            maxLength: 15,
+            sanitize: true,
+            description: '電話番号'
+        },
+        
+        // ICカード関連
+        icCardNumber: {
+            type: 'string',
+            pattern: '^[0-9]{4,20}$',
+            maxLength: 20,
+            required: true,
+            sanitize: true,
+            description: 'ICカード番号（数字4-20桁）'
+        },
+        
+        cardType: {
+            type: 'string',
+            enum: [...new Set([...LEGACY_CARD_TYPES, ...CardFormatRegistry.getDefault().getTypes()])], // 従来の種別とカード番号形式レジストリの種別
+            maxLength: 20,
+            required: true,
+            sanitize: true,
+            description: 'ICカードタイプ'
+        },
+        
+        // 日時関連
+        lossDate: {
+            type: 'string',
+            format: 'date',
+            maxLength: 10,
+            required: true,
+            sanitize: true,
+            description: '紛失日（YYYY-MM-DD形式）'
+        },
+        
+        lossTime: {
+            type: 'string',
+            format: 'time',
+            maxLength: 5,
+            sanitize: true,
+            description: '紛失時刻（HH:MM形式）'
+        },
+        
+        // 位置・場所関連
+        lossLocation: {
+            type: 'string',
+            pattern: '^[ぁ-んァ-ヶー一-龠a-zA-Z0-9\\s\\-\\(\\)]{1,100}$',
+            maxLength: 100,
+            required: true,
+            sanitize: true,
+            description: '紛失場所（100文字以内）'
+        },
+        
+        transportationProvider: {
+            type: 'string',
+            pattern: '^[ぁ-んァ-ヶー一-龠a-zA-Z0-9\\s\\-]{1,50}$',
+            maxLength: 50,
+            sanitize: true,
+            description: '交通機関名（50文字以内）'
+        },
+        
+        // 状態・プロセス関連
+        reportStatus: {
+            type: 'string',
+            enum: ['DRAFT', 'SUBMITTED', 'PROCESSING', 'COMPLETED', 'CANCELLED'],
+            maxLength: 20,
+            required: true,
+            sanitize: true,
+            description: '報告ステータス'
+        },
+        
+        priority: {
+            type: 'string',
+            enum: ['LOW', 'MEDIUM', 'HIGH', 'URGENT'],
+            maxLength: 10,
+            sanitize: true,
+            description: '優先度'
+        },
+        
+        // 自由入力フィールド
+        description: {
+            type: 'string',
+            maxLength: 500,
+            sanitize: true,
+            description: '詳細説明（500文字以内）'
+        },
+        
+        notes: {
+            type: 'string',
+            maxLength: 1000,
+            sanitize: true,
+            description: '備考（1000文字以内）'
+        }
+    }
+};
+
+/**
+ * 従来形式のルール (pattern に正規表現、maxLength・required・sanitize・description を指定) のキー
+ */
+const LEGACY_RULE_KEYS = ['maxLength', 'required', 'sanitize', 'description'];
 
 /**
  * 汎用データ検証クラス
@@ -19,140 +172,21 @@ import { Logger } from './common/logger.js';
 export class DataValidator {
     /**
      * コンストラクタ
+     * @param {Object} options - オプション
+     * @param {RateLimiter} options.rateLimiter - 攻撃と判定された入力を失敗として記録するレート制限
+     * @param {Object|ValidationSchema} options.ruleSet - 検証ルールセット (省略時は DEFAULT_RULE_SET)
      */
-    constructor() {
+    constructor(options = {}) {
+        this.rateLimiter = options.rateLimiter || null;
         this.inputValidator = new InputValidator();
         this.hashManager = new SecureHashManager();
         this.logger = new Logger('DataValidator');
         
-        // 検証ルール定義
-        this.validationRules = {
-            // 個人情報関連
-            employeeId: {
-                pattern: /^[A-Za-z0-9]{6,12}$/,
-                maxLength: 12,
-                required: true,
-                sanitize: true,
-                description: '従業員ID（英数字6-12桁）'
-            },
-            
-            employeeName: {
-                pattern: /^[ぁ-んァ-ヶー一-龠a-zA-Z\s]{1,50}$/,
-                maxLength: 50,
-                required: true,
-                sanitize: true,
-                description: '従業員名（日本語・英字、50文字以内）'
-            },
-            
-            department: {
-                pattern: /^[ぁ-んァ-ヶー一-龠a-zA-Z0-9\s\-]{1,30}$/,
-                maxLength: 30,
-                required: true,
-                sanitize: true,
-                description: '部署名（30文字以内）'
-            },
-            
-            email: {
-                pattern: /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/,
-                maxLength: 100,
-                required: false,
-                sanitize: true,
-                description: 'メールアドレス'
-            },
-            
-            phoneNumber: {
-                pattern: /^[0-9\-\(\)\s]{10,15}$/,
-                maxLength: 15,
-                required: false,
-                sanitize: true,
-                description: '電話番号'
-            },
-            
-            // ICカード関連
-            icCardNumber: {
-                pattern: /^[0-9]{4,20}$/,
-                maxLength: 20,
-                required: true,
-                sanitize: true,
-                description: 'ICカード番号（数字4-20桁）'
-            },
-            
-            cardType: {
-                pattern: /^(SUICA|PASMO|ICOCA|MANACA|TOICA|SUGOCA|KITACA|HAYAKAKEN|NIMOCA|CORPORATE|STUDENT)$/,
-                maxLength: 20,
-                required: true,
-                sanitize: true,
-                description: 'ICカードタイプ'
-            },
-            
-            // 日時関連
-            lossDate: {
-                pattern: /^\d{4}-\d{2}-\d{2}$/,
-                maxLength: 10,
-                required: true,
-                sanitize: true,
-                description: '紛失日（YYYY-MM-DD形式）'
-            },
-            
-            lossTime: {
-                pattern: /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/,
-                maxLength: 5,
-                required: false,
-                sanitize: true,
-                description: '紛失時刻（HH:MM形式）'
-            },
-            
-            // 位置・場所関連
-            lossLocation: {
-                pattern: /^[ぁ-んァ-ヶー一-龠a-zA-Z0-9\s\-\(\)]{1,100}$/,
-                maxLength: 100,
-                required: true,
-                sanitize: true,
-                description: '紛失場所（100文字以内）'
-            },
-            
-            transportationProvider: {
-                pattern: /^[ぁ-んァ-ヶー一-龠a-zA-Z0-9\s\-]{1,50}$/,
-                maxLength: 50,
-                required: false,
-                sanitize: true,
-                description: '交通機関名（50文字以内）'
-            },
-            
-            // 状態・プロセス関連
-            reportStatus: {
-                pattern: /^(DRAFT|SUBMITTED|PROCESSING|COMPLETED|CANCELLED)$/,
-                maxLength: 20,
-                required: true,
-                sanitize: true,
-                description: '報告ステータス'
-            },
-            
-            priority: {
-                pattern: /^(LOW|MEDIUM|HIGH|URGENT)$/,
-                maxLength: 10,
-                required: false,
-                sanitize: true,
-                description: '優先度'
-            },
-            
-            // 自由入力フィールド
-            description: {
-                pattern: null, // 自由入力
-                maxLength: 500,
-                required: false,
-                sanitize: true,
-                description: '詳細説明（500文字以内）'
-            },
-            
-            notes: {
-                pattern: null, // 自由入力
-                maxLength: 1000,
-                required: false,
-                sanitize: true,
-                description: '備考（1000文字以内）'
-            }
-        };
+        // 検証ルール (宣言的なルールセットをコンパイル)
+        this.ruleSet = options.ruleSet instanceof ValidationSchema
+            ? options.ruleSet
+            : ValidationSchema.compile(options.ruleSet || DEFAULT_RULE_SET);
+        this.validationRules = { ...(this.ruleSet.definition.properties || {}) };
         
         // SQLインジェクション危険パターン（IPA 1-3）
         this.sqlInjectionPatterns = [
@@ -199,12 +233,27 @@ export class DataValidator {
         this.logger.info('DataValidator initialized with comprehensive security rules');
     }
     
+    /**
+     * プラグイン設定の検証ルールセット (validation_rule_sets の dataValidator) を使用して生成
+     * @param {Object} config - kintone.plugin.app.getConfig() の結果
+     * @param {Object} options - コンストラクタのオプション
+     * @returns {DataValidator} インスタンス
+     */
+    static fromConfig(config = {}, options = {}) {
+        return new DataValidator({
+            ...options,
+            ruleSet: ValidationSchema.fromConfig(config, DataValidator.RULE_SET_NAME, DEFAULT_RULE_SET)
+        });
+    }
+    
     /**
      * フィールドデータの包括的検証
      * @param {string} fieldName - フィールド名
      * @param {any} value - 検証する値
      * @param {Object} options - 追加オプション
-     * @returns {Object} 検証結果
+     * @param {boolean} options.allowEmpty - 必須項目の未入力 (null/undefined) を許可
+     * @param {Object} options.data - データ全体 (条件付き必須 requiredIf の判定に使用)
+     * @returns {Object} 検証結果 (エラー時は error にエラーコード、path に項目のパス、errors にすべてのエラー)
      */
     validateField(fieldName, value, options = {}) {
         try {
@@ -223,21 +272,19 @@ export class DataValidator {
             
             // null/undefined チェック
             if (value === null || value === undefined) {
-                if (rule.required && !options.allowEmpty) {
+                const errors = options.allowEmpty ? [] : this.ruleSet.validateProperty(fieldName, value, options.data || {});
+                if (errors.length > 0) {
                     this.stats.failedValidations++;
-                    return {
-                        valid: false,
-                        error: 'REQUIRED_FIELD',
-                        message: `${rule.description}は必須項目です`
-                    };
+                    return this.toFieldError(errors);
                 }
                 
                 this.stats.successfulValidations++;
                 return { valid: true, sanitizedValue: '' };
             }
             
-            // 文字列変換
-            const stringValue = String(value);
+            // 文字列変換 (文字列以外の型のルールは ValidationSchema が型を判定する)
+            const isString = rule.type === 'string';
+            const stringValue = typeof value === 'string' || isString ? String(value) : JSON.stringify(value);
             
             // 基本セキュリティチェック
             const securityCheck = this.performSecurityCheck(stringValue, fieldName);
@@ -249,6 +296,7 @@ export class DataValidator {
                     violation: securityCheck.violation,
                     value: this.maskSensitiveData(stringValue)
                 });
+                this.recordSecurityViolation(fieldName, securityCheck.violation);
                 
                 return {
                     valid: false,
@@ -258,46 +306,22 @@ export class DataValidator {
                 };
             }
             
-            // 長さチェック
-            if (stringValue.length > rule.maxLength) {
-                this.stats.violationTypes.excessiveLength++;
-                this.stats.failedValidations++;
-                return {
-                    valid: false,
-                    error: 'EXCESSIVE_LENGTH',
-                    message: `${rule.description}は${rule.maxLength}文字以内で入力してください`,
-                    actualLength: stringValue.length,
-                    maxLength: rule.maxLength
-                };
-            }
-            
-            // 必須チェック
-            if (rule.required && stringValue.trim().length === 0) {
-                this.stats.failedValidations++;
-                return {
-                    valid: false,
-                    error: 'REQUIRED_FIELD',
-                    message: `${rule.description}は必須項目です`
-                };
-            }
-            
-            // パターンマッチング
-            if (rule.pattern && stringValue.trim().length > 0) {
-                if (!rule.pattern.test(stringValue)) {
+            // ルールセットによる検証 (型・選択肢・文字数・範囲・形式・必須・条件付き必須)
+            const errors = this.ruleSet.validateProperty(fieldName, isString ? stringValue : value, options.data || {});
+            if (errors.length > 0) {
+                const [first] = errors;
+                if (first.code === ValidationSchema.ERROR_CODES.TOO_LONG) {
+                    this.stats.violationTypes.excessiveLength++;
+                } else if (first.code === ValidationSchema.ERROR_CODES.FORMAT || first.code === ValidationSchema.ERROR_CODES.ENUM) {
                     this.stats.violationTypes.invalidFormat++;
-                    this.stats.failedValidations++;
-                    return {
-                        valid: false,
-                        error: 'INVALID_FORMAT',
-                        message: `${rule.description}の形式が正しくありません`,
-                        expectedFormat: rule.pattern.toString()
-                    };
                 }
+                this.stats.failedValidations++;
+                return this.toFieldError(errors);
             }
             
             // サニタイゼーション
-            let sanitizedValue = stringValue;
-            if (rule.sanitize) {
+            let sanitizedValue = isString ? stringValue : value;
+            if (rule.sanitize && isString) {
                 sanitizedValue = this.inputValidator.sanitizeString(stringValue);
             }
             
@@ -327,6 +351,22 @@ export class DataValidator {
         }
     }
     
+    /**
+     * ルールセットの検証エラーを validateField の結果に変換
+     * @param {Array<Object>} errors - ValidationSchema のエラー { path, code, message, ... }
+     * @returns {Object} 検証結果 (先頭のエラーを error・message・path とする)
+     */
+    toFieldError(errors) {
+        const [first] = errors;
+        const { code, ...details } = first;
+        return {
+            valid: false,
+            error: code,
+            ...details,
+            errors
+        };
+    }
+    
     /**
      * オブジェクト全体の検証
      * @param {Object} data - 検証対象データ
@@ -342,12 +382,15 @@ export class DataValidator {
                 fieldResults: {}
             };
             
-            // 必須フィールドチェック
-            for (const field of requiredFields) {
+            // 必須フィールドチェック (指定された項目と、条件付き必須 requiredIf の条件を満たす項目)
+            const conditionallyRequired = this.ruleSet.getRequiredProperties(data)
+                .filter(field => this.validationRules[field].requiredIf);
+            for (const field of new Set([...requiredFields, ...conditionallyRequired])) {
                 if (!(field in data) || data[field] === null || data[field] === undefined) {
                     results.valid = false;
                     results.errors.push({
                         field,
+                        path: field,
                         error: 'MISSING_REQUIRED_FIELD',
                         message: `必須フィールド '${field}' が不足しています`
                     });
@@ -356,7 +399,7 @@ export class DataValidator {
             
             // 各フィールドの検証
             for (const [fieldName, value] of Object.entries(data)) {
-                const fieldResult = this.validateField(fieldName, value);
+                const fieldResult = this.validateField(fieldName, value, { data });
                 results.fieldResults[fieldName] = fieldResult;
                 
                 if (fieldResult.valid) {
@@ -365,6 +408,7 @@ export class DataValidator {
                     results.valid = false;
                     results.errors.push({
                         field: fieldName,
+                        path: fieldName,
                         ...fieldResult
                     });
                 }
@@ -453,6 +497,20 @@ export class DataValidator {
         }
     }
     
+    /**
+     * 攻撃と判定された入力をレート制限の失敗として記録
+     * 検証結果は同期的に返すため、記録の完了は待たない
+     * @param {string} fieldName - フィールド名
+     * @param {string} violation - 違反種別
+     */
+    recordSecurityViolation(fieldName, violation) {
+        if (!this.rateLimiter) return;
+        
+        this.rateLimiter.recordFailure(`SECURITY_VIOLATION:${violation}`).catch(error => {
+            this.logger.error('Rate limit record error', { field: fieldName, error: error.message });
+        });
+    }
+    
     /**
      * センシティブデータのマスキング
      * @param {string} data - マスキング対象データ
@@ -472,25 +530,37 @@ export class DataValidator {
     
     /**
      * カスタム検証ルールの追加
+     * ルールセットの形式 (type を指定) か、従来形式 (maxLength・required・sanitize・description を指定) で指定する
      * @param {string} fieldName - フィールド名
      * @param {Object} rule - 検証ルール
      * @returns {boolean} 追加成功
      */
     addValidationRule(fieldName, rule) {
         try {
-            if (!this.inputValidator.isValidString(fieldName)) {
+            if (!this.inputValidator.isValidString(fieldName) || !rule || typeof rule !== 'object') {
                 return false;
             }
             
-            const requiredProps = ['maxLength', 'required', 'sanitize', 'description'];
-            for (const prop of requiredProps) {
-                if (!(prop in rule)) {
-                    this.logger.warn('Missing required property in validation rule', { fieldName, prop });
-                    return false;
+            if (!rule.type) {
+                for (const prop of LEGACY_RULE_KEYS) {
+                    if (!(prop in rule)) {
+                        this.logger.warn('Missing required property in validation rule', { fieldName, prop });
+                        return false;
+                    }
                 }
             }
             
-            this.validationRules[fieldName] = rule;
+            const properties = { ...this.validationRules, [fieldName]: { type: 'string', ...rule } };
+            let ruleSet;
+            try {
+                ruleSet = ValidationSchema.compile({ ...this.ruleSet.definition, properties });
+            } catch (error) {
+                this.logger.warn('Invalid validation rule', { fieldName, error: error.message });
+                return false;
+            }
+            
+            this.ruleSet = ruleSet;
+            this.validationRules = properties;
             this.logger.info('Custom validation rule added', { fieldName, rule });
             return true;
             
@@ -559,5 +629,7 @@ export class DataValidator {
     }
 }
 
+DataValidator.RULE_SET_NAME = 'dataValidator';
+
 // デフォルトエクスポート
 export default DataValidator;
@@ -13,11 +13,29 @@
 const SecureHashManager = require('./security/SecureHashManager');
 const InputValidator = require('./security/InputValidator');
 const SecurityConfig = require('./security/SecurityConfig');
+const ProxyFieldCipher = require('./security/ProxyFieldCipher');
 
 // Phase 2 UIコンポーネント統合
 const { CommonUtils, KintoneAPIHelper } = require('./common');
 const ICLossReportForm = require('./ui/ICLossReportForm');
 const ICLossStatusDashboard = require('./ui/ICLossStatusDashboard');
+const FoundCardEntryForm = require('./ui/FoundCardEntryForm');
+const IncidentLifecycle = require('./incident-lifecycle');
+const CardReplacement = require('./card-replacement');
+const BadgeLossWorkflow = require('./badge-loss-workflow');
+const ProviderStopChecklist = require('./provider-stop-checklist');
+const ProcessWorkflow = require('./process-workflow');
+const FieldMapping = require('./field-mapping');
+const TransportationManager = require('./transportation-manager');
+const LocationCatalog = require('./location-catalog');
+const LocationPicker = require('./ui/LocationPicker');
+const ContactAccess = require('./contact-access');
+const AuditLogStore = require('./audit-log-store');
+const RateLimiter = require('./rate-limiter');
+const SessionManager = require('./security/SessionManager');
+const ReauthManager = require('./security/ReauthManager');
+const ReauthDialog = require('./ui/ReauthDialog');
+const SensitiveDataScrubber = require('./sensitive-data-scrubber');
 
 /**
  * ICカード紛失対応メイン機能クラス
@@ -27,13 +45,27 @@ class ICLossDesktopApp {
     this.securityConfig = new SecurityConfig();
     this.validator = new InputValidator();
     this.hashManager = null;
+    this.contactAccess = null;
+    this.rateLimiter = null;
+    this.reauth = null;
+    this.sessionManager = null;
+    this.lifecycle = new IncidentLifecycle();
+    this.cardReplacement = new CardReplacement();
+    this.badgeWorkflow = new BadgeLossWorkflow();
+    this.stopChecklist = new ProviderStopChecklist();
+    this.processWorkflow = new ProcessWorkflow();
+    this.fieldMapping = new FieldMapping();
+    this.locationCatalog = new LocationCatalog();
+    this.scrubber = new SensitiveDataScrubber();
+    this.emergencyLocationPicker = null;
     this.isInitialized = false;
     this.currentUser = null;
     
     // UIコンポーネント
     this.reportForm = null;
     this.statusDashboard = null;
-    this.currentView = 'dashboard'; // 'dashboard' | 'report'
+    this.foundCardForm = null;
+    this.currentView = 'dashboard'; // 'dashboard' | 'report' | 'found'
     
     this.initialize();
   }
@@ -58,12 +90,30 @@ class ICLossDesktopApp {
 
       // セキュリティマネージャー初期化
       await this.initializeSecurityManager(config);
+
+      // フィールドコード対応付けの照合 (アプリのフィールド不足を検出)
+      if (!(await this.initializeFieldMapping(config))) {
+        return;
+      }
+
+      // プロセス管理設定読み込み (ステータス名の不一致を検出)
+      if (!(await this.initializeProcessWorkflow(config))) {
+        return;
+      }
+
+      // 設定画面で編集された交通機関データを同梱データより優先
+      this.locationCatalog = new LocationCatalog(new TransportationManager({
+        overrides: TransportationManager.overridesFromConfig(config)
+      }));
       
       // UI初期化
       await this.initializeUI();
       
       // イベントリスナー設定
       this.setupEventListeners();
+
+      // 無操作時間によるセッション管理
+      this.startSession();
       
       this.isInitialized = true;
       console.log('ICカード紛失対応プラグインが初期化されました');
@@ -81,12 +131,112 @@ class ICLossDesktopApp {
    * @param {Object} config - プラグイン設定
    */
   async initializeSecurityManager(config) {
-    this.hashManager = new SecureHashManager({
-      iterations: parseInt(config.hash_iterations) || 100000,
-      saltLength: parseInt(config.salt_length) || 32,
-      pepper: atob(config.security_pepper || '')
+    this.hashManager = SecureHashManager.fromConfig(config);
+
+    // 監査ログ (保持期間・監査ログアプリへの保存) とレート制限ポリシー
+    this.securityConfig.loadConfig({
+      audit: {
+        enabled: config.audit_enabled !== 'false',
+        retentionDays: parseInt(config.log_retention, 10) || 90
+      },
+      rateLimit: RateLimiter.policyFromConfig(config)
+    });
+    this.securityConfig.setAuditStore(AuditLogStore.fromConfig(config));
+
+    // 報告送信・拾得カード照合のレート制限 (ロックアウトは監査ログに記録)
+    this.rateLimiter = RateLimiter.fromConfig(config, this.securityConfig);
+
+    // 個人情報の閲覧前の再認証 (Kintoneのログインユーザーのパスワード)
+    this.reauth = new ReauthManager({
+      prompt: ReauthDialog.prompt,
+      ttlMinutes: this.securityConfig.config.session.reauthTtlMinutes,
+      auditLogger: this.securityConfig,
+      rateLimiter: this.rateLimiter
+    });
+
+    // 連絡先の暗号化・担当者グループによる復号 (暗号化サービスが再認証の資格情報で確認、復号は監査ログに記録)
+    this.contactAccess = new ContactAccess(ProxyFieldCipher.fromConfig(config), {
+      handlerGroups: ContactAccess.handlerGroupsFromConfig(config),
+      auditLogger: this.securityConfig,
+      reauth: this.reauth
+    });
+  }
+
+  /**
+   * セッション管理開始
+   * 終了前に警告し、終了時は復号済みの個人情報を消去する
+   */
+  startSession() {
+    this.sessionManager = SessionManager.fromSecurityConfig(this.securityConfig, {
+      onWarning: (remaining) => ReauthDialog.showWarning(remaining),
+      onRenew: () => ReauthDialog.hideWarning(),
+      onExpire: () => this.handleSessionExpired()
+    });
+    this.sessionManager.start();
+  }
+
+  /**
+   * セッション終了時の処理
+   */
+  handleSessionExpired() {
+    this.reauth.revokeAll();
+
+    const details = document.getElementById('contact-details');
+    if (details) {
+      details.innerHTML = '';
+      details.hidden = true;
+    }
+    if (this.statusDashboard) {
+      this.statusDashboard.stopRealTimeUpdate();
+    }
+
+    ReauthDialog.showExpired();
+  }
+
+  /**
+   * フィールドコード対応付けの読み込みと照合
+   * 必須フィールドがない場合はプラグインを起動しない
+   * @param {Object} config - プラグイン設定
+   * @returns {Promise<boolean>} 起動可否
+   */
+  async initializeFieldMapping(config) {
+    this.fieldMapping = FieldMapping.fromConfig(config);
+
+    const result = await this.fieldMapping.verify(kintone.app.getId());
+    result.warnings.forEach(warning => console.warn('フィールド対応付け:', warning));
+
+    if (!result.valid) {
+      console.error('フィールド対応付けエラー:', result.errors);
+      CommonUtils.showNotification(`アプリのフィールド設定を確認してください: ${result.errors.join(', ')}`, 'error');
+    }
+    return result.valid;
+  }
+
+  /**
+   * プロセス管理設定読み込み
+   * 取得できない場合は ステータス フィールドによる管理で継続し、
+   * ステータス名がライフサイクルのステータスと一致しない場合はプラグインを起動しない
+   * @param {Object} config - プラグイン設定
+   * @returns {Promise<boolean>} 起動可否
+   */
+  async initializeProcessWorkflow(config) {
+    this.processWorkflow = new ProcessWorkflow({
+      appId: kintone.app.getId(),
+      assignees: ProcessWorkflow.assigneesFromConfig(config)
     });
+
+    try {
+      await this.processWorkflow.load();
+    } catch (error) {
+      if (ProcessWorkflow.isStatusMismatchError(error)) {
+        CommonUtils.showNotification(`プロセス管理の設定を確認してください: ${error.message}`, 'error');
+        return false;
+      }
+      console.warn('プロセス管理設定の読み込みに失敗しました:', error);
+    }
+    return true;
   }
+
   /**
    * ユーザー権限確認
    * @param {Object} config - プラグイン設定
@@ -178,6 +328,12 @@ class ICLossDesktopApp {
                     aria-label="表示切り替え">
               <span class="btn-text">新規報告</span>
             </button>
+            <button type="button" 
+                    class="btn btn-outline header-btn"
+                    id="found-card-btn"
+                    aria-label="拾得カード登録">
+              <span class="btn-text">拾得カード登録</span>
+            </button>
             <button type="button" 
                     class="btn btn-danger header-btn"
                     id="emergency-btn"
@@ -207,6 +363,12 @@ class ICLossDesktopApp {
       toggleViewBtn.addEventListener('click', () => this.toggleView());
     }
 
+    // 拾得カード登録ボタン
+    const foundCardBtn = document.getElementById('found-card-btn');
+    if (foundCardBtn) {
+      foundCardBtn.addEventListener('click', () => this.showFoundCardEntry());
+    }
+
     // 緊急報告ボタン
     const emergencyBtn = document.getElementById('emergency-btn');
     if (emergencyBtn) {
@@ -223,6 +385,27 @@ class ICLossDesktopApp {
     kintone.events.on(['app.record.create.submit', 'app.record.edit.submit'], (event) => {
       return this.handleRecordSubmit(event);
     });
+
+    // プロセス管理のアクション実行前
+    kintone.events.on('app.record.detail.process.proceed', (event) => {
+      return this.handleProcessProceed(event);
+    });
+  }
+
+  /**
+   * 拾得カード登録画面表示
+   */
+  showFoundCardEntry() {
+    const mainContent = document.getElementById('main-content');
+    if (!mainContent) return;
+
+    this.foundCardForm = new FoundCardEntryForm(mainContent, {
+      hashManager: this.hashManager,
+      lifecycle: this.lifecycle,
+      fieldMapping: this.fieldMapping,
+      rateLimiter: this.rateLimiter
+    });
+    this.currentView = 'found';
   }
 
   /**
@@ -268,6 +451,70 @@ class ICLossDesktopApp {
     
     // セキュリティインジケーター追加
     this.addSecurityIndicator();
+
+    // 担当者向けの連絡先表示
+    this.addContactPanel(event.record);
+  }
+
+  /**
+   * レコード詳細画面表示
+   * @param {Object} event - Kintoneイベント
+   * @returns {Object} イベント
+   */
+  handleDetailShow(event) {
+    this.setupDetailView(event);
+    return event;
+  }
+
+  /**
+   * 連絡先表示パネル (担当者グループのユーザーのみ)
+   * 復号はボタン操作時にパスワードを再入力して行い、閲覧は監査ログに記録される
+   * @param {Object} record - レコードデータ
+   */
+  async addContactPanel(record) {
+    const spaceElement = kintone.app.record.getSpaceElement('contact_details');
+    const source = this.fieldMapping.fromRecord(record);
+    const hasContacts = ContactAccess.CONTACT_FIELDS.some(contact => source[contact.field]?.value);
+    if (!spaceElement || !hasContacts) return;
+
+    try {
+      if (!(await this.contactAccess.canDecrypt(this.currentUser.code))) return;
+    } catch (error) {
+      console.error('担当者グループの確認エラー:', error);
+      return;
+    }
+
+    spaceElement.innerHTML = `
+      <div class="contact-panel" id="contact-panel">
+        <button type="button" class="kintoneplugin-button-normal" id="show-contact-btn">📞 報告者の連絡先を表示</button>
+        <small class="contact-notice">表示した日時と閲覧者は監査ログに記録されます</small>
+        <dl class="contact-details" id="contact-details" hidden></dl>
+      </div>
+    `;
+
+    document.getElementById('show-contact-btn').addEventListener('click', async () => {
+      try {
+        const token = await this.reauth.confirm(
+          ReauthManager.PURPOSES.VIEW_PII,
+          '報告者の連絡先を表示するため、パスワードを再入力してください'
+        );
+        if (!token) return;
+
+        const contacts = await this.contactAccess.decryptContacts(source, this.currentUser, token);
+        const details = document.getElementById('contact-details');
+        details.innerHTML = ContactAccess.CONTACT_FIELDS
+          .filter(contact => contacts[contact.key])
+          .map(contact => `
+            <dt>${CommonUtils.escapeHtml(contact.label)}</dt>
+            <dd>${CommonUtils.escapeHtml(contacts[contact.key])}</dd>
+          `).join('');
+        details.hidden = false;
+        document.getElementById('show-contact-btn').disabled = true;
+      } catch (error) {
+        console.error('連絡先の復号エラー:', error);
+        this.showError(error.message);
+      }
+    });
   }
 
   /**
@@ -354,12 +601,17 @@ class ICLossDesktopApp {
                        max="${new Date().toISOString().slice(0, 16)}">
               </div>
               
+              <div class="form-group">
+                <div id="emergency-location-picker"></div>
+                <div class="form-help" id="emergency-provider-procedure"></div>
+              </div>
+
               <div class="form-group">
                 <label for="loss-location">
-                  紛失場所 (推定)
+                  紛失場所 (推定・補足)
                 </label>
                 <input type="text" id="loss-location" 
-                       placeholder="例: 名古屋駅、栄駅、会社内など"
+                       placeholder="路線・駅を選択できない場合に入力 (例: 会社内など)"
                        class="form-input">
               </div>
               
@@ -455,6 +707,14 @@ class ICLossDesktopApp {
       this.validateICCardInput(e.target.value);
     });
 
+    // 紛失場所 (路線・駅) 選択
+    this.emergencyLocationPicker = new LocationPicker('emergency-location-picker', {
+      catalog: this.locationCatalog,
+      idPrefix: 'emergency-loss',
+      onChange: (location) => this.showEmergencyStopProcedure(location.providerId)
+    });
+    this.emergencyLocationPicker.setRegion();
+
     // 電話番号のフォーマット
     document.getElementById('emergency-phone').addEventListener('input', (e) => {
       this.formatPhoneNumber(e.target);
@@ -467,6 +727,30 @@ class ICLossDesktopApp {
     });
   }
 
+  /**
+   * 緊急報告ダイアログに担当交通機関の利用停止手順を表示
+   * @param {string} providerId - 交通機関ID
+   */
+  async showEmergencyStopProcedure(providerId) {
+    const procedureArea = document.getElementById('emergency-provider-procedure');
+    if (!procedureArea) return;
+
+    if (!providerId) {
+      procedureArea.textContent = '';
+      return;
+    }
+
+    try {
+      const manager = this.locationCatalog.transportationManager;
+      const provider = await manager.getTransportationData(providerId);
+      const procedure = await manager.getStopProcedure(providerId);
+      procedureArea.textContent =
+        `担当: ${provider.name} / ${procedure.method} (${provider.contact.phone} / ${procedure.processingTime})`;
+    } catch (error) {
+      procedureArea.textContent = '';
+    }
+  }
+
   /**
    * ICカード番号入力検証
    * @param {string} value - 入力値
@@ -526,8 +810,20 @@ class ICLossDesktopApp {
    */
   async handleEmergencyReport() {
     try {
-      // フォームデータ収集
-      const reportData = this.collectEmergencyReportData();
+      // 送信回数の制限 (上限を超えた場合はロックアウト)
+      if (this.rateLimiter) {
+        await this.rateLimiter.consume('EMERGENCY_REPORT');
+      }
+
+      // フォームデータ収集 (紛失状況に含まれるカード番号・連絡先はマスクし、未入力の連絡先へ移す)
+      const scrubbed = this.scrubber.scrubFields(this.collectEmergencyReportData(), ['lossDescription'], {
+        [SensitiveDataScrubber.KINDS.PHONE]: 'phoneNumber',
+        [SensitiveDataScrubber.KINDS.EMAIL]: 'email'
+      });
+      const reportData = scrubbed.data;
+      if (scrubbed.findings.length > 0) {
+        CommonUtils.showNotification(SensitiveDataScrubber.formatWarning(scrubbed.findings), 'warning', 10000);
+      }
       
       // 入力値検証
       const validationResult = this.validator.validateBulkData(reportData);
@@ -536,15 +832,22 @@ class ICLossDesktopApp {
       }
 
       // ICカード番号のハッシュ化 (IPA準拠)
-      const hashedICCard = this.hashManager.hashICCardNumber(
+      const hashedICCard = await this.hashManager.hashICCardNumber(
         validationResult.results.icCardNumber.sanitized
       );
 
       // Kintoneレコード作成
-      const record = this.buildEmergencyRecord(reportData, hashedICCard, validationResult);
+      const record = await this.buildEmergencyRecord(reportData, hashedICCard, validationResult);
       
       // レコード保存
-      await this.saveEmergencyRecord(record);
+      const saved = await this.saveEmergencyRecord(record);
+
+      // 緊急連絡先を作業者に設定 (失敗しても報告自体は完了している)
+      try {
+        await this.processWorkflow.assign(saved.id, saved.revision);
+      } catch (error) {
+        console.error('作業者設定エラー:', error);
+      }
       
       // 成功通知
       this.showEmergencySuccess(hashedICCard.maskedNumber);
@@ -554,7 +857,9 @@ class ICLossDesktopApp {
       
     } catch (error) {
       console.error('緊急報告エラー:', error);
-      this.showError('緊急報告の処理中にエラーが発生しました: ' + error.message);
+      this.showError(RateLimiter.isLockedError(error)
+        ? error.message
+        : '緊急報告の処理中にエラーが発生しました: ' + error.message);
     }
   }
 
@@ -563,11 +868,19 @@ class ICLossDesktopApp {
    * @returns {Object} 報告データ
    */
   collectEmergencyReportData() {
+    const location = this.emergencyLocationPicker
+      ? this.emergencyLocationPicker.getValue()
+      : { providerId: '', line: '', stop: '' };
+    const lossDetail = document.getElementById('loss-location').value;
+
     return {
       icCardNumber: document.getElementById('emergency-ic-number').value,
       employeeId: document.getElementById('emergency-employee-id').value,
       lossDatetime: document.getElementById('loss-datetime').value,
-      lossLocation: document.getElementById('loss-location').value,
+      lossLocation: this.locationCatalog.formatLocation({ ...location, detail: lossDetail }),
+      lossProvider: location.providerId,
+      lossLine: location.line,
+      lossStop: location.stop,
       lossDescription: document.getElementById('loss-description').value,
       email: document.getElementById('emergency-email').value,
       phoneNumber: document.getElementById('emergency-phone').value,
@@ -577,31 +890,56 @@ class ICLossDesktopApp {
 
   /**
    * 緊急レコード構築
+   * 社員番号は報告フォームと同様にハッシュ化し、連絡先は暗号化して保存する
    * @param {Object} reportData - 報告データ
    * @param {Object} hashedICCard - ハッシュ化ICカード情報
    * @param {Object} validationResult - 検証結果
-   * @returns {Object} Kintoneレコード
+   * @returns {Promise<Object>} Kintoneレコード (アプリのフィールドコード)
    */
-  buildEmergencyRecord(reportData, hashedICCard, validationResult) {
-    return {
-      '報告日時': { value: new Date().toISOString() },
-      '報告者': { value: this.currentUser.name },
-      '社員証番号': { value: reportData.employeeId },
-      'カード種別': { value: validationResult.results.icCardNumber.cardName },
-      'カード番号ハッシュ': { value: hashedICCard.hash },
-      'マスク番号': { value: hashedICCard.maskedNumber },
-      '紛失推定日時': { value: reportData.lossDatetime },
-      '紛失場所': { value: reportData.lossLocation },
-      '状況説明': { value: reportData.lossDescription },
-      '連絡先メール': { value: reportData.email },
-      '連絡先電話': { value: reportData.phoneNumber },
-      'ステータス': { value: '緊急報告済み' },
-      '処理状況': { value: '対応待ち' },
-      'セキュリティレベル': { value: 'HIGH' },
-      'ハッシュアルゴリズム': { value: hashedICCard.algorithm },
-      '報告IP': { value: this.getClientIP() },
-      'ユーザーエージェント': { value: navigator.userAgent }
+  async buildEmergencyRecord(reportData, hashedICCard, validationResult) {
+    const initial = this.lifecycle.createInitialState(this.currentUser.code);
+    const cardName = validationResult.results.icCardNumber.cardName;
+    const hashedEmployeeId = await this.hashManager.hashICCardNumber(reportData.employeeId);
+    // 折り返し連絡に使用する連絡先は復号可能な形式で暗号化
+    const encryptedContacts = await this.contactAccess.encryptContacts({
+      contact_phone: reportData.phoneNumber,
+      contact_email: reportData.email
+    });
+
+    const fields = {
+      report_type: { value: BadgeLossWorkflow.getReportType(cardName) },
+      submitted_at: { value: new Date().toISOString() },
+      submission_id: { value: CommonUtils.generateCSRFToken() },
+      reporter_name: { value: this.currentUser.name },
+      reporter_employee_id_hash: { value: hashedEmployeeId.phc },
+      reporter_employee_id_salt: { value: hashedEmployeeId.salt },
+      card_type: { value: cardName },
+      card_number_hash: { value: hashedICCard.phc },
+      card_number_salt: { value: hashedICCard.salt },
+      card_number_hash_version: { value: String(hashedICCard.pepperVersion) },
+      card_number_index: { value: hashedICCard.blindIndex || '' },
+      card_number_masked: { value: hashedICCard.maskedNumber },
+      loss_date: { value: reportData.lossDatetime },
+      loss_location: { value: reportData.lossLocation },
+      loss_provider: { value: reportData.lossProvider },
+      loss_line: { value: reportData.lossLine },
+      loss_stop: { value: reportData.lossStop },
+      loss_circumstances: { value: reportData.lossDescription },
+      ...encryptedContacts,
+      status_history: { value: this.lifecycle.toHistoryTable([initial.historyEntry]) },
+      priority: { value: '緊急' },
+      security_level: { value: 'HIGH' },
+      hash_algorithm: { value: hashedICCard.algorithm },
+      reporter_ip: { value: this.getClientIP() },
+      user_agent: { value: navigator.userAgent }
     };
+
+    // プロセス管理が有効な場合、ステータスはプロセスの初期ステータスとなる
+    if (!this.processWorkflow.isEnabled()) {
+      fields.status = { value: initial.status };
+    }
+
+    return this.fieldMapping.toRecord(fields);
   }
 
   /**
@@ -655,12 +993,13 @@ class ICLossDesktopApp {
    */
   maskSensitiveFields(record) {
     // ICカード番号のマスク表示
-    if (record['マスク番号'] && record['マスク番号'].value) {
-      const maskedNumberField = kintone.app.record.getFieldElement('マスク番号');
+    const maskedCode = this.fieldMapping.code('card_number_masked');
+    if (record[maskedCode] && record[maskedCode].value) {
+      const maskedNumberField = kintone.app.record.getFieldElement(maskedCode);
       if (maskedNumberField) {
         maskedNumberField.innerHTML = `
           <div class="masked-field">
-            <span class="masked-value">${record['マスク番号'].value}</span>
+            <span class="masked-value">${CommonUtils.escapeHtml(record[maskedCode].value)}</span>
             <span class="security-badge">🔒 暗号化済み</span>
           </div>
         `;
@@ -709,9 +1048,21 @@ class ICLossDesktopApp {
    */
   async handleRecordSubmit(event) {
     try {
+      // 保存回数の制限 (上限を超えた場合はロックアウト)
+      if (this.rateLimiter) {
+        await this.rateLimiter.consume('RECORD_SUBMIT');
+      }
+
+      // ステータス変更の検証 (ライフサイクル管理)
+      await this.validateStatusChange(event);
+
+      // 紛失状況に含まれるカード番号・連絡先のマスク (カード番号は以下でハッシュ化)
+      await this.scrubRecordFreeText(event.record);
+
       // ICカード番号が入力されている場合のハッシュ化
-      if (event.record['ICカード番号'] && event.record['ICカード番号'].value) {
-        const icCardNumber = event.record['ICカード番号'].value;
+      const cardNumberField = event.record[this.fieldMapping.code('card_number')];
+      if (cardNumberField && cardNumberField.value) {
+        const icCardNumber = cardNumberField.value;
         
         // 入力値検証
         const validationResult = this.validator.validateICCardNumber(icCardNumber);
@@ -719,17 +1070,20 @@ class ICLossDesktopApp {
           throw new Error('ICカード番号の形式が正しくありません: ' + validationResult.errors.join(', '));
         }
 
-        // ハッシュ化処理
-        const hashedResult = this.hashManager.hashICCardNumber(icCardNumber);
+        // ハッシュ化処理 (拾得カード照合と同じ正規化済みの番号を使用)
+        const hashedResult = await this.hashManager.hashICCardNumber(validationResult.sanitized);
         
-        // ハッシュ値をレコードに設定
-        event.record['カード番号ハッシュ'] = { value: hashedResult.hash };
-        event.record['マスク番号'] = { value: hashedResult.maskedNumber };
-        event.record['カード種別'] = { value: validationResult.cardName };
-        event.record['ハッシュアルゴリズム'] = { value: hashedResult.algorithm };
-        
-        // 元のICカード番号をクリア (セキュリティ強化)
-        event.record['ICカード番号'] = { value: '' };
+        // ハッシュ値をレコードに設定し、元のICカード番号をクリア (セキュリティ強化)
+        Object.assign(event.record, this.fieldMapping.toRecord({
+          card_number_hash: { value: hashedResult.phc },
+          card_number_salt: { value: hashedResult.salt },
+          card_number_hash_version: { value: String(hashedResult.pepperVersion) },
+          card_number_index: { value: hashedResult.blindIndex || '' },
+          card_number_masked: { value: hashedResult.maskedNumber },
+          card_type: { value: validationResult.cardName },
+          hash_algorithm: { value: hashedResult.algorithm },
+          card_number: { value: '' }
+        }));
       }
 
       return event;
@@ -741,6 +1095,149 @@ class ICLossDesktopApp {
     }
   }
 
+  /**
+   * 自由記述欄の個人情報のマスク (レコード画面からの保存)
+   * 専用の項目が未入力の場合、カード番号は入力用の項目へ、連絡先は暗号化して連絡先の項目へ移す
+   * @param {Object} record - Kintoneレコード
+   */
+  async scrubRecordFreeText(record) {
+    const circumstances = record[this.fieldMapping.code('loss_circumstances')];
+    if (!circumstances || !circumstances.value) return;
+
+    const { KINDS } = SensitiveDataScrubber;
+    const current = key => record[this.fieldMapping.code(key)];
+    const targets = {};
+    if (current('card_number')) targets[KINDS.CARD_NUMBER] = 'card_number';
+    if (current('contact_phone_encrypted')) targets[KINDS.PHONE] = 'contact_phone';
+    if (current('contact_email_encrypted')) targets[KINDS.EMAIL] = 'contact_email';
+
+    const { data, findings } = this.scrubber.scrubFields({
+      loss_circumstances: circumstances.value,
+      card_number: current('card_number')?.value || '',
+      contact_phone: current('contact_phone_encrypted')?.value || '',
+      contact_email: current('contact_email_encrypted')?.value || ''
+    }, ['loss_circumstances'], targets);
+    if (findings.length === 0) return;
+
+    const moved = key => findings.some(finding => finding.movedTo === key);
+    const fields = { loss_circumstances: { value: data.loss_circumstances } };
+    if (moved('card_number')) {
+      fields.card_number = { value: data.card_number };
+    }
+    if (moved('contact_phone') || moved('contact_email')) {
+      Object.assign(fields, await this.contactAccess.encryptContacts({
+        contact_phone: moved('contact_phone') ? data.contact_phone : '',
+        contact_email: moved('contact_email') ? data.contact_email : ''
+      }));
+    }
+
+    Object.assign(record, this.fieldMapping.toRecord(fields));
+    CommonUtils.showNotification(SensitiveDataScrubber.formatWarning(findings), 'warning', 10000);
+  }
+
+  /**
+   * ステータス変更検証
+   * 画面から直接編集された場合も許可された遷移のみ受け付け、履歴を追記する
+   * @param {Object} event - Kintoneイベント
+   */
+  async validateStatusChange(event) {
+    const statusField = event.record[this.fieldMapping.code('status')];
+    if (!statusField) return;
+
+    if (event.type === 'app.record.create.submit') {
+      const initial = this.lifecycle.createInitialState(this.currentUser.code);
+      // プロセス管理のステータスは書き換えできない (初期ステータスが設定される)
+      if (!this.processWorkflow.isEnabled()) {
+        statusField.value = initial.status;
+      }
+      Object.assign(event.record, this.fieldMapping.toRecord({
+        status_history: { value: this.lifecycle.toHistoryTable([initial.historyEntry]) }
+      }));
+      return;
+    }
+
+    // プロセス管理のステータスはアクションでのみ変更される (handleProcessProceed)
+    if (this.processWorkflow.isEnabled()) return;
+
+    // 保存済みのステータスを取得して遷移を検証
+    const response = await kintone.api(kintone.api.url('/k/v1/record', true), 'GET', {
+      app: kintone.app.getId(),
+      id: event.recordId
+    });
+    const currentStatus = response.record[this.fieldMapping.code('status')]?.value;
+
+    if (this.lifecycle.resolveState(currentStatus) === this.lifecycle.resolveState(statusField.value)) {
+      return;
+    }
+
+    const result = this.lifecycle.transition(
+      currentStatus,
+      statusField.value,
+      this.buildTransitionContext(response.record, event.record)
+    );
+
+    statusField.value = result.status;
+    this.appendStatusHistory(event.record, result.historyEntry);
+  }
+
+  /**
+   * プロセス管理のアクション実行前処理
+   * ライフサイクルのガード条件を満たさないアクションは中止し、実行時は履歴を追記する
+   * @param {Object} event - Kintoneイベント
+   * @returns {Object} イベントオブジェクト
+   */
+  handleProcessProceed(event) {
+    try {
+      const result = this.lifecycle.transition(
+        event.status.value,
+        event.nextStatus.value,
+        this.buildTransitionContext(event.record, event.record)
+      );
+      this.appendStatusHistory(event.record, result.historyEntry);
+
+    } catch (error) {
+      console.error('プロセス管理アクションエラー:', error);
+      event.error = error.message;
+    }
+
+    return event;
+  }
+
+  /**
+   * ステータス変更のガード条件コンテキスト
+   * 再発行の申請・受領確認 (社員証は対応チェックリスト) はダッシュボードで保存済みの内容を使用
+   * @param {Object} saved - 保存済みのレコード
+   * @param {Object} edited - 編集中のレコード
+   * @returns {Object} 遷移コンテキスト
+   */
+  buildTransitionContext(saved, edited) {
+    const savedRecord = this.fieldMapping.fromRecord(saved);
+    const editedRecord = this.fieldMapping.fromRecord(edited);
+    const replacementContext = BadgeLossWorkflow.isBadgeIncident(savedRecord)
+      ? this.badgeWorkflow.toTransitionContext(this.stopChecklist.fromSubtable(savedRecord.stop_checklist?.value))
+      : this.cardReplacement.toTransitionContext(this.cardReplacement.fromRecord(savedRecord));
+
+    return {
+      actor: this.currentUser.code,
+      providerReferenceNumber: editedRecord.provider_reference_number?.value,
+      foundAt: editedRecord.found_at?.value,
+      note: editedRecord.status_note?.value,
+      ...replacementContext
+    };
+  }
+
+  /**
+   * ステータス履歴サブテーブルへの追記
+   * @param {Object} record - 編集中のレコード
+   * @param {Object} historyEntry - 履歴エントリ
+   */
+  appendStatusHistory(record, historyEntry) {
+    const history = this.fieldMapping.fromRecord(record).status_history?.value || [];
+    Object.assign(record, this.fieldMapping.toRecord({
+      status_history: { value: history.concat(this.lifecycle.toHistoryTable([historyEntry])) }
+    }));
+  }
+
   /**
    * クライアントIP取得 (簡易版)
    * @returns {string} クライアントIP
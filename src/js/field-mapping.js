@@ -0,0 +1,382 @@
+/**
+ * field-mapping.js
+ * プラグインとKintoneアプリのフィールドコード対応付け
+ *
+ * 報告フォーム・緊急報告ダイアログ・ダッシュボードはすべて論理フィールド名
+ * (reporter_name, card_number_hash 等) でレコードを読み書きし、本モジュールで
+ * アプリの実際のフィールドコードに変換する。対応付けはプラグイン設定 (field_mapping) に
+ * JSONで保存し、未設定の項目は論理フィールド名をそのままフィールドコードとして使用する。
+ * 起動時に /k/v1/app/form/fields と照合し、存在しない・種類が異なるフィールドを検出する。
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @compliance IPA安全なウェブサイトの作り方準拠
+ */
+
+const IncidentLifecycle = require('./incident-lifecycle');
+const ProviderStopChecklist = require('./provider-stop-checklist');
+const CardReplacement = require('./card-replacement');
+
+/**
+ * フィールドの種類 (form/fields の type)
+ */
+const TYPES = {
+  TEXT: ['SINGLE_LINE_TEXT'],
+  LONG_TEXT: ['MULTI_LINE_TEXT', 'SINGLE_LINE_TEXT'],
+  CHOICE: ['DROP_DOWN', 'RADIO_BUTTON', 'SINGLE_LINE_TEXT'],
+  DATETIME: ['DATETIME'],
+  NUMBER: ['NUMBER'],
+  CHECK_BOX: ['CHECK_BOX'],
+  SUBTABLE: ['SUBTABLE'],
+  // サブテーブル内の項目 (ISO日時も文字列で保存できるよう文字列型を許可)
+  COLUMN: ['SINGLE_LINE_TEXT', 'MULTI_LINE_TEXT', 'DROP_DOWN', 'DATETIME']
+};
+
+const { REPLACEMENT_FIELDS } = CardReplacement;
+
+/**
+ * 論理フィールド定義
+ * key: 論理フィールド名 (既定のフィールドコード)、required: 未設定の場合は起動を中止する
+ */
+const FIELDS = [
+  // 基本情報
+  { key: 'record_number', label: 'レコード番号', group: '基本情報', types: ['RECORD_NUMBER'], required: true, defaultCode: 'レコード番号' },
+  { key: 'report_type', label: '報告区分', group: '基本情報', types: TYPES.CHOICE, required: true },
+  { key: 'reporter_name', label: '報告者名', group: '基本情報', types: TYPES.TEXT, required: true },
+  { key: 'reporter_department', label: '所属部署', group: '基本情報', types: TYPES.TEXT },
+  { key: 'reporter_employee_id_hash', label: '社員番号 (ハッシュ)', group: '基本情報', types: TYPES.TEXT },
+  { key: 'reporter_employee_id_salt', label: '社員番号 (ソルト)', group: '基本情報', types: TYPES.TEXT },
+  { key: 'contact_email', label: '連絡先メール', group: '基本情報', types: ['SINGLE_LINE_TEXT', 'LINK'] },
+  { key: 'contact_phone_hash', label: '連絡先電話 (ハッシュ)', group: '基本情報', types: TYPES.TEXT },
+  { key: 'contact_phone_salt', label: '連絡先電話 (ソルト)', group: '基本情報', types: TYPES.TEXT },
+  { key: 'contact_phone_encrypted', label: '連絡先電話 (暗号化)', group: '基本情報', types: TYPES.TEXT },
+  { key: 'contact_email_encrypted', label: '連絡先メール (暗号化)', group: '基本情報', types: TYPES.TEXT },
+  { key: 'submitted_at', label: '報告日時', group: '基本情報', types: TYPES.DATETIME, required: true },
+  { key: 'submission_id', label: '送信ID', group: '基本情報', types: TYPES.TEXT },
+  { key: 'priority', label: '優先度', group: '基本情報', types: TYPES.CHOICE, required: true },
+
+  // カード情報
+  { key: 'card_type', label: 'カード種別', group: 'カード情報', types: TYPES.CHOICE, required: true },
+  { key: 'card_number', label: 'ICカード番号 (入力用・保存時に消去)', group: 'カード情報', types: TYPES.TEXT },
+  { key: 'card_number_hash', label: 'カード番号 (ハッシュ)', group: 'カード情報', types: TYPES.TEXT },
+  { key: 'card_number_salt', label: 'カード番号 (ソルト)', group: 'カード情報', types: TYPES.TEXT },
+  { key: 'card_number_hash_version', label: 'カード番号 (ペッパーバージョン)', group: 'カード情報', types: ['NUMBER', 'SINGLE_LINE_TEXT'] },
+  { key: 'card_number_index', label: 'カード番号 (検索用インデックス)', group: 'カード情報', types: TYPES.TEXT },
+  { key: 'card_number_masked', label: 'マスク番号', group: 'カード情報', types: TYPES.TEXT },
+  { key: 'hash_algorithm', label: 'ハッシュアルゴリズム', group: 'カード情報', types: TYPES.TEXT },
+  { key: 'card_balance', label: '残高', group: 'カード情報', types: TYPES.NUMBER },
+  { key: 'card_features', label: '付帯機能', group: 'カード情報', types: TYPES.LONG_TEXT },
+
+  // 紛失詳細
+  { key: 'loss_date', label: '紛失日時', group: '紛失詳細', types: TYPES.DATETIME, required: true },
+  { key: 'reporter_region', label: '地域', group: '紛失詳細', types: TYPES.TEXT },
+  { key: 'loss_provider', label: '紛失交通機関', group: '紛失詳細', types: TYPES.TEXT },
+  { key: 'loss_line', label: '紛失路線', group: '紛失詳細', types: TYPES.TEXT },
+  { key: 'loss_stop', label: '紛失駅・停留所', group: '紛失詳細', types: TYPES.TEXT },
+  { key: 'loss_location', label: '紛失場所', group: '紛失詳細', types: TYPES.LONG_TEXT },
+  { key: 'loss_circumstances', label: '紛失状況', group: '紛失詳細', types: TYPES.LONG_TEXT },
+  { key: 'discovery_timing', label: '発見の経緯', group: '紛失詳細', types: TYPES.LONG_TEXT },
+  { key: 'actions_taken', label: '実施した対応', group: '紛失詳細', types: TYPES.LONG_TEXT },
+
+  // 対応状況
+  { key: 'status', label: 'ステータス (プロセス管理を使用しない場合)', group: '対応状況', types: TYPES.CHOICE },
+  {
+    key: 'status_history',
+    label: 'ステータス履歴',
+    group: '対応状況',
+    types: TYPES.SUBTABLE,
+    required: true,
+    columns: Object.values(IncidentLifecycle.HISTORY_FIELDS)
+  },
+  { key: 'status_note', label: 'ステータス備考', group: '対応状況', types: TYPES.LONG_TEXT },
+  { key: 'provider_reference_number', label: '交通機関受付番号', group: '対応状況', types: TYPES.TEXT },
+  { key: 'found_at', label: '発見日時', group: '対応状況', types: TYPES.DATETIME },
+  { key: 'found_location', label: '拾得場所', group: '対応状況', types: TYPES.LONG_TEXT },
+  {
+    key: 'stop_checklist',
+    label: '利用停止チェックリスト',
+    group: '対応状況',
+    types: TYPES.SUBTABLE,
+    columns: Object.values(ProviderStopChecklist.CHECKLIST_FIELDS)
+  },
+  { key: 'escalated_at', label: 'エスカレーション日時', group: '対応状況', types: TYPES.DATETIME },
+  { key: 'assignee', label: '担当者', group: '対応状況', types: TYPES.TEXT },
+  { key: 'updated_at', label: '更新日時', group: '対応状況', types: ['UPDATED_TIME', 'DATETIME'] },
+
+  // 再発行
+  { key: REPLACEMENT_FIELDS.status, label: '再発行の進捗', group: '再発行', types: TYPES.CHOICE },
+  { key: REPLACEMENT_FIELDS.referenceNumber, label: '再発行受付番号', group: '再発行', types: TYPES.TEXT },
+  { key: REPLACEMENT_FIELDS.requestedAt, label: '再発行申請日時', group: '再発行', types: TYPES.DATETIME },
+  { key: REPLACEMENT_FIELDS.requestedBy, label: '再発行申請者', group: '再発行', types: TYPES.TEXT },
+  { key: REPLACEMENT_FIELDS.reissueFee, label: '再発行手数料', group: '再発行', types: TYPES.NUMBER },
+  { key: REPLACEMENT_FIELDS.balanceToTransfer, label: '移行予定の残高', group: '再発行', types: TYPES.NUMBER },
+  { key: REPLACEMENT_FIELDS.balanceTransferred, label: '移行済みの残高', group: '再発行', types: TYPES.NUMBER },
+  { key: REPLACEMENT_FIELDS.commuterPass, label: '定期券', group: '再発行', types: TYPES.CHECK_BOX },
+  { key: REPLACEMENT_FIELDS.commuterPassRestored, label: '定期券区間の復元', group: '再発行', types: TYPES.CHECK_BOX },
+  { key: REPLACEMENT_FIELDS.confirmedAt, label: '受領確認日時', group: '再発行', types: TYPES.DATETIME },
+  { key: REPLACEMENT_FIELDS.confirmedBy, label: '受領確認者', group: '再発行', types: TYPES.TEXT },
+  { key: REPLACEMENT_FIELDS.expenseClaimId, label: '経費精算レコード番号', group: '再発行', types: TYPES.TEXT },
+
+  // セキュリティ
+  { key: 'security_level', label: 'セキュリティレベル', group: 'セキュリティ', types: TYPES.CHOICE },
+  { key: 'reporter_ip', label: '報告IP', group: 'セキュリティ', types: TYPES.TEXT },
+  { key: 'user_agent', label: 'ユーザーエージェント', group: 'セキュリティ', types: TYPES.LONG_TEXT }
+];
+
+/**
+ * プラグイン設定のキー
+ */
+const CONFIG_KEY = 'field_mapping';
+
+/**
+ * フィールドコード対応付けクラス
+ */
+class FieldMapping {
+  /**
+   * @param {Object} mapping - 論理フィールド名 → フィールドコード
+   */
+  constructor(mapping = {}) {
+    this.definitions = new Map();
+    FIELDS.forEach(field => {
+      this.definitions.set(field.key, field);
+      (field.columns || []).forEach(column => {
+        this.definitions.set(column, { key: column, label: column, types: TYPES.COLUMN, parent: field.key });
+      });
+    });
+
+    this.mapping = {};
+    for (const [key, code] of Object.entries(mapping)) {
+      if (this.definitions.has(key) && typeof code === 'string' && code.trim()) {
+        this.mapping[key] = code.trim();
+      }
+    }
+
+    // アプリに存在しない任意フィールド (verify() で設定、書き込み時に除外)
+    this.missing = new Set();
+  }
+
+  /**
+   * プラグイン設定から生成
+   * 不正なJSONは未設定として扱う
+   * @param {Object} config - kintone.plugin.app.getConfig() の結果
+   * @returns {FieldMapping} 対応付け
+   */
+  static fromConfig(config = {}) {
+    if (!config[CONFIG_KEY]) {
+      return new FieldMapping();
+    }
+
+    try {
+      return new FieldMapping(JSON.parse(config[CONFIG_KEY]));
+    } catch (error) {
+      console.warn('フィールド対応付けの設定を読み込めませんでした:', error);
+      return new FieldMapping();
+    }
+  }
+
+  /**
+   * フィールドコード取得
+   * @param {string} key - 論理フィールド名
+   * @returns {string} フィールドコード
+   */
+  code(key) {
+    const definition = this.definitions.get(key);
+    if (!definition) {
+      throw new Error(`未定義のフィールドです: ${key}`);
+    }
+    return this.mapping[key] || definition.defaultCode || key;
+  }
+
+  /**
+   * フィールドコード設定 (設定画面)
+   * @param {string} key - 論理フィールド名
+   * @param {string} code - フィールドコード (空の場合は既定に戻す)
+   */
+  setCode(key, code) {
+    if (!this.definitions.has(key)) {
+      throw new Error(`未定義のフィールドです: ${key}`);
+    }
+    if (code) {
+      this.mapping[key] = code;
+    } else {
+      delete this.mapping[key];
+    }
+  }
+
+  /**
+   * サブテーブル内の項目の論理フィールド名
+   * @param {string} key - サブテーブルの論理フィールド名
+   * @returns {Array<string>} 項目の論理フィールド名
+   */
+  getColumns(key) {
+    return this.definitions.get(key)?.columns || [];
+  }
+
+  /**
+   * 取得するフィールドコード一覧 (アプリに存在しない任意フィールドを除く)
+   * @param {Array<string>} keys - 論理フィールド名
+   * @returns {Array<string>} フィールドコード
+   */
+  getCodes(keys) {
+    return keys.filter(key => !this.missing.has(key)).map(key => this.code(key));
+  }
+
+  /**
+   * 論理フィールド名のレコードをフィールドコードのレコードに変換 (書き込み用)
+   * 未定義のキー ($id 等) はそのまま、アプリに存在しない任意フィールドは除外する
+   * @param {Object} fields - 論理フィールド名 → { value }
+   * @returns {Object} フィールドコード → { value }
+   */
+  toRecord(fields) {
+    const record = {};
+
+    for (const [key, field] of Object.entries(fields)) {
+      if (!this.definitions.has(key)) {
+        record[key] = field;
+      } else if (!this.missing.has(key)) {
+        record[this.code(key)] = this._mapColumns(key, field, column => this.code(column));
+      }
+    }
+
+    return record;
+  }
+
+  /**
+   * フィールドコードのレコードに論理フィールド名の値を追加 (読み込み用)
+   * 元のフィールドコード ($id, $revision, プロセス管理のフィールド等) も保持する
+   * @param {Object} record - Kintoneレコード
+   * @returns {Object} 論理フィールド名で参照できるレコード
+   */
+  fromRecord(record) {
+    const result = { ...record };
+    const columnKeys = {};
+    for (const [key, definition] of this.definitions) {
+      if (definition.parent) {
+        columnKeys[this.code(key)] = key;
+      }
+    }
+
+    for (const field of FIELDS) {
+      const code = this.code(field.key);
+      if (record[code] !== undefined) {
+        result[field.key] = this._mapColumns(field.key, record[code], code => columnKeys[code] || code);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * サブテーブル行の項目名変換
+   * @param {string} key - 論理フィールド名
+   * @param {Object} field - { value }
+   * @param {Function} rename - 項目名の変換
+   * @returns {Object} 変換後の { value }
+   * @private
+   */
+  _mapColumns(key, field, rename) {
+    if (!this.definitions.get(key).columns || !Array.isArray(field?.value)) {
+      return field;
+    }
+
+    return {
+      ...field,
+      value: field.value.map(row => ({
+        ...row,
+        value: Object.fromEntries(Object.entries(row.value || {}).map(([code, cell]) => [rename(code), cell]))
+      }))
+    };
+  }
+
+  /**
+   * アプリのフィールド定義との照合
+   * @param {Object} properties - /k/v1/app/form/fields の properties
+   * @param {Object} options - オプション
+   * @param {Array<string>} options.optional - 今回は必須としない論理フィールド名
+   * @returns {Object} { valid, errors, warnings }
+   */
+  check(properties, options = {}) {
+    const optional = options.optional || [];
+    const errors = [];
+    const warnings = [];
+    this.missing = new Set();
+
+    const report = (field, message) => {
+      if (field.required && !optional.includes(field.key)) {
+        errors.push(message);
+      } else {
+        warnings.push(message);
+        this.missing.add(field.key);
+      }
+    };
+
+    const checkField = (field, props, label) => {
+      const code = this.code(field.key);
+      const property = props[code];
+
+      if (!property) {
+        report(field, `${label} のフィールド (コード: ${code}) がアプリにありません`);
+        return null;
+      }
+      if (!field.types.includes(property.type)) {
+        report(field, `${label} のフィールド (コード: ${code}) の種類が ${property.type} です (${field.types.join(' / ')} を使用してください)`);
+        return null;
+      }
+      return property;
+    };
+
+    for (const field of FIELDS) {
+      const property = checkField(field, properties, field.label);
+
+      (field.columns || []).forEach(column => {
+        const definition = { ...this.definitions.get(column), required: field.required };
+        if (!property) {
+          this.missing.add(column);
+          return;
+        }
+        checkField(definition, property.fields || {}, `${field.label} の ${column}`);
+      });
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      warnings
+    };
+  }
+
+  /**
+   * 起動時の照合 (/k/v1/app/form/fields)
+   * @param {number} appId - アプリID
+   * @param {Object} options - check() のオプション
+   * @returns {Promise<Object>} { valid, errors, warnings }
+   */
+  async verify(appId, options = {}) {
+    const response = await kintone.api(kintone.api.url('/k/v1/app/form/fields', true), 'GET', {
+      app: appId
+    });
+    return this.check(response.properties, options);
+  }
+
+  /**
+   * プラグイン設定に保存する値 (既定と同じ対応付けは保存しない)
+   * @returns {string} JSON文字列
+   */
+  toConfigValue() {
+    const mapping = {};
+    for (const [key, code] of Object.entries(this.mapping)) {
+      const definition = this.definitions.get(key);
+      if (code !== (definition.defaultCode || key)) {
+        mapping[key] = code;
+      }
+    }
+    return JSON.stringify(mapping);
+  }
+}
+
+FieldMapping.FIELDS = FIELDS;
+FieldMapping.TYPES = TYPES;
+FieldMapping.CONFIG_KEY = CONFIG_KEY;
+
+module.exports = FieldMapping;
@@ -0,0 +1,279 @@
+/**
+ * found-card-reconciler.js
+ * 拾得ICカードと紛失報告の照合
+ *
+ * カード番号はレコードごとのソルト付きPBKDF2ハッシュでのみ保存されているため、
+ * 拾得したカード番号を未発見の各報告のソルトで再ハッシュ化して照合する。
+ * 入力されたカード番号そのものは保存・ログ出力しない。
+ * 一致したレコードが旧ペッパー・旧パラメーターでハッシュ化されていた場合は、照合に使用した
+ * カード番号で現行ポリシーのハッシュに更新する (ペッパーのローテーション・反復回数の変更)。
+ * 照合対象はブラインドインデックス (card_number_index) で候補を絞り込んで取得し、
+ * インデックス未設定の旧レコードは従来どおり全件を照合して一致時にインデックスを補完する。
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @compliance IPA安全なウェブサイトの作り方準拠
+ */
+
+const IncidentLifecycle = require('./incident-lifecycle');
+const CardFormatRegistry = require('./card-format-registry');
+const FieldMapping = require('./field-mapping');
+const { KintoneAPIHelper } = require('./common');
+
+/**
+ * 照合対象レコード取得の1回あたり件数 (Kintone API上限)
+ */
+const FETCH_LIMIT = 500;
+
+/**
+ * 同時に実行するハッシュ照合の上限 (PBKDF2は重いため、候補数にかかわらず並列数を抑える)
+ */
+const VERIFY_CONCURRENCY = 4;
+
+/**
+ * 拾得カード照合クラス
+ */
+class FoundCardReconciler {
+  /**
+   * @param {SecureHashManager} hashManager - 報告時と同じ設定のハッシュマネージャー
+   * @param {Object} options - オプション
+   * @param {IncidentLifecycle} options.lifecycle - ライフサイクル管理
+   * @param {number} options.appId - 対象アプリID (省略時は表示中のアプリ)
+   * @param {CardFormatRegistry} options.cardFormats - カード番号形式レジストリ (省略時は共有インスタンス)
+   * @param {FieldMapping} options.fieldMapping - フィールドコード対応付け
+   */
+  constructor(hashManager, options = {}) {
+    if (!hashManager) {
+      throw new Error('ハッシュマネージャーが指定されていません');
+    }
+
+    this.hashManager = hashManager;
+    this.lifecycle = options.lifecycle || new IncidentLifecycle();
+    this.appId = options.appId || null;
+    this.cardFormats = options.cardFormats || CardFormatRegistry.getDefault();
+    this.fieldMapping = options.fieldMapping || new FieldMapping();
+  }
+
+  /**
+   * カード番号の正規化 (空白・ハイフン除去、英字大文字化)
+   * 報告時のハッシュ化と照合時で同じ正規化を行うこと
+   * @param {string} cardNumber - 入力カード番号
+   * @returns {string} 正規化済みカード番号
+   */
+  static normalizeCardNumber(cardNumber) {
+    return CardFormatRegistry.normalize(cardNumber);
+  }
+
+  /**
+   * 表示・通知用のマスク番号 (形式ごとのマスキング規則を適用)
+   * @param {string} cardNumber - 正規化済みカード番号
+   * @returns {string} マスク番号
+   */
+  maskCardNumber(cardNumber) {
+    return this.cardFormats.mask(cardNumber);
+  }
+
+  /**
+   * 発見済みへ遷移可能なステータス一覧
+   * @returns {Array<string>} ステータス表示値
+   */
+  getSearchableStatuses() {
+    return this.lifecycle.getAllStates()
+      .filter(state => this.lifecycle.getAvailableTransitions(state.key).some(t => t.key === 'FOUND'))
+      .map(state => state.label);
+  }
+
+  /**
+   * 照合対象 (未発見) の報告レコード取得
+   * @param {Array<string>} blindIndexes - 拾得カード番号のブラインドインデックス (空の場合は絞り込まない)
+   * @returns {Promise<Array<Object>>} Kintoneレコード (論理フィールド名で参照可能)
+   */
+  async fetchOpenReports(blindIndexes = []) {
+    const code = key => this.fieldMapping.code(key);
+    const statuses = this.getSearchableStatuses().map(label => KintoneAPIHelper.quoteQueryValue(label)).join(', ');
+    let condition = `${code('status')} in (${statuses}) and ${code('card_number_hash')} != ""`;
+    if (blindIndexes.length > 0 && this.fieldMapping.getCodes(['card_number_index']).length > 0) {
+      condition = KintoneAPIHelper.addBlindIndexCondition(condition, {
+        field: code('card_number_index'),
+        values: blindIndexes,
+        includeUnindexed: true
+      });
+    }
+    const records = [];
+
+    // offset は上限 (10,000件) があるため $id の昇順で続きを取得する
+    for (let lastId = 0; ;) {
+      const response = await kintone.api(kintone.api.url('/k/v1/records', true), 'GET', {
+        app: this.appId || kintone.app.getId(),
+        query: `${condition} and $id > ${lastId} order by $id asc limit ${FETCH_LIMIT}`,
+        fields: [
+          '$id', '$revision', '作成者',
+          ...this.fieldMapping.getCodes([
+            'status', 'status_history', 'card_type',
+            'card_number_hash', 'card_number_salt', 'card_number_hash_version', 'card_number_index'
+          ])
+        ]
+      });
+
+      const page = response.records || [];
+      records.push(...page.map(record => this.fieldMapping.fromRecord(record)));
+      if (page.length < FETCH_LIMIT) break;
+      lastId = page[page.length - 1].$id.value;
+    }
+
+    return records;
+  }
+
+  /**
+   * 拾得カード番号と報告レコードの照合
+   * @param {string} cardNumber - 拾得カード番号
+   * @param {Array<Object>} records - 照合対象レコード
+   * @returns {Promise<Array<Object>>} 一致したレコード
+   */
+  async findMatches(cardNumber, records) {
+    const normalized = FoundCardReconciler.normalizeCardNumber(cardNumber);
+    if (!normalized) {
+      throw new Error('カード番号を入力してください');
+    }
+
+    // 最大 VERIFY_CONCURRENCY 件ずつ照合 (各ワーカーが次のレコードを順に取り出す)
+    const results = new Array(records.length).fill(false);
+    let next = 0;
+    const worker = async () => {
+      while (next < records.length) {
+        const index = next++;
+        const record = records[index];
+        const hash = record.card_number_hash?.value;
+        if (!hash) continue;
+        results[index] = await this.hashManager.verifyICCardNumber(
+          normalized, hash, record.card_number_salt?.value, record.card_number_hash_version?.value
+        );
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(VERIFY_CONCURRENCY, records.length) }, worker));
+    return records.filter((record, index) => results[index]);
+  }
+
+  /**
+   * 旧ペッパー・旧パラメーターのハッシュを現行ポリシーで再ハッシュ化した更新フィールド
+   * 再ハッシュ化が不要な場合も、現行ペッパーのブラインドインデックスが未設定であれば補完する
+   * @param {Object} record - 照合で一致したレコード
+   * @param {string} normalized - 正規化済みカード番号
+   * @returns {Promise<Object>} 更新フィールド (更新が不要な場合は空)
+   */
+  async getRehashFields(record, normalized) {
+    if (!this.hashManager.needsRehash(record.card_number_hash?.value, record.card_number_hash_version?.value)) {
+      const blindIndex = this.hashManager.computeBlindIndex(normalized);
+      return blindIndex && record.card_number_index?.value !== blindIndex
+        ? { card_number_index: { value: blindIndex } }
+        : {};
+    }
+
+    const hashed = await this.hashManager.hashICCardNumber(normalized);
+    return {
+      card_number_hash: { value: hashed.phc },
+      card_number_salt: { value: hashed.salt },
+      card_number_hash_version: { value: String(hashed.pepperVersion) },
+      card_number_index: { value: hashed.blindIndex || '' },
+      hash_algorithm: { value: hashed.algorithm }
+    };
+  }
+
+  /**
+   * 拾得カードの照合と発見済み登録
+   * @param {string} cardNumber - 拾得カード番号
+   * @param {Object} context - 拾得情報
+   * @param {string} context.actor - 登録者 (ユーザーコード)
+   * @param {string} context.foundAt - 拾得日時
+   * @param {string} context.foundLocation - 拾得場所
+   * @returns {Promise<Object>} 照合結果 { matched, maskedNumber, records }
+   */
+  async reconcile(cardNumber, context = {}) {
+    const normalized = FoundCardReconciler.normalizeCardNumber(cardNumber);
+    if (!normalized) {
+      throw new Error('カード番号を入力してください');
+    }
+
+    const openReports = await this.fetchOpenReports(this.hashManager.getBlindIndexCandidates(normalized));
+    const matches = await this.findMatches(normalized, openReports);
+    const maskedNumber = this.maskCardNumber(normalized);
+
+    const updated = [];
+    for (const record of matches) {
+      await this.markAsFound(record, { ...context, maskedNumber }, await this.getRehashFields(record, normalized));
+      await this.notifyReporter(record, { ...context, maskedNumber });
+      updated.push({
+        id: record.$id.value,
+        cardType: record.card_type?.value || ''
+      });
+    }
+
+    return {
+      matched: updated.length > 0,
+      maskedNumber,
+      checkedCount: openReports.length,
+      records: updated
+    };
+  }
+
+  /**
+   * 報告レコードを発見済みに更新
+   * @param {Object} record - Kintoneレコード
+   * @param {Object} context - 拾得情報
+   * @param {Object} rehashFields - 同時に保存する再ハッシュ化フィールド (getRehashFields() の結果)
+   */
+  async markAsFound(record, context, rehashFields = {}) {
+    const result = this.lifecycle.transition(record.status.value, 'FOUND', {
+      actor: context.actor,
+      foundAt: context.foundAt,
+      note: `拾得カード照合により発見 (${context.maskedNumber})`
+    });
+
+    const history = (record.status_history?.value || [])
+      .concat(this.lifecycle.toHistoryTable([result.historyEntry]));
+
+    await kintone.api(kintone.api.url('/k/v1/record', true), 'PUT', {
+      app: this.appId || kintone.app.getId(),
+      id: record.$id.value,
+      revision: record.$revision.value,
+      record: this.fieldMapping.toRecord({
+        status: { value: result.status },
+        status_history: { value: history },
+        found_at: { value: context.foundAt },
+        found_location: { value: context.foundLocation || '' },
+        ...rehashFields
+      })
+    });
+  }
+
+  /**
+   * 報告者への通知 (レコードコメントのメンション)
+   * @param {Object} record - Kintoneレコード
+   * @param {Object} context - 拾得情報
+   */
+  async notifyReporter(record, context) {
+    const reporter = record['作成者']?.value;
+    if (!reporter || !reporter.code) return;
+
+    try {
+      await kintone.api(kintone.api.url('/k/v1/record/comment', true), 'POST', {
+        app: this.appId || kintone.app.getId(),
+        record: record.$id.value,
+        comment: {
+          text: `紛失報告のICカード (${context.maskedNumber}) が拾得されました。` +
+                `拾得場所: ${context.foundLocation || '不明'} 受け取り方法は担当者に確認してください。`,
+          mentions: [{ code: reporter.code, type: 'USER' }]
+        }
+      });
+    } catch (error) {
+      // 通知失敗で発見登録は取り消さない
+      console.error('報告者通知エラー:', error.message);
+    }
+  }
+}
+
+FoundCardReconciler.VERIFY_CONCURRENCY = VERIFY_CONCURRENCY;
+
+module.exports = FoundCardReconciler;
@@ -0,0 +1,141 @@
+/**
+ * hash-policy-audit.js
+ * 保存済みハッシュの現行ポリシー適合状況の集計
+ *
+ * 報告レコードのハッシュ (カード番号・社員番号・連絡先電話) を読み込み、
+ * 現行のペッパー・反復回数・アルゴリズムと異なるもの、パラメーターを含まない旧形式のものを
+ * 設定画面のセキュリティヘルスチェックに「更新が必要」として表示する。
+ * カード番号は拾得カード照合時に再ハッシュ化される (found-card-reconciler.js)。
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @compliance IPA安全なウェブサイトの作り方準拠
+ */
+
+const FieldMapping = require('./field-mapping');
+
+/**
+ * 集計対象のハッシュフィールド (version: PHC形式以外で参照するペッパーバージョン)
+ */
+const HASH_FIELDS = [
+  { hash: 'card_number_hash', version: 'card_number_hash_version', label: 'カード番号' },
+  { hash: 'reporter_employee_id_hash', version: null, label: '社員番号' },
+  { hash: 'contact_phone_hash', version: null, label: '連絡先電話' }
+];
+
+/**
+ * 更新理由の表示名
+ */
+const REASON_LABELS = {
+  format: '旧形式',
+  pepper: '旧ペッパー',
+  parameters: '旧パラメーター'
+};
+
+/**
+ * レコード取得の1回あたり件数 (Kintone API上限)
+ */
+const FETCH_LIMIT = 500;
+
+/**
+ * ハッシュポリシー監査クラス
+ */
+class HashPolicyAudit {
+  /**
+   * @param {SecureHashManager} hashManager - 現行ポリシーのハッシュマネージャー
+   * @param {Object} options - オプション
+   * @param {FieldMapping} options.fieldMapping - フィールドコード対応付け
+   * @param {number} options.appId - 対象アプリID (省略時は表示中のアプリ)
+   */
+  constructor(hashManager, options = {}) {
+    if (!hashManager) {
+      throw new Error('ハッシュマネージャーが指定されていません');
+    }
+
+    this.hashManager = hashManager;
+    this.fieldMapping = options.fieldMapping || new FieldMapping();
+    this.appId = options.appId || null;
+  }
+
+  /**
+   * ハッシュフィールドを含むレコード取得
+   * @returns {Promise<Array<Object>>} レコード (論理フィールド名で参照可能)
+   */
+  async fetchRecords() {
+    const keys = HASH_FIELDS.flatMap(field => [field.hash, field.version].filter(Boolean));
+    const records = [];
+
+    for (let offset = 0; ; offset += FETCH_LIMIT) {
+      const response = await kintone.api(kintone.api.url('/k/v1/records', true), 'GET', {
+        app: this.appId || kintone.app.getId(),
+        query: `order by $id asc limit ${FETCH_LIMIT} offset ${offset}`,
+        fields: ['$id', ...this.fieldMapping.getCodes(keys)]
+      });
+
+      const page = response.records || [];
+      records.push(...page.map(record => this.fieldMapping.fromRecord(record)));
+      if (page.length < FETCH_LIMIT) break;
+    }
+
+    return records;
+  }
+
+  /**
+   * 更新が必要なハッシュの集計
+   * @param {Array<Object>} records - レコード
+   * @returns {Object} { total, upgradeRequired, reasons } (reasons は理由ごとのレコード件数)
+   */
+  summarize(records) {
+    const reasons = Object.fromEntries(Object.keys(REASON_LABELS).map(reason => [reason, 0]));
+    let upgradeRequired = 0;
+
+    for (const record of records) {
+      const recordReasons = new Set(HASH_FIELDS.flatMap(field => this.hashManager.getUpgradeReasons(
+        record[field.hash]?.value,
+        field.version ? record[field.version]?.value : null
+      )));
+
+      if (recordReasons.size > 0) {
+        upgradeRequired++;
+        recordReasons.forEach(reason => reasons[reason]++);
+      }
+    }
+
+    return {
+      total: records.length,
+      upgradeRequired,
+      reasons
+    };
+  }
+
+  /**
+   * 監査実行
+   * @returns {Promise<Object>} summarize() の結果
+   */
+  async run() {
+    return this.summarize(await this.fetchRecords());
+  }
+
+  /**
+   * ヘルスチェック表示用の文字列
+   * @param {Object} summary - summarize() の結果
+   * @returns {string} 表示文字列
+   */
+  formatSummary(summary) {
+    if (summary.upgradeRequired === 0) {
+      return `全${summary.total}件が現行ポリシーのハッシュです`;
+    }
+
+    const details = Object.entries(summary.reasons)
+      .filter(([, count]) => count > 0)
+      .map(([reason, count]) => `${REASON_LABELS[reason]} ${count}件`)
+      .join('・');
+    return `更新が必要なレコード ${summary.upgradeRequired}件 / 全${summary.total}件 (${details})`;
+  }
+}
+
+HashPolicyAudit.HASH_FIELDS = HASH_FIELDS;
+HashPolicyAudit.REASON_LABELS = REASON_LABELS;
+
+module.exports = HashPolicyAudit;
@@ -9,6 +9,7 @@
 
 import { InputValidator } from './security/input-validator.js';
 import { Logger } from './common/logger.js';
+import CardFormatRegistry from './card-format-registry.js';
 
 /**
  * ICカード番号検証クラス
@@ -23,108 +24,8 @@ export class ICCardValidator {
         this.inputValidator = new InputValidator();
         this.logger = new Logger('ICCardValidator');
         
-        // ICカード番号パターン定義（実際の形式に基づく）
-        this.cardPatterns = {
-            // Suica/PASMO - JR東日本系（16桁）
-            'SUICA': {
-                pattern: /^[0-9]{16}$/,
-                length: 16,
-                checksum: true,
-                description: 'Suica/PASMO系ICカード',
-                issuer: 'JR東日本・関東私鉄',
-                regions: ['関東', '東海', '仙台', '新潟']
-            },
-            
-            // ICOCA - JR西日本系（16桁）
-            'ICOCA': {
-                pattern: /^[0-9]{16}$/,
-                length: 16,
-                checksum: true,
-                description: 'ICOCA系ICカード',
-                issuer: 'JR西日本・関西私鉄',
-                regions: ['関西', '中国', '四国']
-            },
-            
-            // manaca - 名古屋市交通局系（16桁）
-            'MANACA': {
-                pattern: /^[0-9]{16}$/,
-                length: 16,
-                checksum: true,
-                description: 'manaca系ICカード',
-                issuer: '名古屋市交通局・名古屋鉄道',
-                regions: ['名古屋', '東海']
-            },
-            
-            // TOICA - JR東海系（16桁）
-            'TOICA': {
-                pattern: /^[0-9]{16}$/,
-                length: 16,
-                checksum: true,
-                description: 'TOICA系ICカード',
-                issuer: 'JR東海',
-                regions: ['東海', '静岡']
-            },
-            
-            // SUGOCA - JR九州系（16桁）
-            'SUGOCA': {
-                pattern: /^[0-9]{16}$/,
-                length: 16,
-                checksum: true,
-                description: 'SUGOCA系ICカード',
-                issuer: 'JR九州・福岡市交通局',
-                regions: ['九州', '福岡']
-            },
-            
-            // Kitaca - JR北海道系（16桁）
-            'KITACA': {
-                pattern: /^[0-9]{16}$/,
-                length: 16,
-                checksum: true,
-                description: 'Kitaca系ICカード',
-                issuer: 'JR北海道・札幌市交通局',
-                regions: ['北海道', '札幌']
-            },
-            
-            // はやかけん - 福岡市交通局系（16桁）
-            'HAYAKAKEN': {
-                pattern: /^[0-9]{16}$/,
-                length: 16,
-                checksum: true,
-                description: 'はやかけん系ICカード',
-                issuer: '福岡市交通局',
-                regions: ['福岡']
-            },
-            
-            // nimoca - 西日本鉄道系（16桁）
-            'NIMOCA': {
-                pattern: /^[0-9]{16}$/,
-                length: 16,
-                checksum: true,
-                description: 'nimoca系ICカード',
-                issuer: '西日本鉄道',
-                regions: ['九州', '福岡', '熊本']
-            },
-            
-            // 企業系ICカード（社員証等、10-12桁）
-            'CORPORATE': {
-                pattern: /^[0-9]{10,12}$/,
-                length: [10, 11, 12],
-                checksum: false,
-                description: '企業系ICカード',
-                issuer: '各企業・団体',
-                regions: ['全国']
-            },
-            
-            // 学生証系ICカード（8-14桁）
-            'STUDENT': {
-                pattern: /^[0-9]{8,14}$/,
-                length: [8, 9, 10, 11, 12, 13, 14],
-                checksum: false,
-                description: '学生証系ICカード',
-                issuer: '各教育機関',
-                regions: ['全国']
-            }
-        };
+        // ICカード番号形式（全検証層で共通のレジストリ）
+        this.cardFormats = CardFormatRegistry.getDefault();
         
         // セキュリティ統計
         this.stats = {
@@ -166,72 +67,38 @@ export class ICCardValidator {
                 };
             }
             
-            // 長さチェック（4-20桁の範囲）
-            if (sanitizedNumber.length < 4 || sanitizedNumber.length > 20) {
-                this.stats.invalidCards++;
-                return {
-                    valid: false,
-                    error: 'INVALID_LENGTH',
-                    message: 'ICカード番号の桁数が正しくありません（4-20桁）',
-                    actualLength: sanitizedNumber.length
-                };
-            }
-            
-            // 数字のみチェック
-            if (!/^\d+$/.test(sanitizedNumber)) {
-                this.stats.invalidCards++;
-                return {
-                    valid: false,
-                    error: 'INVALID_FORMAT',
-                    message: 'ICカード番号は数字のみで入力してください'
-                };
-            }
-            
-            // カードタイプの判定
-            const cardType = this.detectCardType(sanitizedNumber);
+            // 形式検証とカードタイプの判定（カード番号形式レジストリ）
+            const normalizedNumber = CardFormatRegistry.normalize(sanitizedNumber);
+            const match = this.cardFormats.match(normalizedNumber);
             
-            if (!cardType) {
+            if (!match.valid) {
                 this.stats.invalidCards++;
                 return {
                     valid: false,
-                    error: 'UNKNOWN_CARD_TYPE',
-                    message: '認識できないICカード形式です',
-                    number: this.maskCardNumber(sanitizedNumber)
+                    error: match.format ? 'INVALID_FORMAT' : 'UNKNOWN_CARD_TYPE',
+                    message: match.errors[0],
+                    number: this.maskCardNumber(normalizedNumber)
                 };
             }
             
-            // チェックサム検証（対応カードのみ）
-            let checksumValid = true;
-            if (cardType.checksum) {
-                checksumValid = this.validateChecksum(sanitizedNumber, cardType.type);
-            }
-            
-            if (!checksumValid) {
-                this.stats.invalidCards++;
-                return {
-                    valid: false,
-                    error: 'INVALID_CHECKSUM',
-                    message: 'ICカード番号のチェックサムが正しくありません',
-                    cardType: cardType.type
-                };
-            }
+            const cardType = this.detectCardType(normalizedNumber);
             
             this.stats.validCards++;
             this.logger.info('Valid IC card detected', {
                 type: cardType.type,
                 issuer: cardType.issuer,
-                masked: this.maskCardNumber(sanitizedNumber)
+                masked: this.maskCardNumber(normalizedNumber)
             });
             
             return {
                 valid: true,
                 cardType: cardType.type,
                 issuer: cardType.issuer,
-                description: cardType.description,
+                description: cardType.displayName,
                 regions: cardType.regions,
-                number: this.maskCardNumber(sanitizedNumber),
-                rawNumber: sanitizedNumber, // セキュアなハッシュ用
-                checksum: checksumValid
+                number: this.maskCardNumber(normalizedNumber),
+                rawNumber: normalizedNumber, // セキュアなハッシュ用
+                checksum: cardType.checksum === 'luhn'
             };
             
         } catch (error) {
@@ -254,16 +121,8 @@ export class ICCardValidator {
      */
     detectCardType(cardNumber) {
         try {
-            for (const [type, config] of Object.entries(this.cardPatterns)) {
-                if (config.pattern.test(cardNumber)) {
-                    return {
-                        type,
-                        ...config
-                    };
-                }
-            }
-            
-            return null;
+            const format = this.cardFormats.detect(cardNumber);
+            return format ? { ...format } : null;
             
         } catch (error) {
             this.logger.error('Card type detection error', error);
@@ -279,27 +138,10 @@ export class ICCardValidator {
      */
     validateChecksum(cardNumber, cardType) {
         try {
-            // Luhnアルゴリズムによるチェックサム検証
-            const digits = cardNumber.split('').map(Number);
-            let sum = 0;
-            let alternate = false;
-            
-            // 右から左へ処理
-            for (let i = digits.length - 1; i >= 0; i--) {
-                let digit = digits[i];
-                
-                if (alternate) {
-                    digit *= 2;
-                    if (digit > 9) {
-                        digit -= 9;
-                    }
-                }
-                
-                sum += digit;
-                alternate = !alternate;
-            }
-            
-            return sum % 10 === 0;
+            // Luhnアルゴリズムによるチェックサム検証（接頭辞を除いた数字部分）
+            const format = this.cardFormats.get(cardType);
+            const prefix = format ? format.prefixes.find(p => cardNumber.startsWith(p)) || '' : '';
+            return CardFormatRegistry.luhn(cardNumber.slice(prefix.length));
             
         } catch (error) {
             this.logger.error('Checksum validation error', error);
@@ -313,15 +155,7 @@ export class ICCardValidator {
      * @returns {string} マスキングされた番号
      */
     maskCardNumber(cardNumber) {
-        if (!cardNumber || cardNumber.length < 4) {
-            return '****';
-        }
-        
-        const firstFour = cardNumber.substring(0, 4);
-        const lastFour = cardNumber.substring(cardNumber.length - 4);
-        const middle = '*'.repeat(cardNumber.length - 8);
-        
-        return `${firstFour}${middle}${lastFour}`;
+        return this.cardFormats.mask(cardNumber);
     }
     
     /**
@@ -332,7 +166,7 @@ export class ICCardValidator {
      */
     isRegionSupported(cardType, region) {
         try {
-            const cardConfig = this.cardPatterns[cardType];
+            const cardConfig = this.cardFormats.get(cardType);
             if (!cardConfig) {
                 return false;
             }
@@ -351,11 +185,11 @@ export class ICCardValidator {
      * @returns {Array} カードタイプ一覧
      */
     getSupportedCardTypes() {
-        return Object.keys(this.cardPatterns).map(type => ({
-            type,
-            description: this.cardPatterns[type].description,
-            issuer: this.cardPatterns[type].issuer,
-            regions: this.cardPatterns[type].regions
+        return this.cardFormats.getAll().map(format => ({
+            type: format.type,
+            description: format.displayName,
+            issuer: format.issuer,
+            regions: format.regions
         }));
     }
     
@@ -385,16 +219,12 @@ export class ICCardValidator {
                 return false;
             }
             
-            // 既存パターンの検証
-            if (config.pattern && !(config.pattern instanceof RegExp)) {
-                this.logger.warn('Invalid pattern provided for card type update');
-                return false;
-            }
-            
-            this.cardPatterns[cardType] = {
-                ...this.cardPatterns[cardType],
-                ...config
-            };
+            // 形式はレジストリで検証して登録（全検証層に反映）
+            this.cardFormats.register({
+                ...(this.cardFormats.get(cardType) || {}),
+                ...config,
+                type: cardType
+            });
             
             this.logger.info('Card validation rule updated', { cardType, config });
             return true;
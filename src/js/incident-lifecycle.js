@@ -0,0 +1,416 @@
+/**
+ * incident-lifecycle.js
+ * ICカード紛失インシデントのライフサイクル（状態遷移）管理
+ *
+ * 状態: 報告受付 → 利用停止済み → 捜索中 → 発見済み/再発行済み → 完了
+ * 報告フォーム・緊急報告ダイアログ・ダッシュボードは本モジュール経由で
+ * ステータスを書き込み、許可されていない遷移を防止する。
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @compliance IPA安全なウェブサイトの作り方準拠
+ */
+
+/**
+ * インシデント状態定義
+ * label はKintoneのステータスフィールドに保存される表示値
+ */
+const STATES = {
+  REPORTED: {
+    key: 'REPORTED',
+    label: '報告受付',
+    cssClass: 'status-received',
+    category: 'open',
+    terminal: false
+  },
+  PROVIDER_STOPPED: {
+    key: 'PROVIDER_STOPPED',
+    label: '利用停止済み',
+    cssClass: 'status-responding',
+    category: 'inProgress',
+    terminal: false
+  },
+  SEARCHING: {
+    key: 'SEARCHING',
+    label: '捜索中',
+    cssClass: 'status-investigating',
+    category: 'inProgress',
+    terminal: false
+  },
+  FOUND: {
+    key: 'FOUND',
+    label: '発見済み',
+    cssClass: 'status-found',
+    category: 'inProgress',
+    terminal: false
+  },
+  REPLACED: {
+    key: 'REPLACED',
+    label: '再発行済み',
+    cssClass: 'status-replaced',
+    category: 'inProgress',
+    terminal: false
+  },
+  CLOSED: {
+    key: 'CLOSED',
+    label: '完了',
+    cssClass: 'status-completed',
+    category: 'completed',
+    terminal: true
+  },
+  CANCELLED: {
+    key: 'CANCELLED',
+    label: 'キャンセル',
+    cssClass: 'status-cancelled',
+    category: 'cancelled',
+    terminal: true
+  }
+};
+
+/**
+ * 許可された遷移 (遷移元 → 遷移先一覧)
+ */
+const TRANSITIONS = {
+  REPORTED: ['PROVIDER_STOPPED', 'FOUND', 'CANCELLED'],
+  PROVIDER_STOPPED: ['SEARCHING', 'FOUND', 'REPLACED'],
+  SEARCHING: ['FOUND', 'REPLACED'],
+  FOUND: ['CLOSED'],
+  REPLACED: ['CLOSED'],
+  CLOSED: [],
+  CANCELLED: []
+};
+
+/**
+ * 旧バージョンで書き込まれたステータス値の読み替え
+ */
+const LEGACY_LABELS = {
+  '報告済み': 'REPORTED',
+  '緊急報告済み': 'REPORTED',
+  '対応待ち': 'REPORTED',
+  '対応中': 'PROVIDER_STOPPED',
+  '調査中': 'SEARCHING'
+};
+
+/**
+ * 状態遷移履歴サブテーブルのフィールドコード
+ */
+const HISTORY_FIELDS = {
+  from: 'history_from',
+  to: 'history_to',
+  actor: 'history_actor',
+  at: 'history_at',
+  note: 'history_note'
+};
+
+/**
+ * インシデントライフサイクル管理クラス
+ */
+class IncidentLifecycle {
+  constructor() {
+    // 遷移先状態ごとのガード条件
+    this.guards = {};
+    this._registerDefaultGuards();
+  }
+
+  /**
+   * 標準ガード条件の登録
+   * @private
+   */
+  _registerDefaultGuards() {
+    this.addGuard('PROVIDER_STOPPED', (context) => {
+      // 社員証: 入退館権限の停止をもって利用停止とする (badge-loss-workflow.js)
+      if (context.incidentCategory === 'badge') {
+        return context.accessRevoked ? null : '入退館権限の停止を完了してください';
+      }
+      if (!context.providerReferenceNumber) {
+        return '交通機関の受付番号を入力してください';
+      }
+      return null;
+    });
+
+    this.addGuard('FOUND', (context) => {
+      if (!context.foundAt) {
+        return '発見日時を入力してください';
+      }
+      return null;
+    });
+
+    // 再発行: 申請の登録後に再発行済みとし、受領確認まで完了にしない
+    // (交通系ICカードは card-replacement.js、社員証は badge-loss-workflow.js がコンテキストを生成)
+    this.addGuard('REPLACED', (context) => {
+      if (!context.replacementRequested) {
+        return '再発行の申請を登録してください';
+      }
+      return null;
+    });
+
+    this.addGuard('CLOSED', (context, fromState) => {
+      if (fromState === 'REPLACED' && !context.replacementConfirmed) {
+        return '再発行カードの受領確認が完了していません';
+      }
+      return null;
+    });
+
+    this.addGuard('CANCELLED', (context) => {
+      if (!context.note) {
+        return 'キャンセル理由を入力してください';
+      }
+      return null;
+    });
+  }
+
+  /**
+   * ガード条件追加
+   * ガード関数はエラーメッセージ(不可)またはnull(可)を返す
+   * @param {string} toState - 遷移先状態キー
+   * @param {Function} guard - (context, fromState) => string|null
+   */
+  addGuard(toState, guard) {
+    if (!STATES[toState]) {
+      throw new Error(`未定義の状態です: ${toState}`);
+    }
+    if (typeof guard !== 'function') {
+      throw new Error('ガード条件は関数で指定してください');
+    }
+
+    if (!this.guards[toState]) {
+      this.guards[toState] = [];
+    }
+    this.guards[toState].push(guard);
+  }
+
+  /**
+   * ステータス表示値から状態キーを解決
+   * @param {string} value - 状態キーまたはステータス表示値
+   * @returns {string|null} 状態キー
+   */
+  resolveState(value) {
+    if (!value) return null;
+    if (STATES[value]) return value;
+
+    const state = Object.values(STATES).find(s => s.label === value);
+    if (state) return state.key;
+
+    return LEGACY_LABELS[value] || null;
+  }
+
+  /**
+   * 状態定義取得
+   * @param {string} value - 状態キーまたはステータス表示値
+   * @returns {Object|null} 状態定義
+   */
+  getState(value) {
+    const key = this.resolveState(value);
+    return key ? STATES[key] : null;
+  }
+
+  /**
+   * ステータス表示値取得
+   * @param {string} value - 状態キーまたはステータス表示値
+   * @returns {string} 表示値 (不明な場合は入力値)
+   */
+  getLabel(value) {
+    const state = this.getState(value);
+    return state ? state.label : (value || '');
+  }
+
+  /**
+   * ステータスCSSクラス取得
+   * @param {string} value - 状態キーまたはステータス表示値
+   * @returns {string} CSSクラス
+   */
+  getCssClass(value) {
+    const state = this.getState(value);
+    return state ? state.cssClass : 'status-unknown';
+  }
+
+  /**
+   * 全状態一覧取得 (フィルター等の表示用)
+   * @returns {Array<Object>} 状態定義一覧
+   */
+  getAllStates() {
+    return Object.values(STATES).map(state => ({ ...state }));
+  }
+
+  /**
+   * 指定状態から遷移可能な状態一覧
+   * @param {string} value - 現在の状態キーまたは表示値
+   * @returns {Array<Object>} 遷移先状態定義一覧
+   */
+  getAvailableTransitions(value) {
+    const key = this.resolveState(value);
+    if (!key) return [];
+    return TRANSITIONS[key].map(toKey => ({ ...STATES[toKey] }));
+  }
+
+  /**
+   * 遷移可否判定
+   * @param {string} from - 現在の状態キーまたは表示値
+   * @param {string} to - 遷移先の状態キーまたは表示値
+   * @param {Object} context - 遷移コンテキスト
+   * @returns {Object} 判定結果 { allowed, errors }
+   */
+  canTransition(from, to, context = {}) {
+    const fromKey = this.resolveState(from);
+    const toKey = this.resolveState(to);
+    const errors = [];
+
+    if (!fromKey) {
+      errors.push(`不明な現在ステータスです: ${from}`);
+    }
+    if (!toKey) {
+      errors.push(`不明な遷移先ステータスです: ${to}`);
+    }
+    if (errors.length > 0) {
+      return { allowed: false, errors };
+    }
+
+    if (!TRANSITIONS[fromKey].includes(toKey)) {
+      return {
+        allowed: false,
+        errors: [`「${STATES[fromKey].label}」から「${STATES[toKey].label}」へは変更できません`]
+      };
+    }
+
+    if (!context.actor) {
+      errors.push('操作者が特定できません');
+    }
+
+    for (const guard of this.guards[toKey] || []) {
+      const message = guard(context, fromKey);
+      if (message) {
+        errors.push(message);
+      }
+    }
+
+    return {
+      allowed: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * 状態遷移実行
+   * @param {string} from - 現在の状態キーまたは表示値
+   * @param {string} to - 遷移先の状態キーまたは表示値
+   * @param {Object} context - 遷移コンテキスト
+   * @param {string} context.actor - 操作者 (ユーザーコード)
+   * @param {string} context.note - 備考
+   * @returns {Object} 遷移結果 { state, status, historyEntry }
+   */
+  transition(from, to, context = {}) {
+    const result = this.canTransition(from, to, context);
+    if (!result.allowed) {
+      throw new Error(`ステータス変更エラー: ${result.errors.join(', ')}`);
+    }
+
+    const fromKey = this.resolveState(from);
+    const toKey = this.resolveState(to);
+
+    return {
+      state: toKey,
+      status: STATES[toKey].label,
+      historyEntry: this._createHistoryEntry(fromKey, toKey, context)
+    };
+  }
+
+  /**
+   * 新規インシデントの初期状態生成
+   * @param {string} actor - 報告者 (ユーザーコード)
+   * @returns {Object} { state, status, historyEntry }
+   */
+  createInitialState(actor) {
+    const initial = IncidentLifecycle.INITIAL_STATE;
+    return {
+      state: initial,
+      status: STATES[initial].label,
+      historyEntry: this._createHistoryEntry(null, initial, {
+        actor,
+        note: '新規報告'
+      })
+    };
+  }
+
+  /**
+   * 履歴エントリ生成
+   * @param {string|null} fromKey - 遷移元
+   * @param {string} toKey - 遷移先
+   * @param {Object} context - 遷移コンテキスト
+   * @returns {Object} 履歴エントリ
+   * @private
+   */
+  _createHistoryEntry(fromKey, toKey, context) {
+    return {
+      from: fromKey ? STATES[fromKey].label : '',
+      to: STATES[toKey].label,
+      actor: context.actor || '',
+      at: new Date().toISOString(),
+      note: context.note || ''
+    };
+  }
+
+  /**
+   * 履歴エントリ配列をKintoneサブテーブル値に変換
+   * @param {Array<Object>} entries - 履歴エントリ
+   * @returns {Array<Object>} サブテーブル行
+   */
+  toHistoryTable(entries) {
+    return entries.map(entry => ({
+      value: {
+        [HISTORY_FIELDS.from]: { value: entry.from },
+        [HISTORY_FIELDS.to]: { value: entry.to },
+        [HISTORY_FIELDS.actor]: { value: entry.actor },
+        [HISTORY_FIELDS.at]: { value: entry.at },
+        [HISTORY_FIELDS.note]: { value: entry.note }
+      }
+    }));
+  }
+
+  /**
+   * Kintoneサブテーブル値を履歴エントリ配列に変換
+   * @param {Array<Object>} rows - サブテーブル行
+   * @returns {Array<Object>} 履歴エントリ
+   */
+  fromHistoryTable(rows) {
+    if (!Array.isArray(rows)) return [];
+
+    return rows.map(row => {
+      const cells = row.value || {};
+      return {
+        from: cells[HISTORY_FIELDS.from]?.value || '',
+        to: cells[HISTORY_FIELDS.to]?.value || '',
+        actor: cells[HISTORY_FIELDS.actor]?.value || '',
+        at: cells[HISTORY_FIELDS.at]?.value || '',
+        note: cells[HISTORY_FIELDS.note]?.value || ''
+      };
+    });
+  }
+
+  /**
+   * 状態カテゴリ判定 (統計用)
+   * @param {string} value - 状態キーまたは表示値
+   * @returns {string} open | inProgress | completed | cancelled | unknown
+   */
+  getCategory(value) {
+    const state = this.getState(value);
+    return state ? state.category : 'unknown';
+  }
+
+  /**
+   * 終了状態判定
+   * @param {string} value - 状態キーまたは表示値
+   * @returns {boolean} 終了状態か
+   */
+  isTerminal(value) {
+    const state = this.getState(value);
+    return state ? state.terminal : false;
+  }
+}
+
+IncidentLifecycle.STATES = STATES;
+IncidentLifecycle.TRANSITIONS = TRANSITIONS;
+IncidentLifecycle.HISTORY_FIELDS = HISTORY_FIELDS;
+IncidentLifecycle.INITIAL_STATE = 'REPORTED';
+
+module.exports = IncidentLifecycle;
@@ -0,0 +1,171 @@
+/**
+ * location-catalog.js
+ * 交通機関の路線・駅 (停留所) カタログ
+ *
+ * 各交通機関の serviceAreas (路線) と stops (路線ごとの駅・停留所) から
+ * 紛失場所の選択肢を生成し、選択された駅から担当交通機関を特定する。
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @compliance IPA安全なウェブサイトの作り方準拠
+ */
+
+const TransportationManager = require('./transportation-manager');
+
+/**
+ * 紛失場所のフィールドコード
+ */
+const LOCATION_FIELDS = {
+  providerId: 'loss_provider',
+  line: 'loss_line',
+  stop: 'loss_stop',
+  text: 'loss_location'
+};
+
+/**
+ * 路線の選択値で交通機関IDと路線名を区切る文字
+ */
+const ROUTE_SEPARATOR = '::';
+
+/**
+ * 駅・停留所が特定できない場所の集計名
+ */
+const UNSTRUCTURED_LABEL = 'その他 (自由記述)';
+
+/**
+ * 路線・駅カタログクラス
+ */
+class LocationCatalog {
+  /**
+   * @param {TransportationManager} transportationManager - 交通機関データ管理
+   */
+  constructor(transportationManager = new TransportationManager()) {
+    this.transportationManager = transportationManager;
+  }
+
+  /**
+   * 路線の選択値
+   * @param {string} providerId - 交通機関ID
+   * @param {string} line - 路線名
+   * @returns {string} 選択値
+   */
+  static toRouteValue(providerId, line) {
+    return `${providerId}${ROUTE_SEPARATOR}${line}`;
+  }
+
+  /**
+   * 路線の選択値を分解
+   * @param {string} value - 選択値
+   * @returns {Object|null} { providerId, line }
+   */
+  static parseRouteValue(value) {
+    const index = (value || '').indexOf(ROUTE_SEPARATOR);
+    if (index <= 0) return null;
+
+    return {
+      providerId: value.slice(0, index),
+      line: value.slice(index + ROUTE_SEPARATOR.length)
+    };
+  }
+
+  /**
+   * 駅名の表記ゆれを吸収 (末尾の「駅」、空白を除去)
+   * @param {string} name - 駅・停留所名
+   * @returns {string} 正規化済み名称
+   */
+  static normalizeStopName(name) {
+    return (name || '').replace(/[\s　]/g, '').replace(/駅$/, '');
+  }
+
+  /**
+   * 路線一覧 (交通機関ごと)
+   * @param {string} regionId - 地域ID (省略時は全地域)
+   * @returns {Promise<Array<Object>>} { providerId, providerName, category, line, value, stops }
+   */
+  async getRoutes(regionId) {
+    const providers = regionId
+      ? await this.transportationManager.getProvidersByRegion(regionId)
+      : Object.values((await this.transportationManager.getAllTransportationData()).transportationProviders);
+
+    return providers.flatMap(provider => (provider.serviceAreas || []).map(line => ({
+      providerId: provider.id,
+      providerName: provider.name,
+      category: provider.category,
+      line,
+      value: LocationCatalog.toRouteValue(provider.id, line),
+      stops: (provider.stops && provider.stops[line]) || []
+    })));
+  }
+
+  /**
+   * 路線の駅・停留所一覧
+   * @param {string} providerId - 交通機関ID
+   * @param {string} line - 路線名
+   * @returns {Promise<Array<string>>} 駅・停留所名
+   */
+  async getStops(providerId, line) {
+    const data = await this.transportationManager.getAllTransportationData();
+    const provider = data.transportationProviders[providerId];
+    if (!provider || !provider.stops) return [];
+
+    return provider.stops[line] || [];
+  }
+
+  /**
+   * 駅・停留所名から該当する交通機関・路線を検索
+   * @param {string} stopName - 駅・停留所名
+   * @param {string} regionId - 地域ID (省略時は全地域)
+   * @returns {Promise<Array<Object>>} { providerId, providerName, line }
+   */
+  async findByStop(stopName, regionId) {
+    const target = LocationCatalog.normalizeStopName(stopName);
+    if (!target) return [];
+
+    const routes = await this.getRoutes(regionId);
+    return routes
+      .filter(route => route.stops.some(stop => LocationCatalog.normalizeStopName(stop) === target))
+      .map(({ providerId, providerName, line }) => ({ providerId, providerName, line }));
+  }
+
+  /**
+   * 紛失場所の表示文字列
+   * @param {Object} location - 紛失場所
+   * @param {string} location.providerName - 交通機関名
+   * @param {string} location.line - 路線名
+   * @param {string} location.stop - 駅・停留所名
+   * @param {string} location.detail - 補足 (自由記述)
+   * @returns {string} 表示文字列 (例: "名古屋市営地下鉄 東山線 栄 (改札付近)")
+   */
+  formatLocation({ providerName, line, stop, detail } = {}) {
+    const base = [providerName, line, stop].filter(v => v).join(' ');
+    if (!base) return (detail || '').trim();
+
+    return detail && detail.trim() ? `${base} (${detail.trim()})` : base;
+  }
+
+  /**
+   * レコードの紛失場所を駅・停留所単位で集計
+   * 駅が選択されていないレコードは自由記述としてまとめる
+   * @param {Array<Object>} records - Kintoneレコード
+   * @returns {Array<Object>} { label, count } (件数の多い順)
+   */
+  groupByLocation(records) {
+    const groups = new Map();
+
+    records.forEach(record => {
+      const stop = LocationCatalog.normalizeStopName(record[LOCATION_FIELDS.stop]?.value);
+      const label = stop || UNSTRUCTURED_LABEL;
+      groups.set(label, (groups.get(label) || 0) + 1);
+    });
+
+    return [...groups.entries()]
+      .map(([label, count]) => ({ label, count }))
+      .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label, 'ja'));
+  }
+}
+
+LocationCatalog.LOCATION_FIELDS = LOCATION_FIELDS;
+LocationCatalog.UNSTRUCTURED_LABEL = UNSTRUCTURED_LABEL;
+
+module.exports = LocationCatalog;
@@ -0,0 +1,330 @@
+/**
+ * personal-data-request.js
+ * 本人からの開示・削除請求への対応 (個人情報保護法)
+ *
+ * 請求者の社員番号から、その社員が報告したレコードを検索する。社員番号は平文で保存していないため、
+ * 社員番号のハッシュが保存されたレコードを取得し、1件ずつ SecureHashManager で照合する。
+ * 該当したレコードは、項目名を日本語で記載したテキスト (開示用の書面) として出力できるほか、
+ * 個人情報の削除 (DataRetention の全区分を対象) またはレコードの削除を行う。
+ * 1回の請求の検索・出力・削除には同じ請求番号を付け、すべて監査ログに記録する。
+ * 社員番号そのものは監査ログに記録しない。
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @compliance IPA安全なウェブサイトの作り方準拠
+ */
+
+const { CommonUtils } = require('./common');
+const ContactAccess = require('./contact-access');
+const DataRetention = require('./data-retention');
+const FieldMapping = require('./field-mapping');
+const IncidentLifecycle = require('./incident-lifecycle');
+const ProcessWorkflow = require('./process-workflow');
+
+/**
+ * 監査イベント名
+ */
+const EVENTS = {
+  SEARCHED: 'DISCLOSURE_SEARCHED',
+  EXPORTED: 'DISCLOSURE_EXPORTED',
+  ANONYMIZED: 'DISCLOSURE_ANONYMIZED',
+  DELETED: 'DISCLOSURE_RECORD_DELETED'
+};
+
+/**
+ * 開示用の書面に記載する項目 (論理フィールド名)
+ */
+const PACKAGE_FIELDS = [
+  'report_type', 'reporter_name', 'reporter_department', 'contact_email', 'submitted_at',
+  'card_type', 'card_number_masked', 'loss_date', 'loss_provider', 'loss_line', 'loss_stop',
+  'loss_location', 'loss_circumstances', 'discovery_timing', 'actions_taken',
+  'status_note', 'found_at', 'found_location', 'reporter_ip', 'user_agent'
+];
+
+/**
+ * 一方向ハッシュで保存している項目 (値は開示できないため保存方法のみ記載)
+ */
+const HASHED_FIELDS = ['reporter_employee_id_hash', 'contact_phone_hash', 'card_number_hash'];
+
+/**
+ * レコード取得・削除の1回あたり件数 (Kintone API上限)
+ */
+const FETCH_LIMIT = 500;
+const DELETE_LIMIT = 100;
+
+/**
+ * 同時に実行する社員番号の照合の上限 (PBKDF2は重いため、候補数にかかわらず並列数を抑える)
+ */
+const VERIFY_CONCURRENCY = 4;
+
+/**
+ * 本人からの請求への対応クラス
+ */
+class PersonalDataRequest {
+  /**
+   * @param {SecureHashManager} hashManager - 社員番号の照合に使用
+   * @param {Object} options - オプション
+   * @param {FieldMapping} options.fieldMapping - フィールドコード対応付け
+   * @param {ContactAccess} options.contactAccess - 連絡先の復号 (省略時は連絡先を記載しない)
+   * @param {DataRetention} options.retention - 個人情報の削除
+   * @param {Object} options.auditLogger - 監査ログ (logAuditEvent(event, details) を持つオブジェクト)
+   * @param {string} options.requestId - 請求番号 (省略時は生成)
+   */
+  constructor(hashManager, options = {}) {
+    if (!hashManager) {
+      throw new Error('ハッシュ管理モジュールが指定されていません');
+    }
+
+    this.hashManager = hashManager;
+    this.fieldMapping = options.fieldMapping || new FieldMapping();
+    this.contactAccess = options.contactAccess || null;
+    this.auditLogger = options.auditLogger || null;
+    this.retention = options.retention || new DataRetention({}, {
+      fieldMapping: this.fieldMapping,
+      auditLogger: this.auditLogger
+    });
+    this.requestId = options.requestId || `DSR-${CommonUtils.formatDate(new Date(), 'YYYYMMDDHHmmss')}`;
+    this.lifecycle = new IncidentLifecycle();
+  }
+
+  /**
+   * 社員番号に一致するレコードの検索
+   * 照合にはハッシュ・ソルトのみ取得し、一致したレコードだけを全項目取得する
+   * @param {string} employeeId - 請求者の社員番号
+   * @returns {Promise<Array<Object>>} レコード (論理フィールド名で参照可能)
+   */
+  async findRecords(employeeId) {
+    const value = typeof employeeId === 'string' ? employeeId.trim() : '';
+    if (!value) {
+      throw new Error('社員番号を入力してください');
+    }
+    this._requireAuditLogger();
+
+    const hashCode = this.fieldMapping.code('reporter_employee_id_hash');
+    const hashFields = this.fieldMapping.getCodes(['reporter_employee_id_hash', 'reporter_employee_id_salt']);
+    const candidates = [];
+
+    // offset の上限 (10,000件) を超えても取得できるよう、レコードIDの昇順に続きから取得する
+    for (let lastId = 0; ;) {
+      const response = await kintone.api(kintone.api.url('/k/v1/records', true), 'GET', {
+        app: kintone.app.getId(),
+        query: `${hashCode} != "" and $id > ${lastId} order by $id asc limit ${FETCH_LIMIT}`,
+        fields: ['$id', ...hashFields]
+      });
+
+      const page = response.records || [];
+      candidates.push(...page.map(record => this.fieldMapping.fromRecord(record)));
+      if (page.length < FETCH_LIMIT) break;
+      lastId = page[page.length - 1].$id.value;
+    }
+
+    // 最大 VERIFY_CONCURRENCY 件ずつ照合 (各ワーカーが次のレコードを順に取り出す)
+    const results = new Array(candidates.length).fill(false);
+    let next = 0;
+    const worker = async () => {
+      while (next < candidates.length) {
+        const index = next++;
+        results[index] = await this.hashManager.verifyICCardNumber(
+          value,
+          candidates[index].reporter_employee_id_hash?.value,
+          candidates[index].reporter_employee_id_salt?.value
+        );
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(VERIFY_CONCURRENCY, candidates.length) }, worker));
+
+    const matched = await this._fetchByIds(candidates.filter((record, index) => results[index]).map(record => record.$id.value));
+
+    await this._audit(EVENTS.SEARCHED, {
+      checked: candidates.length,
+      recordIds: matched.map(record => record.$id?.value)
+    });
+    return matched;
+  }
+
+  /**
+   * 開示用の書面の作成
+   * @param {Array<Object>} records - findRecords() の結果
+   * @param {Map<string, Object>} contacts - レコードID → 復号した連絡先 (復号できなかったレコードは含まない)
+   * @param {Date} now - 作成日時
+   * @returns {string} 書面 (プレーンテキスト)
+   */
+  buildPackage(records, contacts = new Map(), now = new Date()) {
+    const labels = new Map(FieldMapping.FIELDS.map(field => [field.key, field.label]));
+    const lines = [
+      '保有個人データ開示書',
+      '',
+      `請求番号: ${this.requestId}`,
+      `作成日時: ${CommonUtils.formatDate(now)}`,
+      `対象件数: ${records.length}件`
+    ];
+
+    records.forEach((record, index) => {
+      const id = record.$id?.value;
+      lines.push('', `■ ${index + 1}. 報告 ${record.record_number?.value || id}`);
+      lines.push(`  ステータス: ${this._status(record) || '(未設定)'}`);
+
+      for (const key of PACKAGE_FIELDS) {
+        const value = record[key]?.value;
+        if (value) lines.push(`  ${labels.get(key)}: ${value}`);
+      }
+
+      for (const contact of ContactAccess.CONTACT_FIELDS) {
+        if (!record[contact.field]?.value) continue;
+        const decrypted = contacts.get(id)?.[contact.key];
+        lines.push(`  ${contact.label}: ${decrypted || '暗号化して保存 (復号権限がないため表示していません)'}`);
+      }
+
+      for (const key of HASHED_FIELDS) {
+        if (record[key]?.value) {
+          lines.push(`  ${labels.get(key)}: 一方向ハッシュで保存 (元の値は保有していません)`);
+        }
+      }
+
+      const history = this.lifecycle.fromHistoryTable(record.status_history?.value || []);
+      if (history.length > 0) {
+        lines.push('  対応履歴:');
+        history.forEach(entry => {
+          const at = entry.at ? CommonUtils.formatDate(new Date(entry.at), 'YYYY-MM-DD HH:mm') : '';
+          lines.push(`    ${at} ${entry.to}${entry.note ? ` (${entry.note})` : ''}`);
+        });
+      }
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * 開示用の書面の出力
+   * 連絡先は担当者グループ・再認証の条件を満たす場合のみ復号して記載する
+   * @param {Array<Object>} records - findRecords() の結果
+   * @param {Object} viewer - { user, token } (kintone.getLoginUser() の結果と再認証の確認トークン)
+   * @returns {Promise<Object>} { fileName, content }
+   */
+  async exportPackage(records, viewer = {}) {
+    const contacts = new Map();
+    if (this.contactAccess) {
+      for (const record of records) {
+        const encrypted = ContactAccess.CONTACT_FIELDS.some(contact => record[contact.field]?.value);
+        if (!encrypted) continue;
+
+        try {
+          contacts.set(record.$id?.value, await this.contactAccess.decryptContacts(record, viewer.user, viewer.token));
+        } catch (error) {
+          // 拒否・失敗は ContactAccess が監査ログに記録済み
+          console.warn('連絡先を復号できませんでした:', error.message);
+        }
+      }
+    }
+
+    const content = this.buildPackage(records, contacts);
+    await this._audit(EVENTS.EXPORTED, {
+      recordIds: records.map(record => record.$id?.value),
+      contactsIncluded: contacts.size
+    });
+
+    return { fileName: `personal-data-${this.requestId}.txt`, content };
+  }
+
+  /**
+   * 個人情報の削除 (集計に使用する項目は残す)
+   * @param {Array<Object>} records - findRecords() の結果
+   * @returns {Promise<Object>} { purged, failed, errors } (DataRetention.apply() の結果)
+   */
+  async anonymize(records) {
+    this._requireAuditLogger();
+
+    return this.retention.apply(this.retention.planAll(records), {
+      event: EVENTS.ANONYMIZED,
+      details: { requestId: this.requestId }
+    });
+  }
+
+  /**
+   * レコードの削除
+   * @param {Array<Object>} records - findRecords() の結果
+   * @returns {Promise<Object>} { deleted, failed, errors } (レコードID)
+   */
+  async deleteRecords(records) {
+    this._requireAuditLogger();
+
+    const result = { deleted: [], failed: [], errors: [] };
+    const ids = records.map(record => record.$id?.value);
+
+    for (let i = 0; i < ids.length; i += DELETE_LIMIT) {
+      const chunk = ids.slice(i, i + DELETE_LIMIT);
+      try {
+        await kintone.api(kintone.api.url('/k/v1/records', true), 'DELETE', {
+          app: kintone.app.getId(),
+          ids: chunk.map(Number)
+        });
+      } catch (error) {
+        result.failed.push(...chunk);
+        result.errors.push(error);
+        continue;
+      }
+
+      for (const id of chunk) {
+        await this._audit(EVENTS.DELETED, { recordId: id });
+        result.deleted.push(id);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * レコードIDによるレコードの取得
+   * @param {Array<string>} ids - レコードID
+   * @returns {Promise<Array<Object>>} レコード (論理フィールド名で参照可能)
+   * @private
+   */
+  async _fetchByIds(ids) {
+    const records = [];
+    for (let i = 0; i < ids.length; i += FETCH_LIMIT) {
+      const response = await kintone.api(kintone.api.url('/k/v1/records', true), 'GET', {
+        app: kintone.app.getId(),
+        query: `$id in (${ids.slice(i, i + FETCH_LIMIT).join(', ')}) order by $id asc limit ${FETCH_LIMIT}`
+      });
+      records.push(...(response.records || []).map(record => this.fieldMapping.fromRecord(record)));
+    }
+    return records;
+  }
+
+  /**
+   * レコードのステータス (プロセス管理を使用する場合はプロセス管理のステータス)
+   * @param {Object} record - レコード
+   * @returns {string} ステータス
+   * @private
+   */
+  _status(record) {
+    return record[ProcessWorkflow.PROCESS_FIELDS.status]?.value || record.status?.value || '';
+  }
+
+  /**
+   * 監査ログの設定確認 (記録できない状態では検索・削除を行わない)
+   * @private
+   */
+  _requireAuditLogger() {
+    if (!this.auditLogger) {
+      throw new Error('監査ログが設定されていません');
+    }
+  }
+
+  /**
+   * 監査ログ記録 (記録できない場合は処理を中断する)
+   * @param {string} event - イベント名
+   * @param {Object} details - 詳細情報
+   * @private
+   */
+  async _audit(event, details) {
+    this._requireAuditLogger();
+    await this.auditLogger.logAuditEvent(event, { requestId: this.requestId, ...details });
+  }
+}
+
+PersonalDataRequest.EVENTS = EVENTS;
+PersonalDataRequest.VERIFY_CONCURRENCY = VERIFY_CONCURRENCY;
+
+module.exports = PersonalDataRequest;
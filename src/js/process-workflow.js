@@ -0,0 +1,234 @@
+/**
+ * process-workflow.js
+ * Kintoneプロセス管理との連携
+ *
+ * アプリのプロセス管理設定 (/k/v1/app/status) を読み込み、ステータスの変更を
+ * アクションの実行 (/k/v1/record/status) で行う。作業者はプラグイン設定の
+ * 対応担当者 (handler_user_codes、Kintoneのログイン名) から設定する (/k/v1/record/assignees)。
+ * プロセス管理が無効なアプリでは従来どおり status フィールドを使用する。
+ * 遷移可否の判定 (ガード条件) は IncidentLifecycle が引き続き担当するため、プロセス管理の
+ * ステータス名は IncidentLifecycle のステータス (報告受付、捜索中 等) と一致している必要がある。
+ * 一致しないステータスがある場合は読み込み時に設定エラーとする。
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @compliance IPA安全なウェブサイトの作り方準拠
+ */
+
+const UserCodes = require('./user-codes');
+const IncidentLifecycle = require('./incident-lifecycle');
+
+/**
+ * プロセス管理のフィールドコード (REST APIのレコードに含まれる)
+ */
+const PROCESS_FIELDS = {
+  status: 'ステータス',
+  assignee: '作業者'
+};
+
+/**
+ * ステータス名の不一致エラーのコード
+ */
+const STATUS_MISMATCH_ERROR_CODE = 'PROCESS_STATUS_MISMATCH';
+
+/**
+ * プロセス管理連携クラス
+ */
+class ProcessWorkflow {
+  /**
+   * @param {Object} options - オプション
+   * @param {number} options.appId - アプリID
+   * @param {Array<string>} options.assignees - 作業者に設定するユーザーコード
+   */
+  constructor(options = {}) {
+    this.appId = options.appId || null;
+    this.assignees = options.assignees || [];
+    this.definition = null;
+  }
+
+  /**
+   * プラグイン設定から作業者を取得
+   * @param {Object} config - kintone.plugin.app.getConfig() の結果
+   * @returns {Array<string>} ユーザーコード (対応担当者のログイン名)
+   */
+  static assigneesFromConfig(config = {}) {
+    return UserCodes.fromConfig(config, 'handlers');
+  }
+
+  /**
+   * ステータス名の不一致エラーか
+   * @param {Error} error - エラー
+   * @returns {boolean} ステータス名の不一致エラーかどうか
+   */
+  static isStatusMismatchError(error) {
+    return Boolean(error) && error.code === STATUS_MISMATCH_ERROR_CODE;
+  }
+
+  /**
+   * プロセス管理設定の読み込み
+   * ライフサイクルのステータスに対応しないステータスがある場合は設定エラー (isStatusMismatchError)
+   * @returns {Promise<boolean>} プロセス管理が有効かどうか
+   */
+  async load() {
+    this.definition = await kintone.api(kintone.api.url('/k/v1/app/status', true), 'GET', {
+      app: this.appId
+    });
+
+    const unmapped = this.getUnmappedStatuses();
+    if (unmapped.length > 0) {
+      const labels = new IncidentLifecycle().getAllStates().map(state => `「${state.label}」`).join('');
+      throw Object.assign(new Error(
+        `プロセス管理のステータス${unmapped.map(name => `「${name}」`).join('')}はプラグインのステータスに対応していません。` +
+        `プロセス管理のステータス名を${labels}のいずれかに変更してください`
+      ), { code: STATUS_MISMATCH_ERROR_CODE });
+    }
+    return this.isEnabled();
+  }
+
+  /**
+   * ライフサイクルのステータスに対応しないプロセス管理のステータス
+   * @returns {Array<string>} ステータス名
+   */
+  getUnmappedStatuses() {
+    const labels = new IncidentLifecycle().getAllStates().map(state => state.label);
+    return this.getStatusNames().filter(name => !labels.includes(name));
+  }
+
+  /**
+   * プロセス管理が有効か
+   * @returns {boolean} 有効かどうか
+   */
+  isEnabled() {
+    return !!(this.definition && this.definition.enable);
+  }
+
+  /**
+   * ステータス名一覧 (プロセス管理の並び順)
+   * @returns {Array<string>} ステータス名
+   */
+  getStatusNames() {
+    if (!this.isEnabled()) return [];
+
+    return Object.values(this.definition.states)
+      .sort((a, b) => Number(a.index) - Number(b.index))
+      .map(state => state.name);
+  }
+
+  /**
+   * 現在のステータスから実行できるアクション
+   * @param {string} status - 現在のステータス
+   * @returns {Array<Object>} アクション { name, from, to }
+   */
+  getActions(status) {
+    if (!this.isEnabled()) return [];
+    return (this.definition.actions || []).filter(action => action.from === status);
+  }
+
+  /**
+   * 遷移に対応するアクション
+   * @param {string} from - 現在のステータス
+   * @param {string} to - 遷移先のステータス
+   * @returns {Object|null} アクション
+   */
+  findAction(from, to) {
+    return this.getActions(from).find(action => action.to === to) || null;
+  }
+
+  /**
+   * レコードのステータス
+   * @param {Object} record - レコード
+   * @returns {string} ステータス
+   */
+  getStatus(record) {
+    return this.isEnabled()
+      ? record[PROCESS_FIELDS.status]?.value || ''
+      : record.status?.value || '';
+  }
+
+  /**
+   * レコードの作業者名
+   * @param {Object} record - レコード
+   * @returns {Array<string>} 作業者名
+   */
+  getAssigneeNames(record) {
+    return (record[PROCESS_FIELDS.assignee]?.value || []).map(user => user.name || user.code);
+  }
+
+  /**
+   * プロセス管理のステータス・作業者を status / assignee に反映
+   * 画面表示・フィルターはプロセス管理の有無にかかわらず status / assignee を参照する
+   * @param {Object} record - レコード
+   * @returns {Object} 反映後のレコード
+   */
+  applyToRecord(record) {
+    if (!this.isEnabled()) return record;
+
+    return {
+      ...record,
+      status: { value: this.getStatus(record) },
+      assignee: { value: this.getAssigneeNames(record).join(', ') }
+    };
+  }
+
+  /**
+   * アクションの実行によるステータス変更
+   * @param {Object} record - レコード ($id・$revision を含む)
+   * @param {string} toStatus - 遷移先のステータス
+   * @returns {Promise<string>} 更新後のリビジョン
+   */
+  async proceed(record, toStatus) {
+    const fromStatus = this.getStatus(record);
+    const action = this.findAction(fromStatus, toStatus);
+    if (!action) {
+      throw new Error(`「${fromStatus}」から「${toStatus}」へ進めるアクションがプロセス管理に設定されていません`);
+    }
+
+    const params = {
+      app: this.appId,
+      id: record.$id?.value,
+      action: action.name,
+      revision: record.$revision?.value
+    };
+
+    // 作業者を1人選択する設定のステータスには対応担当者の先頭を指定
+    const nextState = this.definition.states[toStatus];
+    if (nextState?.assignee?.type === 'ONE') {
+      if (this.assignees.length === 0) {
+        throw new Error('作業者に設定する対応担当者 (Kintoneのログイン名) が登録されていません');
+      }
+      params.assignee = this.assignees[0];
+    }
+
+    const response = await kintone.api(kintone.api.url('/k/v1/record/status', true), 'PUT', params);
+    return response.revision;
+  }
+
+  /**
+   * 作業者の設定
+   * @param {string|number} recordId - レコードID
+   * @param {string} revision - リビジョン (省略時は確認しない)
+   * @returns {Promise<string|null>} 更新後のリビジョン (作業者がいない場合はnull)
+   */
+  async assign(recordId, revision) {
+    if (!this.isEnabled() || this.assignees.length === 0) {
+      return null;
+    }
+
+    const params = {
+      app: this.appId,
+      id: recordId,
+      assignees: this.assignees
+    };
+    if (revision) {
+      params.revision = revision;
+    }
+
+    const response = await kintone.api(kintone.api.url('/k/v1/record/assignees', true), 'PUT', params);
+    return response.revision;
+  }
+}
+
+ProcessWorkflow.PROCESS_FIELDS = PROCESS_FIELDS;
+
+module.exports = ProcessWorkflow;
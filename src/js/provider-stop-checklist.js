@@ -0,0 +1,249 @@
+/**
+ * provider-stop-checklist.js
+ * 交通機関別 ICカード利用停止チェックリスト
+ *
+ * transportation-config.json の stopProcedure (method / requiredInfo /
+ * additionalSteps / urgencyLevel) からインシデントごとのチェックリストを生成し、
+ * 各手順の完了者・完了日時・交通機関受付番号を記録する。
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @compliance IPA安全なウェブサイトの作り方準拠
+ */
+
+const TransportationManager = require('./transportation-manager');
+
+/**
+ * チェックリストサブテーブルのフィールドコード
+ */
+const CHECKLIST_FIELDS = {
+  stepId: 'checklist_step_id',
+  providerId: 'checklist_provider_id',
+  providerName: 'checklist_provider_name',
+  category: 'checklist_category',
+  label: 'checklist_label',
+  urgencyLevel: 'checklist_urgency',
+  completed: 'checklist_completed',
+  completedBy: 'checklist_completed_by',
+  completedAt: 'checklist_completed_at',
+  referenceNumber: 'checklist_reference'
+};
+
+/**
+ * 完了済みを表すサブテーブル値
+ */
+const COMPLETED_VALUE = '完了';
+
+/**
+ * 交通機関別利用停止チェックリストクラス
+ */
+class ProviderStopChecklist {
+  /**
+   * @param {TransportationManager} transportationManager - 交通機関データ管理
+   */
+  constructor(transportationManager = new TransportationManager()) {
+    this.transportationManager = transportationManager;
+  }
+
+  /**
+   * 選択可能な交通機関一覧取得
+   * @returns {Promise<Array<Object>>} { id, name, urgencyLevel }
+   */
+  async getProviderOptions() {
+    const data = await this.transportationManager.getAllTransportationData();
+    return Object.entries(data.transportationProviders).map(([id, provider]) => ({
+      id,
+      name: provider.name,
+      urgencyLevel: provider.stopProcedure.urgencyLevel
+    }));
+  }
+
+  /**
+   * 交通機関のチェックリスト生成
+   * @param {string} providerId - 交通機関ID
+   * @returns {Promise<Array<Object>>} チェックリスト手順
+   */
+  async createChecklist(providerId) {
+    const provider = await this.transportationManager.getTransportationData(providerId);
+    const procedure = await this.transportationManager.getStopProcedure(providerId);
+
+    const base = {
+      providerId,
+      providerName: provider.name,
+      urgencyLevel: procedure.urgencyLevel
+    };
+
+    const steps = [{
+      ...base,
+      stepId: `${providerId}:contact`,
+      category: 'contact',
+      label: `${procedure.method}による利用停止依頼 (${provider.contact.phone} / ${procedure.processingTime})`
+    }];
+
+    (procedure.requiredInfo || []).forEach((info, index) => {
+      steps.push({
+        ...base,
+        stepId: `${providerId}:info-${index + 1}`,
+        category: 'requiredInfo',
+        label: `${info}を伝達`
+      });
+    });
+
+    (procedure.additionalSteps || []).forEach((step, index) => {
+      steps.push({
+        ...base,
+        stepId: `${providerId}:step-${index + 1}`,
+        category: 'additional',
+        label: step
+      });
+    });
+
+    return steps.map(step => ({
+      ...step,
+      completed: false,
+      completedBy: '',
+      completedAt: '',
+      referenceNumber: ''
+    }));
+  }
+
+  /**
+   * 既存チェックリストへ交通機関の手順を追加
+   * @param {Array<Object>} checklist - 既存チェックリスト
+   * @param {string} providerId - 交通機関ID
+   * @returns {Promise<Array<Object>>} 追加後のチェックリスト
+   */
+  async addProvider(checklist, providerId) {
+    if (checklist.some(step => step.providerId === providerId)) {
+      throw new Error('この交通機関の手順は既に追加されています');
+    }
+
+    const steps = await this.createChecklist(providerId);
+    return checklist.concat(steps);
+  }
+
+  /**
+   * 手順完了記録
+   * 利用停止依頼 (contact) の手順は交通機関受付番号が必須
+   * @param {Array<Object>} checklist - チェックリスト
+   * @param {string} stepId - 手順ID
+   * @param {Object} context - 完了情報
+   * @param {string} context.actor - 完了者 (ユーザーコード)
+   * @param {string} context.referenceNumber - 交通機関受付番号
+   * @returns {Array<Object>} 更新後のチェックリスト
+   */
+  completeStep(checklist, stepId, context = {}) {
+    const target = checklist.find(step => step.stepId === stepId);
+    if (!target) {
+      throw new Error(`チェックリストの手順が見つかりません: ${stepId}`);
+    }
+    if (target.completed) {
+      throw new Error('この手順は既に完了しています');
+    }
+    if (!context.actor) {
+      throw new Error('操作者が特定できません');
+    }
+    if (target.category === 'contact' && !context.referenceNumber) {
+      throw new Error('交通機関の受付番号を入力してください');
+    }
+
+    return checklist.map(step => step.stepId !== stepId ? step : {
+      ...step,
+      completed: true,
+      completedBy: context.actor,
+      completedAt: new Date().toISOString(),
+      referenceNumber: context.referenceNumber || ''
+    });
+  }
+
+  /**
+   * 未完了手順取得
+   * @param {Array<Object>} checklist - チェックリスト
+   * @returns {Array<Object>} 未完了手順
+   */
+  getOpenSteps(checklist) {
+    return checklist.filter(step => !step.completed);
+  }
+
+  /**
+   * 進捗取得
+   * @param {Array<Object>} checklist - チェックリスト
+   * @returns {Object} { total, completed, percentage }
+   */
+  getProgress(checklist) {
+    const total = checklist.length;
+    const completed = checklist.filter(step => step.completed).length;
+
+    return {
+      total,
+      completed,
+      percentage: total > 0 ? Math.round((completed / total) * 100) : 0
+    };
+  }
+
+  /**
+   * 交通機関の受付番号取得 (利用停止依頼手順から)
+   * @param {Array<Object>} checklist - チェックリスト
+   * @returns {string} 受付番号 (複数の場合はカンマ区切り)
+   */
+  getReferenceNumbers(checklist) {
+    return checklist
+      .filter(step => step.category === 'contact' && step.referenceNumber)
+      .map(step => step.referenceNumber)
+      .join(', ');
+  }
+
+  /**
+   * チェックリストをKintoneサブテーブル値に変換
+   * @param {Array<Object>} checklist - チェックリスト
+   * @returns {Array<Object>} サブテーブル行
+   */
+  toSubtable(checklist) {
+    return checklist.map(step => ({
+      value: {
+        [CHECKLIST_FIELDS.stepId]: { value: step.stepId },
+        [CHECKLIST_FIELDS.providerId]: { value: step.providerId },
+        [CHECKLIST_FIELDS.providerName]: { value: step.providerName },
+        [CHECKLIST_FIELDS.category]: { value: step.category },
+        [CHECKLIST_FIELDS.label]: { value: step.label },
+        [CHECKLIST_FIELDS.urgencyLevel]: { value: step.urgencyLevel },
+        [CHECKLIST_FIELDS.completed]: { value: step.completed ? COMPLETED_VALUE : '' },
+        [CHECKLIST_FIELDS.completedBy]: { value: step.completedBy },
+        [CHECKLIST_FIELDS.completedAt]: { value: step.completedAt },
+        [CHECKLIST_FIELDS.referenceNumber]: { value: step.referenceNumber }
+      }
+    }));
+  }
+
+  /**
+   * Kintoneサブテーブル値をチェックリストに変換
+   * @param {Array<Object>} rows - サブテーブル行
+   * @returns {Array<Object>} チェックリスト
+   */
+  fromSubtable(rows) {
+    if (!Array.isArray(rows)) return [];
+
+    return rows.map(row => {
+      const cells = row.value || {};
+      const read = (field) => cells[CHECKLIST_FIELDS[field]]?.value || '';
+
+      return {
+        stepId: read('stepId'),
+        providerId: read('providerId'),
+        providerName: read('providerName'),
+        category: read('category'),
+        label: read('label'),
+        urgencyLevel: read('urgencyLevel'),
+        completed: read('completed') === COMPLETED_VALUE,
+        completedBy: read('completedBy'),
+        completedAt: read('completedAt'),
+        referenceNumber: read('referenceNumber')
+      };
+    });
+  }
+}
+
+ProviderStopChecklist.CHECKLIST_FIELDS = CHECKLIST_FIELDS;
+
+module.exports = ProviderStopChecklist;
@@ -0,0 +1,364 @@
+/**
+ * rate-limiter.js
+ * 報告送信・拾得カード照合・攻撃と判定された入力に対するレート制限
+ *
+ * SecurityConfig の rateLimit ポリシーをユーザー単位で適用する。
+ * - maxRequestsPerMinute: 1分間の操作 (報告送信・拾得カード照合) の上限
+ * - maxFailedAttemptsPerHour: 1時間の失敗 (照合の不一致・攻撃と判定された入力) の上限
+ * - lockoutDurationMinutes: 上限を超えた場合の利用制限時間
+ * カウンターは専用のKintoneアプリにユーザーごとに1レコードで保存し、端末・タブをまたいで共有する。
+ * ロックアウト時は監査ログに記録し、管理者 (admin_user_codes、Kintoneのログイン名) にカウンターレコードのコメントで通知する。
+ *
+ * カウンターアプリの設定:
+ * - user_code (文字列1行) は「値の重複を禁止する」を有効にする
+ * - request_window・failure_window (数値、期間の開始時刻のミリ秒)、request_count・failure_count (数値)、
+ *   locked_until (日時)、lock_reason (文字列1行)
+ * - locked_until を空にするとロックアウトを解除できる
+ * 制限はブラウザ上で適用するため、REST APIを直接利用する操作は対象外となる。
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @compliance IPA安全なウェブサイトの作り方準拠
+ */
+
+const UserCodes = require('./user-codes');
+
+/**
+ * カウンターアプリのフィールドコード
+ */
+const FIELDS = {
+  user: 'user_code',
+  requestWindow: 'request_window',
+  requestCount: 'request_count',
+  failureWindow: 'failure_window',
+  failureCount: 'failure_count',
+  lockedUntil: 'locked_until',
+  lockReason: 'lock_reason'
+};
+
+/**
+ * ロックアウトの理由
+ */
+const LOCK_REASONS = {
+  REQUESTS: 'REQUEST_RATE',
+  FAILURES: 'FAILED_ATTEMPTS'
+};
+
+/**
+ * ロックアウト中のエラーコード
+ */
+const LOCKED_ERROR_CODE = 'RATE_LIMIT_LOCKED';
+
+/**
+ * カウンター更新の競合 (同時操作) 時の再試行回数
+ */
+const MAX_UPDATE_ATTEMPTS = 3;
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/**
+ * レート制限クラス
+ */
+class RateLimiter {
+  /**
+   * @param {Object} policy - SecurityConfig の rateLimit と同形式
+   * @param {Object} options - オプション
+   * @param {number} options.appId - カウンターアプリのID
+   * @param {Object} options.auditLogger - 監査ログ (logAuditEvent(event, details) を持つオブジェクト)
+   * @param {Array<string>} options.adminRecipients - ロックアウトの通知先 (ユーザーコード / メールアドレス)
+   */
+  constructor(policy = {}, options = {}) {
+    if (!options.appId) {
+      throw new Error('レート制限のカウンターアプリが指定されていません');
+    }
+
+    this.policy = policy;
+    this.appId = options.appId;
+    this.auditLogger = options.auditLogger || null;
+    this.adminRecipients = options.adminRecipients || [];
+  }
+
+  /**
+   * プラグイン設定からポリシーを取得 (未設定の項目は SecurityConfig の既定値を使用)
+   * カウンターアプリ未設定の場合は制限を適用できないため無効とする
+   * @param {Object} config - kintone.plugin.app.getConfig() の結果
+   * @returns {Object} SecurityConfig.loadConfig() の rateLimit
+   */
+  static policyFromConfig(config = {}) {
+    const policy = {
+      enabled: config.rate_limit_enabled !== 'false' && Boolean(parseInt(config.rate_limit_app_id, 10))
+    };
+    const limits = {
+      maxRequestsPerMinute: config.rate_limit_requests_per_minute,
+      maxFailedAttemptsPerHour: config.rate_limit_failures_per_hour,
+      lockoutDurationMinutes: config.rate_limit_lockout_minutes
+    };
+
+    for (const [key, value] of Object.entries(limits)) {
+      const num = parseInt(value, 10);
+      if (num > 0) policy[key] = num;
+    }
+    return policy;
+  }
+
+  /**
+   * プラグイン設定から生成
+   * @param {Object} config - kintone.plugin.app.getConfig() の結果
+   * @param {SecurityConfig} securityConfig - ポリシーの既定値・監査ログ
+   * @returns {RateLimiter|null} レート制限が無効の場合はnull
+   */
+  static fromConfig(config, securityConfig) {
+    const policy = { ...securityConfig.config.rateLimit, ...RateLimiter.policyFromConfig(config) };
+    if (!policy.enabled) {
+      return null;
+    }
+
+    return new RateLimiter(policy, {
+      appId: parseInt(config.rate_limit_app_id, 10),
+      auditLogger: securityConfig,
+      adminRecipients: UserCodes.fromConfig(config, 'admins')
+    });
+  }
+
+  /**
+   * ロックアウト中のエラーか
+   * @param {Error} error - エラー
+   * @returns {boolean} ロックアウト中のエラーかどうか
+   */
+  static isLockedError(error) {
+    return Boolean(error) && error.code === LOCKED_ERROR_CODE;
+  }
+
+  /**
+   * ロックアウトの表示用文字列
+   * @param {Date} lockedUntil - 制限の終了日時
+   * @returns {string} 表示文字列
+   */
+  static formatLockout(lockedUntil) {
+    const time = lockedUntil.toLocaleTimeString('ja-JP', { hour: '2-digit', minute: '2-digit' });
+    return `操作の回数が上限を超えたため、${time}まで利用を制限しています。` +
+      'お急ぎの場合は管理者に連絡してください';
+  }
+
+  /**
+   * 操作の実行 (操作回数を記録してから実行する)
+   * @param {string} action - 操作名 (監査ログ用)
+   * @param {Function} operation - 実行する処理
+   * @returns {Promise<*>} 処理の結果
+   */
+  async run(action, operation) {
+    await this.consume(action);
+    return operation();
+  }
+
+  /**
+   * 操作回数の記録
+   * ロックアウト中、または上限を超えた場合は実行させない
+   * @param {string} action - 操作名 (監査ログ用)
+   * @returns {Promise<Object>} カウンターの状態
+   */
+  async consume(action) {
+    const state = await this._update((counter, now) => {
+      if (now - counter.requestWindow >= MINUTE) {
+        counter.requestWindow = now;
+        counter.requestCount = 0;
+      }
+      counter.requestCount++;
+      return counter.requestCount > this.policy.maxRequestsPerMinute ? LOCK_REASONS.REQUESTS : null;
+    }, action);
+
+    if (state.lockedUntil) {
+      throw RateLimiter._lockedError(state.lockedUntil);
+    }
+    return state;
+  }
+
+  /**
+   * 失敗の記録 (照合の不一致・攻撃と判定された入力)
+   * @param {string} action - 操作名 (監査ログ用)
+   * @returns {Promise<Object>} カウンターの状態 (lockedUntil が設定されている場合はロックアウト中)
+   */
+  async recordFailure(action) {
+    return this._update((counter, now) => {
+      if (now - counter.failureWindow >= HOUR) {
+        counter.failureWindow = now;
+        counter.failureCount = 0;
+      }
+      counter.failureCount++;
+      return counter.failureCount > this.policy.maxFailedAttemptsPerHour ? LOCK_REASONS.FAILURES : null;
+    }, action);
+  }
+
+  /**
+   * カウンターの更新 (リビジョン競合・重複時は取得し直して再試行)
+   * @param {Function} count - (counter, now) => ロックアウトの理由 (上限内の場合はnull)
+   * @param {string} action - 操作名
+   * @returns {Promise<Object>} カウンターの状態
+   * @private
+   */
+  async _update(count, action) {
+    const user = kintone.getLoginUser();
+
+    for (let attempt = 1; ; attempt++) {
+      const now = Date.now();
+      const { record, counter } = await this._load(user.code);
+
+      // ロックアウト中は回数を記録しない
+      if (counter.lockedUntil && counter.lockedUntil.getTime() > now) {
+        return counter;
+      }
+      counter.lockedUntil = null;
+
+      const reason = count(counter, now);
+      if (reason) {
+        // 日時フィールドは分単位で保存されるため切り上げる
+        counter.lockedUntil = new Date(Math.ceil((now + this.policy.lockoutDurationMinutes * MINUTE) / MINUTE) * MINUTE);
+        counter.lockReason = reason;
+        counter.requestCount = 0;
+        counter.failureCount = 0;
+      }
+
+      try {
+        const id = await this._save(record, user.code, counter);
+        if (reason) {
+          await this._notifyLockout(id, user.code, counter, action);
+        }
+        return counter;
+      } catch (error) {
+        // リビジョン競合・ユーザーの重複 (他端末で同時に操作) 以外、または再試行の上限に達した場合は中止
+        if (attempt >= MAX_UPDATE_ATTEMPTS || !error || !['GAIA_CO02', 'CB_VA01'].includes(error.code)) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * ユーザーのカウンター取得
+   * @param {string} userCode - ユーザーコード
+   * @returns {Promise<Object>} { record (未作成の場合はnull), counter }
+   * @private
+   */
+  async _load(userCode) {
+    const escaped = userCode.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    const response = await kintone.api(kintone.api.url('/k/v1/records', true), 'GET', {
+      app: this.appId,
+      query: `${FIELDS.user} = "${escaped}" limit 1`,
+      fields: ['$id', '$revision', ...Object.values(FIELDS)]
+    });
+    const record = (response.records || [])[0] || null;
+    const value = (field) => (record ? record[field].value : '');
+
+    return {
+      record,
+      counter: {
+        requestWindow: Number(value(FIELDS.requestWindow)) || 0,
+        requestCount: Number(value(FIELDS.requestCount)) || 0,
+        failureWindow: Number(value(FIELDS.failureWindow)) || 0,
+        failureCount: Number(value(FIELDS.failureCount)) || 0,
+        lockedUntil: value(FIELDS.lockedUntil) ? new Date(value(FIELDS.lockedUntil)) : null,
+        lockReason: value(FIELDS.lockReason)
+      }
+    };
+  }
+
+  /**
+   * カウンターの保存
+   * @param {Object|null} record - 取得したレコード
+   * @param {string} userCode - ユーザーコード
+   * @param {Object} counter - カウンター
+   * @returns {Promise<string>} レコードID
+   * @private
+   */
+  async _save(record, userCode, counter) {
+    const fields = {
+      [FIELDS.user]: { value: userCode },
+      [FIELDS.requestWindow]: { value: String(counter.requestWindow) },
+      [FIELDS.requestCount]: { value: String(counter.requestCount) },
+      [FIELDS.failureWindow]: { value: String(counter.failureWindow) },
+      [FIELDS.failureCount]: { value: String(counter.failureCount) },
+      [FIELDS.lockedUntil]: { value: counter.lockedUntil ? counter.lockedUntil.toISOString() : '' },
+      [FIELDS.lockReason]: { value: counter.lockedUntil ? counter.lockReason : '' }
+    };
+
+    if (!record) {
+      const response = await kintone.api(kintone.api.url('/k/v1/record', true), 'POST', {
+        app: this.appId,
+        record: fields
+      });
+      return response.id;
+    }
+
+    await kintone.api(kintone.api.url('/k/v1/record', true), 'PUT', {
+      app: this.appId,
+      id: record.$id.value,
+      revision: record.$revision.value,
+      record: fields
+    });
+    return record.$id.value;
+  }
+
+  /**
+   * ロックアウトの記録・管理者への通知
+   * 通知に失敗してもロックアウトは維持する
+   * @param {string} recordId - カウンターレコードのID
+   * @param {string} userCode - ユーザーコード
+   * @param {Object} counter - カウンター
+   * @param {string} action - 操作名
+   * @private
+   */
+  async _notifyLockout(recordId, userCode, counter, action) {
+    const details = {
+      user: userCode,
+      action,
+      reason: counter.lockReason,
+      lockedUntil: counter.lockedUntil.toISOString()
+    };
+
+    try {
+      if (this.auditLogger) {
+        await this.auditLogger.logAuditEvent('RATE_LIMIT_LOCKOUT', details);
+      }
+
+      if (this.adminRecipients.length === 0) {
+        console.warn('ロックアウトの通知先 (管理者のログイン名) が設定されていません');
+        return;
+      }
+
+      const reason = counter.lockReason === LOCK_REASONS.FAILURES
+        ? `1時間の失敗回数が上限 (${this.policy.maxFailedAttemptsPerHour}回) を超えました`
+        : `1分間の操作回数が上限 (${this.policy.maxRequestsPerMinute}回) を超えました`;
+      await kintone.api(kintone.api.url('/k/v1/record/comment', true), 'POST', {
+        app: this.appId,
+        record: recordId,
+        comment: {
+          text: `【レート制限】${userCode} の操作 (${action}) を${details.lockedUntil}まで制限しました。${reason}`,
+          mentions: this.adminRecipients.map(code => ({ code, type: 'USER' }))
+        }
+      });
+    } catch (error) {
+      console.error('ロックアウト通知エラー:', error.message);
+    }
+  }
+
+  /**
+   * ロックアウト中のエラー
+   * @param {Date} lockedUntil - 制限の終了日時
+   * @returns {Error} エラー
+   * @private
+   */
+  static _lockedError(lockedUntil) {
+    const error = new Error(RateLimiter.formatLockout(lockedUntil));
+    error.code = LOCKED_ERROR_CODE;
+    error.lockedUntil = lockedUntil;
+    return error;
+  }
+}
+
+RateLimiter.FIELDS = FIELDS;
+RateLimiter.LOCK_REASONS = LOCK_REASONS;
+RateLimiter.LOCKED_ERROR_CODE = LOCKED_ERROR_CODE;
+
+module.exports = RateLimiter;
@@ -0,0 +1,190 @@
+/**
+ * FieldCipher.js
+ * 復号が必要な項目 (連絡先等) のフィールド単位暗号化
+ *
+ * 準拠章節:
+ * - 1-6 パスワード等の重要情報を保護する (p.35-45)
+ *
+ * AES-256-GCM (認証付き暗号) により暗号化し、改ざん・別フィールドへの流用を検出する。
+ * 鍵はバージョン管理し、旧バージョンの鍵は既存レコードの復号用に保持する。
+ * 鍵はプラグインのプロキシ設定に保存して暗号化サービスでのみ使用し、ブラウザでは
+ * ProxyFieldCipher を使用する (プラグイン設定はアプリの全ユーザーが取得できるため)。
+ * 保存形式: $aes-256-gcm$k=<鍵バージョン>$<IV>$<暗号文+認証タグ> (Base64)
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @compliance IPA安全なウェブサイトの作り方準拠
+ */
+
+const CryptoJS = require('crypto-js');
+
+/**
+ * 鍵長 (バイト、AES-256)
+ */
+const KEY_BYTES = 32;
+
+/**
+ * IV長 (バイト、GCM推奨値)
+ */
+const IV_BYTES = 12;
+
+/**
+ * Base64 → バイト列
+ * @param {string} value - Base64文字列
+ * @returns {Uint8Array} バイト列
+ */
+const decodeBase64 = (value) => Uint8Array.from(atob(value), char => char.charCodeAt(0));
+
+/**
+ * バイト列 → Base64
+ * @param {ArrayBuffer|Uint8Array} buffer - バイト列
+ * @returns {string} Base64文字列
+ */
+const encodeBase64 = (buffer) => btoa(Array.from(new Uint8Array(buffer), byte => String.fromCharCode(byte)).join(''));
+
+/**
+ * フィールド暗号化クラス
+ */
+class FieldCipher {
+  /**
+   * @param {Object} options - オプション
+   * @param {Object} options.keys - バージョン → Base64エンコードされた鍵
+   * @param {number} options.keyVersion - 暗号化に使用する鍵バージョン (省略時は最大のバージョン)
+   */
+  constructor(options = {}) {
+    this.keys = { ...(options.keys || {}) };
+    this.keyVersion = Number(options.keyVersion) || Math.max(0, ...Object.keys(this.keys).map(Number));
+    this.cryptoKeys = new Map();
+
+    for (const [version, key] of Object.entries(this.keys)) {
+      if (decodeBase64(key).length !== KEY_BYTES) {
+        throw new Error(`暗号化キーのバージョン${version}の長さが正しくありません`);
+      }
+    }
+  }
+
+  /**
+   * 暗号学的乱数による鍵生成
+   * @returns {string} Base64エンコードされた鍵
+   */
+  static generateKey() {
+    return CryptoJS.enc.Base64.stringify(CryptoJS.lib.WordArray.random(KEY_BYTES));
+  }
+
+  /**
+   * 暗号化済みの値か
+   * @param {string} value - フィールド値
+   * @returns {boolean} 暗号化済みかどうか
+   */
+  static isEncrypted(value) {
+    return FieldCipher.parse(value) !== null;
+  }
+
+  /**
+   * 暗号化済みの値の解析
+   * @param {string} value - フィールド値
+   * @returns {Object|null} { keyVersion, iv, ciphertext } (暗号化済みでない場合はnull)
+   */
+  static parse(value) {
+    const match = /^\$aes-256-gcm\$k=(\d+)\$([A-Za-z0-9+/=]+)\$([A-Za-z0-9+/=]+)$/.exec(value || '');
+    if (!match) return null;
+
+    return {
+      keyVersion: Number(match[1]),
+      iv: match[2],
+      ciphertext: match[3]
+    };
+  }
+
+  /**
+   * 暗号化キーが設定されているか
+   * @returns {boolean} 設定済みかどうか
+   */
+  hasKey() {
+    return Boolean(this.keys[this.keyVersion]);
+  }
+
+  /**
+   * 暗号化
+   * @param {string} plaintext - 平文
+   * @param {string} context - 関連データ (フィールド名等、復号時に同じ値が必要)
+   * @returns {Promise<string>} 暗号化済みの値
+   */
+  async encrypt(plaintext, context = '') {
+    if (typeof plaintext !== 'string') {
+      throw new Error('暗号化対象が文字列ではありません');
+    }
+
+    const subtle = FieldCipher._getSubtle();
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const ciphertext = await subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(context) },
+      await this._importKey(this.keyVersion),
+      new TextEncoder().encode(plaintext)
+    );
+
+    return `$aes-256-gcm$k=${this.keyVersion}$${encodeBase64(iv)}$${encodeBase64(ciphertext)}`;
+  }
+
+  /**
+   * 復号
+   * 改ざん・関連データの不一致は認証タグの検証で失敗する
+   * @param {string} value - 暗号化済みの値
+   * @param {string} context - 暗号化時の関連データ
+   * @returns {Promise<string>} 平文
+   */
+  async decrypt(value, context = '') {
+    const parsed = FieldCipher.parse(value);
+    if (!parsed) {
+      throw new Error('暗号化された値の形式が正しくありません');
+    }
+
+    const subtle = FieldCipher._getSubtle();
+    try {
+      const plaintext = await subtle.decrypt(
+        { name: 'AES-GCM', iv: decodeBase64(parsed.iv), additionalData: new TextEncoder().encode(context) },
+        await this._importKey(parsed.keyVersion),
+        decodeBase64(parsed.ciphertext)
+      );
+      return new TextDecoder().decode(plaintext);
+    } catch (error) {
+      throw new Error('復号に失敗しました (鍵の不一致または改ざんの可能性があります)');
+    }
+  }
+
+  /**
+   * 鍵の取得 (バージョンごとにキャッシュ)
+   * @param {number} version - 鍵バージョン
+   * @returns {Promise<CryptoKey>} 鍵
+   * @private
+   */
+  _importKey(version) {
+    if (!this.keys[version]) {
+      return Promise.reject(new Error(`暗号化キーのバージョン${version}が設定されていません`));
+    }
+
+    if (!this.cryptoKeys.has(version)) {
+      this.cryptoKeys.set(version, FieldCipher._getSubtle().importKey(
+        'raw', decodeBase64(this.keys[version]), 'AES-GCM', false, ['encrypt', 'decrypt']
+      ));
+    }
+    return this.cryptoKeys.get(version);
+  }
+
+  /**
+   * SubtleCrypto の取得
+   * @returns {SubtleCrypto} SubtleCrypto
+   * @private
+   */
+  static _getSubtle() {
+    if (typeof crypto === 'undefined' || !crypto.subtle) {
+      throw new Error('この環境ではAES-GCM暗号化を利用できません');
+    }
+    return crypto.subtle;
+  }
+}
+
+FieldCipher.KEY_BYTES = KEY_BYTES;
+
+module.exports = FieldCipher;
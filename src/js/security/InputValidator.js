@@ -13,6 +13,8 @@
  * @compliance IPA安全なウェブサイトの作り方準拠
  */
 
+const CardFormatRegistry = require('../card-format-registry');
+
 /**
  * IPAガイドライン準拠入力値検証クラス
  * 
@@ -24,13 +26,17 @@
  */
 class InputValidator {
   
-  constructor() {
+  /**
+   * @param {Object} options - オプション
+   * @param {CardFormatRegistry} options.cardFormats - カード番号形式レジストリ (省略時は共有インスタンス)
+   */
+  constructor(options = {}) {
+    this.cardFormats = options.cardFormats || CardFormatRegistry.getDefault();
+
     // IPA準拠セキュリティ設定
     this.config = {
       maxInputLength: 1000,
-      allowedICCardFormats: [
-        'TOICA', 'manaca', 'Suica', 'ICOCA', 'SUGOCA', 'PASMO'
-      ],
+      allowedICCardFormats: this.cardFormats.getTypes(),
       dangerousPatterns: [
         /<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi,
         /javascript:/gi,
@@ -70,6 +76,8 @@ class InputValidator {
 
       // 危険なパターンチェック (XSS対策)
       for (const pattern of this.config.dangerousPatterns) {
+        // g フラグ付きのため前回の照合位置をリセット
+        pattern.lastIndex = 0;
         if (pattern.test(input)) {
           errors.push('危険なパターンが検出されました');
           break;
@@ -103,7 +111,9 @@ class InputValidator {
    * @returns {Object} 検証結果
    */
   validateICCardNumber(icCardNumber) {
-    const basicValidation = this.validateBasicInput(icCardNumber, {
+    // 区切りの空白・ハイフンは長さ制限の対象外とする
+    const input = typeof icCardNumber === 'string' ? CardFormatRegistry.normalize(icCardNumber) : icCardNumber;
+    const basicValidation = this.validateBasicInput(input, {
       maxInputLength: 20 // ICカード番号用制限
     });
 
@@ -115,63 +125,28 @@ class InputValidator {
       };
     }
 
-    // ICカード形式検証
-    const icCardFormats = {
-      TOICA: {
-        pattern: /^TO\d{14}$/,
-        length: 16,
-        name: 'TOICA（JR東海）'
-      },
-      manaca: {
-        pattern: /^MA\d{14}$/,
-        length: 16,
-        name: 'manaca（名古屋市交通局・名鉄）'
-      },
-      Suica: {
-        pattern: /^JE\d{15}$/,
-        length: 17,
-        name: 'Suica（JR東日本）'
-      },
-      ICOCA: {
-        pattern: /^IC\d{14}$/,
-        length: 16,
-        name: 'ICOCA（JR西日本）'
-      },
-      SUGOCA: {
-        pattern: /^SG\d{14}$/,
-        length: 16,
-        name: 'SUGOCA（JR九州）'
-      },
-      PASMO: {
-        pattern: /^P[AB]\d{14}$/,
-        length: 16,
-        name: 'PASMO'
-      }
-    };
+    // ICカード形式検証 (カード番号形式レジストリ)
+    const result = this.cardFormats.match(basicValidation.sanitized);
 
-    const sanitized = basicValidation.sanitized.toUpperCase();
-    
-    for (const [type, format] of Object.entries(icCardFormats)) {
-      if (format.pattern.test(sanitized)) {
-        return {
-          valid: true,
-          errors: [],
-          sanitized,
-          cardType: type,
-          cardName: format.name,
-          formatValid: true,
-          maskedNumber: this._maskCardNumber(sanitized)
-        };
-      }
+    if (result.valid) {
+      return {
+        valid: true,
+        errors: [],
+        sanitized: result.normalized,
+        cardType: result.format.type,
+        cardName: result.format.displayName,
+        formatValid: true,
+        maskedNumber: this._maskCardNumber(result.normalized)
+      };
     }
 
     return {
       valid: false,
-      errors: ['対応していないICカード形式です'],
-      sanitized,
+      errors: result.errors,
+      sanitized: result.normalized,
       cardType: null,
       formatValid: false,
-      supportedFormats: Object.keys(icCardFormats)
+      supportedFormats: this.cardFormats.getTypes()
     };
   }
 
@@ -346,19 +321,13 @@ class InputValidator {
   }
 
   /**
-   * ICカード番号マスキング
+   * ICカード番号マスキング (形式ごとの規則はカード番号形式レジストリに従う)
    * @param {string} cardNumber - カード番号
    * @returns {string} マスク済み番号
    * @private
    */
   _maskCardNumber(cardNumber) {
-    if (!cardNumber || cardNumber.length < 4) {
-      return '****';
-    }
-    const prefix = cardNumber.substring(0, 2);
-    const lastFour = cardNumber.slice(-4);
-    const middle = '*'.repeat(cardNumber.length - 6);
-    return prefix + middle + lastFour;
+    return this.cardFormats.mask(cardNumber);
   }
 
   /**
@@ -0,0 +1,256 @@
+/**
+ * Pbkdf2Engine.js
+ * PBKDF2鍵導出のバックエンド切り替え
+ *
+ * 準拠章節:
+ * - 1-6 パスワード等の重要情報を保護する (p.35-45)
+ *
+ * 利用可能な実装を自動選択し、すべて非同期で鍵導出を行う。
+ * - node: Node.js の crypto.pbkdf2 (テスト環境)
+ * - subtle: WebCrypto (SubtleCrypto.deriveBits)、useWorker 指定時は Web Worker 内で実行
+ * - cryptojs: CryptoJS (上記が使用できない環境のフォールバック)
+ * いずれもパスワードをUTF-8、ソルトをBase64デコードしたバイト列として扱うため、
+ * 同じ入力に対してビット単位で同一の結果を返す。
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @compliance IPA安全なウェブサイトの作り方準拠
+ */
+
+const CryptoJS = require('crypto-js');
+const nodeCrypto = require('crypto'); // ブラウザ向けビルドでは空オブジェクト (webpack resolve.fallback)
+
+/**
+ * バックエンド種別
+ */
+const BACKENDS = {
+  NODE: 'node',
+  SUBTLE: 'subtle',
+  CRYPTOJS: 'cryptojs'
+};
+
+/**
+ * Web Worker で実行する鍵導出スクリプト
+ */
+const WORKER_SOURCE = `
+self.onmessage = async (event) => {
+  const { id, password, salt, hash, iterations, keyLength } = event.data;
+  try {
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash, salt, iterations }, key, keyLength * 8);
+    self.postMessage({ id, bits }, [bits]);
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
+`;
+
+/**
+ * PBKDF2鍵導出エンジン
+ */
+class Pbkdf2Engine {
+  /**
+   * @param {Object} options - オプション
+   * @param {string} options.backend - 使用するバックエンド (省略時は自動選択)
+   * @param {boolean} options.useWorker - subtle バックエンドを Web Worker 内で実行するか
+   */
+  constructor(options = {}) {
+    this.backend = options.backend || Pbkdf2Engine.detectBackend();
+    if (!Object.values(BACKENDS).includes(this.backend)) {
+      throw new Error(`サポートされていない鍵導出バックエンドです: ${this.backend}`);
+    }
+
+    this.useWorker = Boolean(options.useWorker) && this.backend === BACKENDS.SUBTLE;
+    this.worker = null;
+    this.pending = new Map();
+    this.nextRequestId = 1;
+  }
+
+  /**
+   * 実行環境で利用可能なバックエンドの選択
+   * @returns {string} バックエンド種別
+   */
+  static detectBackend() {
+    if (typeof nodeCrypto.pbkdf2 === 'function') {
+      return BACKENDS.NODE;
+    }
+    if (typeof crypto !== 'undefined' && crypto.subtle && typeof TextEncoder !== 'undefined') {
+      return BACKENDS.SUBTLE;
+    }
+    return BACKENDS.CRYPTOJS;
+  }
+
+  /**
+   * 鍵導出
+   * @param {string} password - 入力データ (UTF-8として扱う)
+   * @param {string} salt - Base64エンコードされたソルト
+   * @param {Object} params - { algorithm: 'SHA256'|'SHA512', iterations, keyLength (バイト) }
+   * @returns {Promise<string>} Base64エンコードされた導出結果
+   */
+  async derive(password, salt, params) {
+    switch (this.backend) {
+      case BACKENDS.NODE:
+        return this._deriveNode(password, salt, params);
+      case BACKENDS.SUBTLE:
+        return this.useWorker ? this._deriveInWorker(password, salt, params) : this._deriveSubtle(password, salt, params);
+      default:
+        return this._deriveCryptoJS(password, salt, params);
+    }
+  }
+
+  /**
+   * Node.js crypto による鍵導出
+   * @private
+   */
+  _deriveNode(password, salt, params) {
+    return new Promise((resolve, reject) => {
+      nodeCrypto.pbkdf2(
+        password,
+        Buffer.from(salt, 'base64'),
+        params.iterations,
+        params.keyLength,
+        params.algorithm.toLowerCase(),
+        (error, key) => (error ? reject(error) : resolve(key.toString('base64')))
+      );
+    });
+  }
+
+  /**
+   * SubtleCrypto による鍵導出
+   * @private
+   */
+  async _deriveSubtle(password, salt, params) {
+    const key = await crypto.subtle.importKey(
+      'raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']
+    );
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', hash: Pbkdf2Engine._subtleHashName(params.algorithm), salt: Pbkdf2Engine._decodeBase64(salt), iterations: params.iterations },
+      key,
+      params.keyLength * 8
+    );
+    return Pbkdf2Engine._encodeBase64(bits);
+  }
+
+  /**
+   * CryptoJS による鍵導出 (フォールバック、メインスレッドで同期実行)
+   * @private
+   */
+  async _deriveCryptoJS(password, salt, params) {
+    const hash = CryptoJS.PBKDF2(
+      CryptoJS.enc.Utf8.parse(password),
+      CryptoJS.enc.Base64.parse(salt),
+      {
+        keySize: params.keyLength / 4, // WordArray単位
+        iterations: params.iterations,
+        hasher: CryptoJS.algo[params.algorithm]
+      }
+    );
+    return CryptoJS.enc.Base64.stringify(hash);
+  }
+
+  /**
+   * Web Worker 内での鍵導出
+   * Worker を生成できない環境 (CSP等) ではメインスレッドの SubtleCrypto で実行する
+   * @private
+   */
+  _deriveInWorker(password, salt, params) {
+    const worker = this._getWorker();
+    if (!worker) {
+      return this._deriveSubtle(password, salt, params);
+    }
+
+    return new Promise((resolve, reject) => {
+      const id = this.nextRequestId++;
+      this.pending.set(id, { resolve, reject });
+      worker.postMessage({
+        id,
+        password,
+        salt: Pbkdf2Engine._decodeBase64(salt),
+        hash: Pbkdf2Engine._subtleHashName(params.algorithm),
+        iterations: params.iterations,
+        keyLength: params.keyLength
+      });
+    });
+  }
+
+  /**
+   * Web Worker の取得 (初回のみ生成)
+   * @returns {Worker|null} 生成できない場合はnull
+   * @private
+   */
+  _getWorker() {
+    if (this.worker) return this.worker;
+    if (typeof Worker === 'undefined' || typeof Blob === 'undefined' || typeof URL === 'undefined') {
+      this.useWorker = false;
+      return null;
+    }
+
+    try {
+      const url = URL.createObjectURL(new Blob([WORKER_SOURCE], { type: 'text/javascript' }));
+      this.worker = new Worker(url);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.warn('Web Workerを生成できないため、メインスレッドで鍵導出を行います:', error);
+      this.useWorker = false;
+      return null;
+    }
+
+    this.worker.onmessage = (event) => {
+      const { id, bits, error } = event.data;
+      const request = this.pending.get(id);
+      if (!request) return;
+
+      this.pending.delete(id);
+      if (error) {
+        request.reject(new Error(error));
+      } else {
+        request.resolve(Pbkdf2Engine._encodeBase64(bits));
+      }
+    };
+    this.worker.onerror = (event) => {
+      this.pending.forEach(request => request.reject(new Error(event.message || 'Web Workerでエラーが発生しました')));
+      this.pending.clear();
+    };
+
+    return this.worker;
+  }
+
+  /**
+   * Web Worker の終了
+   */
+  terminate() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+
+  /**
+   * SubtleCrypto のハッシュ名
+   * @private
+   */
+  static _subtleHashName(algorithm) {
+    return algorithm.replace(/^SHA/, 'SHA-');
+  }
+
+  /**
+   * Base64 → バイト列
+   * @private
+   */
+  static _decodeBase64(value) {
+    return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+  }
+
+  /**
+   * バイト列 → Base64
+   * @private
+   */
+  static _encodeBase64(buffer) {
+    return btoa(Array.from(new Uint8Array(buffer), byte => String.fromCharCode(byte)).join(''));
+  }
+}
+
+Pbkdf2Engine.BACKENDS = BACKENDS;
+
+module.exports = Pbkdf2Engine;
@@ -0,0 +1,167 @@
+/**
+ * ProxyFieldCipher.js
+ * 連絡先の暗号化サービスによるフィールド単位暗号化
+ *
+ * 準拠章節:
+ * - 1-6 パスワード等の重要情報を保護する (p.35-45)
+ *
+ * 暗号化キーはプラグイン設定 (kintone.plugin.app.getConfig()) に保存するとアプリの全ユーザーが
+ * 取得できるため、プラグインのプロキシ設定 (kintone.plugin.app.setProxyConfig) に保存し、
+ * ブラウザには渡さない。暗号化・復号は kintone.plugin.app.proxy 経由で暗号化サービス
+ * (src/server/contact-cipher-service.js) が行い、プロキシ設定の鍵・担当者グループはKintoneが
+ * リクエストに付与する。復号時は再認証の資格情報を送信し、暗号化サービスが閲覧者本人であること
+ * と担当者グループへの所属を確認する。
+ * 暗号文の形式・鍵のバージョン管理は FieldCipher と同じ。
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @compliance IPA安全なウェブサイトの作り方準拠
+ */
+
+/**
+ * プラグインID (kintone.$PLUGIN_ID はスクリプトの読み込み時のみ参照できる)
+ */
+const PLUGIN_ID = typeof kintone !== 'undefined' ? kintone.$PLUGIN_ID : undefined;
+
+/**
+ * プロキシ設定のデータのキー
+ * 鍵と担当者グループを1つの値にまとめ、リクエスト側から担当者グループだけを差し替えられないようにする
+ */
+const SETTINGS_KEY = 'contact_cipher_settings';
+
+/**
+ * プロキシ経由のフィールド暗号化クラス
+ */
+class ProxyFieldCipher {
+  /**
+   * @param {Object} options - オプション
+   * @param {string} options.endpoint - 暗号化サービスのURL
+   * @param {number} options.keyVersion - 暗号化に使用する鍵バージョン (鍵の生成済みを示す)
+   * @param {string} options.pluginId - プラグインID (省略時は読み込み時のプラグインID)
+   */
+  constructor(options = {}) {
+    this.endpoint = options.endpoint || '';
+    this.keyVersion = Number(options.keyVersion) || 0;
+    this.pluginId = options.pluginId || PLUGIN_ID;
+  }
+
+  /**
+   * プラグイン設定から生成
+   * @param {Object} config - kintone.plugin.app.getConfig() の結果
+   * @returns {ProxyFieldCipher} フィールド暗号化
+   */
+  static fromConfig(config = {}) {
+    return new ProxyFieldCipher({
+      endpoint: config.contact_cipher_endpoint,
+      keyVersion: config.contact_cipher_key_version
+    });
+  }
+
+  /**
+   * プロキシ設定のデータの作成
+   * @param {Object} settings - { keys, keyVersion, handlerGroups }
+   * @returns {Object} kintone.plugin.app.setProxyConfig のデータ
+   */
+  static toProxyData(settings) {
+    return {
+      [SETTINGS_KEY]: JSON.stringify({
+        keys: settings.keys,
+        keyVersion: settings.keyVersion,
+        handlerGroups: settings.handlerGroups || []
+      })
+    };
+  }
+
+  /**
+   * プロキシ設定のデータの読み込み
+   * @param {Object} data - プロキシ設定のデータ (暗号化サービスではリクエストボディ)
+   * @returns {Object} { keys, keyVersion, handlerGroups } (未設定の場合は空の鍵)
+   */
+  static settingsFromProxyData(data = {}) {
+    let settings = {};
+    try {
+      settings = data[SETTINGS_KEY] ? JSON.parse(data[SETTINGS_KEY]) : {};
+    } catch (error) {
+      console.warn('暗号化サービスの設定を読み込めませんでした:', error);
+    }
+
+    const keys = settings.keys || {};
+    return {
+      keys,
+      keyVersion: Number(settings.keyVersion) || Math.max(0, ...Object.keys(keys).map(Number)),
+      handlerGroups: Array.isArray(settings.handlerGroups) ? settings.handlerGroups : []
+    };
+  }
+
+  /**
+   * 暗号化サービスと鍵が設定されているか
+   * @returns {boolean} 設定済みかどうか
+   */
+  hasKey() {
+    return Boolean(this.endpoint && this.keyVersion);
+  }
+
+  /**
+   * 暗号化
+   * @param {string} plaintext - 平文
+   * @param {string} context - 関連データ (フィールド名等、復号時に同じ値が必要)
+   * @returns {Promise<string>} 暗号化済みの値
+   */
+  async encrypt(plaintext, context = '') {
+    if (typeof plaintext !== 'string') {
+      throw new Error('暗号化対象が文字列ではありません');
+    }
+
+    const response = await this._request({ action: 'encrypt', value: plaintext, context });
+    return response.value;
+  }
+
+  /**
+   * 復号 (暗号化サービスが閲覧者と担当者グループを確認する)
+   * @param {string} value - 暗号化済みの値
+   * @param {string} context - 暗号化時の関連データ
+   * @param {string} credentials - 閲覧者の資格情報 (再認証の確認トークンの credentials)
+   * @returns {Promise<string>} 平文
+   */
+  async decrypt(value, context = '', credentials = '') {
+    if (!credentials) {
+      throw new Error('連絡先を表示するにはパスワードの再入力が必要です');
+    }
+
+    const response = await this._request({ action: 'decrypt', value, context, credentials });
+    return response.value;
+  }
+
+  /**
+   * 暗号化サービスの呼び出し
+   * @param {Object} body - リクエストボディ (プロキシ設定のデータはKintoneが付与する)
+   * @returns {Promise<Object>} レスポンス
+   * @private
+   */
+  async _request(body) {
+    if (!this.endpoint) {
+      throw new Error('連絡先の暗号化サービスが設定されていません');
+    }
+
+    const [responseBody, status] = await kintone.plugin.app.proxy(
+      this.pluginId, this.endpoint, 'POST', { 'Content-Type': 'application/json' }, body
+    );
+
+    let response = {};
+    try {
+      response = JSON.parse(responseBody);
+    } catch (error) {
+      response = {};
+    }
+
+    if (status !== 200) {
+      throw new Error(response.error || `暗号化サービスでエラーが発生しました (${status})`);
+    }
+    return response;
+  }
+}
+
+ProxyFieldCipher.SETTINGS_KEY = SETTINGS_KEY;
+
+module.exports = ProxyFieldCipher;
@@ -0,0 +1,218 @@
+/**
+ * ReauthManager.js
+ * 重要な処理の実行前の再認証
+ *
+ * 準拠章節:
+ * - 1-8 重要な処理の実行前に再認証を行う (p.51-53)
+ *
+ * Kintoneのログインユーザーのパスワードをパスワード認証 (X-Cybozu-Authorization) で確認し、
+ * 目的ごとに有効期限付きの確認トークンを発行する。処理の実行時はトークンの目的・ユーザー・
+ * 有効期限を確認する。個人情報の閲覧は有効期限内であれば再利用でき、ペッパーの変更・一括削除は
+ * 1回の実行ごとに再認証が必要となる。
+ * 確認トークンには確認済みの資格情報を含め、連絡先の暗号化サービスが閲覧者本人であることを
+ * 確認できるようにする。トークンは画面のメモリ上にのみ保持し、セッション終了時に取り消す。
+ * パスワード認証が無効な環境 (SAML認証のみ等) では再認証できないため、重要な処理は実行できない。
+ * レート制限が有効な場合はパスワードの確認ごとに操作回数を記録し、ロックアウト中はパスワードを確認しない。
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @compliance IPA安全なウェブサイトの作り方準拠
+ */
+
+const CryptoJS = require('crypto-js');
+
+/**
+ * 再認証が必要な処理
+ */
+const PURPOSES = {
+  VIEW_PII: 'VIEW_PII',
+  CHANGE_PEPPER: 'CHANGE_PEPPER',
+  BULK_DELETE: 'BULK_DELETE',
+  CONFIG_CHANGE: 'CONFIG_CHANGE'
+};
+
+/**
+ * 有効期限内であれば再利用できる目的
+ */
+const REUSABLE_PURPOSES = [PURPOSES.VIEW_PII];
+
+/**
+ * 1回の確認で入力できるパスワードの回数
+ */
+const MAX_ATTEMPTS = 3;
+
+/**
+ * 再認証管理クラス
+ */
+class ReauthManager {
+  /**
+   * @param {Object} options - オプション
+   * @param {Function} options.prompt - パスワード入力 ({ purpose, message, error }) => Promise<string|null> (キャンセル時はnull)
+   * @param {number} options.ttlMinutes - 確認トークンの有効期限 (分)
+   * @param {Object} options.auditLogger - 監査ログ (logAuditEvent(event, details) を持つオブジェクト)
+   * @param {RateLimiter} options.rateLimiter - パスワードの誤りを失敗として記録するレート制限
+   */
+  constructor(options = {}) {
+    if (typeof options.prompt !== 'function') {
+      throw new Error('パスワード入力が指定されていません');
+    }
+
+    this.prompt = options.prompt;
+    this.ttl = (options.ttlMinutes || 5) * 60 * 1000;
+    this.auditLogger = options.auditLogger || null;
+    this.rateLimiter = options.rateLimiter || null;
+    this.tokens = new Map();
+  }
+
+  /**
+   * 再認証 (有効な確認トークンがあれば再利用)
+   * @param {string} purpose - 目的 (PURPOSES)
+   * @param {string} message - パスワード入力画面の説明
+   * @returns {Promise<Object|null>} 確認トークン (キャンセル時はnull)
+   */
+  async confirm(purpose, message) {
+    const current = this.tokens.get(purpose);
+    if (REUSABLE_PURPOSES.includes(purpose) && this.isValid(current, purpose)) {
+      return current;
+    }
+
+    let error = '';
+    for (let failures = 0; failures < MAX_ATTEMPTS;) {
+      const password = await this.prompt({ purpose, message, error });
+      if (password === null || password === undefined) {
+        return null;
+      }
+      if (!password) {
+        error = 'パスワードを入力してください';
+        continue;
+      }
+
+      // ロックアウト中はパスワードを確認せずに中止 (RateLimiter.isLockedError で判定できるエラー)
+      if (this.rateLimiter) {
+        await this.rateLimiter.consume('REAUTH');
+      }
+
+      if (await this.authenticate(password)) {
+        this._audit('REAUTH_SUCCEEDED', { purpose });
+        return this._issue(purpose, this._credentials(password));
+      }
+
+      failures++;
+      this._audit('REAUTH_FAILED', { purpose, attempt: failures });
+      if (this.rateLimiter) {
+        await this.rateLimiter.recordFailure('REAUTH');
+      }
+      error = 'パスワードが正しくありません';
+    }
+
+    throw new Error('再認証に失敗しました。しばらくしてから再度お試しください');
+  }
+
+  /**
+   * パスワードの確認 (ログインユーザーとしてパスワード認証できるか)
+   * セッションのCookieを使用しないよう credentials: 'omit' で送信する
+   * @param {string} password - パスワード
+   * @returns {Promise<boolean>} 認証成功かどうか
+   */
+  async authenticate(password) {
+    const credentials = this._credentials(password);
+
+    const response = await fetch(`${kintone.api.url('/k/v1/apps', true)}?limit=1`, {
+      method: 'GET',
+      credentials: 'omit',
+      headers: {
+        'X-Cybozu-Authorization': credentials,
+        'X-Requested-With': 'XMLHttpRequest'
+      }
+    });
+
+    if (response.ok) return true;
+    if (response.status === 401) return false;
+    throw new Error(`再認証を実行できません (パスワード認証が利用できない環境の可能性があります: ${response.status})`);
+  }
+
+  /**
+   * 確認トークンが有効か
+   * @param {Object} token - 確認トークン
+   * @param {string} purpose - 目的
+   * @returns {boolean} 有効かどうか
+   */
+  isValid(token, purpose) {
+    if (!token || token.purpose !== purpose || token.expiresAt <= Date.now()) {
+      return false;
+    }
+
+    const issued = this.tokens.get(purpose);
+    const user = kintone.getLoginUser();
+    return Boolean(issued) && issued.nonce === token.nonce && token.user === (user && user.code);
+  }
+
+  /**
+   * 確認トークンの検証 (再利用できない目的のトークンは使用済みにする)
+   * @param {Object} token - 確認トークン
+   * @param {string} purpose - 目的
+   */
+  assertToken(token, purpose) {
+    if (!this.isValid(token, purpose)) {
+      throw new Error('再認証の有効期限が切れました。もう一度実行してください');
+    }
+
+    if (!REUSABLE_PURPOSES.includes(purpose)) {
+      this.tokens.delete(purpose);
+    }
+  }
+
+  /**
+   * すべての確認トークンの取り消し (セッション終了時)
+   */
+  revokeAll() {
+    this.tokens.clear();
+  }
+
+  /**
+   * パスワード認証の資格情報 (X-Cybozu-Authorization の値)
+   * @param {string} password - パスワード
+   * @returns {string} Base64エンコードされた「ログイン名:パスワード」
+   * @private
+   */
+  _credentials(password) {
+    const user = kintone.getLoginUser();
+    return CryptoJS.enc.Base64.stringify(CryptoJS.enc.Utf8.parse(`${user.code}:${password}`));
+  }
+
+  /**
+   * 確認トークンの発行
+   * @param {string} purpose - 目的
+   * @param {string} credentials - 確認済みの資格情報
+   * @returns {Object} { purpose, user, nonce, expiresAt, credentials }
+   * @private
+   */
+  _issue(purpose, credentials) {
+    const token = {
+      purpose,
+      user: kintone.getLoginUser().code,
+      nonce: CryptoJS.lib.WordArray.random(16).toString(CryptoJS.enc.Hex),
+      expiresAt: Date.now() + this.ttl,
+      credentials
+    };
+    this.tokens.set(purpose, token);
+    return token;
+  }
+
+  /**
+   * 監査ログ記録
+   * @param {string} event - イベント名
+   * @param {Object} details - 詳細情報
+   * @private
+   */
+  _audit(event, details) {
+    if (this.auditLogger) {
+      this.auditLogger.logAuditEvent(event, details).catch(() => {});
+    }
+  }
+}
+
+ReauthManager.PURPOSES = PURPOSES;
+
+module.exports = ReauthManager;
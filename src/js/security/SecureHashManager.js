@@ -13,6 +13,8 @@
  */
 
 const CryptoJS = require('crypto-js');
+const CardFormatRegistry = require('../card-format-registry');
+const Pbkdf2Engine = require('./Pbkdf2Engine');
 
 /**
  * IPAガイドライン準拠セキュアハッシュ化管理クラス
@@ -21,7 +23,12 @@ const CryptoJS = require('crypto-js');
  * - アルゴリズム: PBKDF2-SHA512 (IPA推奨)
  * - ストレッチング: 100,000回以上 (調整可能)
  * - ソルト: 32バイト暗号学的乱数生成
- * - ペッパー: 設定可能な共通秘密値対応
+ * - ペッパー: 設定可能な共通秘密値対応 (バージョン管理によるローテーション対応)
+ * - 保存形式: PHC形式 $pbkdf2-sha512$i=<反復回数>,p=<ペッパーバージョン>$<ソルト>$<ハッシュ>
+ *   (パラメーターを含むため、設定変更後も保存時のパラメーターで照合できる)
+ * - 鍵導出: Pbkdf2Engine (WebCrypto / Node.js crypto / CryptoJS) による非同期実行
+ * - ブラインドインデックス: ペッパーから導出した鍵によるHMAC-SHA256 (先頭16バイト)
+ *   ソルトに依存しないため1回の検索で候補レコードを絞り込み、一致はハッシュで確定する
  */
 class SecureHashManager {
   /**
@@ -29,23 +36,81 @@ class SecureHashManager {
    * @param {Object} config - セキュリティ設定
    * @param {number} config.iterations - ストレッチング回数 (最小100,000)
    * @param {number} config.saltLength - ソルト長 (推奨32バイト)
-   * @param {string} config.pepper - ペッパー値 (オプション)
+   * @param {string} config.pepper - ペッパー値 (オプション、peppers 未指定時はバージョン1として扱う)
+   * @param {Object} config.peppers - バージョン → ペッパー値 (ローテーション済みの旧ペッパーを含む)
+   * @param {number} config.pepperVersion - 新規ハッシュに使用するペッパーバージョン
    * @param {string} config.algorithm - ハッシュアルゴリズム (デフォルト: SHA512)
+   * @param {CardFormatRegistry} config.cardFormats - カード番号形式レジストリ (省略時は共有インスタンス)
+   * @param {Pbkdf2Engine} config.engine - 鍵導出エンジン (省略時は backend・useWorker から生成)
+   * @param {string} config.backend - 鍵導出バックエンド (省略時は自動選択)
+   * @param {boolean} config.useWorker - 鍵導出を Web Worker 内で実行するか
    */
   constructor(config = {}) {
+    const peppers = config.peppers || { [SecureHashManager.LEGACY_PEPPER_VERSION]: config.pepper || '' };
+    const pepperVersion = Number(config.pepperVersion) || SecureHashManager.LEGACY_PEPPER_VERSION;
+
     // IPAガイドライン準拠デフォルト設定
     this.config = {
       iterations: Math.max(config.iterations || 100000, 100000), // 最小10万回
       saltLength: config.saltLength || 32, // 32バイト推奨
-      pepper: config.pepper || '', // ペッパー値
+      pepper: peppers[pepperVersion] || '', // 現行のペッパー値
+      pepperVersion,
       algorithm: config.algorithm || 'SHA512',
       keyLength: config.keyLength || 64 // 512bit = 64バイト
     };
+    this.peppers = { ...peppers };
+    this.cardFormats = config.cardFormats || CardFormatRegistry.getDefault();
+    this.engine = config.engine || new Pbkdf2Engine({ backend: config.backend, useWorker: config.useWorker });
 
     // IPA準拠セキュリティ検証
     this._validateSecurityConfig();
   }
 
+  /**
+   * プラグイン設定のペッパー読み込み
+   * security_peppers (バージョン → Base64) がない設定は security_pepper をバージョン1とする
+   * @param {Object} config - kintone.plugin.app.getConfig() の結果
+   * @returns {Object} { peppers, pepperVersion } (ペッパーはデコード済み)
+   */
+  static peppersFromConfig(config = {}) {
+    let encoded = {};
+    try {
+      encoded = config.security_peppers ? JSON.parse(config.security_peppers) : {};
+    } catch (error) {
+      console.warn('ペッパー設定を読み込めませんでした:', error);
+    }
+
+    if (Object.keys(encoded).length === 0) {
+      encoded = { [SecureHashManager.LEGACY_PEPPER_VERSION]: config.security_pepper || '' };
+    }
+
+    const peppers = {};
+    for (const [version, value] of Object.entries(encoded)) {
+      peppers[version] = atob(value);
+    }
+
+    return {
+      peppers,
+      pepperVersion: Number(config.security_pepper_version) || Math.max(...Object.keys(peppers).map(Number))
+    };
+  }
+
+  /**
+   * プラグイン設定からハッシュマネージャーを生成
+   * @param {Object} config - kintone.plugin.app.getConfig() の結果
+   * @returns {SecureHashManager} ハッシュマネージャー
+   */
+  static fromConfig(config = {}) {
+    const { peppers, pepperVersion } = SecureHashManager.peppersFromConfig(config);
+    return new SecureHashManager({
+      iterations: parseInt(config.hash_iterations) || 100000,
+      saltLength: parseInt(config.salt_length) || 32,
+      peppers,
+      pepperVersion,
+      useWorker: config.hash_use_worker === 'true'
+    });
+  }
+
   /**
    * セキュリティ設定検証 (IPAガイドライン準拠)
    * @private
@@ -62,6 +127,98 @@ class SecureHashManager {
     if (!['SHA256', 'SHA512'].includes(this.config.algorithm)) {
       throw new Error('IPA準拠エラー: サポートされていないアルゴリズムです');
     }
+
+    if (this.peppers[this.config.pepperVersion] === undefined) {
+      throw new Error(`ペッパーのバージョン${this.config.pepperVersion}が設定されていません`);
+    }
+  }
+
+  /**
+   * ハッシュに使用されたペッパー値
+   * @param {number|string} version - ペッパーバージョン (未記録の場合はバージョン1)
+   * @returns {string} ペッパー値
+   * @private
+   */
+  _getPepper(version) {
+    const pepper = this.peppers[Number(version) || SecureHashManager.LEGACY_PEPPER_VERSION];
+    if (pepper === undefined) {
+      throw new Error(`ペッパーのバージョン${version}が見つかりません`);
+    }
+    return pepper;
+  }
+
+  /**
+   * PHC形式のハッシュ文字列生成
+   * @param {Object} params - { algorithm, iterations, pepperVersion, salt, hash } (ソルト・ハッシュはBase64)
+   * @returns {string} $pbkdf2-sha512$i=100000,p=1$<ソルト>$<ハッシュ>
+   */
+  static formatPhc(params) {
+    return `$pbkdf2-${params.algorithm.toLowerCase()}$i=${params.iterations},p=${params.pepperVersion}` +
+      `$${params.salt}$${params.hash}`;
+  }
+
+  /**
+   * PHC形式のハッシュ文字列解析
+   * @param {string} value - 保存されたハッシュ値
+   * @returns {Object|null} { algorithm, iterations, pepperVersion, salt, hash } (PHC形式でない場合はnull)
+   */
+  static parsePhc(value) {
+    const match = /^\$pbkdf2-(sha256|sha512)\$([^$]+)\$([^$]+)\$([^$]+)$/.exec(value || '');
+    if (!match) return null;
+
+    const params = Object.fromEntries(match[2].split(',').map(param => param.split('=')));
+    const iterations = Number(params.i);
+    if (!iterations) return null;
+
+    return {
+      algorithm: match[1].toUpperCase(),
+      iterations,
+      pepperVersion: Number(params.p) || null,
+      salt: match[3],
+      hash: match[4]
+    };
+  }
+
+  /**
+   * 現行ポリシー (ペッパー・反復回数・アルゴリズム・長さ) との差異
+   * @param {string} storedHash - 保存されたハッシュ値
+   * @param {number|string} pepperVersion - 保存されたペッパーバージョン (PHC形式に含まれない場合に使用)
+   * @returns {Array<string>} format (パラメーター未記録) | pepper | parameters
+   */
+  getUpgradeReasons(storedHash, pepperVersion = null) {
+    if (!storedHash) return [];
+
+    const reasons = [];
+    const phc = SecureHashManager.parsePhc(storedHash);
+    if (!phc) {
+      reasons.push('format');
+    }
+
+    const version = (phc && phc.pepperVersion) || Number(pepperVersion) || SecureHashManager.LEGACY_PEPPER_VERSION;
+    if (version !== this.config.pepperVersion) {
+      reasons.push('pepper');
+    }
+
+    if (phc && (
+      phc.algorithm !== this.config.algorithm ||
+      phc.iterations !== this.config.iterations ||
+      CryptoJS.enc.Base64.parse(phc.salt).sigBytes !== this.config.saltLength ||
+      CryptoJS.enc.Base64.parse(phc.hash).sigBytes !== this.config.keyLength
+    )) {
+      reasons.push('parameters');
+    }
+
+    return reasons;
+  }
+
+  /**
+   * 現行ポリシーでの再ハッシュ化が必要か
+   * @param {string} storedHash - 保存されたハッシュ値
+   * @param {number|string} pepperVersion - 保存されたペッパーバージョン (PHC形式に含まれない場合に使用)
+   * @returns {boolean} 再ハッシュ化が必要かどうか
+   */
+  needsRehash(storedHash, pepperVersion = null) {
+    return this.getUpgradeReasons(storedHash, pepperVersion).length > 0;
   }
 
   /**
@@ -78,13 +235,45 @@ class SecureHashManager {
     }
   }
 
+  /**
+   * ブラインドインデックス生成 (検索用の決定的な鍵付きダイジェスト)
+   * ペッパー未設定の場合は総当たりで元の値を復元できるため生成しない
+   * @param {string} value - 対象値 (正規化済み)
+   * @param {number|string} pepperVersion - ペッパーバージョン (オプション、未指定時は現行)
+   * @returns {string|null} 16進数のインデックス (ペッパー未設定の場合はnull)
+   */
+  computeBlindIndex(value, pepperVersion = null) {
+    if (!value || typeof value !== 'string') {
+      throw new Error('無効なインデックス対象値です');
+    }
+
+    const pepper = this._getPepper(Number(pepperVersion) || this.config.pepperVersion);
+    if (!pepper) return null;
+
+    // ペッパーをそのまま鍵にせず、用途ごとに分離した鍵を導出する
+    const key = CryptoJS.HmacSHA256('ic-loss-blind-index', pepper);
+    return CryptoJS.enc.Hex.stringify(CryptoJS.HmacSHA256(value, key))
+      .slice(0, SecureHashManager.BLIND_INDEX_BYTES * 2);
+  }
+
+  /**
+   * 検索用ブラインドインデックス一覧 (保持中の全ペッパーバージョン分)
+   * @param {string} value - 対象値 (正規化済み)
+   * @returns {Array<string>} インデックス (ペッパー未設定の場合は空)
+   */
+  getBlindIndexCandidates(value) {
+    const indexes = Object.keys(this.peppers).map(version => this.computeBlindIndex(value, version));
+    return [...new Set(indexes.filter(Boolean))];
+  }
+
   /**
    * ICカード番号のセキュアハッシュ化 (IPA準拠)
    * @param {string} icCardNumber - ICカード番号
    * @param {string} salt - ソルト値 (オプション、未指定時は自動生成)
-   * @returns {Object} ハッシュ化結果
+   * @param {number|string} pepperVersion - ペッパーバージョン (オプション、未指定時は現行)
+   * @returns {Promise<Object>} ハッシュ化結果
    */
-  hashICCardNumber(icCardNumber, salt = null) {
+  async hashICCardNumber(icCardNumber, salt = null, pepperVersion = null) {
     try {
       // 入力値検証
       if (!icCardNumber || typeof icCardNumber !== 'string') {
@@ -95,25 +284,27 @@ class SecureHashManager {
       const finalSalt = salt || this.generateSecureSalt();
       
       // ペッパー適用 (IPA推奨追加保護)
-      const pepperedData = icCardNumber + this.config.pepper;
+      const version = Number(pepperVersion) || this.config.pepperVersion;
+      const pepperedData = icCardNumber + this._getPepper(version);
       
       // PBKDF2-SHA512ハッシュ化実行 (IPA準拠)
-      const hash = CryptoJS.PBKDF2(
-        pepperedData,
-        CryptoJS.enc.Base64.parse(finalSalt),
-        {
-          keySize: this.config.keyLength / 4, // WordArray単位
-          iterations: this.config.iterations,
-          hasher: CryptoJS.algo[this.config.algorithm]
-        }
-      );
+      const hash = await this._derive(pepperedData, finalSalt, this.config);
 
       // 結果返却
       return {
-        hash: CryptoJS.enc.Base64.stringify(hash),
+        hash,
         salt: finalSalt,
         iterations: this.config.iterations,
         algorithm: `PBKDF2-${this.config.algorithm}`,
+        pepperVersion: version,
+        phc: SecureHashManager.formatPhc({
+          algorithm: this.config.algorithm,
+          iterations: this.config.iterations,
+          pepperVersion: version,
+          salt: finalSalt,
+          hash
+        }),
+        blindIndex: this.computeBlindIndex(icCardNumber, version),
         timestamp: new Date().toISOString(),
         maskedNumber: this._maskICCardNumber(icCardNumber)
       };
@@ -123,16 +314,49 @@ class SecureHashManager {
     }
   }
 
+  /**
+   * PBKDF2による鍵導出
+   * @param {string} data - ペッパー適用済みデータ
+   * @param {string} salt - Base64エンコードされたソルト
+   * @param {Object} params - { algorithm, iterations, keyLength }
+   * @returns {Promise<string>} Base64エンコードされたハッシュ
+   * @private
+   */
+  _derive(data, salt, params) {
+    return this.engine.derive(data, salt, {
+      algorithm: params.algorithm,
+      iterations: params.iterations,
+      keyLength: params.keyLength
+    });
+  }
+
   /**
    * ICカード番号検証 (ハッシュ比較)
+   * PHC形式のハッシュは保存時のパラメーターで、旧形式は現行のパラメーターで照合する
    * @param {string} icCardNumber - 検証対象ICカード番号
-   * @param {string} storedHash - 保存されたハッシュ値
-   * @param {string} salt - 保存されたソルト値
-   * @returns {boolean} 検証結果
+   * @param {string} storedHash - 保存されたハッシュ値 (PHC形式または旧形式)
+   * @param {string} salt - 保存されたソルト値 (旧形式のみ使用)
+   * @param {number|string} pepperVersion - 保存されたペッパーバージョン (未記録の場合はバージョン1)
+   * @returns {Promise<boolean>} 検証結果
    */
-  verifyICCardNumber(icCardNumber, storedHash, salt) {
+  async verifyICCardNumber(icCardNumber, storedHash, salt, pepperVersion = null) {
     try {
-      const hashResult = this.hashICCardNumber(icCardNumber, salt);
+      const phc = SecureHashManager.parsePhc(storedHash);
+      if (phc) {
+        const version = phc.pepperVersion || Number(pepperVersion) || SecureHashManager.LEGACY_PEPPER_VERSION;
+        const hash = await this._derive(icCardNumber + this._getPepper(version), phc.salt, {
+          algorithm: phc.algorithm,
+          iterations: phc.iterations,
+          keyLength: CryptoJS.enc.Base64.parse(phc.hash).sigBytes
+        });
+        return hash === phc.hash;
+      }
+
+      const hashResult = await this.hashICCardNumber(
+        icCardNumber,
+        salt,
+        Number(pepperVersion) || SecureHashManager.LEGACY_PEPPER_VERSION
+      );
       return hashResult.hash === storedHash;
     } catch (error) {
       // セキュリティ上、詳細エラーは隠蔽
@@ -143,18 +367,13 @@ class SecureHashManager {
 
   /**
    * ICカード番号マスキング処理 (プライバシー保護)
+   * 形式ごとのマスキング規則はカード番号形式レジストリに従う
    * @param {string} icCardNumber - ICカード番号
    * @returns {string} マスキング済み番号
    * @private
    */
   _maskICCardNumber(icCardNumber) {
-    if (!icCardNumber || icCardNumber.length < 4) {
-      return '****';
-    }
-    
-    const lastFour = icCardNumber.slice(-4);
-    const masked = '*'.repeat(icCardNumber.length - 4) + lastFour;
-    return masked;
+    return this.cardFormats.mask(icCardNumber);
   }
 
   /**
@@ -163,67 +382,22 @@ class SecureHashManager {
    * @returns {Object} 検証結果とカード種別
    */
   validateNagoyaICCard(icCardNumber) {
-    const icCardTypes = {
-      TOICA: {
-        pattern: /^TO\d{14}$/,
-        length: 16,
-        prefix: 'TO',
-        name: 'TOICA',
-        issuer: 'JR東海'
-      },
-      manaca: {
-        pattern: /^MA\d{14}$/,
-        length: 16,
-        prefix: 'MA',
-        name: 'manaca',
-        issuer: '名古屋市交通局・名鉄'
-      },
-      Suica: {
-        pattern: /^JE\d{15}$/,
-        length: 17,
-        prefix: 'JE',
-        name: 'Suica',
-        issuer: 'JR東日本'
-      },
-      ICOCA: {
-        pattern: /^IC\d{14}$/,
-        length: 16,
-        prefix: 'IC',
-        name: 'ICOCA',
-        issuer: 'JR西日本'
-      },
-      SUGOCA: {
-        pattern: /^SG\d{14}$/,
-        length: 16,
-        prefix: 'SG',
-        name: 'SUGOCA',
-        issuer: 'JR九州'
-      },
-      PASMO: {
-        pattern: /^P[AB]\d{14}$/,
-        length: 16,
-        prefix: 'P[AB]',
-        name: 'PASMO',
-        issuer: 'PASMO'
-      }
-    };
+    const result = this.cardFormats.match(icCardNumber);
 
-    for (const [type, config] of Object.entries(icCardTypes)) {
-      if (config.pattern.test(icCardNumber)) {
-        return {
-          valid: true,
-          type: type,
-          name: config.name,
-          issuer: config.issuer,
-          maskedNumber: this._maskICCardNumber(icCardNumber)
-        };
-      }
+    if (result.valid) {
+      return {
+        valid: true,
+        type: result.format.type,
+        name: result.format.type,
+        issuer: result.format.issuer,
+        maskedNumber: this._maskICCardNumber(result.normalized)
+      };
     }
 
     return {
       valid: false,
       type: 'UNKNOWN',
-      error: '対応していないICカード形式です'
+      error: result.errors[0]
     };
   }
 
@@ -234,7 +408,9 @@ class SecureHashManager {
   getSecurityConfig() {
     return {
       ...this.config,
-      pepper: '[HIDDEN]' // ペッパー値は隠蔽
+      pepper: '[HIDDEN]', // ペッパー値は隠蔽
+      pepperVersions: Object.keys(this.peppers).map(Number),
+      backend: this.engine.useWorker ? `${this.engine.backend} (Web Worker)` : this.engine.backend
     };
   }
 
@@ -269,4 +445,14 @@ class SecureHashManager {
   }
 }
 
+/**
+ * バージョン未記録のハッシュ (ローテーション導入前) のペッパーバージョン
+ */
+SecureHashManager.LEGACY_PEPPER_VERSION = 1;
+
+/**
+ * ブラインドインデックスの長さ (バイト)
+ */
+SecureHashManager.BLIND_INDEX_BYTES = 16;
+
 module.exports = SecureHashManager;
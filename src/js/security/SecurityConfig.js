@@ -45,7 +45,8 @@ class SecurityConfig {
       session: {
         timeoutMinutes: 30,
         renewThreshold: 5, // 5分前に更新
-        maxConcurrentSessions: 1
+        maxConcurrentSessions: 1,
+        reauthTtlMinutes: 5 // 再認証の有効期限
       },
       
       // 監査ログ設定
@@ -74,6 +75,16 @@ class SecurityConfig {
 
     this.config = { ...this.defaultConfig };
     this.auditLog = [];
+    this.auditStore = null;
+  }
+
+  /**
+   * 監査ログの保存先設定
+   * 設定した場合、監査イベントは画面内の履歴に加えて監査ログアプリに保存される
+   * @param {AuditLogStore|null} store - 監査ログ保存先
+   */
+  setAuditStore(store) {
+    this.auditStore = store;
   }
 
   /**
@@ -237,6 +248,16 @@ class SecurityConfig {
       }));
   }
 
+  /**
+   * 監査ログ記録 (他モジュールからの記録用)
+   * @param {string} event - イベント名
+   * @param {Object} details - 詳細情報
+   * @returns {Promise<void>} 監査ログアプリへの保存 (保存に失敗した場合は reject)
+   */
+  logAuditEvent(event, details = {}) {
+    return this._logAuditEvent(event, details);
+  }
+
   /**
    * セキュリティヘルスチェック
    * @returns {Object} ヘルスチェック結果
@@ -374,10 +395,11 @@ class SecurityConfig {
    * 監査ログ記録
    * @param {string} event - イベント名
    * @param {Object} details - 詳細情報
+   * @returns {Promise<void>} 監査ログアプリへの保存
    * @private
    */
   _logAuditEvent(event, details = {}) {
-    if (!this.config.audit.enabled) return;
+    if (!this.config.audit.enabled) return Promise.resolve();
 
     const logEntry = {
       timestamp: new Date().toISOString(),
@@ -401,6 +423,13 @@ class SecurityConfig {
     if (this.config.audit.logLevel === 'DEBUG') {
       console.log('AUDIT:', logEntry);
     }
+
+    if (!this.auditStore) return Promise.resolve();
+
+    // 戻り値を使用しない内部の記録でも保存失敗を記録する
+    const persisted = this.auditStore.append(event, logEntry.details).then(() => {});
+    persisted.catch(error => console.error('監査ログの保存エラー:', error));
+    return persisted;
   }
 
   /**
@@ -455,7 +484,7 @@ class SecurityConfig {
       recommendations.push('監査ログを有効にしてください');
     }
     if (!checks.rateLimitEnabled) {
-      recommendations.push('レート制限を有効にしてください');
+      recommendations.push('レート制限を有効にし、カウンターアプリを設定してください');
     }
 
     return recommendations;
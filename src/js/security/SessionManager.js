@@ -0,0 +1,193 @@
+/**
+ * SessionManager.js
+ * 無操作時間によるセッション管理
+ *
+ * 準拠章節:
+ * - 1-4 セッション管理の不備 (p.18-24)
+ *
+ * SecurityConfig の session.timeoutMinutes の間操作がない場合にセッションを終了し、
+ * renewThreshold 分前に警告する。警告後も操作があればセッションを継続する。
+ * 終了時の処理 (復号済みの個人情報の消去・再認証の取り消し) は onExpire で行う。
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @compliance IPA安全なウェブサイトの作り方準拠
+ */
+
+/**
+ * 操作とみなすイベント
+ */
+const ACTIVITY_EVENTS = ['mousedown', 'keydown', 'scroll', 'touchstart'];
+
+/**
+ * 無操作時間の確認間隔 (ミリ秒)
+ */
+const CHECK_INTERVAL = 15 * 1000;
+
+/**
+ * 操作の記録間隔 (ミリ秒、連続したイベントの間引き)
+ */
+const ACTIVITY_THROTTLE = 1000;
+
+/**
+ * セッション管理クラス
+ */
+class SessionManager {
+  /**
+   * @param {Object} options - オプション
+   * @param {number} options.timeoutMinutes - 無操作でセッションを終了するまでの時間 (分)
+   * @param {number} options.renewThreshold - 終了の何分前に警告するか
+   * @param {Function} options.onWarning - 警告時の処理 (残り時間ミリ秒を受け取る)
+   * @param {Function} options.onRenew - 警告後に操作があった場合の処理
+   * @param {Function} options.onExpire - セッション終了時の処理
+   * @param {Object} options.auditLogger - 監査ログ (logAuditEvent(event, details) を持つオブジェクト)
+   * @param {EventTarget} options.target - 操作を監視する対象 (省略時は document)
+   */
+  constructor(options = {}) {
+    if (!(options.timeoutMinutes > 0)) {
+      throw new Error('セッションタイムアウトが正しくありません');
+    }
+
+    this.timeout = options.timeoutMinutes * 60 * 1000;
+    this.warningBefore = Math.min(Math.max(options.renewThreshold || 0, 0) * 60 * 1000, this.timeout);
+    this.onWarning = options.onWarning || (() => {});
+    this.onRenew = options.onRenew || (() => {});
+    this.onExpire = options.onExpire || (() => {});
+    this.auditLogger = options.auditLogger || null;
+    this.target = options.target || (typeof document !== 'undefined' ? document : null);
+
+    this.lastActivity = Date.now();
+    this.warned = false;
+    this.expired = false;
+    this.timer = null;
+    this.lastRecorded = 0;
+    this.handleActivity = () => this._recordActivity();
+  }
+
+  /**
+   * セキュリティ設定から生成
+   * @param {SecurityConfig} securityConfig - セキュリティ設定 (session、監査ログ)
+   * @param {Object} callbacks - { onWarning, onRenew, onExpire }
+   * @returns {SessionManager} セッション管理
+   */
+  static fromSecurityConfig(securityConfig, callbacks = {}) {
+    return new SessionManager({
+      timeoutMinutes: securityConfig.config.session.timeoutMinutes,
+      renewThreshold: securityConfig.config.session.renewThreshold,
+      auditLogger: securityConfig,
+      ...callbacks
+    });
+  }
+
+  /**
+   * 監視開始
+   */
+  start() {
+    if (this.timer) return;
+
+    this.lastActivity = Date.now();
+    this.expired = false;
+    this.warned = false;
+    if (this.target) {
+      ACTIVITY_EVENTS.forEach(type => this.target.addEventListener(type, this.handleActivity, { passive: true }));
+    }
+    this.timer = setInterval(() => this.check(), CHECK_INTERVAL);
+  }
+
+  /**
+   * 監視停止
+   */
+  stop() {
+    if (this.target) {
+      ACTIVITY_EVENTS.forEach(type => this.target.removeEventListener(type, this.handleActivity));
+    }
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * 操作の記録 (セッションの継続)
+   */
+  touch() {
+    if (this.expired) return;
+
+    this.lastActivity = Date.now();
+    if (this.warned) {
+      this.warned = false;
+      this.onRenew();
+    }
+  }
+
+  /**
+   * 無操作時間の確認
+   * @returns {string} 'active' | 'warning' | 'expired'
+   */
+  check() {
+    if (this.expired) return 'expired';
+
+    const remaining = this.getRemainingTime();
+    if (remaining <= 0) {
+      this.expire();
+      return 'expired';
+    }
+
+    if (remaining <= this.warningBefore) {
+      if (!this.warned) {
+        this.warned = true;
+        this.onWarning(remaining);
+      }
+      return 'warning';
+    }
+    return 'active';
+  }
+
+  /**
+   * セッション終了までの残り時間
+   * @returns {number} ミリ秒
+   */
+  getRemainingTime() {
+    return Math.max(0, this.lastActivity + this.timeout - Date.now());
+  }
+
+  /**
+   * セッションが終了しているか
+   * @returns {boolean} 終了済みかどうか
+   */
+  isExpired() {
+    return this.expired;
+  }
+
+  /**
+   * セッション終了
+   */
+  expire() {
+    if (this.expired) return;
+
+    this.expired = true;
+    this.stop();
+
+    if (this.auditLogger) {
+      this.auditLogger.logAuditEvent('SESSION_EXPIRED', {
+        idleMinutes: Math.round((Date.now() - this.lastActivity) / 60000)
+      }).catch(() => {});
+    }
+    this.onExpire();
+  }
+
+  /**
+   * 操作イベントの処理 (間引きして記録)
+   * @private
+   */
+  _recordActivity() {
+    const now = Date.now();
+    if (now - this.lastRecorded < ACTIVITY_THROTTLE) return;
+
+    this.lastRecorded = now;
+    this.touch();
+  }
+}
+
+SessionManager.ACTIVITY_EVENTS = ACTIVITY_EVENTS;
+
+module.exports = SessionManager;
@@ -0,0 +1,270 @@
+/**
+ * sensitive-data-scrubber.js
+ * 自由記述欄の個人情報の検出・マスキング
+ *
+ * 紛失状況・捜索状況などの自由記述欄に貼り付けられたカード番号・電話番号・メールアドレスを
+ * 保存前・定型文の生成前に検出し、マスクする。専用の項目はハッシュ化・暗号化して保存するため、
+ * 自由記述欄に平文で残らないようにする。
+ * カード番号は CardFormatRegistry の形式 (接頭辞・桁数・チェックサム) で判定し、
+ * 接頭辞のない数字列は形式の桁数に一致するか Luhn チェックサムが正しいものを対象とする。
+ * 検出した値は、保存先の専用項目が未入力であればその項目へ移す (ハッシュ化・暗号化の対象となる)。
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @compliance IPA安全なウェブサイトの作り方準拠
+ */
+
+const CardFormatRegistry = require('./card-format-registry');
+
+/**
+ * 検出する個人情報の種類
+ */
+const KINDS = {
+  CARD_NUMBER: 'card_number',
+  PHONE: 'phone',
+  EMAIL: 'email'
+};
+
+/**
+ * 種類ごとの表示名
+ */
+const LABELS = {
+  [KINDS.CARD_NUMBER]: 'カード番号',
+  [KINDS.PHONE]: '電話番号',
+  [KINDS.EMAIL]: 'メールアドレス'
+};
+
+/**
+ * 接頭辞のない数字列をカード番号とみなす桁数の範囲
+ */
+const BARE_DIGITS = { min: 12, max: 19 };
+
+/**
+ * メールアドレス
+ */
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g;
+
+/**
+ * 電話番号 (国内形式・+81形式、区切りは空白・ハイフン・市内局番の括弧)
+ * 桁数は検出後に確認する
+ */
+const PHONE_PATTERN = /(?<![\dA-Za-z+])(?:\+81[ -]?|0)\d{1,4}(?:[ ()-]?\d{1,4}){1,2}(?![ -]?\d)/g;
+
+/**
+ * 接頭辞のない数字列 (区切りは空白・ハイフン)
+ */
+const DIGIT_RUN_PATTERN = new RegExp(
+  `(?<![\\dA-Za-z]|[\\dA-Za-z][ -])\\d(?:[ -]?\\d){${BARE_DIGITS.min - 1},${BARE_DIGITS.max - 1}}(?![ -]?\\d)`,
+  'g'
+);
+
+/**
+ * 全角英数字・記号を半角に置き換える (文字数は変わらないため検出位置はそのまま使用できる)
+ * @param {string} text - 入力文字列
+ * @returns {string} 半角化した文字列
+ */
+function toHalfWidth(text) {
+  return text
+    .replace(/[０-９Ａ-Ｚａ-ｚ＋＠．－（）]/g, char => String.fromCharCode(char.charCodeAt(0) - 0xFEE0))
+    .replace(/[‐-―−　]/g, char => (char === '　' ? ' ' : '-'));
+}
+
+/**
+ * 自由記述欄の個人情報検出クラス
+ */
+class SensitiveDataScrubber {
+  /**
+   * @param {CardFormatRegistry} registry - カード番号形式 (省略時は共有レジストリ)
+   */
+  constructor(registry = CardFormatRegistry.getDefault()) {
+    this.registry = registry;
+  }
+
+  /**
+   * 個人情報の検出
+   * @param {string} text - 自由記述の文字列
+   * @returns {Array<Object>} { kind, start, end, value, normalized } (出現順)
+   */
+  findAll(text) {
+    if (!text || typeof text !== 'string') return [];
+
+    const source = toHalfWidth(text);
+    const findings = [];
+    const add = (kind, match, normalized) => {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (findings.some(found => start < found.end && found.start < end)) return;
+      findings.push({ kind, start, end, value: text.slice(start, end), normalized });
+    };
+
+    // メールアドレス内の数字をカード番号・電話番号として扱わないよう先に検出
+    for (const match of source.matchAll(EMAIL_PATTERN)) {
+      add(KINDS.EMAIL, match, match[0].toLowerCase());
+    }
+
+    const cardPattern = this._cardPattern();
+    for (const match of cardPattern ? source.matchAll(cardPattern) : []) {
+      const result = this.registry.match(match[0]);
+      if (result.valid) {
+        add(KINDS.CARD_NUMBER, match, result.normalized);
+      }
+    }
+
+    for (const match of source.matchAll(DIGIT_RUN_PATTERN)) {
+      const digits = CardFormatRegistry.normalize(match[0]);
+      if (this._isCardLikeDigits(digits)) {
+        add(KINDS.CARD_NUMBER, match, digits);
+      }
+    }
+
+    for (const match of source.matchAll(PHONE_PATTERN)) {
+      const digits = match[0].replace(/^\+81/, '0').replace(/\D/g, '');
+      if (/^0\d{9,10}$/.test(digits)) {
+        add(KINDS.PHONE, match, digits);
+      }
+    }
+
+    return findings.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * 個人情報のマスク
+   * @param {string} text - 自由記述の文字列
+   * @returns {Object} { text, findings } (findings は { kind, label, value, normalized, masked })
+   */
+  scrub(text) {
+    const findings = this.findAll(text);
+    if (findings.length === 0) {
+      return { text: text || '', findings: [] };
+    }
+
+    let scrubbed = '';
+    let position = 0;
+    const results = findings.map(({ kind, start, end, value, normalized }) => {
+      const masked = this.mask(kind, normalized);
+      scrubbed += text.slice(position, start) + `[${LABELS[kind]}:${masked}]`;
+      position = end;
+      return { kind, label: LABELS[kind], value, normalized, masked };
+    });
+
+    return { text: scrubbed + text.slice(position), findings: results };
+  }
+
+  /**
+   * 複数の自由記述欄のマスク
+   * 検出した値は targets で指定した項目が未入力の場合、その項目へ移す (種類ごとに最初の1件)
+   * カード番号は登録済み形式に一致するもののみ移す (クレジットカード番号等はマスクのみ)
+   * @param {Object} data - 入力データ (変更しない)
+   * @param {Array<string>} fields - 自由記述欄の項目名
+   * @param {Object} targets - 移動先の項目名 { card_number, phone, email }
+   * @returns {Object} { data, findings } (findings は { field, kind, label, masked, movedTo })
+   */
+  scrubFields(data, fields, targets = {}) {
+    const scrubbed = { ...data };
+    const findings = [];
+
+    for (const field of fields) {
+      if (typeof scrubbed[field] !== 'string' || !scrubbed[field]) continue;
+
+      const result = this.scrub(scrubbed[field]);
+      scrubbed[field] = result.text;
+
+      for (const finding of result.findings) {
+        const target = targets[finding.kind];
+        let movedTo = null;
+        const movable = finding.kind !== KINDS.CARD_NUMBER || this.registry.match(finding.normalized).valid;
+        if (target && movable && !scrubbed[target]) {
+          scrubbed[target] = finding.normalized;
+          movedTo = target;
+        }
+        findings.push({ field, kind: finding.kind, label: finding.label, masked: finding.masked, movedTo });
+      }
+    }
+
+    return { data: scrubbed, findings };
+  }
+
+  /**
+   * 種類ごとのマスキング
+   * カード番号は形式ごとの規則、電話番号は末尾4桁、メールアドレスは先頭1文字とドメインを表示する
+   * @param {string} kind - 種類 (KINDS)
+   * @param {string} value - 正規化済みの値
+   * @returns {string} マスク済みの値
+   */
+  mask(kind, value) {
+    switch (kind) {
+      case KINDS.CARD_NUMBER:
+        return this.registry.mask(value);
+      case KINDS.PHONE:
+        return '*'.repeat(value.length - 4) + value.slice(-4);
+      case KINDS.EMAIL: {
+        const [local, domain] = value.split('@');
+        return `${local.charAt(0)}***@${domain}`;
+      }
+      default:
+        return '****';
+    }
+  }
+
+  /**
+   * 利用者への警告文
+   * @param {Array<Object>} findings - scrubFields の検出結果
+   * @returns {string} 警告文 (検出なしの場合は空文字)
+   */
+  static formatWarning(findings) {
+    if (!findings || findings.length === 0) return '';
+
+    const counts = new Map();
+    findings.forEach(finding => counts.set(finding.label, (counts.get(finding.label) || 0) + 1));
+    const summary = [...counts].map(([label, count]) => `${label}${count}件`).join('、');
+
+    let message = `自由記述欄に${summary}が含まれていたため、マスクしました`;
+    const moved = [...new Set(findings.filter(finding => finding.movedTo).map(finding => finding.label))];
+    if (moved.length > 0) {
+      message += `。${moved.join('・')}は専用の項目に移して保護します`;
+    }
+    return message;
+  }
+
+  /**
+   * 接頭辞付きのカード番号の候補 (登録済み形式の接頭辞・桁数から生成)
+   * @returns {RegExp|null} 正規表現 (形式の登録がない場合はnull)
+   * @private
+   */
+  _cardPattern() {
+    const formats = this.registry.getAll().filter(format => format.prefixes.length > 0);
+    if (formats.length === 0) return null;
+
+    const prefixes = formats
+      .flatMap(format => format.prefixes)
+      .sort((a, b) => b.length - a.length);
+    const counts = formats.flatMap(format => format.digitCounts);
+    const min = Math.min(...counts);
+    const max = Math.max(...counts);
+
+    return new RegExp(
+      `(?<![A-Za-z0-9])(?:${prefixes.join('|')})[ -]?\\d(?:[ -]?\\d){${min - 1},${max - 1}}(?![ -]?\\d)`,
+      'gi'
+    );
+  }
+
+  /**
+   * 接頭辞のない数字列がカード番号とみなせるか
+   * 接頭辞のない形式 (企業系・学生証系) は整理番号等と区別できないため桁数では判定しない
+   * @param {string} digits - 数字列
+   * @returns {boolean} 接頭辞付きの形式の桁数に一致するか、Luhn チェックサムが正しいか
+   * @private
+   */
+  _isCardLikeDigits(digits) {
+    if (digits.length < BARE_DIGITS.min || digits.length > BARE_DIGITS.max) return false;
+
+    return this.registry.getAll().some(format => format.prefixes.length > 0 && format.digitCounts.includes(digits.length))
+      || CardFormatRegistry.luhn(digits);
+  }
+}
+
+SensitiveDataScrubber.KINDS = KINDS;
+SensitiveDataScrubber.LABELS = LABELS;
+
+module.exports = SensitiveDataScrubber;
@@ -0,0 +1,390 @@
+/**
+ * sla-engine.js
+ * 紛失報告の対応期限 (SLA) 算出とエスカレーション
+ *
+ * 期限 = 紛失日時 + 緊急度別の猶予時間 + 交通機関の処理時間 (processingTime)
+ * 交通機関への利用停止が完了 (ステータスが報告受付以外) した時点でSLA達成とする。
+ * ライフサイクルに定義されていないステータスは達成とみなさず、期限不明とする。
+ * エスカレーション先はKintoneのログイン名 (緊急連絡先・管理者) で設定する。旧バージョンの設定値
+ * (emergency_contacts / admin_email) は読み替え、ログイン名が未保存の場合は旧バージョンの
+ * 緊急連絡先・管理者メールアドレスをログイン名として使用する。
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @compliance IPA安全なウェブサイトの作り方準拠
+ */
+
+const TransportationManager = require('./transportation-manager');
+const IncidentLifecycle = require('./incident-lifecycle');
+const FieldMapping = require('./field-mapping');
+const UserCodes = require('./user-codes');
+
+/**
+ * 既定のSLAルール
+ * プラグイン設定 (sla_*) で上書き可能
+ */
+const DEFAULT_RULES = {
+  enabled: true,
+  allowanceMinutes: {
+    HIGH: 30,
+    MEDIUM: 120,
+    LOW: 480
+  },
+  defaultUrgency: 'MEDIUM',
+  warningMinutes: 30,
+  escalationTarget: 'emergency_contact_users', // emergency_contact_users | admins | both
+  escalationPriority: '緊急', // 空文字の場合は優先度を変更しない
+  emergencyContacts: [],
+  admins: []
+};
+
+/**
+ * エスカレーション先
+ */
+const ESCALATION_TARGETS = ['emergency_contact_users', 'admins', 'both'];
+
+/**
+ * 旧バージョンのエスカレーション先の読み替え
+ */
+const LEGACY_ESCALATION_TARGETS = {
+  emergency_contacts: 'emergency_contact_users',
+  admin_email: 'admins'
+};
+
+/**
+ * ログイン名が未保存の場合に使用する旧バージョンの設定 (UserCodes の役割 → 設定項目)
+ */
+const LEGACY_RECIPIENT_KEYS = {
+  emergencyContacts: 'emergency_contacts',
+  admins: 'admin_email'
+};
+
+/**
+ * エスカレーション時に設定できる優先度
+ */
+const ESCALATION_PRIORITIES = ['緊急', '高', '中', '低', ''];
+
+/**
+ * 緊急度の優先順 (複数交通機関の場合は最も高いものを採用)
+ */
+const URGENCY_ORDER = ['HIGH', 'MEDIUM', 'LOW'];
+
+/**
+ * SLA判定結果の状態
+ */
+const SLA_STATES = {
+  MET: 'met',
+  ON_TRACK: 'on-track',
+  DUE_SOON: 'due-soon',
+  OVERDUE: 'overdue',
+  UNKNOWN: 'unknown'
+};
+
+/**
+ * SLAエンジンクラス
+ */
+class SlaEngine {
+  /**
+   * @param {Object} rules - SLAルール (DEFAULT_RULESと同形式)
+   * @param {Object} options - オプション
+   * @param {TransportationManager} options.transportationManager - 交通機関データ管理
+   * @param {IncidentLifecycle} options.lifecycle - ライフサイクル管理
+   * @param {FieldMapping} options.fieldMapping - フィールドコード対応付け
+   */
+  constructor(rules = {}, options = {}) {
+    this.rules = {
+      ...DEFAULT_RULES,
+      ...rules,
+      allowanceMinutes: { ...DEFAULT_RULES.allowanceMinutes, ...(rules.allowanceMinutes || {}) }
+    };
+    this.transportationManager = options.transportationManager || new TransportationManager();
+    this.lifecycle = options.lifecycle || new IncidentLifecycle();
+    this.fieldMapping = options.fieldMapping || new FieldMapping();
+    this.providers = {};
+  }
+
+  /**
+   * プラグイン設定からSLAルールを生成
+   * @param {Object} config - kintone.plugin.app.getConfig() の結果
+   * @returns {Object} SLAルール
+   */
+  static rulesFromConfig(config = {}) {
+    const toMinutes = (value, fallback) => {
+      const num = parseInt(value, 10);
+      return isNaN(num) || num < 0 ? fallback : num;
+    };
+
+    return {
+      enabled: config.sla_enabled !== 'false',
+      allowanceMinutes: {
+        HIGH: toMinutes(config.sla_high_minutes, DEFAULT_RULES.allowanceMinutes.HIGH),
+        MEDIUM: toMinutes(config.sla_medium_minutes, DEFAULT_RULES.allowanceMinutes.MEDIUM),
+        LOW: toMinutes(config.sla_low_minutes, DEFAULT_RULES.allowanceMinutes.LOW)
+      },
+      defaultUrgency: URGENCY_ORDER.includes(config.sla_default_urgency)
+        ? config.sla_default_urgency
+        : DEFAULT_RULES.defaultUrgency,
+      warningMinutes: toMinutes(config.sla_warning_minutes, DEFAULT_RULES.warningMinutes),
+      escalationTarget: SlaEngine.escalationTargetFromConfig(config),
+      escalationPriority: ESCALATION_PRIORITIES.includes(config.sla_escalation_priority)
+        ? config.sla_escalation_priority
+        : DEFAULT_RULES.escalationPriority,
+      emergencyContacts: SlaEngine.recipientsFromConfig(config, 'emergencyContacts'),
+      admins: SlaEngine.recipientsFromConfig(config, 'admins')
+    };
+  }
+
+  /**
+   * プラグイン設定のエスカレーション先 (旧バージョンの設定値は読み替える)
+   * @param {Object} config - kintone.plugin.app.getConfig() の結果
+   * @returns {string} ESCALATION_TARGETS のいずれか
+   */
+  static escalationTargetFromConfig(config = {}) {
+    const target = LEGACY_ESCALATION_TARGETS[config.sla_escalation_target] || config.sla_escalation_target;
+    return ESCALATION_TARGETS.includes(target) ? target : DEFAULT_RULES.escalationTarget;
+  }
+
+  /**
+   * プラグイン設定のエスカレーション通知先
+   * ログイン名を保存していない設定では旧バージョンのメールアドレスの設定をログイン名として使用する
+   * @param {Object} config - kintone.plugin.app.getConfig() の結果
+   * @param {string} role - 'emergencyContacts' | 'admins'
+   * @returns {Array<string>} 通知先 (Kintoneのログイン名)
+   */
+  static recipientsFromConfig(config = {}, role) {
+    if (config[UserCodes.CONFIG_KEYS[role]] === undefined) {
+      return UserCodes.parse(config[LEGACY_RECIPIENT_KEYS[role]]);
+    }
+    return UserCodes.fromConfig(config, role);
+  }
+
+  /**
+   * 処理時間表記を分に変換 (例: "即座" → 0, "30分以内" → 30, "2時間以内" → 120)
+   * @param {string} processingTime - transportation-config.json の processingTime
+   * @returns {number} 分
+   */
+  parseProcessingTime(processingTime) {
+    if (!processingTime || typeof processingTime !== 'string') return 0;
+
+    const hours = processingTime.match(/(\d+)\s*時間/);
+    const minutes = processingTime.match(/(\d+)\s*分/);
+
+    return (hours ? parseInt(hours[1], 10) * 60 : 0) + (minutes ? parseInt(minutes[1], 10) : 0);
+  }
+
+  /**
+   * 交通機関の緊急度・処理時間を読み込み
+   */
+  async loadProviders() {
+    const data = await this.transportationManager.getAllTransportationData();
+
+    this.providers = {};
+    Object.entries(data.transportationProviders).forEach(([id, provider]) => {
+      this.providers[id] = {
+        urgencyLevel: provider.stopProcedure.urgencyLevel,
+        processingMinutes: this.parseProcessingTime(provider.stopProcedure.processingTime)
+      };
+    });
+  }
+
+  /**
+   * 対象交通機関から期限算出に用いる緊急度・処理時間を決定
+   * @param {Array<string>} providerIds - 交通機関ID一覧
+   * @returns {Object} { urgencyLevel, processingMinutes }
+   */
+  resolveUrgency(providerIds = []) {
+    const known = providerIds.map(id => this.providers[id]).filter(p => p);
+    if (known.length === 0) {
+      return { urgencyLevel: this.rules.defaultUrgency, processingMinutes: 0 };
+    }
+
+    const urgencyLevel = URGENCY_ORDER.find(level => known.some(p => p.urgencyLevel === level)) ||
+      this.rules.defaultUrgency;
+    const processingMinutes = Math.min(
+      ...known.filter(p => p.urgencyLevel === urgencyLevel).map(p => p.processingMinutes)
+    );
+
+    return { urgencyLevel, processingMinutes };
+  }
+
+  /**
+   * 期限算出
+   * @param {string} lossTime - 紛失日時 (ISO 8601)
+   * @param {Array<string>} providerIds - 交通機関ID一覧
+   * @returns {Object|null} { dueAt, urgencyLevel }
+   */
+  calculateDueTime(lossTime, providerIds = []) {
+    const base = new Date(lossTime);
+    if (!lossTime || isNaN(base.getTime())) return null;
+
+    const { urgencyLevel, processingMinutes } = this.resolveUrgency(providerIds);
+    const totalMinutes = this.rules.allowanceMinutes[urgencyLevel] + processingMinutes;
+
+    return {
+      dueAt: new Date(base.getTime() + totalMinutes * 60000),
+      urgencyLevel
+    };
+  }
+
+  /**
+   * インシデントのSLA判定
+   * @param {Object} incident - 判定対象
+   * @param {string} incident.status - ステータス
+   * @param {string} incident.lossTime - 紛失日時
+   * @param {Array<string>} incident.providerIds - 交通機関ID一覧
+   * @param {Date} now - 判定時刻
+   * @returns {Object} { state, dueAt, remainingMinutes, urgencyLevel }
+   */
+  evaluate(incident, now = new Date()) {
+    const due = this.calculateDueTime(incident.lossTime, incident.providerIds);
+    if (!due) {
+      return { state: SLA_STATES.UNKNOWN, dueAt: null, remainingMinutes: null, urgencyLevel: null };
+    }
+
+    const remainingMinutes = Math.floor((due.dueAt.getTime() - now.getTime()) / 60000);
+    const category = this.lifecycle.getCategory(incident.status);
+    let state;
+
+    if (category === 'unknown') {
+      state = SLA_STATES.UNKNOWN;
+    } else if (category !== 'open') {
+      state = SLA_STATES.MET;
+    } else if (remainingMinutes < 0) {
+      state = SLA_STATES.OVERDUE;
+    } else if (remainingMinutes <= this.rules.warningMinutes) {
+      state = SLA_STATES.DUE_SOON;
+    } else {
+      state = SLA_STATES.ON_TRACK;
+    }
+
+    return {
+      state,
+      dueAt: due.dueAt,
+      remainingMinutes,
+      urgencyLevel: due.urgencyLevel
+    };
+  }
+
+  /**
+   * 残り時間表示文字列
+   * @param {Object} result - evaluate() の結果
+   * @returns {string} 表示文字列
+   */
+  formatCountdown(result) {
+    if (result.state === SLA_STATES.UNKNOWN) return '期限不明';
+    if (result.state === SLA_STATES.MET) return '停止済み';
+
+    const abs = Math.abs(result.remainingMinutes);
+    const text = abs >= 60 ? `${Math.floor(abs / 60)}時間${abs % 60}分` : `${abs}分`;
+    return result.remainingMinutes < 0 ? `${text}超過` : `残り${text}`;
+  }
+
+  /**
+   * エスカレーション先一覧
+   * @returns {Array<string>} 通知先 (Kintoneのログイン名)
+   */
+  getEscalationRecipients() {
+    const recipients = [];
+    const target = this.rules.escalationTarget;
+
+    if (target === 'emergency_contact_users' || target === 'both') {
+      recipients.push(...this.rules.emergencyContacts);
+    }
+    if (target === 'admins' || target === 'both') {
+      recipients.push(...this.rules.admins);
+    }
+
+    return [...new Set(recipients)];
+  }
+
+  /**
+   * 期限超過インシデントのエスカレーション
+   * escalated_at を先に更新し (リビジョン競合時は他端末で処理済みとしてスキップ)、
+   * 通知先へのメンション付きコメントを投稿する。
+   * コメント投稿に失敗した場合は escalated_at を戻し、次回の判定で再度エスカレーションする。
+   * @param {Object} record - Kintoneレコード ($id, $revision, escalated_at, priority が必要)
+   * @param {Object} result - evaluate() の結果
+   * @returns {Promise<boolean>} エスカレーション実行有無
+   */
+  async escalate(record, result) {
+    if (!this.rules.enabled || result.state !== SLA_STATES.OVERDUE) return false;
+    if (record.escalated_at?.value) return false;
+
+    const recipients = this.getEscalationRecipients();
+    if (recipients.length === 0) {
+      console.warn('エスカレーション先が設定されていません');
+      return false;
+    }
+
+    const app = kintone.app.getId();
+    const recordId = record.$id?.value;
+    const escalatedAt = new Date().toISOString();
+    const priority = this.rules.escalationPriority;
+    const previous = { escalated_at: { value: '' } };
+    const claim = { escalated_at: { value: escalatedAt } };
+    if (priority) {
+      previous.priority = { value: record.priority?.value || '' };
+      claim.priority = { value: priority };
+    }
+
+    let revision;
+    try {
+      const response = await kintone.api(kintone.api.url('/k/v1/record', true), 'PUT', {
+        app,
+        id: recordId,
+        revision: record.$revision?.value,
+        record: this.fieldMapping.toRecord(claim)
+      });
+      revision = response.revision;
+    } catch (error) {
+      console.warn('エスカレーション更新をスキップしました:', error.message);
+      return false;
+    }
+
+    try {
+      await kintone.api(kintone.api.url('/k/v1/record/comment', true), 'POST', {
+        app,
+        record: recordId,
+        comment: {
+          text: `【SLA超過】ICカード利用停止の対応期限 (${result.dueAt.toISOString()}) を` +
+                `${this.formatCountdown(result)}しています。至急対応してください。`,
+          mentions: recipients.map(code => ({ code, type: 'USER' }))
+        }
+      });
+    } catch (error) {
+      console.error('エスカレーション通知の投稿に失敗しました:', error.message);
+      try {
+        const response = await kintone.api(kintone.api.url('/k/v1/record', true), 'PUT', {
+          app,
+          id: recordId,
+          revision,
+          record: this.fieldMapping.toRecord(previous)
+        });
+        revision = response.revision;
+      } catch (rollbackError) {
+        console.error('エスカレーション日時を戻せませんでした:', rollbackError.message);
+        Object.assign(record, claim);
+      }
+      if (record.$revision && revision) {
+        record.$revision.value = revision;
+      }
+      return false;
+    }
+
+    // 後続の更新でリビジョン競合しないよう手元のレコードにも反映
+    Object.assign(record, claim);
+    if (record.$revision && revision) {
+      record.$revision.value = revision;
+    }
+
+    return true;
+  }
+}
+
+SlaEngine.DEFAULT_RULES = DEFAULT_RULES;
+SlaEngine.SLA_STATES = SLA_STATES;
+SlaEngine.ESCALATION_PRIORITIES = ESCALATION_PRIORITIES;
+SlaEngine.ESCALATION_TARGETS = ESCALATION_TARGETS;
+
+module.exports = SlaEngine;
@@ -10,6 +10,7 @@
 import { InputValidator } from './security/input-validator.js';
 import { Logger } from './common/logger.js';
 import { DataValidator } from './data-validator.js';
+import SensitiveDataScrubber from './sensitive-data-scrubber.js';
 
 /**
  * 定型文生成クラス
@@ -19,12 +20,19 @@ import { DataValidator } from './data-validator.js';
 export class TemplateGenerator {
     /**
      * コンストラクタ
+     * @param {Object} options - オプション
+     * @param {Object} options.config - プラグイン設定 (検証ルールセットの読み込みに使用)
+     * @param {RateLimiter} options.rateLimiter - 攻撃と判定された入力を失敗として記録するレート制限
      */
-    constructor() {
+    constructor(options = {}) {
         this.inputValidator = new InputValidator();
-        this.dataValidator = new DataValidator();
+        this.dataValidator = DataValidator.fromConfig(options.config, { rateLimiter: options.rateLimiter });
+        this.scrubber = new SensitiveDataScrubber();
         this.logger = new Logger('TemplateGenerator');
         
+        // 個人情報のマスク対象とする自由記述欄
+        this.freeTextFields = ['circumstances', 'searchEfforts'];
+        
         // テンプレート定義（XSS対策済み）
         this.templates = {
             // 基本的な紛失報告書
@@ -112,6 +120,39 @@ export class TemplateGenerator {
                     }
                 ],
                 format: 'internal'
+            },
+            
+            // 社員証紛失報告書 (入退館権限停止・仮入館証・再発行)
+            badgeLossReport: {
+                title: '社員証紛失届',
+                sections: [
+                    {
+                        name: 'basic_info',
+                        title: '基本情報',
+                        fields: ['reportDate', 'employeeId', 'employeeName', 'department', 'email', 'phoneNumber']
+                    },
+                    {
+                        name: 'badge_info',
+                        title: '社員証情報',
+                        fields: ['badgeNumber', 'lastUsedDate']
+                    },
+                    {
+                        name: 'loss_details',
+                        title: '紛失詳細',
+                        fields: ['lossDate', 'lossTime', 'lossLocation', 'circumstances', 'searchEfforts']
+                    },
+                    {
+                        name: 'access_control',
+                        title: '入退館管理',
+                        fields: ['accessRevokedAt', 'accessRevokedBy', 'temporaryPassNumber', 'temporaryPassReturned']
+                    },
+                    {
+                        name: 'next_steps',
+                        title: '今後の対応',
+                        fields: ['badgeReissueNumber', 'replacementRequired', 'preventiveMeasures']
+                    }
+                ],
+                format: 'formal'
             }
         };
         
@@ -133,6 +174,14 @@ export class TemplateGenerator {
             lastUsedDate: '最終利用日',
             holderName: 'カード名義',
             
+            // 社員証・入退館管理
+            badgeNumber: '社員証番号',
+            accessRevokedAt: '入退館権限の停止日時',
+            accessRevokedBy: '入退館権限の停止担当者',
+            temporaryPassNumber: '仮入館証番号',
+            temporaryPassReturned: '仮入館証の回収',
+            badgeReissueNumber: '再発行申請番号',
+            
             // 紛失詳細
             lossDate: '紛失日',
             lossTime: '紛失時刻',
@@ -162,6 +211,7 @@ export class TemplateGenerator {
         this.defaultValues = {
             reportDate: () => new Date().toISOString().split('T')[0],
             reportedToProvider: 'いいえ',
+            temporaryPassReturned: 'いいえ',
             replacementRequired: 'はい',
             companyName: '株式会社サンプル' // 実際の会社名に置き換え
         };
@@ -212,8 +262,11 @@ export class TemplateGenerator {
                 };
             }
             
+            // 自由記述欄に含まれるカード番号・電話番号・メールアドレスのマスク
+            const scrubbed = this.scrubber.scrubFields(validationResult.sanitizedData, this.freeTextFields);
+            
             // XSS対策：データのサニタイズ
-            const sanitizedData = this.sanitizeTemplateData(validationResult.sanitizedData);
+            const sanitizedData = this.sanitizeTemplateData(scrubbed.data);
             
             // テンプレート生成
             const generatedTemplate = this.buildTemplate(template, sanitizedData, options);
@@ -235,6 +288,7 @@ export class TemplateGenerator {
                 templateType,
                 title: template.title,
                 content: generatedTemplate,
+                warning: SensitiveDataScrubber.formatWarning(scrubbed.findings),
                 metadata: {
                     generatedAt: new Date().toISOString(),
                     templateVersion: '3.0.0',
@@ -424,7 +478,8 @@ export class TemplateGenerator {
         // 特殊フィールドの処理
         switch (fieldName) {
             case 'icCardNumber':
-                // ICカード番号のマスキング
+            case 'badgeNumber':
+                // ICカード番号・社員証番号のマスキング
                 return this.maskCardNumber(stringValue);
                 
             case 'lossDate':
@@ -438,6 +493,7 @@ export class TemplateGenerator {
                 
             case 'reportedToProvider':
             case 'replacementRequired':
+            case 'temporaryPassReturned':
                 // Yes/No値の日本語化
                 return stringValue.toLowerCase() === 'yes' || stringValue === 'はい' ? 'はい' : 'いいえ';
                 
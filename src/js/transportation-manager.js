@@ -16,6 +16,7 @@
 // Phase 1・2セキュリティクラス統合
 const InputValidator = require('./security/InputValidator');
 const SecureHashManager = require('./security/SecureHashManager');
+const CardFormatRegistry = require('./card-format-registry');
 const { CommonUtils } = require('./common');
 
 /**
@@ -23,22 +24,40 @@ const { CommonUtils } = require('./common');
  * PDF章節1-1・1-4準拠設計
  */
 class TransportationManager {
-  constructor() {
+  /**
+   * @param {Object} options - オプション
+   * @param {Object} options.overrides - 管理者編集データ (overridesFromConfig() の結果)
+   * @param {CardFormatRegistry} options.cardFormats - カード番号形式レジストリ (省略時は共有インスタンス)
+   */
+  constructor(options = {}) {
+    this.cardFormats = options.cardFormats || CardFormatRegistry.getDefault();
+
     // Phase 1・2のセキュリティクラス統合
-    this.validator = new InputValidator();
-    this.securityManager = new SecureHashManager();
+    this.validator = new InputValidator({ cardFormats: this.cardFormats });
+    this.securityManager = new SecureHashManager({ cardFormats: this.cardFormats });
     
     // 交通機関データキャッシュ
     this.transportationData = null;
     this.lastLoadTime = null;
     this.cacheExpiry = 300000; // 5分キャッシュ
+
+    // 地域別データ (regions.json に定義された地域ごとに読み込み)
+    this.regionIndexPath = 'src/data/regions.json';
+    this.regionIndex = null;
+    this.regionData = {};
+
+    // 管理者編集データ (同梱データより優先)
+    this.overrides = { providers: {}, disabled: [] };
     
     // IPA準拠セキュリティ設定
     this.securityConfig = {
       maxQueryLength: 100,
       allowedTransportationIds: [
         'jr_tokai', 'kintetsu', 'nagoya_subway', 
-        'meitetsu', 'nagoya_bus', 'meitetsu_bus'
+        'meitetsu', 'nagoya_bus', 'meitetsu_bus',
+        'jr_east', 'tokyo_metro', 'toei',
+        'jr_west', 'osaka_metro', 'hankyu',
+        'jr_kyushu', 'fukuoka_subway', 'nishitetsu'
       ],
       dangerousPatterns: [
         /['"`;\\\\]/g, // SQL Injection patterns
@@ -48,6 +67,60 @@ class TransportationManager {
         /javascript:/gi
       ]
     };
+
+    if (options.overrides) {
+      this.setOverrides(options.overrides);
+    }
+  }
+
+  /**
+   * プラグイン設定から管理者編集データを取得
+   * @param {Object} config - kintone.plugin.app.getConfig() の結果
+   * @returns {Object} { providers: { id: 交通機関データ }, disabled: [id] }
+   */
+  static overridesFromConfig(config = {}) {
+    const empty = { providers: {}, disabled: [] };
+    const raw = config[TransportationManager.OVERRIDES_CONFIG_KEY];
+    if (!raw) return empty;
+
+    try {
+      const parsed = JSON.parse(raw);
+      return {
+        providers: parsed.providers && typeof parsed.providers === 'object' ? parsed.providers : {},
+        disabled: Array.isArray(parsed.disabled) ? parsed.disabled : []
+      };
+    } catch (error) {
+      console.warn('交通機関の編集データが不正なため同梱データを使用します');
+      return empty;
+    }
+  }
+
+  /**
+   * 管理者編集データ設定
+   * 追加された交通機関IDは形式チェックのうえ許可リストに加える
+   * @param {Object} overrides - { providers, disabled }
+   */
+  setOverrides(overrides) {
+    const providers = {};
+    for (const [id, provider] of Object.entries(overrides.providers || {})) {
+      if (!/^[a-z0-9_]+$/.test(id)) {
+        console.warn('不正な交通機関IDの編集データを無視しました');
+        continue;
+      }
+      providers[id] = provider;
+    }
+
+    this.overrides = {
+      providers,
+      disabled: (overrides.disabled || []).filter(id => typeof id === 'string')
+    };
+    this.securityConfig.allowedTransportationIds = [
+      ...new Set([...this.securityConfig.allowedTransportationIds, ...Object.keys(providers)])
+    ];
+
+    // 統合データを再構築させる
+    this.transportationData = null;
+    this.lastLoadTime = null;
   }
 
   /**
@@ -64,7 +137,7 @@ class TransportationManager {
       maxLength: 50
     });
 
-    if (!basicValidation.isValid) {
+    if (!basicValidation.valid) {
       return {
         isValid: false,
         errors: ['交通機関IDの形式が不正です: ' + basicValidation.errors.join(', ')]
@@ -151,6 +224,7 @@ class TransportationManager {
 
   /**
    * 全交通機関データ取得（キャッシュ機能付き）
+   * 全地域の事業者を統合し、各事業者に地域ID (region) を付与する
    * @returns {Promise<Object>} 全交通機関データ
    */
   async getAllTransportationData() {
@@ -160,12 +234,22 @@ class TransportationManager {
         return this.transportationData;
       }
 
-      // JSONファイル読み込み
-      const configPath = 'src/data/transportation-config.json';
-      const data = await this.loadConfigFile(configPath);
+      const index = await this.getRegionIndex();
+      const defaultData = await this.loadRegionData(index.defaultRegion);
+      const data = { ...defaultData, region: 'all', transportationProviders: {} };
 
-      // データ整合性チェック
-      this.validateConfigData(data);
+      for (const regionId of Object.keys(index.regions)) {
+        const regionData = await this.loadRegionData(regionId);
+
+        for (const [id, provider] of Object.entries(regionData.transportationProviders)) {
+          if (data.transportationProviders[id]) {
+            throw new Error(`Duplicate provider '${id}' in region '${regionId}'`);
+          }
+          data.transportationProviders[id] = this.withCardFormats({ ...provider, region: regionId });
+        }
+      }
+
+      this.applyOverrides(data, index);
 
       // キャッシュ更新
       this.transportationData = data;
@@ -179,6 +263,247 @@ class TransportationManager {
     }
   }
 
+  /**
+   * 管理者編集データを統合データへ反映
+   * 検証に失敗した編集データは同梱データを優先して無視する
+   * @param {Object} data - 統合データ
+   * @param {Object} index - 地域一覧
+   */
+  applyOverrides(data, index) {
+    for (const [id, provider] of Object.entries(this.overrides.providers)) {
+      const bundled = data.transportationProviders[id];
+      const merged = { ...provider, id, region: provider.region || (bundled && bundled.region) };
+      const errors = this.validateProviderOverride(id, merged, index);
+
+      if (errors.length > 0) {
+        console.warn(`交通機関 '${id}' の編集データを無視しました:`, errors.join(', '));
+        continue;
+      }
+      data.transportationProviders[id] = this.withCardFormats(merged);
+    }
+
+    for (const id of this.overrides.disabled) {
+      delete data.transportationProviders[id];
+    }
+  }
+
+  /**
+   * 管理者編集データの検証
+   * 同梱データと同じ必須項目チェックに加え、ID・地域・ICカード種別・番号形式を検証する
+   * @param {string} id - 交通機関ID
+   * @param {Object} provider - 交通機関データ
+   * @param {Object} index - 地域一覧 (getRegionIndex() の結果)
+   * @returns {Array<string>} エラーメッセージ
+   */
+  validateProviderOverride(id, provider, index) {
+    const errors = [];
+
+    if (!/^[a-z0-9_]+$/.test(id || '') || id.length > 50) {
+      errors.push('交通機関IDは50文字以内の英小文字・数字・アンダースコアで入力してください');
+    }
+
+    try {
+      this.validateProviderData(id, provider);
+    } catch (error) {
+      errors.push(error.message);
+      return errors;
+    }
+
+    if (!index.regions[provider.region]) {
+      errors.push(`交通機関 '${id}' の地域が不正です`);
+    }
+
+    for (const cardType of provider.icCards) {
+      if (!this.validateICCardType(cardType).isValid) {
+        errors.push(`交通機関 '${id}' のICカード種別 '${cardType}' は対応していません`);
+      }
+    }
+
+    if (!['HIGH', 'MEDIUM', 'LOW'].includes(provider.stopProcedure.urgencyLevel)) {
+      errors.push(`交通機関 '${id}' の緊急度が不正です`);
+    }
+
+    // 番号の形式 (接頭辞・桁数) はカード番号形式レジストリで管理するため、ここでは種別のみ検証
+    for (const cardType of Object.keys(provider.cardNumberFormats || {})) {
+      if (!provider.icCards.includes(cardType)) {
+        errors.push(`交通機関 '${id}' のカード番号形式 '${cardType}' は対応ICカードに含まれていません`);
+      }
+    }
+
+    for (const line of Object.keys(provider.stops || {})) {
+      if (!(provider.serviceAreas || []).includes(line)) {
+        errors.push(`交通機関 '${id}' の駅一覧の路線 '${line}' がサービスエリアに含まれていません`);
+      }
+    }
+
+    // 連絡先・URLは画面表示されるため危険パターンを禁止
+    const texts = [provider.name, provider.contact.phone, ...Object.values(provider.urls || {})];
+    if (texts.some(text => typeof text === 'string' && /<script|javascript:/i.test(text))) {
+      errors.push(`交通機関 '${id}' にセキュリティ上禁止された文字列が含まれています`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * 同梱データのみの交通機関一覧 (管理画面での編集元)
+   * @returns {Promise<Object>} { id: 交通機関データ }
+   */
+  async getBundledProviders() {
+    const index = await this.getRegionIndex();
+    const providers = {};
+
+    for (const regionId of Object.keys(index.regions)) {
+      const regionData = await this.loadRegionData(regionId);
+      for (const [id, provider] of Object.entries(regionData.transportationProviders)) {
+        providers[id] = this.withCardFormats({ ...provider, id, region: regionId });
+      }
+    }
+
+    return providers;
+  }
+
+  /**
+   * 交通機関のカード番号形式にレジストリの検証規則を付与
+   * 交通機関データは表示名・入力例のみを持ち、正規表現・接頭辞・桁数はレジストリから取得する
+   * @param {Object} provider - 交通機関データ
+   * @returns {Object} cardNumberFormats に pattern, prefixes, digitCounts を付与したデータ
+   */
+  withCardFormats(provider) {
+    const cardNumberFormats = {};
+
+    for (const [cardType, format] of Object.entries(provider.cardNumberFormats || {})) {
+      const registered = this.cardFormats.get(cardType);
+      cardNumberFormats[cardType] = registered
+        ? {
+          ...format,
+          pattern: this.cardFormats.getPattern(cardType),
+          prefixes: registered.prefixes,
+          digitCounts: registered.digitCounts
+        }
+        : format;
+    }
+
+    return { ...provider, cardNumberFormats };
+  }
+
+  /**
+   * 地域一覧取得
+   * @returns {Promise<Object>} regions.json の内容
+   */
+  async getRegionIndex() {
+    if (this.regionIndex) {
+      return this.regionIndex;
+    }
+
+    const index = await this.loadConfigFile(this.regionIndexPath);
+    if (!index || !index.regions || typeof index.regions !== 'object') {
+      throw new Error('Invalid region index structure');
+    }
+    if (!index.regions[index.defaultRegion]) {
+      throw new Error(`Default region '${index.defaultRegion}' is not defined`);
+    }
+
+    this.regionIndex = index;
+    return index;
+  }
+
+  /**
+   * 地域別交通機関データ読み込み
+   * @param {string} regionId - 地域ID
+   * @returns {Promise<Object>} 地域の設定データ
+   */
+  async loadRegionData(regionId) {
+    const index = await this.getRegionIndex();
+    const region = index.regions[regionId];
+    if (!region) {
+      throw new Error(`Unknown region: ${this.sanitizeForQuery(String(regionId))}`);
+    }
+
+    if (!this.regionData[regionId]) {
+      const data = await this.loadConfigFile(region.dataFile);
+      this.validateConfigData(data);
+      this.regionData[regionId] = data;
+    }
+
+    return this.regionData[regionId];
+  }
+
+  /**
+   * 地域一覧 (選択肢用)
+   * @returns {Promise<Array<Object>>} [{ id, name, areaTags, offices }]
+   */
+  async getRegions() {
+    const index = await this.getRegionIndex();
+    return Object.values(index.regions).map(region => ({
+      id: region.id,
+      name: region.name,
+      areaTags: region.areaTags || [],
+      offices: region.offices || []
+    }));
+  }
+
+  /**
+   * 地域内の交通機関一覧
+   * @param {string} regionId - 地域ID
+   * @returns {Promise<Array<Object>>} 交通機関データ (region付き)
+   */
+  async getProvidersByRegion(regionId) {
+    const data = await this.getAllTransportationData();
+    return Object.values(data.transportationProviders)
+      .filter(provider => provider.region === regionId);
+  }
+
+  /**
+   * 報告者の所属事業所・地域名から地域IDを解決
+   * 事業所名 → 地域タグ (ICCardValidator の regions と同じ表記) の順に照合し、
+   * 該当がなければ既定の地域を返す
+   * @param {Object} hint - 解決の手がかり
+   * @param {string} hint.office - 所属事業所名
+   * @param {string} hint.areaTag - 地域名 (例: 関東, 関西, 九州)
+   * @returns {Promise<string>} 地域ID
+   */
+  async resolveRegion({ office, areaTag } = {}) {
+    const index = await this.getRegionIndex();
+    const regions = Object.values(index.regions);
+
+    const byOffice = office && regions.find(region => (region.offices || []).includes(office));
+    if (byOffice) return byOffice.id;
+
+    const byTag = areaTag && regions.find(region => (region.areaTags || []).includes(areaTag));
+    if (byTag) return byTag.id;
+
+    return index.defaultRegion;
+  }
+
+  /**
+   * ICカード種別を取り扱う地域一覧
+   * @param {string} cardType - ICカード種別
+   * @returns {Promise<Array<string>>} 地域ID一覧
+   */
+  async getRegionsForCardType(cardType) {
+    const data = await this.getAllTransportationData();
+    const regions = Object.values(data.transportationProviders)
+      .filter(provider => provider.icCards.includes(cardType))
+      .map(provider => provider.region);
+
+    return [...new Set(regions)];
+  }
+
+  /**
+   * 地域内の路線・サービスエリア一覧 (紛失場所の候補用)
+   * @param {string} regionId - 地域ID
+   * @returns {Promise<Array<string>>} サービスエリア一覧
+   */
+  async getServiceAreas(regionId) {
+    const providers = await this.getProvidersByRegion(regionId);
+    const areas = providers.flatMap(provider =>
+      (provider.serviceAreas || []).map(area => `${provider.name} ${area}`)
+    );
+
+    return [...new Set(areas)];
+  }
+
   /**
    * 交通機関とICカードの対応確認
    * @param {string} transportationId - 交通機関ID
@@ -242,10 +567,7 @@ class TransportationManager {
    * @returns {Object} 検証結果
    */
   validateICCardType(cardType) {
-    const allowedCardTypes = [
-      'TOICA', 'manaca', 'Suica', 'ICOCA', 'PASMO', 
-      'PiTaPa', 'SUGOCA', 'nimoca', 'Kitaca'
-    ];
+    const allowedCardTypes = this.cardFormats.getTypes();
 
     if (!cardType || typeof cardType !== 'string') {
       return {
@@ -494,4 +816,9 @@ class TransportationManager {
   }
 }
 
+/**
+ * 管理者編集データを保存するプラグイン設定キー
+ */
+TransportationManager.OVERRIDES_CONFIG_KEY = 'provider_overrides';
+
 module.exports = TransportationManager;
@@ -0,0 +1,204 @@
+/**
+ * FoundCardEntryForm.js
+ * 拾得ICカード登録画面コンポーネント
+ * 入力されたカード番号は照合にのみ使用し、保存しない
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @compliance IPA安全なウェブサイトの作り方準拠
+ */
+
+// 依存関係インポート
+const { CommonUtils } = require('../common');
+const FoundCardReconciler = require('../found-card-reconciler');
+const RateLimiter = require('../rate-limiter');
+
+/**
+ * 拾得ICカード登録画面クラス
+ */
+class FoundCardEntryForm {
+  /**
+   * @param {HTMLElement|string} container - 表示先コンテナ
+   * @param {Object} options - オプション
+   * @param {SecureHashManager} options.hashManager - 報告時と同じ設定のハッシュマネージャー
+   * @param {FieldMapping} options.fieldMapping - フィールドコード対応付け
+   * @param {RateLimiter} options.rateLimiter - 照合回数の制限 (省略時は制限なし)
+   */
+  constructor(container, options = {}) {
+    this.container = typeof container === 'string' ? document.getElementById(container) : container;
+    this.options = { ...options };
+    this.reconciler = new FoundCardReconciler(this.options.hashManager, {
+      lifecycle: this.options.lifecycle,
+      fieldMapping: this.options.fieldMapping
+    });
+    this.rateLimiter = this.options.rateLimiter || null;
+    this.isSubmitting = false;
+
+    this.render();
+    this.setupEventListeners();
+  }
+
+  /**
+   * 画面描画
+   */
+  render() {
+    if (!this.container) {
+      throw new Error('フォームコンテナが見つかりません');
+    }
+
+    this.container.innerHTML = `
+      <div class="ic-loss-form found-card-form" role="form" aria-labelledby="found-card-title">
+        <header class="form-header">
+          <h2 id="found-card-title" class="form-title">
+            <span class="icon" aria-hidden="true">🔍</span>
+            拾得ICカード登録
+          </h2>
+        </header>
+
+        <div class="form-body">
+          <div class="alert alert-info" role="alert">
+            <span class="alert-icon" aria-hidden="true">ℹ</span>
+            <div class="alert-content">
+              拾得したカードの番号を未発見の紛失報告と照合します。
+              カード番号は照合にのみ使用され、保存されません。
+            </div>
+          </div>
+
+          <form id="found-card-form" novalidate>
+            <div class="form-group">
+              <label for="found-card-number" class="required">カード番号</label>
+              <input type="text"
+                     id="found-card-number"
+                     class="form-control"
+                     required
+                     aria-required="true"
+                     autocomplete="off"
+                     spellcheck="false"
+                     maxlength="30">
+            </div>
+
+            <div class="form-group">
+              <label for="found-card-at" class="required">拾得日時</label>
+              <input type="datetime-local" id="found-card-at" class="form-control" required aria-required="true">
+            </div>
+
+            <div class="form-group">
+              <label for="found-card-location">拾得場所</label>
+              <input type="text" id="found-card-location" class="form-control" maxlength="100">
+            </div>
+
+            <div class="form-actions">
+              <button type="submit" class="btn btn-primary" id="found-card-submit">照合する</button>
+            </div>
+          </form>
+
+          <div id="found-card-result" class="found-card-result" role="status" aria-live="polite"></div>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * イベントリスナー設定
+   */
+  setupEventListeners() {
+    const form = this.container.querySelector('#found-card-form');
+    if (form) {
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.handleSubmit();
+      });
+    }
+  }
+
+  /**
+   * 照合実行
+   * 一致しなかった照合は失敗として記録する (カード番号の総当たり対策)
+   */
+  async handleSubmit() {
+    if (this.isSubmitting) return;
+
+    const numberInput = this.container.querySelector('#found-card-number');
+    const foundAt = this.container.querySelector('#found-card-at').value;
+    const foundLocation = this.container.querySelector('#found-card-location').value.trim();
+
+    if (!numberInput.value.trim() || !foundAt) {
+      CommonUtils.showNotification('カード番号と拾得日時を入力してください', 'error');
+      return;
+    }
+
+    this.isSubmitting = true;
+    CommonUtils.showLoading(true, '紛失報告と照合中...');
+
+    try {
+      if (this.rateLimiter) {
+        await this.rateLimiter.consume('FOUND_CARD_VERIFY');
+      }
+
+      const loginUser = kintone.getLoginUser();
+      const result = await this.reconciler.reconcile(numberInput.value, {
+        actor: loginUser ? loginUser.code : '',
+        foundAt: new Date(foundAt).toISOString(),
+        foundLocation
+      });
+
+      this.showResult(result);
+
+      if (!result.matched && this.rateLimiter) {
+        const state = await this.rateLimiter.recordFailure('FOUND_CARD_VERIFY');
+        if (state.lockedUntil) {
+          CommonUtils.showNotification(RateLimiter.formatLockout(state.lockedUntil), 'warning');
+        }
+      }
+
+    } catch (error) {
+      console.error('拾得カード照合エラー:', error.message);
+      CommonUtils.showNotification(RateLimiter.isLockedError(error)
+        ? error.message
+        : '照合中にエラーが発生しました: ' + error.message, 'error');
+    } finally {
+      // カード番号は画面上にも残さない
+      numberInput.value = '';
+      this.isSubmitting = false;
+      CommonUtils.showLoading(false);
+    }
+  }
+
+  /**
+   * 照合結果表示
+   * @param {Object} result - 照合結果
+   */
+  showResult(result) {
+    const resultArea = this.container.querySelector('#found-card-result');
+    if (!resultArea) return;
+
+    if (!result.matched) {
+      resultArea.innerHTML = `
+        <p>${CommonUtils.escapeHtml(result.maskedNumber)} に一致する未発見の紛失報告はありません
+        (照合件数: ${result.checkedCount}件)</p>
+      `;
+      return;
+    }
+
+    resultArea.innerHTML = `
+      <p>${CommonUtils.escapeHtml(result.maskedNumber)} は以下の紛失報告と一致しました。発見済みに更新し、報告者へ通知しました。</p>
+      <ul>
+        ${result.records.map(record => `
+        <li>レコード番号 ${CommonUtils.escapeHtml(String(record.id))} (${CommonUtils.escapeHtml(record.cardType)})</li>
+        `).join('')}
+      </ul>
+    `;
+    CommonUtils.showNotification('紛失報告と一致しました', 'success');
+  }
+}
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FoundCardEntryForm;
+}
+
+// ブラウザ環境でのグローバル変数設定
+if (typeof window !== 'undefined') {
+  window.FoundCardEntryForm = FoundCardEntryForm;
+}
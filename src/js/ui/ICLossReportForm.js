@@ -13,6 +13,51 @@
 const { CommonUtils, KintoneAPIHelper } = require('../common');
 const InputValidator = require('../security/InputValidator');
 const SecureHashManager = require('../security/SecureHashManager');
+const IncidentLifecycle = require('../incident-lifecycle');
+const FoundCardReconciler = require('../found-card-reconciler');
+const TransportationManager = require('../transportation-manager');
+const ProviderStopChecklist = require('../provider-stop-checklist');
+const LocationCatalog = require('../location-catalog');
+const LocationPicker = require('./LocationPicker');
+const CardFormatRegistry = require('../card-format-registry');
+const CardReplacement = require('../card-replacement');
+const BadgeLossWorkflow = require('../badge-loss-workflow');
+const ProcessWorkflow = require('../process-workflow');
+const FieldMapping = require('../field-mapping');
+const ProxyFieldCipher = require('../security/ProxyFieldCipher');
+const ContactAccess = require('../contact-access');
+const SecurityConfig = require('../security/SecurityConfig');
+const AuditLogStore = require('../audit-log-store');
+const RateLimiter = require('../rate-limiter');
+const SensitiveDataScrubber = require('../sensitive-data-scrubber');
+const ValidationSchema = require('../validation-schema');
+
+/**
+ * 報告フォームの既定の検証ルールセット (項目名はフォームの name 属性)
+ * プラグイン設定の validation_rule_sets の reportForm で上書きできる
+ */
+const REPORT_FORM_RULES = {
+  properties: {
+    reporter_name: { type: 'string', maxLength: 100, description: '報告者名' },
+    reporter_employee_id: {
+      type: 'string',
+      pattern: '^[A-Z0-9]{4,10}$',
+      message: '社員番号は4-10桁の英数字で入力してください',
+      description: '社員番号'
+    },
+    card_balance: { type: 'integer', minimum: 0, maximum: 100000, description: '残高' },
+    loss_date: { type: 'string', format: 'date-time', description: '紛失日時' },
+    loss_stop: { type: 'string', description: '紛失した駅・停留所' },
+    loss_location: {
+      type: 'string',
+      minLength: 3,
+      maxLength: 200,
+      requiredIf: { field: 'loss_stop', empty: true },
+      description: '紛失場所'
+    },
+    loss_circumstances: { type: 'string', minLength: 10, maxLength: 1000, description: '紛失状況' }
+  }
+};
 
 /**
  * ICカード紛失報告フォームクラス
@@ -29,6 +74,22 @@ class ICLossReportForm {
     
     this.validator = new InputValidator();
     this.hashManager = null;
+    this.contactAccess = null;
+    this.rateLimiter = null;
+    this.lifecycle = new IncidentLifecycle();
+    this.transportationManager = new TransportationManager();
+    this.stopChecklist = new ProviderStopChecklist(this.transportationManager);
+    this.locationCatalog = new LocationCatalog(this.transportationManager);
+    this.locationPicker = null;
+    this.cardFormats = CardFormatRegistry.getDefault();
+    this.scrubber = new SensitiveDataScrubber(this.cardFormats);
+    this.cardReplacement = new CardReplacement();
+    this.badgeWorkflow = new BadgeLossWorkflow();
+    this.processWorkflow = new ProcessWorkflow();
+    this.fieldMapping = new FieldMapping();
+    this.ruleSet = ValidationSchema.compile(REPORT_FORM_RULES);
+    this.regions = [];
+    this.currentRegion = null;
     this.formData = {};
     this.isSubmitting = false;
     this.currentStep = 1;
@@ -43,6 +104,7 @@ class ICLossReportForm {
   async initialize() {
     try {
       await this.loadPluginConfig();
+      await this.verifyFieldMapping();
       this.render();
       this.setupEventListeners();
       this.setupAccessibility();
@@ -67,12 +129,181 @@ class ICLossReportForm {
       throw new Error('プラグインが無効です');
     }
 
-    // セキュリティマネージャー初期化
-    this.hashManager = new SecureHashManager({
-      iterations: parseInt(config.hash_iterations) || 100000,
-      saltLength: parseInt(config.salt_length) || 32,
-      pepper: config.security_pepper || ''
+    // セキュリティマネージャー初期化 (desktop.jsと同一のペッパー・バージョンを使用)
+    this.hashManager = SecureHashManager.fromConfig(config);
+
+    this.fieldMapping = FieldMapping.fromConfig(config);
+
+    // 入力検証ルール (設定で上書きされていなければ既定のルール)
+    this.ruleSet = ValidationSchema.fromConfig(config, 'reportForm', REPORT_FORM_RULES);
+
+    // 連絡先の暗号化 (暗号化サービスで暗号化し、復号は担当者が詳細画面で行う)
+    this.contactAccess = new ContactAccess(ProxyFieldCipher.fromConfig(config));
+
+    // 送信回数の制限 (ロックアウトは監査ログに記録)
+    const securityConfig = new SecurityConfig();
+    securityConfig.loadConfig({ rateLimit: RateLimiter.policyFromConfig(config) });
+    securityConfig.setAuditStore(AuditLogStore.fromConfig(config));
+    this.rateLimiter = RateLimiter.fromConfig(config, securityConfig);
+
+    // 設定画面で編集された交通機関データを同梱データより優先
+    this.transportationManager.setOverrides(TransportationManager.overridesFromConfig(config));
+    this.cardReplacement = new CardReplacement(CardReplacement.rulesFromConfig(config));
+    await this.loadRegions();
+
+    // プロセス管理 (有効なアプリではステータスをプロセス管理に任せる)
+    this.processWorkflow = new ProcessWorkflow({
+      appId: kintone.app.getId(),
+      assignees: ProcessWorkflow.assigneesFromConfig(config)
     });
+    try {
+      await this.processWorkflow.load();
+    } catch (error) {
+      // ステータス名の不一致は報告の保存後のステータス変更ができないためフォームを表示しない
+      if (ProcessWorkflow.isStatusMismatchError(error)) {
+        CommonUtils.showNotification(`プロセス管理の設定を確認してください: ${error.message}`, 'error');
+        throw error;
+      }
+      console.warn('プロセス管理設定の読み込みに失敗しました:', error);
+    }
+  }
+
+  /**
+   * フィールドコード対応付けの照合
+   * 報告の保存に必要なフィールドがない場合はフォームを表示しない
+   */
+  async verifyFieldMapping() {
+    const result = await this.fieldMapping.verify(kintone.app.getId());
+    result.warnings.forEach(warning => console.warn('フィールド対応付け:', warning));
+
+    if (!result.valid) {
+      CommonUtils.showNotification(`アプリのフィールド設定を確認してください: ${result.errors.join(', ')}`, 'error');
+      throw new Error('フィールド対応付けエラー');
+    }
+  }
+
+  /**
+   * 地域一覧読み込み
+   * 報告者の所属事業所 (options.office) から初期表示の地域を決定する
+   */
+  async loadRegions() {
+    try {
+      this.regions = await this.transportationManager.getRegions();
+      this.currentRegion = await this.transportationManager.resolveRegion({
+        office: this.options.office,
+        areaTag: this.options.areaTag
+      });
+    } catch (error) {
+      // 地域データがなくても報告自体は可能とする
+      console.warn('地域データの読み込みに失敗しました:', error.message);
+      this.regions = [];
+      this.currentRegion = null;
+    }
+  }
+
+  /**
+   * 地域選択肢HTML生成
+   * @returns {string} option要素
+   */
+  renderRegionOptions() {
+    return this.regions.map(region => `
+                    <option value="${CommonUtils.escapeHtml(region.id)}" ${region.id === this.currentRegion ? 'selected' : ''}>
+                      ${CommonUtils.escapeHtml(region.name)}
+                    </option>`).join('');
+  }
+
+  /**
+   * 選択地域に応じて交通機関・紛失場所の候補を更新
+   * @param {string} regionId - 地域ID
+   */
+  async updateRegionChoices(regionId) {
+    const providerSelect = this.container.querySelector('#loss-provider');
+    const locationList = this.container.querySelector('#loss-location-options');
+    if (!providerSelect || !locationList) return;
+
+    this.currentRegion = regionId;
+
+    try {
+      const providers = regionId ? await this.transportationManager.getProvidersByRegion(regionId) : [];
+      const areas = regionId ? await this.transportationManager.getServiceAreas(regionId) : [];
+
+      providerSelect.innerHTML = '<option value="">選択してください</option>' +
+        providers.map(provider => `
+          <option value="${CommonUtils.escapeHtml(provider.id)}">${CommonUtils.escapeHtml(provider.name)}</option>`
+        ).join('');
+      locationList.innerHTML = areas.map(area => `
+          <option value="${CommonUtils.escapeHtml(area)}"></option>`
+      ).join('');
+
+      if (this.locationPicker) {
+        await this.locationPicker.setRegion(regionId);
+      }
+    } catch (error) {
+      console.error('地域別候補の取得エラー:', error);
+    }
+  }
+
+  /**
+   * 紛失場所 (路線・駅) 選択時の処理
+   * 路線から担当交通機関を自動選択し、駅まで選択されていれば自由記述を任意にする
+   * @param {Object} location - LocationPicker.getValue() の結果
+   */
+  handleLocationChange(location) {
+    const providerSelect = this.container.querySelector('#loss-provider');
+    const locationInput = this.container.querySelector('#loss-location');
+
+    if (providerSelect && location.providerId) {
+      providerSelect.value = location.providerId;
+      this.showStopProcedure(location.providerId);
+    }
+
+    if (locationInput) {
+      const required = !location.stop;
+      locationInput.required = required;
+      locationInput.setAttribute('aria-required', String(required));
+      if (!required) {
+        this.updateFieldValidation(locationInput, true, '');
+      }
+    }
+  }
+
+  /**
+   * 担当交通機関の利用停止手順を表示
+   * @param {string} providerId - 交通機関ID
+   */
+  async showStopProcedure(providerId) {
+    const procedureArea = this.container.querySelector('#loss-provider-procedure');
+    if (!procedureArea) return;
+
+    if (!providerId) {
+      procedureArea.innerHTML = '';
+      return;
+    }
+
+    try {
+      const provider = await this.transportationManager.getTransportationData(providerId);
+      const procedure = await this.transportationManager.getStopProcedure(providerId);
+
+      procedureArea.innerHTML = `
+        <strong>${CommonUtils.escapeHtml(provider.name)}</strong>:
+        ${CommonUtils.escapeHtml(procedure.method)}
+        (${CommonUtils.escapeHtml(provider.contact.phone)} / ${CommonUtils.escapeHtml(procedure.processingTime)})
+        ${procedure.notes ? `<br>${CommonUtils.escapeHtml(procedure.notes)}` : ''}
+      `;
+    } catch (error) {
+      procedureArea.innerHTML = '';
+    }
+  }
+
+  /**
+   * 保存・確認表示用の紛失場所文字列
+   * 路線・駅が選択されていれば自由記述を補足として付加する
+   * @param {Object} formData - フォームデータ
+   * @returns {string} 紛失場所
+   */
+  getLossLocationText(formData) {
+    const location = this.locationPicker ? this.locationPicker.getValue() : {};
+    return this.locationCatalog.formatLocation({ ...location, detail: formData.loss_location });
   }
 
   /**
@@ -255,14 +486,14 @@ class ICLossReportForm {
                          name="card_number"
                          class="form-control"
                          aria-describedby="card-number-help card-number-error"
-                         maxlength="20">
+                         maxlength="24">
                   <div id="card-number-help" class="form-help">
                     分かる範囲でカード番号やIDを入力してください（任意）
                   </div>
                   <div id="card-number-error" class="form-error" role="alert" aria-live="polite"></div>
                 </div>
 
-                <div class="form-group">
+                <div class="form-group" data-transit-only>
                   <label for="card-balance">残高（概算）</label>
                   <div class="input-group">
                     <input type="number" 
@@ -281,7 +512,7 @@ class ICLossReportForm {
                   <div id="card-balance-error" class="form-error" role="alert" aria-live="polite"></div>
                 </div>
 
-                <div class="form-group">
+                <div class="form-group" data-transit-only>
                   <fieldset class="checkbox-group">
                     <legend>付帯機能</legend>
                     <div class="checkbox-options">
@@ -306,6 +537,13 @@ class ICLossReportForm {
                                value="ポイントサービス">
                         <label for="point-service">ポイントサービス</label>
                       </div>
+                      <div class="checkbox-option">
+                        <input type="checkbox" 
+                               id="commuter-pass" 
+                               name="card_features" 
+                               value="${CardReplacement.COMMUTER_PASS_FEATURE}">
+                        <label for="commuter-pass">定期券</label>
+                      </div>
                     </div>
                   </fieldset>
                 </div>
@@ -336,18 +574,56 @@ class ICLossReportForm {
                   <div id="loss-date-error" class="form-error" role="alert" aria-live="polite"></div>
                 </div>
 
+                <div class="form-group">
+                  <label for="reporter-region">紛失した地域</label>
+                  <select id="reporter-region"
+                          name="reporter_region"
+                          class="form-control"
+                          aria-describedby="reporter-region-help">
+                    <option value="">選択してください</option>
+                    ${this.renderRegionOptions()}
+                  </select>
+                  <div id="reporter-region-help" class="form-help">
+                    初期値は所属事業所の地域です。出張先などで紛失した場合は変更してください
+                  </div>
+                </div>
+
+                <div class="form-group">
+                  <fieldset>
+                    <legend>紛失した路線・駅</legend>
+                    <div id="loss-location-picker"></div>
+                  </fieldset>
+                </div>
+
+                <div class="form-group">
+                  <label for="loss-provider">利用していた交通機関</label>
+                  <select id="loss-provider"
+                          name="loss_provider"
+                          class="form-control"
+                          aria-describedby="loss-provider-help">
+                    <option value="">選択してください</option>
+                  </select>
+                  <div id="loss-provider-help" class="form-help">
+                    路線を選択すると自動で設定されます。選択すると利用停止チェックリストが自動作成されます
+                  </div>
+                  <div id="loss-provider-procedure" class="form-help" aria-live="polite"></div>
+                </div>
+
                 <div class="form-group">
                   <label for="loss-location" class="required">紛失場所</label>
                   <input type="text" 
                          id="loss-location" 
                          name="loss_location"
                          class="form-control"
+                         list="loss-location-options"
                          required
                          aria-required="true"
                          aria-describedby="loss-location-help loss-location-error"
                          maxlength="200">
+                  <datalist id="loss-location-options"></datalist>
                   <div id="loss-location-help" class="form-help">
-                    紛失した場所を詳しく入力してください（駅名、建物名など）
+                    路線・駅を選択できない場合は紛失した場所を詳しく入力してください（建物名など）。
+                    駅を選択した場合は補足として任意入力です
                   </div>
                   <div id="loss-location-error" class="form-error" role="alert" aria-live="polite"></div>
                 </div>
@@ -559,6 +835,43 @@ class ICLossReportForm {
       prevButton.addEventListener('click', () => this.prevStep());
     }
 
+    // 紛失場所 (路線・駅) 選択
+    const pickerContainer = this.container.querySelector('#loss-location-picker');
+    if (pickerContainer) {
+      this.locationPicker = new LocationPicker(pickerContainer, {
+        catalog: this.locationCatalog,
+        idPrefix: 'loss',
+        onChange: (location) => this.handleLocationChange(location)
+      });
+    }
+
+    const providerSelect = this.container.querySelector('#loss-provider');
+    if (providerSelect) {
+      providerSelect.addEventListener('change', () => this.showStopProcedure(providerSelect.value));
+    }
+
+    // 地域選択による交通機関・紛失場所候補の絞り込み
+    const regionSelect = this.container.querySelector('#reporter-region');
+    if (regionSelect) {
+      regionSelect.addEventListener('change', () => this.updateRegionChoices(regionSelect.value));
+      this.updateRegionChoices(regionSelect.value);
+    }
+
+    // カードの種類を変更したらカード番号を再検証し、社員証では交通系ICカード専用の項目を隠す
+    const cardNumberInput = this.container.querySelector('#card-number');
+    this.container.querySelectorAll('input[name="card_type"]').forEach(radio => {
+      radio.addEventListener('change', () => {
+        const isBadge = BadgeLossWorkflow.getReportType(radio.value) === BadgeLossWorkflow.REPORT_TYPES.BADGE;
+        this.container.querySelectorAll('[data-transit-only]').forEach(group => {
+          group.classList.toggle('hidden', isBadge);
+        });
+
+        if (cardNumberInput && cardNumberInput.value && this.options.enableValidation) {
+          this.validateField(cardNumberInput);
+        }
+      });
+    });
+
     // リアルタイムバリデーション
     if (this.options.enableValidation) {
       this.setupRealTimeValidation();
@@ -598,6 +911,15 @@ class ICLossReportForm {
       errorMessage = 'この項目は必須です';
     }
 
+    // 検証ルールセット (型・文字数・範囲・形式・条件付き必須)
+    if (isValid && this.ruleSet.getRule(fieldName)) {
+      const [error] = this.ruleSet.validateProperty(fieldName, value, this.getFormData());
+      if (error) {
+        isValid = false;
+        errorMessage = error.message;
+      }
+    }
+
     // タイプ別バリデーション
     if (isValid && value) {
       switch (fieldName) {
@@ -609,13 +931,6 @@ class ICLossReportForm {
           }
           break;
 
-        case 'reporter_employee_id':
-          if (!/^[A-Z0-9]{4,10}$/.test(value)) {
-            isValid = false;
-            errorMessage = '社員番号は4-10桁の英数字で入力してください';
-          }
-          break;
-
         case 'contact_phone':
           const phoneValidation = this.validator.validate(value, 'phone');
           if (!phoneValidation.isValid) {
@@ -625,23 +940,10 @@ class ICLossReportForm {
           break;
 
         case 'card_number':
-          if (value && !/^[A-Z0-9\-]{4,20}$/.test(value)) {
+          const cardValidation = this.validateCardNumber(value);
+          if (!cardValidation.valid) {
             isValid = false;
-            errorMessage = 'カード番号は英数字とハイフンで入力してください';
-          }
-          break;
-
-        case 'loss_location':
-          if (value.length < 3) {
-            isValid = false;
-            errorMessage = '紛失場所をより詳しく入力してください（3文字以上）';
-          }
-          break;
-
-        case 'loss_circumstances':
-          if (value.length < 10) {
-            isValid = false;
-            errorMessage = '紛失状況をより詳しく記述してください（10文字以上）';
+            errorMessage = cardValidation.message;
           }
           break;
       }
@@ -652,6 +954,35 @@ class ICLossReportForm {
     return isValid;
   }
 
+  /**
+   * カード番号検証 (カード番号形式レジストリ)
+   * 選択したカードの種類または番号の接頭辞が登録済みの形式であれば、
+   * 入力値検証・ハッシュ化と同じ形式で検証する
+   * @param {string} value - 入力値
+   * @returns {Object} { valid, message }
+   */
+  validateCardNumber(value) {
+    const selected = this.container.querySelector('input[name="card_type"]:checked');
+    const expected = selected ? this.cardFormats.get(selected.value) : null;
+    const result = this.cardFormats.match(value);
+
+    // 社員証・その他など形式が登録されていないカード
+    if (!expected && !result.format) {
+      return /^[A-Z0-9\-]{4,20}$/i.test(value)
+        ? { valid: true, message: '' }
+        : { valid: false, message: 'カード番号は英数字とハイフンで入力してください' };
+    }
+
+    if (expected && (!result.format || result.format.type !== expected.type)) {
+      return {
+        valid: false,
+        message: `${expected.displayName}の番号は ${this.cardFormats.describe(expected.type)} で入力してください`
+      };
+    }
+
+    return { valid: result.valid, message: result.valid ? '' : result.errors[0] };
+  }
+
   /**
    * フィールドバリデーション結果UI更新
    * @param {HTMLElement} field - 対象フィールド
@@ -680,6 +1011,40 @@ class ICLossReportForm {
     }
   }
 
+  /**
+   * 検証ルールセットのエラーをフォームの項目に表示
+   * エラーのパス (例: witnesses[0].name) の先頭の項目名を name 属性として対応付ける
+   * @param {Array<Object>} errors - ValidationSchema のエラー { path, code, message }
+   * @returns {HTMLElement|null} 最初のエラー項目
+   */
+  bindValidationErrors(errors) {
+    let firstField = null;
+    const bound = new Set();
+
+    for (const error of errors) {
+      const name = error.path.split(/[.[]/)[0];
+      if (bound.has(name)) continue;
+      bound.add(name);
+
+      const field = Array.from(this.container.querySelectorAll('[name]')).find(element => element.name === name);
+      if (!field) continue;
+
+      if (field.type === 'radio' || field.type === 'checkbox') {
+        // ラジオボタン・チェックボックスはグループのエラー表示を使用
+        const errorElement = this.container.querySelector(`#${name.replace(/_/g, '-')}-error`);
+        if (errorElement) {
+          errorElement.textContent = error.message;
+          errorElement.classList.add('visible');
+        }
+      } else {
+        this.updateFieldValidation(field, false, error.message);
+      }
+      firstField = firstField || field;
+    }
+
+    return firstField;
+  }
+
   /**
    * 次のステップに進む
    */
@@ -846,7 +1211,8 @@ class ICLossReportForm {
    * 確認内容生成
    */
   generateConfirmationContent() {
-    const formData = this.getFormData();
+    // 紛失状況は保存時と同じマスク後の内容を表示
+    const formData = this.scrubFreeText(this.getFormData()).data;
     const confirmationContent = this.container.querySelector('#confirmation-content');
     
     if (!confirmationContent) return;
@@ -874,7 +1240,9 @@ class ICLossReportForm {
         title: '紛失詳細',
         fields: [
           { label: '紛失日時', value: this.formatDateTime(formData.loss_date) },
-          { label: '紛失場所', value: formData.loss_location },
+          { label: '紛失した地域', value: this.getSelectedText('reporter-region') },
+          { label: '利用していた交通機関', value: this.getSelectedText('loss-provider') },
+          { label: '紛失場所', value: this.getLossLocationText(formData) },
           { label: '紛失状況', value: formData.loss_circumstances },
           { label: '発見の経緯', value: formData.discovery_timing },
           { label: '実施した対応', value: this.getCheckboxValues('actions_taken').join(', ') || '未選択' }
@@ -909,6 +1277,17 @@ class ICLossReportForm {
     confirmationContent.innerHTML = html;
   }
 
+  /**
+   * セレクトボックスの選択表示名取得
+   * @param {string} id - セレクトボックスID
+   * @returns {string} 表示名 (未選択時は空文字)
+   */
+  getSelectedText(id) {
+    const select = this.container.querySelector(`#${id}`);
+    if (!select || !select.value) return '';
+    return select.options[select.selectedIndex].text.trim();
+  }
+
   /**
    * チェックボックスの選択値取得
    * @param {string} name - チェックボックス名
@@ -964,6 +1343,13 @@ class ICLossReportForm {
       formData[groupName] = this.getCheckboxValues(groupName);
     });
 
+    // 紛失場所 (路線・駅)
+    if (this.locationPicker) {
+      const location = this.locationPicker.getValue();
+      formData.loss_line = location.line;
+      formData.loss_stop = location.stop;
+    }
+
     return formData;
   }
 
@@ -992,9 +1378,40 @@ class ICLossReportForm {
         return;
       }
 
-      // フォームデータ取得
-      const formData = this.getFormData();
+      // フォームデータ取得 (紛失状況に含まれるカード番号・連絡先はマスクし、専用の項目へ移す)
+      const scrubbed = this.scrubFreeText(this.getFormData());
+      const formData = scrubbed.data;
+      if (scrubbed.findings.length > 0) {
+        CommonUtils.showNotification(SensitiveDataScrubber.formatWarning(scrubbed.findings), 'warning', 10000);
+      }
+
+      // 全ステップの入力を検証ルールセットで検証 (エラーは該当する項目に表示)
+      const validation = this.ruleSet.validate(formData);
+      if (!validation.valid) {
+        const firstField = this.bindValidationErrors(validation.errors);
+        CommonUtils.showNotification('入力に不備があります。エラーを修正してください。', 'error');
+        if (firstField) {
+          // エラーのある項目のステップに戻る
+          const stepElement = firstField.closest('[id^="step-"]');
+          if (stepElement) {
+            this.currentStep = Number(stepElement.id.replace('step-', ''));
+            this.updateStepDisplay();
+          }
+          CommonUtils.setAccessibleFocus(firstField);
+        }
+        return;
+      }
+
+      // 同じカードの未完了の報告がある場合は重複報告の確認
+      if (!await this.confirmDuplicateReports(formData.card_number)) {
+        return;
+      }
       
+      // 送信回数の制限 (上限を超えた場合はロックアウト)
+      if (this.rateLimiter) {
+        await this.rateLimiter.consume('REPORT_SUBMIT');
+      }
+
       // データの暗号化処理 (IPA準拠)
       const secureData = await this.encryptSensitiveData(formData);
       
@@ -1009,6 +1426,70 @@ class ICLossReportForm {
     }
   }
 
+  /**
+   * 自由記述欄の個人情報のマスク
+   * 電話番号・カード番号は未入力の場合に専用の項目へ移す (暗号化・ハッシュ化の対象となる)
+   * @param {Object} formData - フォームデータ
+   * @returns {Object} { data, findings }
+   */
+  scrubFreeText(formData) {
+    return this.scrubber.scrubFields(formData, ['loss_circumstances'], {
+      [SensitiveDataScrubber.KINDS.PHONE]: 'contact_phone',
+      [SensitiveDataScrubber.KINDS.CARD_NUMBER]: 'card_number'
+    });
+  }
+
+  /**
+   * 同じカード番号の未完了の報告を検索
+   * ブラインドインデックスで候補を1回の検索で取得し、ハッシュの照合で確定する
+   * (インデックス未設定の旧レコード、ペッパー未設定の場合は対象外)
+   * @param {string} cardNumber - カード番号
+   * @returns {Promise<Array<Object>>} 一致したレコード (論理フィールド名で参照可能)
+   */
+  async findDuplicateReports(cardNumber) {
+    const normalized = FoundCardReconciler.normalizeCardNumber(cardNumber || '');
+    if (!normalized || this.fieldMapping.getCodes(['card_number_index']).length === 0) return [];
+
+    const indexes = this.hashManager.getBlindIndexCandidates(normalized);
+    if (indexes.length === 0) return [];
+
+    const reconciler = new FoundCardReconciler(this.hashManager, {
+      lifecycle: this.lifecycle,
+      cardFormats: this.cardFormats,
+      fieldMapping: this.fieldMapping
+    });
+    const code = key => this.fieldMapping.code(key);
+    const statuses = reconciler.getSearchableStatuses().map(label => KintoneAPIHelper.quoteQueryValue(label)).join(', ');
+    const result = await KintoneAPIHelper.getRecordsSecurely({
+      query: `${code('status')} in (${statuses})`,
+      fields: ['$id', ...this.fieldMapping.getCodes([
+        'record_number', 'card_number_hash', 'card_number_salt', 'card_number_hash_version'
+      ])],
+      blindIndex: { field: code('card_number_index'), values: indexes }
+    });
+
+    if (!result.success) {
+      // 確認できない場合も報告自体は受け付ける
+      console.warn('重複報告の確認に失敗しました:', result.error);
+      return [];
+    }
+
+    return reconciler.findMatches(normalized, result.records.map(record => this.fieldMapping.fromRecord(record)));
+  }
+
+  /**
+   * 重複報告の確認
+   * @param {string} cardNumber - カード番号
+   * @returns {Promise<boolean>} 送信を続行するかどうか
+   */
+  async confirmDuplicateReports(cardNumber) {
+    const duplicates = await this.findDuplicateReports(cardNumber);
+    if (duplicates.length === 0) return true;
+
+    const numbers = duplicates.map(record => record.record_number?.value || record.$id.value).join(', ');
+    return confirm(`同じカードの未完了の報告があります (レコード番号: ${numbers})。重複して報告しますか？`);
+  }
+
   /**
    * 機密データの暗号化 (IPA準拠)
    * @param {Object} data - フォームデータ
@@ -1021,15 +1502,26 @@ class ICLossReportForm {
 
     const secureData = { ...data };
     
-    // 機密情報の暗号化
-    const sensitiveFields = ['reporter_employee_id', 'contact_phone', 'card_number'];
+    // 機密情報の暗号化 (照合のみに使用する項目は一方向ハッシュ化)
+    const sensitiveFields = ['reporter_employee_id', 'card_number'];
     
     for (const field of sensitiveFields) {
       if (secureData[field]) {
         try {
-          const encrypted = await this.hashManager.hashWithPepper(secureData[field]);
-          secureData[`${field}_hash`] = encrypted.hash;
+          // カード番号は拾得カード照合と同じ正規化を行ってからハッシュ化
+          const value = field === 'card_number'
+            ? FoundCardReconciler.normalizeCardNumber(secureData[field])
+            : secureData[field];
+          const encrypted = await this.hashManager.hashICCardNumber(value);
+          // 反復回数・アルゴリズムを含むPHC形式で保存 (設定変更後も照合可能)
+          secureData[`${field}_hash`] = encrypted.phc;
           secureData[`${field}_salt`] = encrypted.salt;
+          if (field === 'card_number') {
+            // ペッパーのローテーション後も照合できるようバージョンを記録
+            secureData.card_number_hash_version = String(encrypted.pepperVersion);
+            // 重複報告・拾得カード照合の候補検索用
+            secureData.card_number_index = encrypted.blindIndex || '';
+          }
           
           // 元データは削除（ログ対策）
           delete secureData[field];
@@ -1040,6 +1532,13 @@ class ICLossReportForm {
       }
     }
 
+    // 折り返し連絡に使用する電話番号は復号可能な形式で暗号化
+    if (secureData.contact_phone) {
+      const encrypted = await this.contactAccess.encryptContacts({ contact_phone: secureData.contact_phone });
+      secureData.contact_phone_encrypted = encrypted.contact_phone_encrypted.value;
+      delete secureData.contact_phone;
+    }
+
     // タイムスタンプ追加
     secureData.submitted_at = new Date().toISOString();
     secureData.submission_id = CommonUtils.generateCSRFToken();
@@ -1056,34 +1555,74 @@ class ICLossReportForm {
     CommonUtils.showLoading(true, '緊急報告を送信中...');
     
     try {
-      // Kintoneレコードとして保存
-      const records = [{
-        report_type: { value: 'ICカード紛失' },
+      // インシデント初期状態 (ライフサイクル管理)
+      const loginUser = kintone.getLoginUser();
+      const initial = this.lifecycle.createInitialState(loginUser ? loginUser.code : '');
+
+      // 社員証は入退館権限停止・仮入館証・再発行の手順、
+      // 交通系ICカードは交通機関が選択されていれば利用停止チェックリストを作成
+      const reportType = BadgeLossWorkflow.getReportType(data.card_type);
+      const isBadge = reportType === BadgeLossWorkflow.REPORT_TYPES.BADGE;
+      const checklist = isBadge
+        ? this.badgeWorkflow.createChecklist()
+        : data.loss_provider
+          ? await this.stopChecklist.createChecklist(data.loss_provider)
+          : [];
+
+      // 再発行・残高移行の追跡 (再発行手数料・定期券の有無、交通系ICカードのみ)
+      const replacementFields = isBadge ? {} : this.cardReplacement.toRecordFields(
+        this.cardReplacement.create({
+          balance: data.card_balance,
+          features: data.card_features || []
+        })
+      );
+
+      // Kintoneレコードとして保存 (論理フィールド名をアプリのフィールドコードに変換)
+      const fields = {
+        report_type: { value: reportType },
         reporter_name: { value: data.reporter_name },
         reporter_department: { value: data.reporter_department },
         reporter_employee_id_hash: { value: data.reporter_employee_id_hash },
         reporter_employee_id_salt: { value: data.reporter_employee_id_salt },
-        contact_phone_hash: { value: data.contact_phone_hash },
-        contact_phone_salt: { value: data.contact_phone_salt },
+        contact_phone_encrypted: { value: data.contact_phone_encrypted || '' },
         card_type: { value: data.card_type },
         card_number_hash: { value: data.card_number_hash || '' },
         card_number_salt: { value: data.card_number_salt || '' },
+        card_number_hash_version: { value: data.card_number_hash_version || '' },
+        card_number_index: { value: data.card_number_index || '' },
         card_balance: { value: data.card_balance || '0' },
         card_features: { value: (data.card_features || []).join(', ') },
         loss_date: { value: data.loss_date },
-        loss_location: { value: data.loss_location },
+        reporter_region: { value: data.reporter_region || '' },
+        loss_provider: { value: data.loss_provider || '' },
+        loss_line: { value: data.loss_line || '' },
+        loss_stop: { value: data.loss_stop || '' },
+        loss_location: { value: this.getLossLocationText(data) },
         loss_circumstances: { value: data.loss_circumstances },
         discovery_timing: { value: data.discovery_timing },
         actions_taken: { value: (data.actions_taken || []).join(', ') },
-        status: { value: '報告受付' },
+        status_history: { value: this.lifecycle.toHistoryTable([initial.historyEntry]) },
+        stop_checklist: { value: this.stopChecklist.toSubtable(checklist) },
+        ...replacementFields,
         priority: { value: '緊急' },
         submitted_at: { value: data.submitted_at },
         submission_id: { value: data.submission_id }
-      }];
+      };
+
+      // プロセス管理が有効な場合、ステータスはプロセスの初期ステータスとなる
+      if (!this.processWorkflow.isEnabled()) {
+        fields.status = { value: initial.status };
+      }
 
-      const result = await KintoneAPIHelper.saveRecordsSecurely(records);
+      const result = await KintoneAPIHelper.saveRecordsSecurely([this.fieldMapping.toRecord(fields)]);
       
       if (result.success) {
+        // 緊急連絡先を作業者に設定 (失敗しても報告自体は完了している)
+        try {
+          await this.processWorkflow.assign(result.ids[0]);
+        } catch (error) {
+          console.error('作業者設定エラー:', error);
+        }
         this.showSubmissionSuccess(result.ids[0], data.submission_id);
       } else {
         throw new Error(result.error);
@@ -1230,7 +1769,13 @@ class ICLossReportForm {
     if (form) {
       form.reset();
     }
-    
+
+    if (this.locationPicker) {
+      this.locationPicker.reset();
+      this.handleLocationChange(this.locationPicker.getValue());
+      this.showStopProcedure('');
+    }
+
     this.currentStep = 1;
     this.formData = {};
     this.updateStepDisplay();
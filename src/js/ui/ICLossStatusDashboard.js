@@ -12,6 +12,24 @@
 // 依存関係インポート
 const { CommonUtils, KintoneAPIHelper } = require('../common');
 const InputValidator = require('../security/InputValidator');
+const IncidentLifecycle = require('../incident-lifecycle');
+const TransportationManager = require('../transportation-manager');
+const ProviderStopChecklist = require('../provider-stop-checklist');
+const SlaEngine = require('../sla-engine');
+const LocationCatalog = require('../location-catalog');
+const CardReplacement = require('../card-replacement');
+const BadgeLossWorkflow = require('../badge-loss-workflow');
+const ProcessWorkflow = require('../process-workflow');
+const FieldMapping = require('../field-mapping');
+const SecurityConfig = require('../security/SecurityConfig');
+const SessionManager = require('../security/SessionManager');
+const AuditLogStore = require('../audit-log-store');
+const ReauthDialog = require('./ReauthDialog');
+
+/**
+ * プロセス管理でステータスを進めた後の履歴保存の試行回数 (リビジョン競合時は最新のレコードで再試行)
+ */
+const HISTORY_SAVE_ATTEMPTS = 3;
 
 /**
  * ICカード紛失状況ダッシュボードクラス
@@ -24,14 +42,25 @@ class ICLossStatusDashboard {
       maxRecords: 100,
       enableRealTimeUpdate: true,
       showPersonalOnly: false,
+      sessionManager: null, // デスクトップ画面に組み込む場合はデスクトップのセッション管理を共有
       ...options
     };
     
     this.validator = new InputValidator();
+    this.lifecycle = new IncidentLifecycle();
+    this.stopChecklist = new ProviderStopChecklist();
+    this.sla = new SlaEngine({}, { lifecycle: this.lifecycle });
+    this.locationCatalog = new LocationCatalog();
+    this.cardReplacement = new CardReplacement();
+    this.badgeWorkflow = new BadgeLossWorkflow();
+    this.processWorkflow = new ProcessWorkflow();
+    this.fieldMapping = new FieldMapping();
+    this.providerOptions = [];
     this.data = [];
     this.filteredData = [];
     this.currentUser = null;
     this.refreshTimer = null;
+    this.sessionManager = null;
     this.isLoading = false;
     
     this.initialize();
@@ -47,6 +76,15 @@ class ICLossStatusDashboard {
       
       // プラグイン設定確認
       await this.loadPluginConfig();
+
+      // フィールドコード対応付けの照合 (アプリのフィールド不足を検出)
+      await this.verifyFieldMapping();
+      
+      // 交通機関一覧読み込み (利用停止チェックリスト用)
+      await this.loadProviderOptions();
+
+      // プロセス管理設定読み込み (ステータス・作業者)
+      await this.loadProcessDefinition();
       
       // 初期データ読み込み
       await this.loadData();
@@ -61,6 +99,9 @@ class ICLossStatusDashboard {
       if (this.options.enableRealTimeUpdate) {
         this.startRealTimeUpdate();
       }
+
+      // 無操作時間によるセッション管理
+      this.startSession();
       
       console.log('ICカード紛失状況ダッシュボードが初期化されました');
     } catch (error) {
@@ -79,6 +120,68 @@ class ICLossStatusDashboard {
     }
     
     this.config = config;
+    this.fieldMapping = FieldMapping.fromConfig(config);
+
+    // 設定画面で編集された交通機関データを同梱データより優先
+    const transportationManager = new TransportationManager({
+      overrides: TransportationManager.overridesFromConfig(config)
+    });
+    this.stopChecklist = new ProviderStopChecklist(transportationManager);
+    this.sla = new SlaEngine(SlaEngine.rulesFromConfig(config), {
+      lifecycle: this.lifecycle,
+      transportationManager,
+      fieldMapping: this.fieldMapping
+    });
+    this.cardReplacement = new CardReplacement(CardReplacement.rulesFromConfig(config));
+    this.processWorkflow = new ProcessWorkflow({
+      appId: kintone.app.getId(),
+      assignees: ProcessWorkflow.assigneesFromConfig(config)
+    });
+  }
+
+  /**
+   * フィールドコード対応付けの照合
+   * 必須フィールドがない場合は初期化を中止し、任意フィールドの不足は警告のみとする
+   */
+  async verifyFieldMapping() {
+    const result = await this.fieldMapping.verify(kintone.app.getId());
+    result.warnings.forEach(warning => console.warn('フィールド対応付け:', warning));
+
+    if (!result.valid) {
+      CommonUtils.showNotification(`アプリのフィールド設定を確認してください: ${result.errors.join(', ')}`, 'error');
+      throw new Error('フィールド対応付けエラー');
+    }
+  }
+
+  /**
+   * プロセス管理設定読み込み
+   * 取得できない場合は status フィールドによる管理で継続し、
+   * ステータス名がライフサイクルのステータスと一致しない場合は初期化を中止する
+   */
+  async loadProcessDefinition() {
+    try {
+      await this.processWorkflow.load();
+    } catch (error) {
+      if (ProcessWorkflow.isStatusMismatchError(error)) {
+        CommonUtils.showNotification(`プロセス管理の設定を確認してください: ${error.message}`, 'error');
+        throw error;
+      }
+      console.warn('プロセス管理設定の読み込みに失敗しました:', error);
+    }
+  }
+
+  /**
+   * 交通機関一覧読み込み
+   * 失敗してもダッシュボード表示は継続する
+   */
+  async loadProviderOptions() {
+    try {
+      this.providerOptions = await this.stopChecklist.getProviderOptions();
+      await this.sla.loadProviders();
+    } catch (error) {
+      console.warn('交通機関一覧の読み込みに失敗しました:', error);
+      this.providerOptions = [];
+    }
   }
 
   /**
@@ -92,34 +195,55 @@ class ICLossStatusDashboard {
     try {
       CommonUtils.showLoading(true, 'データ読み込み中...');
       
-      // クエリ構築
-      let query = 'report_type = "ICカード紛失" order by submitted_at desc';
+      // クエリ構築 (交通系ICカード・社員証の両区分)
+      const code = key => this.fieldMapping.code(key);
+      const quote = value => KintoneAPIHelper.quoteQueryValue(value);
+      const reportTypes = Object.values(BadgeLossWorkflow.REPORT_TYPES).map(quote).join(', ');
+      let query = `${code('report_type')} in (${reportTypes}) order by ${code('submitted_at')} desc`;
       
       if (this.options.showPersonalOnly && this.currentUser) {
         // 個人の報告のみ表示（ハッシュ化された社員番号での比較は困難なため、報告者名で比較）
-        query = `report_type = "ICカード紛失" and reporter_name = "${this.currentUser.name}" order by submitted_at desc`;
+        query = `${code('report_type')} in (${reportTypes}) and ${code('reporter_name')} = ${quote(this.currentUser.name)} ` +
+                `order by ${code('submitted_at')} desc`;
       }
       
       const result = await KintoneAPIHelper.getRecordsSecurely({
         query: query,
         fields: [
-          'レコード番号',
-          'reporter_name',
-          'reporter_department', 
-          'card_type',
-          'loss_date',
-          'loss_location',
-          'status',
-          'priority',
-          'submitted_at',
-          'submission_id',
-          'updated_at',
-          'assignee'
+          '$id',
+          '$revision',
+          ...this.fieldMapping.getCodes([
+            'record_number',
+            'report_type',
+            'reporter_name',
+            'reporter_department', 
+            'card_type',
+            'card_balance',
+            'card_features',
+            'loss_date',
+            'loss_location',
+            'loss_provider',
+            'loss_line',
+            'loss_stop',
+            'status',
+            'status_history',
+            'stop_checklist',
+            'escalated_at',
+            ...Object.values(CardReplacement.REPLACEMENT_FIELDS),
+            'priority',
+            'submitted_at',
+            'submission_id',
+            'updated_at',
+            'assignee'
+          ]),
+          ...Object.values(ProcessWorkflow.PROCESS_FIELDS)
         ]
       });
       
       if (result.success) {
-        this.data = result.records;
+        this.data = result.records.map(record =>
+          this.processWorkflow.applyToRecord(this.fieldMapping.fromRecord(record)));
+        await this.escalateOverdueRecords();
         this.applyFilters();
         this.updateUI();
       } else {
@@ -193,19 +317,35 @@ class ICLossStatusDashboard {
           </div>
         </section>
 
+        <!-- 紛失場所別件数 -->
+        <section class="dashboard-locations" aria-labelledby="locations-title">
+          <h3 id="locations-title" class="section-title">紛失場所別件数</h3>
+          <ol class="location-summary" id="location-summary">
+            <!-- 駅・停留所別の件数はJavaScriptで動的生成 -->
+          </ol>
+        </section>
+
         <!-- フィルターとソート -->
         <section class="dashboard-filters" aria-labelledby="filters-title">
           <h3 id="filters-title" class="sr-only">フィルターとソート</h3>
           <div class="filter-controls">
+            <div class="filter-group">
+              <label for="report-type-filter" class="filter-label">区分</label>
+              <select id="report-type-filter" class="form-control filter-select">
+                <option value="">すべて</option>
+                ${Object.values(BadgeLossWorkflow.REPORT_TYPES).map(type => `
+                <option value="${CommonUtils.escapeHtml(type)}">${CommonUtils.escapeHtml(type)}</option>
+                `).join('')}
+              </select>
+            </div>
+
             <div class="filter-group">
               <label for="status-filter" class="filter-label">ステータス</label>
               <select id="status-filter" class="form-control filter-select">
                 <option value="">すべて</option>
-                <option value="報告受付">報告受付</option>
-                <option value="調査中">調査中</option>
-                <option value="対応中">対応中</option>
-                <option value="完了">完了</option>
-                <option value="キャンセル">キャンセル</option>
+                ${this.getStatusOptions().map(label => `
+                <option value="${CommonUtils.escapeHtml(label)}">${CommonUtils.escapeHtml(label)}</option>
+                `).join('')}
               </select>
             </div>
             
@@ -321,6 +461,12 @@ class ICLossStatusDashboard {
                       <span class="sort-indicator" aria-hidden="true"></span>
                     </button>
                   </th>
+                  <th scope="col" class="sortable" data-sort="assignee">
+                    <button type="button" class="sort-button">
+                      作業者
+                      <span class="sort-indicator" aria-hidden="true"></span>
+                    </button>
+                  </th>
                   <th scope="col" class="sortable" data-sort="priority">
                     <button type="button" class="sort-button">
                       優先度
@@ -448,6 +594,64 @@ class ICLossStatusDashboard {
       }
     });
 
+    // ステータス変更ボタン
+    this.container.addEventListener('click', (e) => {
+      const button = e.target.closest('.transition-btn');
+      if (!button) return;
+
+      const panel = button.closest('.status-transition');
+      this.transitionRecord(panel.dataset.recordId, button.dataset.toState, {
+        providerReferenceNumber: panel.querySelector('#transition-reference')?.value.trim(),
+        foundAt: panel.querySelector('#transition-found-at')?.value,
+        note: panel.querySelector('#transition-note')?.value.trim()
+      });
+    });
+
+    // 利用停止チェックリスト操作
+    this.container.addEventListener('click', (e) => {
+      const section = e.target.closest('.checklist-section');
+      if (!section) return;
+
+      if (e.target.closest('.checklist-badge-btn')) {
+        this.createBadgeChecklist(section.dataset.recordId);
+        return;
+      }
+
+      if (e.target.closest('.checklist-add-btn')) {
+        const providerId = section.querySelector('#checklist-provider')?.value;
+        this.addChecklistProvider(section.dataset.recordId, providerId);
+        return;
+      }
+
+      const completeBtn = e.target.closest('.checklist-complete-btn');
+      if (completeBtn) {
+        const step = completeBtn.closest('.checklist-step');
+        const referenceNumber = step.querySelector('.checklist-reference')?.value.trim() || '';
+        this.completeChecklistStep(section.dataset.recordId, completeBtn.dataset.stepId, referenceNumber);
+      }
+    });
+
+    // 再発行・残高移行操作
+    this.container.addEventListener('click', (e) => {
+      const section = e.target.closest('.replacement-section');
+      if (!section) return;
+
+      const recordId = section.dataset.recordId;
+      if (e.target.closest('.replacement-request-btn')) {
+        this.requestReplacement(recordId, {
+          referenceNumber: section.querySelector('#replacement-reference')?.value.trim(),
+          reissueFee: section.querySelector('#replacement-fee')?.value
+        });
+      } else if (e.target.closest('.replacement-confirm-btn')) {
+        this.confirmReplacement(recordId, {
+          balanceTransferred: section.querySelector('#replacement-balance')?.value,
+          commuterPassRestored: !!section.querySelector('#replacement-commuter-restored')?.checked
+        });
+      } else if (e.target.closest('.replacement-claim-btn')) {
+        this.createExpenseClaim(recordId);
+      }
+    });
+
     // テーブル行クリック
     this.container.addEventListener('click', (e) => {
       const row = e.target.closest('tr[data-record-id]');
@@ -481,10 +685,58 @@ class ICLossStatusDashboard {
     await this.loadData();
   }
 
+  /**
+   * レコードのSLA判定
+   * @param {Object} record - レコードデータ
+   * @returns {Object} SLA判定結果
+   */
+  evaluateSla(record) {
+    const checklist = this.stopChecklist.fromSubtable(record.stop_checklist?.value);
+    return this.sla.evaluate({
+      status: record.status?.value,
+      lossTime: record.loss_date?.value,
+      providerIds: [...new Set(checklist.map(step => step.providerId))]
+    });
+  }
+
+  /**
+   * 期限超過レコードのエスカレーション
+   * 失敗しても一覧表示は継続する
+   */
+  async escalateOverdueRecords() {
+    for (const record of this.data) {
+      try {
+        await this.sla.escalate(record, this.evaluateSla(record));
+      } catch (error) {
+        console.error('エスカレーションエラー:', error);
+      }
+    }
+  }
+
+  /**
+   * SLAバッジHTML生成
+   * @param {Object} record - レコードデータ
+   * @returns {string} バッジHTML
+   */
+  generateSlaBadge(record) {
+    if (this.lifecycle.isTerminal(record.status?.value)) return '';
+
+    const result = this.evaluateSla(record);
+    if (result.state === SlaEngine.SLA_STATES.UNKNOWN) return '';
+
+    const dueAt = result.dueAt.toISOString();
+    return `
+      <span class="sla-badge sla-${result.state}" title="対応期限: ${this.formatDetailDate(dueAt)}">
+        ${CommonUtils.escapeHtml(this.sla.formatCountdown(result))}
+      </span>
+    `;
+  }
+
   /**
    * フィルター適用
    */
   applyFilters() {
+    const reportTypeFilter = this.container.querySelector('#report-type-filter')?.value || '';
     const statusFilter = this.container.querySelector('#status-filter')?.value || '';
     const priorityFilter = this.container.querySelector('#priority-filter')?.value || '';
     const cardTypeFilter = this.container.querySelector('#card-type-filter')?.value || '';
@@ -492,8 +744,13 @@ class ICLossStatusDashboard {
     const searchInput = this.container.querySelector('#search-input')?.value.trim().toLowerCase() || '';
 
     this.filteredData = this.data.filter(record => {
+      // 区分フィルター (交通系ICカード / 社員証)
+      if (reportTypeFilter && BadgeLossWorkflow.resolveReportType(record) !== reportTypeFilter) {
+        return false;
+      }
+
       // ステータスフィルター
-      if (statusFilter && record.status?.value !== statusFilter) {
+      if (statusFilter && this.lifecycle.getLabel(record.status?.value) !== statusFilter) {
         return false;
       }
 
@@ -635,6 +892,7 @@ class ICLossStatusDashboard {
    */
   updateUI() {
     this.updateSummaryCards();
+    this.updateLocationSummary();
     this.updateTableBody();
     this.updateRecordCount();
     this.updateLastUpdated();
@@ -677,6 +935,24 @@ class ICLossStatusDashboard {
         <div class="card-description">件</div>
       </div>
 
+      <div class="summary-card overdue" role="region" aria-labelledby="overdue-title">
+        <div class="card-header">
+          <h4 id="overdue-title" class="card-title">期限超過</h4>
+          <span class="card-icon" aria-hidden="true">⏰</span>
+        </div>
+        <div class="card-value" aria-label="期限超過数">${stats.overdue}</div>
+        <div class="card-description">件</div>
+      </div>
+
+      <div class="summary-card badge" role="region" aria-labelledby="badge-title">
+        <div class="card-header">
+          <h4 id="badge-title" class="card-title">社員証紛失</h4>
+          <span class="card-icon" aria-hidden="true">🪪</span>
+        </div>
+        <div class="card-value" aria-label="社員証紛失数">${stats.badge}</div>
+        <div class="card-description">件 (対応中 ${stats.badgeOpen}件)</div>
+      </div>
+
       <div class="summary-card completed" role="region" aria-labelledby="completed-title">
         <div class="card-header">
           <h4 id="completed-title" class="card-title">完了</h4>
@@ -697,6 +973,23 @@ class ICLossStatusDashboard {
     `;
   }
 
+  /**
+   * 紛失場所別件数更新 (上位5件)
+   */
+  updateLocationSummary() {
+    const summary = this.container.querySelector('#location-summary');
+    if (!summary) return;
+
+    const groups = this.locationCatalog.groupByLocation(this.filteredData).slice(0, 5);
+    summary.innerHTML = groups.length === 0
+      ? '<li class="location-summary-empty">該当する報告はありません</li>'
+      : groups.map(group => `
+        <li class="location-summary-item">
+          <span class="location-summary-label">${CommonUtils.escapeHtml(group.label)}</span>
+          <span class="location-summary-count">${group.count}件</span>
+        </li>`).join('');
+  }
+
   /**
    * 統計計算
    * @returns {Object} 統計データ
@@ -707,6 +1000,9 @@ class ICLossStatusDashboard {
       urgent: 0,
       inProgress: 0,
       completed: 0,
+      overdue: 0,
+      badge: 0,
+      badgeOpen: 0,
       today: 0
     };
 
@@ -720,13 +1016,26 @@ class ICLossStatusDashboard {
       }
 
       // ステータス
-      const status = record.status?.value;
-      if (status === '調査中' || status === '対応中') {
+      const category = this.lifecycle.getCategory(record.status?.value);
+      if (category === 'inProgress') {
         stats.inProgress++;
-      } else if (status === '完了') {
+      } else if (category === 'completed') {
         stats.completed++;
       }
 
+      // 社員証紛失
+      if (BadgeLossWorkflow.isBadgeIncident(record)) {
+        stats.badge++;
+        if (!this.lifecycle.isTerminal(record.status?.value)) {
+          stats.badgeOpen++;
+        }
+      }
+
+      // 対応期限超過
+      if (this.evaluateSla(record).state === SlaEngine.SLA_STATES.OVERDUE) {
+        stats.overdue++;
+      }
+
       // 本日の報告
       const submittedDate = new Date(record.submitted_at?.value);
       if (submittedDate >= today) {
@@ -767,7 +1076,7 @@ class ICLossStatusDashboard {
    * @returns {string} テーブル行HTML
    */
   generateTableRow(record) {
-    const recordId = record['レコード番号']?.value || '';
+    const recordId = record.record_number?.value || '';
     const reporterName = CommonUtils.escapeHtml(record.reporter_name?.value || '');
     const department = CommonUtils.escapeHtml(record.reporter_department?.value || '');
     const cardType = CommonUtils.escapeHtml(record.card_type?.value || '');
@@ -816,6 +1125,10 @@ class ICLossStatusDashboard {
                 aria-label="ステータス: ${status}">
             ${CommonUtils.escapeHtml(status)}
           </span>
+          ${this.generateSlaBadge(record)}
+        </td>
+        <td>
+          <span class="assignee">${CommonUtils.escapeHtml(record.assignee?.value || '-')}</span>
         </td>
         <td>
           <span class="priority-badge ${priorityClass}" 
@@ -844,14 +1157,7 @@ class ICLossStatusDashboard {
    * @returns {string} CSSクラス
    */
   getStatusClass(status) {
-    const statusClasses = {
-      '報告受付': 'status-received',
-      '調査中': 'status-investigating',
-      '対応中': 'status-responding',
-      '完了': 'status-completed',
-      'キャンセル': 'status-cancelled'
-    };
-    return statusClasses[status] || 'status-unknown';
+    return this.lifecycle.getCssClass(status);
   }
 
   /**
@@ -923,7 +1229,7 @@ class ICLossStatusDashboard {
    * @param {string} recordId - レコードID
    */
   async showDetailModal(recordId) {
-    const record = this.data.find(r => r['レコード番号']?.value === recordId);
+    const record = this.data.find(r => r.record_number?.value === recordId);
     if (!record) {
       CommonUtils.showNotification('レコードが見つかりません', 'error');
       return;
@@ -967,6 +1273,7 @@ class ICLossStatusDashboard {
             <span class="priority-badge ${this.getPriorityClass(record.priority?.value)}">
               ${CommonUtils.escapeHtml(record.priority?.value || '')}
             </span>
+            ${this.generateSlaBadge(record)}
           </div>
           <div class="detail-meta">
             <p><strong>受付番号:</strong> ${CommonUtils.escapeHtml(record.submission_id?.value || '')}</p>
@@ -1024,11 +1331,562 @@ class ICLossStatusDashboard {
             </dl>
           </section>
           ` : ''}
+
+          ${this.generateChecklistSection(record)}
+
+          ${this.generateReplacementSection(record)}
+
+          ${this.generateLifecycleSection(record)}
         </div>
       </div>
     `;
   }
 
+  /**
+   * ステータス履歴・遷移操作セクション生成
+   * @param {Object} record - レコードデータ
+   * @returns {string} セクションHTML
+   */
+  generateLifecycleSection(record) {
+    const recordId = CommonUtils.escapeHtml(record.record_number?.value || '');
+    const history = this.lifecycle.fromHistoryTable(record.status_history?.value);
+    const transitions = this.getAvailableTransitions(record);
+
+    return `
+      <section class="detail-section lifecycle-section">
+        <h4>ステータス履歴</h4>
+        ${history.length > 0 ? `
+        <ol class="status-history-list">
+          ${history.map(entry => `
+          <li>
+            <span class="history-date">${this.formatDetailDate(entry.at)}</span>
+            ${CommonUtils.escapeHtml(entry.from || '-')} → ${CommonUtils.escapeHtml(entry.to)}
+            (${CommonUtils.escapeHtml(entry.actor)})
+            ${entry.note ? `<span class="history-note">${CommonUtils.escapeHtml(entry.note)}</span>` : ''}
+          </li>
+          `).join('')}
+        </ol>
+        ` : '<p>履歴はありません</p>'}
+
+        ${transitions.length > 0 ? `
+        <div class="status-transition" data-record-id="${recordId}">
+          <label for="transition-reference" class="form-label">交通機関受付番号</label>
+          <input type="text" id="transition-reference" class="form-control" maxlength="50">
+          <label for="transition-found-at" class="form-label">発見日時</label>
+          <input type="datetime-local" id="transition-found-at" class="form-control">
+          <label for="transition-note" class="form-label">備考</label>
+          <input type="text" id="transition-note" class="form-control" maxlength="200">
+          <div class="transition-actions">
+            ${transitions.map(state => `
+            <button type="button" class="btn btn-secondary transition-btn" data-to-state="${state.key}">
+              ${CommonUtils.escapeHtml(state.label)}へ変更
+            </button>
+            `).join('')}
+          </div>
+        </div>
+        ` : ''}
+      </section>
+    `;
+  }
+
+  /**
+   * 利用停止チェックリストセクション生成
+   * 社員証紛失は交通機関の代わりに入退館権限停止・仮入館証・再発行の手順を表示する
+   * @param {Object} record - レコードデータ
+   * @returns {string} セクションHTML
+   */
+  generateChecklistSection(record) {
+    const recordId = CommonUtils.escapeHtml(record.record_number?.value || '');
+    const checklist = this.stopChecklist.fromSubtable(record.stop_checklist?.value);
+    const progress = this.stopChecklist.getProgress(checklist);
+    const isBadge = BadgeLossWorkflow.isBadgeIncident(record);
+    const addedProviders = checklist.map(step => step.providerId);
+    const availableProviders = isBadge ? [] : this.providerOptions.filter(p => !addedProviders.includes(p.id));
+    const editable = !this.lifecycle.isTerminal(record.status?.value);
+    const referenceLabel = (step) => step.category === 'contact'
+      ? '受付番号'
+      : this.badgeWorkflow.getReferenceLabel(step.category);
+
+    return `
+      <section class="detail-section checklist-section" data-record-id="${recordId}">
+        <h4>${isBadge ? '社員証対応チェックリスト' : '利用停止チェックリスト'} (${progress.completed}/${progress.total})</h4>
+        ${checklist.length > 0 ? `
+        <ul class="stop-checklist">
+          ${checklist.map(step => `
+          <li class="checklist-step ${step.completed ? 'completed' : 'open'}">
+            <span class="checklist-provider">${CommonUtils.escapeHtml(step.providerName)}</span>
+            <span class="checklist-label">${CommonUtils.escapeHtml(step.label)}</span>
+            ${step.completed ? `
+            <span class="checklist-done">
+              ${CommonUtils.escapeHtml(step.completedBy)} / ${this.formatDetailDate(step.completedAt)}
+              ${step.referenceNumber ? `(${referenceLabel(step) || '受付番号'}: ${CommonUtils.escapeHtml(step.referenceNumber)})` : ''}
+            </span>
+            ` : editable ? `
+            ${referenceLabel(step) ? `
+            <input type="text" class="form-control checklist-reference" maxlength="50"
+                   aria-label="${CommonUtils.escapeHtml(step.providerName)} ${referenceLabel(step)}"
+                   placeholder="${referenceLabel(step)}">
+            ` : ''}
+            <button type="button" class="btn btn-secondary checklist-complete-btn"
+                    data-step-id="${CommonUtils.escapeHtml(step.stepId)}">完了</button>
+            ` : ''}
+          </li>
+          `).join('')}
+        </ul>
+        ` : '<p>利用停止手順はまだ登録されていません</p>'}
+
+        ${editable && isBadge && checklist.length === 0 ? `
+        <button type="button" class="btn btn-secondary checklist-badge-btn">社員証対応の手順を作成</button>
+        ` : ''}
+
+        ${editable && availableProviders.length > 0 ? `
+        <div class="checklist-add">
+          <label for="checklist-provider" class="form-label">交通機関</label>
+          <select id="checklist-provider" class="form-control">
+            ${availableProviders.map(p => `
+            <option value="${CommonUtils.escapeHtml(p.id)}">${CommonUtils.escapeHtml(p.name)}</option>
+            `).join('')}
+          </select>
+          <button type="button" class="btn btn-secondary checklist-add-btn">手順を追加</button>
+        </div>
+        ` : ''}
+      </section>
+    `;
+  }
+
+  /**
+   * 交通機関の利用停止手順をチェックリストに追加
+   * @param {string} recordId - レコードID
+   * @param {string} providerId - 交通機関ID
+   */
+  async addChecklistProvider(recordId, providerId) {
+    const record = this.data.find(r => r.record_number?.value === recordId);
+    if (!record) {
+      CommonUtils.showNotification('レコードが見つかりません', 'error');
+      return;
+    }
+
+    try {
+      const checklist = await this.stopChecklist.addProvider(
+        this.stopChecklist.fromSubtable(record.stop_checklist?.value),
+        providerId
+      );
+
+      await this.saveRecordFields(record, {
+        stop_checklist: { value: this.stopChecklist.toSubtable(checklist) }
+      });
+
+      CommonUtils.showNotification('利用停止手順を追加しました', 'success');
+      await this.showDetailModal(recordId);
+
+    } catch (error) {
+      console.error('チェックリスト追加エラー:', error);
+      CommonUtils.showNotification(error.message, 'error');
+    }
+  }
+
+  /**
+   * 社員証紛失の対応手順をチェックリストに作成 (手順のない旧レコード用)
+   * @param {string} recordId - レコードID
+   */
+  async createBadgeChecklist(recordId) {
+    const record = this.data.find(r => r.record_number?.value === recordId);
+    if (!record) {
+      CommonUtils.showNotification('レコードが見つかりません', 'error');
+      return;
+    }
+
+    try {
+      await this.saveRecordFields(record, {
+        report_type: { value: BadgeLossWorkflow.REPORT_TYPES.BADGE },
+        stop_checklist: { value: this.stopChecklist.toSubtable(this.badgeWorkflow.createChecklist()) }
+      });
+
+      CommonUtils.showNotification('社員証対応の手順を作成しました', 'success');
+      await this.showDetailModal(recordId);
+
+    } catch (error) {
+      console.error('チェックリスト作成エラー:', error);
+      CommonUtils.showNotification(error.message, 'error');
+    }
+  }
+
+  /**
+   * チェックリスト手順の完了記録
+   * @param {string} recordId - レコードID
+   * @param {string} stepId - 手順ID
+   * @param {string} referenceNumber - 交通機関受付番号 (社員証は仮入館証番号・再発行申請番号)
+   */
+  async completeChecklistStep(recordId, stepId, referenceNumber) {
+    const record = this.data.find(r => r.record_number?.value === recordId);
+    if (!record) {
+      CommonUtils.showNotification('レコードが見つかりません', 'error');
+      return;
+    }
+
+    try {
+      const workflow = BadgeLossWorkflow.isBadgeIncident(record) ? this.badgeWorkflow : this.stopChecklist;
+      const checklist = workflow.completeStep(
+        this.stopChecklist.fromSubtable(record.stop_checklist?.value),
+        stepId,
+        {
+          actor: this.currentUser ? this.currentUser.code : '',
+          referenceNumber
+        }
+      );
+
+      await this.saveRecordFields(record, {
+        stop_checklist: { value: this.stopChecklist.toSubtable(checklist) }
+      });
+
+      CommonUtils.showNotification('手順を完了にしました', 'success');
+      await this.showDetailModal(recordId);
+
+    } catch (error) {
+      console.error('チェックリスト更新エラー:', error);
+      CommonUtils.showNotification(error.message, 'error');
+    }
+  }
+
+  /**
+   * 再発行・残高移行セクション生成
+   * カードが発見されないまま利用停止した後 (利用停止済み・捜索中・再発行済み) に表示する
+   * @param {Object} record - レコードデータ
+   * @returns {string} セクションHTML
+   */
+  generateReplacementSection(record) {
+    const { REPLACEMENT_STATES } = CardReplacement;
+    const recordId = CommonUtils.escapeHtml(record.record_number?.value || '');
+    const replacement = this.cardReplacement.fromRecord(record);
+    const state = this.lifecycle.resolveState(record.status?.value);
+
+    // 社員証の再発行はチェックリストで管理する
+    if (BadgeLossWorkflow.isBadgeIncident(record)) {
+      return '';
+    }
+
+    if (!['PROVIDER_STOPPED', 'SEARCHING', 'REPLACED'].includes(state) &&
+        replacement.status === REPLACEMENT_STATES.NOT_REQUESTED) {
+      return '';
+    }
+
+    const editable = !this.lifecycle.isTerminal(record.status?.value);
+    const openItems = this.cardReplacement.getOpenItems(replacement);
+    const confirmed = replacement.status === REPLACEMENT_STATES.CONFIRMED;
+    const difference = this.cardReplacement.getBalanceDifference(replacement);
+    const commuterPassLabel = !replacement.commuterPass ? '対象外'
+      : replacement.commuterPassRestored ? '区間復元済み' : '区間復元待ち';
+    const claimLabel = replacement.expenseClaimId ? `精算レコード #${replacement.expenseClaimId}`
+      : this.cardReplacement.rules.expenseAppId ? '未作成' : '経費精算アプリ未設定';
+    const canCreateClaim = replacement.status !== REPLACEMENT_STATES.NOT_REQUESTED &&
+      !replacement.expenseClaimId && replacement.reissueFee > 0 && this.cardReplacement.rules.expenseAppId;
+
+    return `
+      <section class="detail-section replacement-section" data-record-id="${recordId}">
+        <h4>再発行・残高移行 (${CommonUtils.escapeHtml(replacement.status)})</h4>
+        <dl class="detail-list">
+          <dt>再発行受付番号</dt>
+          <dd>${CommonUtils.escapeHtml(replacement.referenceNumber || '-')}</dd>
+          <dt>再発行手数料</dt>
+          <dd>${replacement.reissueFee}円</dd>
+          <dt>移行予定の残高</dt>
+          <dd>${replacement.balanceToTransfer}円</dd>
+          ${confirmed ? `
+          <dt>移行済みの残高</dt>
+          <dd>${replacement.balanceTransferred}円${difference !== 0 ? ` (差額 ${difference}円)` : ''}</dd>
+          <dt>受領確認</dt>
+          <dd>${CommonUtils.escapeHtml(replacement.confirmedBy)} / ${this.formatDetailDate(replacement.confirmedAt)}</dd>
+          ` : ''}
+          <dt>定期券</dt>
+          <dd>${commuterPassLabel}</dd>
+          <dt>経費精算</dt>
+          <dd>${CommonUtils.escapeHtml(claimLabel)}</dd>
+        </dl>
+        ${openItems.length > 0 ? `
+        <p class="replacement-open">未完了: ${openItems.map(item => CommonUtils.escapeHtml(item)).join('、')}</p>
+        ` : ''}
+
+        ${editable && replacement.status === REPLACEMENT_STATES.NOT_REQUESTED ? `
+        <div class="replacement-actions">
+          <label for="replacement-reference" class="form-label">再発行受付番号</label>
+          <input type="text" id="replacement-reference" class="form-control" maxlength="50">
+          <label for="replacement-fee" class="form-label">再発行手数料 (円)</label>
+          <input type="number" id="replacement-fee" class="form-control" min="0" step="1"
+                 value="${replacement.reissueFee}">
+          <button type="button" class="btn btn-secondary replacement-request-btn">再発行申請を登録</button>
+        </div>
+        ` : ''}
+
+        ${editable && replacement.status === REPLACEMENT_STATES.REQUESTED ? `
+        <div class="replacement-actions">
+          <label for="replacement-balance" class="form-label">新しいカードへ移行された残高 (円)</label>
+          <input type="number" id="replacement-balance" class="form-control" min="0" step="1"
+                 value="${replacement.balanceToTransfer}">
+          ${replacement.commuterPass ? `
+          <label class="checkbox-label">
+            <input type="checkbox" id="replacement-commuter-restored">
+            定期券区間が復元されていることを確認した
+          </label>
+          ` : ''}
+          <button type="button" class="btn btn-secondary replacement-confirm-btn">再発行カードの受領を確認</button>
+        </div>
+        ` : ''}
+
+        ${editable && canCreateClaim ? `
+        <button type="button" class="btn btn-secondary replacement-claim-btn">経費精算を作成</button>
+        ` : ''}
+      </section>
+    `;
+  }
+
+  /**
+   * 再発行申請の登録
+   * 経費精算アプリが設定されていれば再発行手数料の精算レコードも作成する
+   * @param {string} recordId - レコードID
+   * @param {Object} values - { referenceNumber, reissueFee }
+   */
+  async requestReplacement(recordId, values) {
+    const record = this.data.find(r => r.record_number?.value === recordId);
+    if (!record) {
+      CommonUtils.showNotification('レコードが見つかりません', 'error');
+      return;
+    }
+
+    try {
+      let replacement = this.cardReplacement.requestReissue(this.cardReplacement.fromRecord(record), {
+        ...values,
+        actor: this.currentUser ? this.currentUser.code : ''
+      });
+
+      let claimError = null;
+      if (this.cardReplacement.rules.expenseAppId && replacement.reissueFee > 0) {
+        try {
+          replacement = await this.cardReplacement.submitExpenseClaim(record, replacement);
+        } catch (error) {
+          // 申請内容は保存し、経費精算は詳細画面から再作成できるようにする
+          console.error('経費精算作成エラー:', error);
+          claimError = error;
+        }
+      }
+
+      await this.saveRecordFields(record, this.cardReplacement.toRecordFields(replacement));
+
+      if (claimError) {
+        CommonUtils.showNotification('再発行申請を登録しましたが、経費精算の作成に失敗しました', 'warning');
+      } else {
+        CommonUtils.showNotification('再発行申請を登録しました', 'success');
+      }
+      await this.showDetailModal(recordId);
+
+    } catch (error) {
+      console.error('再発行申請エラー:', error);
+      CommonUtils.showNotification(error.message, 'error');
+    }
+  }
+
+  /**
+   * 再発行カードの受領確認
+   * @param {string} recordId - レコードID
+   * @param {Object} values - { balanceTransferred, commuterPassRestored }
+   */
+  async confirmReplacement(recordId, values) {
+    const record = this.data.find(r => r.record_number?.value === recordId);
+    if (!record) {
+      CommonUtils.showNotification('レコードが見つかりません', 'error');
+      return;
+    }
+
+    try {
+      const replacement = this.cardReplacement.confirmReplacement(this.cardReplacement.fromRecord(record), {
+        ...values,
+        actor: this.currentUser ? this.currentUser.code : ''
+      });
+
+      await this.saveRecordFields(record, this.cardReplacement.toRecordFields(replacement));
+
+      CommonUtils.showNotification('再発行カードの受領を確認しました', 'success');
+      await this.showDetailModal(recordId);
+
+    } catch (error) {
+      console.error('受領確認エラー:', error);
+      CommonUtils.showNotification(error.message, 'error');
+    }
+  }
+
+  /**
+   * 再発行手数料の経費精算作成 (申請時に作成できなかった場合)
+   * @param {string} recordId - レコードID
+   */
+  async createExpenseClaim(recordId) {
+    const record = this.data.find(r => r.record_number?.value === recordId);
+    if (!record) {
+      CommonUtils.showNotification('レコードが見つかりません', 'error');
+      return;
+    }
+
+    try {
+      const replacement = await this.cardReplacement.submitExpenseClaim(
+        record,
+        this.cardReplacement.fromRecord(record)
+      );
+
+      await this.saveRecordFields(record, {
+        [CardReplacement.REPLACEMENT_FIELDS.expenseClaimId]: { value: replacement.expenseClaimId }
+      });
+
+      CommonUtils.showNotification(`経費精算 (#${replacement.expenseClaimId}) を作成しました`, 'success');
+      await this.showDetailModal(recordId);
+
+    } catch (error) {
+      console.error('経費精算作成エラー:', error);
+      CommonUtils.showNotification(error.message, 'error');
+    }
+  }
+
+  /**
+   * レコードのフィールド更新と再読み込み
+   * @param {Object} record - 更新対象レコード
+   * @param {Object} fields - 更新フィールド
+   */
+  async saveRecordFields(record, fields) {
+    const updateResult = await KintoneAPIHelper.updateRecordsSecurely([{
+      id: record.$id?.value,
+      revision: record.$revision?.value,
+      ...this.fieldMapping.toRecord(fields)
+    }]);
+
+    if (!updateResult.success) {
+      throw new Error(updateResult.error);
+    }
+
+    await this.loadData();
+  }
+
+  /**
+   * ステータスフィルターの選択肢
+   * プロセス管理が有効な場合はアプリに設定されたステータスを使用する
+   * @returns {Array<string>} ステータス名
+   */
+  getStatusOptions() {
+    return this.processWorkflow.isEnabled()
+      ? this.processWorkflow.getStatusNames()
+      : this.lifecycle.getAllStates().map(state => state.label);
+  }
+
+  /**
+   * 変更可能なステータス
+   * プロセス管理が有効な場合はアクションが設定されている遷移に限る
+   * @param {Object} record - レコードデータ
+   * @returns {Array<Object>} 遷移先状態定義一覧
+   */
+  getAvailableTransitions(record) {
+    const transitions = this.lifecycle.getAvailableTransitions(record.status?.value);
+    if (!this.processWorkflow.isEnabled()) {
+      return transitions;
+    }
+    return transitions.filter(state => this.processWorkflow.findAction(record.status?.value, state.label));
+  }
+
+  /**
+   * 区分ごとのガード条件コンテキスト
+   * @param {Object} record - レコードデータ
+   * @param {Array<Object>} checklist - チェックリスト
+   * @returns {Object} 遷移コンテキスト
+   */
+  getTransitionContext(record, checklist) {
+    if (BadgeLossWorkflow.isBadgeIncident(record)) {
+      return this.badgeWorkflow.toTransitionContext(checklist);
+    }
+    return this.cardReplacement.toTransitionContext(this.cardReplacement.fromRecord(record));
+  }
+
+  /**
+   * ステータス変更実行
+   * @param {string} recordId - レコードID
+   * @param {string} toState - 遷移先状態キー
+   * @param {Object} context - 遷移コンテキスト
+   */
+  async transitionRecord(recordId, toState, context = {}) {
+    const record = this.data.find(r => r.record_number?.value === recordId);
+    if (!record) {
+      CommonUtils.showNotification('レコードが見つかりません', 'error');
+      return;
+    }
+
+    try {
+      // 受付番号未入力時はチェックリストの記録を使用
+      const checklist = this.stopChecklist.fromSubtable(record.stop_checklist?.value);
+      const result = this.lifecycle.transition(record.status?.value, toState, {
+        ...context,
+        ...this.getTransitionContext(record, checklist),
+        providerReferenceNumber: context.providerReferenceNumber || this.stopChecklist.getReferenceNumbers(checklist),
+        actor: this.currentUser ? this.currentUser.code : ''
+      });
+
+      const historyRows = this.lifecycle.toHistoryTable([result.historyEntry]);
+
+      if (this.processWorkflow.isEnabled()) {
+        // プロセス管理のアクションでステータスを進め、履歴のみフィールドに保存
+        const revision = await this.processWorkflow.proceed(record, result.status);
+        try {
+          await this.appendHistory({ ...record, $revision: { value: revision } }, historyRows);
+        } catch (error) {
+          // ステータスは変更済みのため、履歴のみ保存できなかったことを通知する
+          console.error('ステータス履歴の保存エラー:', error);
+          CommonUtils.showNotification(
+            `ステータスは「${result.status}」に変更しましたが、ステータス履歴を保存できませんでした。` +
+            `履歴を手動で追記してください (${error.message})`,
+            'error'
+          );
+          this.closeModal();
+          await this.loadData();
+          return;
+        }
+      } else {
+        await this.saveRecordFields(record, {
+          status: { value: result.status },
+          status_history: { value: (record.status_history?.value || []).concat(historyRows) }
+        });
+      }
+
+      CommonUtils.showNotification(`ステータスを「${result.status}」に変更しました`, 'success');
+      this.closeModal();
+
+    } catch (error) {
+      console.error('ステータス変更エラー:', error);
+      CommonUtils.showNotification(error.message, 'error');
+    }
+  }
+
+  /**
+   * ステータス履歴への追記
+   * 失敗した場合は最新のレコードを取得し直して HISTORY_SAVE_ATTEMPTS 回まで再試行する
+   * @param {Object} record - 更新対象レコード ($revision は最新のリビジョン)
+   * @param {Array<Object>} historyRows - 追記する履歴の行
+   */
+  async appendHistory(record, historyRows) {
+    let current = record;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await this.saveRecordFields(current, {
+          status_history: { value: (current.status_history?.value || []).concat(historyRows) }
+        });
+        return;
+      } catch (error) {
+        if (attempt >= HISTORY_SAVE_ATTEMPTS) {
+          throw error;
+        }
+
+        const response = await kintone.api(kintone.api.url('/k/v1/record', true), 'GET', {
+          app: kintone.app.getId(),
+          id: record.$id?.value
+        });
+        current = this.fieldMapping.fromRecord(response.record);
+      }
+    }
+  }
+
   /**
    * 詳細日付フォーマット
    * @param {string} dateString - 日付文字列
@@ -1098,6 +1956,31 @@ class ICLossStatusDashboard {
     }
   }
 
+  /**
+   * セッション管理開始 (単独で表示する場合)
+   */
+  startSession() {
+    if (this.options.sessionManager) return;
+
+    const securityConfig = new SecurityConfig();
+    securityConfig.setAuditStore(AuditLogStore.fromConfig(this.config));
+    this.sessionManager = SessionManager.fromSecurityConfig(securityConfig, {
+      onWarning: (remaining) => ReauthDialog.showWarning(remaining),
+      onRenew: () => ReauthDialog.hideWarning(),
+      onExpire: () => this.handleSessionExpired()
+    });
+    this.sessionManager.start();
+  }
+
+  /**
+   * セッション終了時の処理 (更新を停止し、表示中の詳細を閉じる)
+   */
+  handleSessionExpired() {
+    this.stopRealTimeUpdate();
+    this.closeModal();
+    ReauthDialog.showExpired();
+  }
+
   /**
    * エラー表示
    * @param {string} message - エラーメッセージ
@@ -1113,6 +1996,10 @@ class ICLossStatusDashboard {
     // リアルタイム更新停止
     this.stopRealTimeUpdate();
 
+    if (this.sessionManager) {
+      this.sessionManager.stop();
+    }
+
     // イベントリスナーの削除
     if (this.container) {
       this.container.innerHTML = '';
@@ -0,0 +1,180 @@
+/**
+ * LocationPicker.js
+ * 紛失場所選択コンポーネント (路線 → 駅・停留所)
+ * 選択できない場合は呼び出し側の自由記述欄を使用する
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @compliance IPA安全なウェブサイトの作り方準拠
+ */
+
+// 依存関係インポート
+const { CommonUtils } = require('../common');
+const LocationCatalog = require('../location-catalog');
+
+/**
+ * 紛失場所選択クラス
+ */
+class LocationPicker {
+  /**
+   * @param {HTMLElement|string} container - 表示先コンテナ
+   * @param {Object} options - オプション
+   * @param {LocationCatalog} options.catalog - 路線・駅カタログ
+   * @param {string} options.idPrefix - 要素IDの接頭辞
+   * @param {Function} options.onChange - 選択変更時のコールバック (getValue() の結果を受け取る)
+   */
+  constructor(container, options = {}) {
+    this.container = typeof container === 'string' ? document.getElementById(container) : container;
+    this.options = {
+      idPrefix: 'loss',
+      onChange: () => {},
+      ...options
+    };
+    this.catalog = this.options.catalog || new LocationCatalog();
+    this.routes = [];
+    this.routeId = `${this.options.idPrefix}-route`;
+    this.stopId = `${this.options.idPrefix}-stop`;
+
+    this.render();
+    this.setupEventListeners();
+  }
+
+  /**
+   * 画面描画
+   */
+  render() {
+    if (!this.container) {
+      throw new Error('紛失場所選択のコンテナが見つかりません');
+    }
+
+    this.container.innerHTML = `
+      <div class="location-picker">
+        <div class="location-picker-field">
+          <label for="${this.routeId}">路線</label>
+          <select id="${this.routeId}" class="form-control">
+            <option value="">選択しない (自由記述)</option>
+          </select>
+        </div>
+        <div class="location-picker-field">
+          <label for="${this.stopId}">駅・停留所</label>
+          <select id="${this.stopId}" class="form-control" disabled>
+            <option value="">選択しない (自由記述)</option>
+          </select>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * イベントリスナー設定
+   */
+  setupEventListeners() {
+    this.container.querySelector(`#${this.routeId}`).addEventListener('change', () => {
+      this.renderStops();
+      this.options.onChange(this.getValue());
+    });
+    this.container.querySelector(`#${this.stopId}`).addEventListener('change', () => {
+      this.options.onChange(this.getValue());
+    });
+  }
+
+  /**
+   * 地域の路線を読み込み
+   * @param {string} regionId - 地域ID (省略時は全地域)
+   */
+  async setRegion(regionId) {
+    try {
+      this.routes = await this.catalog.getRoutes(regionId);
+    } catch (error) {
+      console.warn('路線一覧の読み込みに失敗しました:', error.message);
+      this.routes = [];
+    }
+
+    this.renderRoutes();
+    this.options.onChange(this.getValue());
+  }
+
+  /**
+   * 路線の選択肢を描画 (交通機関ごとにグループ化)
+   */
+  renderRoutes() {
+    const routeSelect = this.container.querySelector(`#${this.routeId}`);
+    const groups = new Map();
+
+    this.routes.forEach(route => {
+      if (!groups.has(route.providerId)) {
+        groups.set(route.providerId, { name: route.providerName, routes: [] });
+      }
+      groups.get(route.providerId).routes.push(route);
+    });
+
+    routeSelect.innerHTML = '<option value="">選択しない (自由記述)</option>' +
+      [...groups.values()].map(group => `
+        <optgroup label="${CommonUtils.escapeHtml(group.name)}">
+          ${group.routes.map(route => `
+          <option value="${CommonUtils.escapeHtml(route.value)}">${CommonUtils.escapeHtml(route.line)}</option>`).join('')}
+        </optgroup>`).join('');
+
+    this.renderStops();
+  }
+
+  /**
+   * 選択中の路線の駅・停留所を描画
+   */
+  renderStops() {
+    const stopSelect = this.container.querySelector(`#${this.stopId}`);
+    const route = this.getSelectedRoute();
+    const stops = route ? route.stops : [];
+
+    stopSelect.innerHTML = '<option value="">選択しない (自由記述)</option>' +
+      stops.map(stop => `
+        <option value="${CommonUtils.escapeHtml(stop)}">${CommonUtils.escapeHtml(stop)}</option>`).join('');
+    stopSelect.disabled = stops.length === 0;
+  }
+
+  /**
+   * 選択中の路線
+   * @returns {Object|null} getRoutes() の要素
+   */
+  getSelectedRoute() {
+    const value = this.container.querySelector(`#${this.routeId}`).value;
+    return this.routes.find(route => route.value === value) || null;
+  }
+
+  /**
+   * 選択値取得
+   * @returns {Object} { providerId, providerName, line, stop } (未選択の項目は空文字)
+   */
+  getValue() {
+    const route = this.getSelectedRoute();
+    if (!route) {
+      return { providerId: '', providerName: '', line: '', stop: '' };
+    }
+
+    return {
+      providerId: route.providerId,
+      providerName: route.providerName,
+      line: route.line,
+      stop: this.container.querySelector(`#${this.stopId}`).value
+    };
+  }
+
+  /**
+   * 選択解除
+   */
+  reset() {
+    this.container.querySelector(`#${this.routeId}`).value = '';
+    this.renderStops();
+  }
+}
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LocationPicker;
+}
+
+// ブラウザ環境でのグローバル変数設定
+if (typeof window !== 'undefined') {
+  window.LocationPicker = LocationPicker;
+}
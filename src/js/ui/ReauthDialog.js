@@ -0,0 +1,131 @@
+/**
+ * ReauthDialog.js
+ * 再認証・セッション終了の画面表示
+ * 再認証の判定は ReauthManager、無操作時間の管理は SessionManager が行う
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @compliance IPA安全なウェブサイトの作り方準拠
+ */
+
+// 依存関係インポート
+const { CommonUtils } = require('../common');
+
+/**
+ * 再認証ダイアログクラス
+ */
+class ReauthDialog {
+  /**
+   * パスワード入力 (ReauthManager の prompt)
+   * @param {Object} request - { message, error }
+   * @returns {Promise<string|null>} パスワード (キャンセル時はnull)
+   */
+  static prompt({ message, error = '' }) {
+    return new Promise((resolve) => {
+      const user = kintone.getLoginUser();
+      const dialog = document.createElement('div');
+      dialog.className = 'modal modal-small active';
+      dialog.setAttribute('role', 'dialog');
+      dialog.setAttribute('aria-labelledby', 'reauth-title');
+      dialog.innerHTML = `
+        <div class="modal-overlay" aria-hidden="true"></div>
+        <form class="modal-content" id="reauth-form" novalidate>
+          <header class="modal-header">
+            <h3 id="reauth-title" class="modal-title">🔒 パスワードの再入力</h3>
+          </header>
+          <div class="modal-body">
+            <p>${CommonUtils.escapeHtml(message)}</p>
+            <div class="form-group">
+              <label for="reauth-password">${CommonUtils.escapeHtml(user.name || user.code)} のKintoneパスワード</label>
+              <input type="password" id="reauth-password" class="form-control" autocomplete="current-password">
+            </div>
+            <p class="reauth-error" role="alert">${CommonUtils.escapeHtml(error)}</p>
+          </div>
+          <footer class="modal-footer">
+            <button type="button" class="btn btn-secondary" id="reauth-cancel">キャンセル</button>
+            <button type="submit" class="btn btn-primary">確認する</button>
+          </footer>
+        </form>
+      `;
+
+      const input = dialog.querySelector('#reauth-password');
+      const close = (value) => {
+        input.value = '';
+        dialog.remove();
+        resolve(value);
+      };
+
+      dialog.querySelector('#reauth-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        close(input.value);
+      });
+      dialog.querySelector('#reauth-cancel').addEventListener('click', () => close(null));
+
+      document.body.appendChild(dialog);
+      CommonUtils.setAccessibleFocus(input);
+    });
+  }
+
+  /**
+   * セッション終了前の警告
+   * @param {number} remainingMs - 終了までの残り時間 (ミリ秒)
+   * @returns {HTMLElement} 通知要素 (操作の再開時に hideWarning で閉じる)
+   */
+  static showWarning(remainingMs) {
+    ReauthDialog.hideWarning();
+    const minutes = Math.max(1, Math.ceil(remainingMs / 60000));
+    const notification = CommonUtils.showNotification(
+      `操作がないため、約${minutes}分後にセッションを終了します。続ける場合は画面を操作してください`,
+      'warning',
+      0
+    );
+    notification.id = 'session-warning';
+    return notification;
+  }
+
+  /**
+   * セッション終了前の警告を閉じる
+   */
+  static hideWarning() {
+    const notification = document.getElementById('session-warning');
+    if (notification) notification.remove();
+  }
+
+  /**
+   * セッション終了の表示 (再読み込みまで操作できない)
+   */
+  static showExpired() {
+    ReauthDialog.hideWarning();
+    if (document.getElementById('session-expired')) return;
+
+    const dialog = document.createElement('div');
+    dialog.id = 'session-expired';
+    dialog.className = 'modal modal-small active';
+    dialog.setAttribute('role', 'alertdialog');
+    dialog.setAttribute('aria-labelledby', 'session-expired-title');
+    dialog.innerHTML = `
+      <div class="modal-overlay" aria-hidden="true"></div>
+      <div class="modal-content">
+        <header class="modal-header">
+          <h3 id="session-expired-title" class="modal-title">セッションの有効期限が切れました</h3>
+        </header>
+        <div class="modal-body">
+          <p>一定時間操作がなかったため、表示していた個人情報を消去しました。続けるには画面を再読み込みしてください。</p>
+        </div>
+        <footer class="modal-footer">
+          <button type="button" class="btn btn-primary" id="session-reload">再読み込み</button>
+        </footer>
+      </div>
+    `;
+    dialog.querySelector('#session-reload').addEventListener('click', () => location.reload());
+
+    document.body.appendChild(dialog);
+    CommonUtils.setAccessibleFocus(dialog.querySelector('#session-reload'));
+  }
+}
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReauthDialog;
+}
@@ -0,0 +1,79 @@
+/**
+ * user-codes.js
+ * プラグイン設定のKintoneユーザーコード (ログイン名) の一覧
+ *
+ * プロセス管理の作業者 (/k/v1/record/assignees・/k/v1/record/status) やコメントのメンション
+ * (/k/v1/record/comment) に指定するユーザーはKintoneのログイン名で設定する。
+ * 緊急連絡先 (emergency_contacts) はメールアドレスのため作業者には使用しない
+ * (エスカレーション先のログイン名が未保存の場合のみ SlaEngine が旧設定として読み替える)。
+ * ログイン名はカンマ区切りで入力するため、区切り文字・空白・引用符を含む値は不正とする。
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @compliance IPA安全なウェブサイトの作り方準拠
+ */
+
+/**
+ * ユーザーコードの設定項目
+ */
+const CONFIG_KEYS = {
+  handlers: 'handler_user_codes',
+  emergencyContacts: 'emergency_contact_user_codes',
+  admins: 'admin_user_codes'
+};
+
+/**
+ * 設定項目の表示名
+ */
+const LABELS = {
+  handlers: '対応担当者',
+  emergencyContacts: '緊急連絡先',
+  admins: '管理者'
+};
+
+/**
+ * ユーザーコードの形式 (Kintoneのログイン名の上限128文字)
+ */
+const USER_CODE_PATTERN = /^[^\s,"'<>\\]{1,128}$/;
+
+/**
+ * ユーザーコード一覧クラス
+ */
+class UserCodes {
+  /**
+   * カンマ区切りのユーザーコードを分割
+   * @param {string} value - 設定値
+   * @returns {Array<string>} ユーザーコード (空の要素・重複を除く)
+   */
+  static parse(value) {
+    return [...new Set((value || '').split(',').map(code => code.trim()).filter(Boolean))];
+  }
+
+  /**
+   * プラグイン設定からユーザーコードを取得
+   * @param {Object} config - kintone.plugin.app.getConfig() の結果
+   * @param {string} role - CONFIG_KEYS のキー
+   * @returns {Array<string>} ユーザーコード
+   */
+  static fromConfig(config = {}, role) {
+    return UserCodes.parse(config[CONFIG_KEYS[role]]);
+  }
+
+  /**
+   * 設定値の検証 (設定画面)
+   * @param {string} value - 設定値
+   * @param {string} role - CONFIG_KEYS のキー
+   * @returns {Array<string>} エラーメッセージ
+   */
+  static checkConfigValue(value, role) {
+    return UserCodes.parse(value)
+      .filter(code => !USER_CODE_PATTERN.test(code))
+      .map(code => `${LABELS[role]}のログイン名が正しくありません: ${code}`);
+  }
+}
+
+UserCodes.CONFIG_KEYS = CONFIG_KEYS;
+UserCodes.LABELS = LABELS;
+
+module.exports = UserCodes;
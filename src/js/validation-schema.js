@@ -0,0 +1,493 @@
+/**
+ * validation-schema.js
+ * 宣言的な入力検証ルールのコンパイル・検証
+ *
+ * 検証ルールは JSON で記述できる形式 (ルールセット) で定義し、検証関数にコンパイルする。
+ * ルールセットは { description, properties, additionalProperties } で、properties の各項目に
+ * 型 (type)・選択肢 (enum)・文字数 (minLength/maxLength)・数値の範囲 (minimum/maximum)・
+ * 正規表現 (pattern)・形式 (format)・必須 (required)・条件付き必須 (requiredIf) を指定する。
+ * 入れ子の項目は type: 'object' の properties、配列は type: 'array' の items で定義する。
+ * 検証エラーは項目のパス (例: contact.email, items[0].name) 付きで返すため、
+ * 報告フォームの項目 (name属性) にそのまま対応付けられる。
+ * ルールセットはプラグイン設定 (validation_rule_sets) で名前ごとに上書きできる。
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @compliance IPA安全なウェブサイトの作り方準拠
+ */
+
+/**
+ * 型
+ */
+const TYPES = ['string', 'number', 'integer', 'boolean', 'array', 'object'];
+
+/**
+ * 形式 (format) の判定
+ */
+const FORMATS = {
+  email: value => /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/.test(value),
+  phone: value => /^(?:\+81[ -]?|0)\d{1,4}[ ()-]?\d{1,4}[ )-]?\d{3,4}$/.test(value),
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && isCalendarDate(value),
+  time: value => /^([01]?\d|2[0-3]):[0-5]\d$/.test(value),
+  'date-time': value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value)
+    && isCalendarDate(value.slice(0, 10)) && !Number.isNaN(Date.parse(value)),
+  alphanumeric: value => /^[A-Za-z0-9]+$/.test(value)
+};
+
+/**
+ * ルールに指定できるキー (設定の入力ミスを検出するため、これ以外はコンパイルエラーとする)
+ */
+const RULE_KEYS = [
+  'type', 'description', 'required', 'requiredIf', 'enum', 'minLength', 'maxLength',
+  'minimum', 'maximum', 'pattern', 'format', 'message', 'sanitize',
+  'properties', 'additionalProperties', 'items', 'minItems', 'maxItems'
+];
+
+/**
+ * エラーコード
+ */
+const ERROR_CODES = {
+  REQUIRED: 'REQUIRED_FIELD',
+  TYPE: 'INVALID_TYPE',
+  ENUM: 'INVALID_ENUM',
+  TOO_SHORT: 'INSUFFICIENT_LENGTH',
+  TOO_LONG: 'EXCESSIVE_LENGTH',
+  RANGE: 'OUT_OF_RANGE',
+  FORMAT: 'INVALID_FORMAT',
+  ITEMS: 'INVALID_ITEM_COUNT',
+  UNKNOWN: 'UNKNOWN_FIELD'
+};
+
+/**
+ * 型の表示名
+ */
+const TYPE_LABELS = {
+  string: '文字列',
+  number: '数値',
+  integer: '整数',
+  boolean: '真偽値',
+  array: '一覧',
+  object: 'オブジェクト'
+};
+
+/**
+ * プラグイン設定のキー
+ */
+const CONFIG_KEY = 'validation_rule_sets';
+
+/**
+ * 実在する日付か (2026-02-30 等を除外)
+ * @param {string} value - YYYY-MM-DD
+ * @returns {boolean} 実在する日付かどうか
+ */
+function isCalendarDate(value) {
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * 未入力か (null・空文字・空白のみ・空の一覧)
+ * @param {*} value - 値
+ * @returns {boolean} 未入力かどうか
+ */
+function isEmpty(value) {
+  return value === undefined || value === null
+    || (typeof value === 'string' && value.trim() === '')
+    || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * 型の判定 (フォームの入力値は文字列のため、数値・真偽値は文字列表現も受け付ける)
+ * @param {string} type - 型
+ * @param {*} value - 値 (未入力以外)
+ * @returns {Object} { valid, value } (value は型に合わせて変換した値)
+ */
+function coerce(type, value) {
+  switch (type) {
+    case 'string':
+      return { valid: typeof value === 'string', value };
+    case 'number':
+    case 'integer': {
+      const number = typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim()) ? Number(value) : value;
+      const valid = typeof number === 'number' && Number.isFinite(number) && (type === 'number' || Number.isInteger(number));
+      return { valid, value: number };
+    }
+    case 'boolean': {
+      const bool = value === 'true' ? true : value === 'false' ? false : value;
+      return { valid: typeof bool === 'boolean', value: bool };
+    }
+    case 'array':
+      return { valid: Array.isArray(value), value };
+    case 'object':
+      return { valid: typeof value === 'object' && !Array.isArray(value), value };
+    default:
+      return { valid: true, value };
+  }
+}
+
+/**
+ * パスの値 (a.b 形式)
+ * @param {Object} data - データ
+ * @param {string} path - パス
+ * @returns {*} 値
+ */
+function getPath(data, path) {
+  return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), data);
+}
+
+/**
+ * 宣言的な検証ルールクラス
+ */
+class ValidationSchema {
+  /**
+   * @param {Object} definition - ルールセット { description, properties, additionalProperties }
+   * @throws {Error} ルールセットが不正な場合
+   */
+  constructor(definition = {}) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      throw new Error('検証ルールが不正です: ルールセットはオブジェクトで指定してください');
+    }
+
+    this.definition = definition;
+    this.root = this._compile({ type: 'object', ...definition }, '');
+  }
+
+  /**
+   * ルールセットのコンパイル
+   * @param {Object} definition - ルールセット
+   * @returns {ValidationSchema} 検証ルール
+   */
+  static compile(definition) {
+    return new ValidationSchema(definition);
+  }
+
+  /**
+   * プラグイン設定からルールセットを読み込み
+   * 設定がない・不正な場合は既定のルールセットを使用する
+   * @param {Object} config - kintone.plugin.app.getConfig() の結果
+   * @param {string} name - ルールセット名
+   * @param {Object} defaults - 既定のルールセット
+   * @returns {ValidationSchema} 検証ルール
+   */
+  static fromConfig(config = {}, name, defaults = {}) {
+    if (config[CONFIG_KEY]) {
+      try {
+        const ruleSets = JSON.parse(config[CONFIG_KEY]);
+        if (ruleSets && ruleSets[name]) {
+          return ValidationSchema.compile(ruleSets[name]);
+        }
+      } catch (error) {
+        console.warn(`検証ルール (${name}) を読み込めませんでした:`, error);
+      }
+    }
+
+    return ValidationSchema.compile(defaults);
+  }
+
+  /**
+   * プラグイン設定の値の検証 (設定画面)
+   * @param {string} value - ルールセット名 → ルールセットのJSON
+   * @returns {Array<string>} エラーメッセージ
+   */
+  static checkConfigValue(value) {
+    if (!value || !value.trim()) return [];
+
+    let ruleSets;
+    try {
+      ruleSets = JSON.parse(value);
+    } catch (error) {
+      return [`検証ルールのJSONを読み込めません: ${error.message}`];
+    }
+
+    if (!ruleSets || typeof ruleSets !== 'object' || Array.isArray(ruleSets)) {
+      return ['検証ルールはルールセット名をキーとするオブジェクトで指定してください'];
+    }
+
+    const errors = [];
+    for (const [name, definition] of Object.entries(ruleSets)) {
+      try {
+        ValidationSchema.compile(definition);
+      } catch (error) {
+        errors.push(`${name}: ${error.message}`);
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * 項目名の一覧
+   * @returns {Array<string>} ルールを定義した項目名
+   */
+  getPropertyNames() {
+    return [...this.root.properties.keys()];
+  }
+
+  /**
+   * 項目のルール
+   * @param {string} name - 項目名
+   * @returns {Object|null} ルール (定義)
+   */
+  getRule(name) {
+    const node = this.root.properties.get(name);
+    return node ? node.rule : null;
+  }
+
+  /**
+   * データ全体の検証
+   * @param {Object} data - 検証対象データ
+   * @returns {Object} { valid, errors } (errors は { path, code, message, ... })
+   */
+  validate(data = {}) {
+    const errors = [];
+    this._validateNode(this.root, data, '', null, errors);
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * 1項目の検証 (入れ子の項目を含む)
+   * @param {string} name - 項目名
+   * @param {*} value - 値
+   * @param {Object} data - データ全体 (条件付き必須の判定に使用)
+   * @returns {Array<Object>} エラー { path, code, message, ... }
+   */
+  validateProperty(name, value, data = {}) {
+    const node = this.root.properties.get(name);
+    if (!node) {
+      return [{ path: name, code: ERROR_CODES.UNKNOWN, message: `未知のフィールド: ${name}` }];
+    }
+
+    const errors = [];
+    this._validateNode(node, value, name, data, errors);
+    return errors;
+  }
+
+  /**
+   * 必須となる項目 (required、または requiredIf の条件を満たす項目)
+   * @param {Object} data - データ全体
+   * @returns {Array<string>} 項目名
+   */
+  getRequiredProperties(data = {}) {
+    return [...this.root.properties]
+      .filter(([, node]) => node.rule.required || this._conditionMet(node.requiredIf, data))
+      .map(([name]) => name);
+  }
+
+  /**
+   * ルールのコンパイル
+   * @param {Object} rule - ルール
+   * @param {string} path - 項目のパス (エラー表示用)
+   * @returns {Object} コンパイル済みのルール
+   * @private
+   */
+  _compile(rule, path) {
+    const fail = (reason) => {
+      throw new Error(`検証ルールが不正です (${path || 'ルート'}): ${reason}`);
+    };
+
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) fail('ルールはオブジェクトで指定してください');
+
+    const unknown = Object.keys(rule).filter(key => !RULE_KEYS.includes(key));
+    if (unknown.length > 0) fail(`未対応のキーです: ${unknown.join(', ')}`);
+    if (!TYPES.includes(rule.type)) fail(`type は ${TYPES.join(' / ')} のいずれかを指定してください`);
+
+    if (rule.enum !== undefined && (!Array.isArray(rule.enum) || rule.enum.length === 0)) {
+      fail('enum は1件以上の配列で指定してください');
+    }
+    for (const key of ['minLength', 'maxLength', 'minItems', 'maxItems']) {
+      if (rule[key] !== undefined && !(Number.isInteger(rule[key]) && rule[key] >= 0)) {
+        fail(`${key} は0以上の整数で指定してください`);
+      }
+    }
+    for (const key of ['minimum', 'maximum']) {
+      if (rule[key] !== undefined && !Number.isFinite(rule[key])) fail(`${key} は数値で指定してください`);
+    }
+    if (rule.format !== undefined && !FORMATS[rule.format]) {
+      fail(`format は ${Object.keys(FORMATS).join(' / ')} のいずれかを指定してください`);
+    }
+
+    let pattern = null;
+    if (rule.pattern !== undefined && rule.pattern !== null) {
+      try {
+        pattern = rule.pattern instanceof RegExp ? rule.pattern : new RegExp(rule.pattern);
+      } catch (error) {
+        fail(`pattern の正規表現が不正です: ${error.message}`);
+      }
+    }
+
+    const node = {
+      rule,
+      pattern,
+      requiredIf: this._compileConditions(rule.requiredIf, fail),
+      properties: new Map(),
+      items: null
+    };
+
+    if (rule.type === 'object') {
+      for (const [name, child] of Object.entries(rule.properties || {})) {
+        node.properties.set(name, this._compile(child, path ? `${path}.${name}` : name));
+      }
+      // 条件付き必須が参照する項目は同じ階層に定義されている必要がある
+      for (const [name, child] of node.properties) {
+        (child.requiredIf || []).forEach(condition => {
+          if (!node.properties.has(condition.field.split('.')[0])) {
+            fail(`${name} の requiredIf が未定義の項目 ${condition.field} を参照しています`);
+          }
+        });
+      }
+    }
+
+    if (rule.type === 'array' && rule.items) {
+      node.items = this._compile(rule.items, `${path}[]`);
+    }
+
+    return node;
+  }
+
+  /**
+   * 条件付き必須のコンパイル
+   * { field, equals } | { field, in } | { field, empty } (配列で指定した場合はいずれかを満たせば必須)
+   * @param {Object|Array<Object>} requiredIf - 条件
+   * @param {Function} fail - エラー通知
+   * @returns {Array<Object>|null} 条件
+   * @private
+   */
+  _compileConditions(requiredIf, fail) {
+    if (requiredIf === undefined) return null;
+
+    const conditions = Array.isArray(requiredIf) ? requiredIf : [requiredIf];
+    conditions.forEach(condition => {
+      if (!condition || typeof condition.field !== 'string' || !condition.field) {
+        fail('requiredIf には参照する項目 (field) を指定してください');
+      }
+      if (condition.in !== undefined && !Array.isArray(condition.in)) {
+        fail('requiredIf の in は配列で指定してください');
+      }
+    });
+    return conditions;
+  }
+
+  /**
+   * 条件付き必須の判定
+   * @param {Array<Object>|null} conditions - 条件
+   * @param {Object} parent - 同じ階層のデータ
+   * @returns {boolean} 必須かどうか
+   * @private
+   */
+  _conditionMet(conditions, parent) {
+    if (!conditions) return false;
+
+    return conditions.some(condition => {
+      const value = getPath(parent || {}, condition.field);
+      if ('equals' in condition) return value === condition.equals;
+      if ('in' in condition) return condition.in.includes(value);
+      if ('empty' in condition) return isEmpty(value) === Boolean(condition.empty);
+      return !isEmpty(value);
+    });
+  }
+
+  /**
+   * コンパイル済みのルールによる検証
+   * @param {Object} node - コンパイル済みのルール
+   * @param {*} value - 値
+   * @param {string} path - 項目のパス
+   * @param {Object|null} parent - 同じ階層のデータ (ルートはnull)
+   * @param {Array<Object>} errors - エラーの追加先
+   * @private
+   */
+  _validateNode(node, value, path, parent, errors) {
+    const { rule } = node;
+    const label = rule.description || path || '入力値';
+    const add = (code, message, details = {}) => errors.push({ path, code, message, ...details });
+
+    if (isEmpty(value)) {
+      if (rule.required || this._conditionMet(node.requiredIf, parent)) {
+        add(ERROR_CODES.REQUIRED, `${label}は必須項目です`);
+      }
+      return;
+    }
+
+    const coerced = coerce(rule.type, value);
+    if (!coerced.valid) {
+      add(ERROR_CODES.TYPE, `${label}は${TYPE_LABELS[rule.type]}で入力してください`, { expectedType: rule.type });
+      return;
+    }
+    const typed = coerced.value;
+
+    if (rule.enum && !rule.enum.includes(typed)) {
+      add(ERROR_CODES.ENUM, `${label}は次のいずれかを指定してください: ${rule.enum.join('、')}`, { allowedValues: rule.enum });
+      return;
+    }
+
+    if (rule.type === 'string') {
+      if (rule.maxLength !== undefined && typed.length > rule.maxLength) {
+        add(ERROR_CODES.TOO_LONG, `${label}は${rule.maxLength}文字以内で入力してください`, {
+          actualLength: typed.length,
+          maxLength: rule.maxLength
+        });
+        return;
+      }
+      if (rule.minLength !== undefined && typed.trim().length < rule.minLength) {
+        add(ERROR_CODES.TOO_SHORT, `${label}は${rule.minLength}文字以上で入力してください`, {
+          actualLength: typed.trim().length,
+          minLength: rule.minLength
+        });
+        return;
+      }
+      if ((node.pattern && !node.pattern.test(typed)) || (rule.format && !FORMATS[rule.format](typed))) {
+        add(ERROR_CODES.FORMAT, rule.message || `${label}の形式が正しくありません`, node.pattern
+          ? { expectedFormat: node.pattern.toString() }
+          : { format: rule.format });
+      }
+      return;
+    }
+
+    if (rule.type === 'number' || rule.type === 'integer') {
+      if ((rule.minimum !== undefined && typed < rule.minimum) || (rule.maximum !== undefined && typed > rule.maximum)) {
+        const range = [
+          rule.minimum !== undefined ? `${rule.minimum}以上` : '',
+          rule.maximum !== undefined ? `${rule.maximum}以下` : ''
+        ].join('');
+        add(ERROR_CODES.RANGE, `${label}は${range}で入力してください`, { minimum: rule.minimum, maximum: rule.maximum });
+      }
+      return;
+    }
+
+    if (rule.type === 'array') {
+      if ((rule.minItems !== undefined && typed.length < rule.minItems) || (rule.maxItems !== undefined && typed.length > rule.maxItems)) {
+        const range = [
+          rule.minItems !== undefined ? `${rule.minItems}件以上` : '',
+          rule.maxItems !== undefined ? `${rule.maxItems}件以内` : ''
+        ].join('');
+        add(ERROR_CODES.ITEMS, `${label}は${range}で指定してください`, { minItems: rule.minItems, maxItems: rule.maxItems });
+      }
+      if (node.items) {
+        typed.forEach((item, index) => this._validateNode(node.items, item, `${path}[${index}]`, typed, errors));
+      }
+      return;
+    }
+
+    if (rule.type === 'object') {
+      for (const [name, child] of node.properties) {
+        this._validateNode(child, typed[name], path ? `${path}.${name}` : name, typed, errors);
+      }
+      if (rule.additionalProperties === false) {
+        Object.keys(typed)
+          .filter(name => !node.properties.has(name))
+          .forEach(name => errors.push({
+            path: path ? `${path}.${name}` : name,
+            code: ERROR_CODES.UNKNOWN,
+            message: `未知のフィールド: ${name}`
+          }));
+      }
+    }
+  }
+}
+
+ValidationSchema.TYPES = TYPES;
+ValidationSchema.FORMATS = Object.keys(FORMATS);
+ValidationSchema.ERROR_CODES = ERROR_CODES;
+ValidationSchema.CONFIG_KEY = CONFIG_KEY;
+
+module.exports = ValidationSchema;
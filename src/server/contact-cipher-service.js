@@ -0,0 +1,191 @@
+/**
+ * contact-cipher-service.js
+ * 連絡先の暗号化サービス (kintone.plugin.app.proxy の呼び出し先)
+ *
+ * プラグインのプロキシ設定に保存した鍵で報告者の連絡先を暗号化・復号する。鍵と担当者グループは
+ * Kintoneがプロキシ設定からリクエストに付与するため、アプリのユーザーは取得できない。
+ * 復号は次の2点を確認してから行う。
+ * - 資格情報 (再認証で入力したパスワード) でKintoneにアクセスできること (閲覧者本人の確認)
+ * - 閲覧者がプロキシ設定の担当者グループに所属していること (所属グループ取得用の管理者アカウントで確認)
+ * 本人を確認できない場合は 401、担当者グループに所属していない場合は 403 を返す。
+ *
+ * 起動: KINTONE_BASE_URL=https://example.cybozu.com GROUP_LOOKUP_AUTHORIZATION=<Base64(ログイン名:パスワード)> \
+ *       node src/server/contact-cipher-service.js
+ * HTTPS の終端はリバースプロキシで行い、Kintone (cybozu.com) からのリクエストのみ受け付ける。
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ * @compliance IPA安全なウェブサイトの作り方準拠
+ */
+
+const http = require('http');
+const FieldCipher = require('../js/security/FieldCipher');
+const ProxyFieldCipher = require('../js/security/ProxyFieldCipher');
+
+/**
+ * リクエストボディの上限 (バイト)
+ */
+const MAX_BODY_BYTES = 16 * 1024;
+
+/**
+ * 連絡先の暗号化サービスクラス
+ */
+class ContactCipherService {
+  /**
+   * @param {Object} options - オプション
+   * @param {string} options.kintoneBaseUrl - KintoneのURL (例: https://example.cybozu.com)
+   * @param {string} options.groupLookupAuthorization - 所属グループ取得用の資格情報 (Base64エンコードされた「ログイン名:パスワード」)
+   * @param {Function} options.fetch - fetch (テスト用)
+   */
+  constructor(options = {}) {
+    if (!options.kintoneBaseUrl || !options.groupLookupAuthorization) {
+      throw new Error('KintoneのURLと所属グループ取得用の資格情報を指定してください');
+    }
+
+    this.kintoneBaseUrl = options.kintoneBaseUrl.replace(/\/+$/, '');
+    this.groupLookupAuthorization = options.groupLookupAuthorization;
+    this.fetch = options.fetch || fetch;
+  }
+
+  /**
+   * リクエストの処理
+   * @param {Object} body - リクエストボディ ({ action, value, context, credentials } とプロキシ設定のデータ)
+   * @returns {Promise<Object>} { status, body }
+   */
+  async handle(body = {}) {
+    try {
+      const settings = ProxyFieldCipher.settingsFromProxyData(body);
+      const cipher = new FieldCipher(settings);
+      if (!cipher.hasKey()) {
+        return ContactCipherService._reply(500, { error: '暗号化キーが設定されていません。プラグイン設定を保存してください' });
+      }
+
+      if (body.action === 'encrypt') {
+        return ContactCipherService._reply(200, { value: await cipher.encrypt(String(body.value || ''), body.context || '') });
+      }
+
+      if (body.action !== 'decrypt') {
+        return ContactCipherService._reply(400, { error: '不明な操作です' });
+      }
+
+      const userCode = await this.authenticate(body.credentials);
+      if (!userCode) {
+        return ContactCipherService._reply(401, { error: '閲覧者を確認できませんでした。パスワードを再入力してください' });
+      }
+      if (!(await this.isHandler(userCode, settings.handlerGroups))) {
+        return ContactCipherService._reply(403, { error: '連絡先を閲覧する権限がありません' });
+      }
+
+      try {
+        return ContactCipherService._reply(200, { value: await cipher.decrypt(body.value, body.context || '') });
+      } catch (error) {
+        return ContactCipherService._reply(422, { error: error.message });
+      }
+    } catch (error) {
+      console.error('暗号化サービスエラー:', error.message);
+      return ContactCipherService._reply(500, { error: '暗号化サービスでエラーが発生しました' });
+    }
+  }
+
+  /**
+   * 資格情報による閲覧者の確認
+   * @param {string} credentials - Base64エンコードされた「ログイン名:パスワード」
+   * @returns {Promise<string|null>} 確認できたログイン名 (確認できない場合はnull)
+   */
+  async authenticate(credentials) {
+    const decoded = credentials ? Buffer.from(String(credentials), 'base64').toString('utf8') : '';
+    const separator = decoded.indexOf(':');
+    if (separator <= 0) return null;
+
+    const response = await this.fetch(`${this.kintoneBaseUrl}/k/v1/apps.json?limit=1`, {
+      method: 'GET',
+      headers: { 'X-Cybozu-Authorization': credentials }
+    });
+
+    if (response.ok) return decoded.slice(0, separator);
+    if (response.status === 401) return null;
+    throw new Error(`閲覧者を確認できません (${response.status})`);
+  }
+
+  /**
+   * 担当者グループに所属しているか
+   * @param {string} userCode - ログイン名
+   * @param {Array<string>} handlerGroups - 担当者グループのグループコード
+   * @returns {Promise<boolean>} 所属しているかどうか
+   */
+  async isHandler(userCode, handlerGroups) {
+    if (handlerGroups.length === 0) return false;
+
+    const response = await this.fetch(`${this.kintoneBaseUrl}/v1/user/groups.json?code=${encodeURIComponent(userCode)}`, {
+      method: 'GET',
+      headers: { 'X-Cybozu-Authorization': this.groupLookupAuthorization }
+    });
+    if (!response.ok) {
+      throw new Error(`所属グループを取得できません (${response.status})`);
+    }
+
+    const { groups = [] } = await response.json();
+    return groups.some(group => handlerGroups.includes(group.code));
+  }
+
+  /**
+   * HTTPサーバーの作成
+   * @param {ContactCipherService} service - 暗号化サービス
+   * @returns {http.Server} HTTPサーバー
+   */
+  static createServer(service) {
+    return http.createServer((request, response) => {
+      const send = ({ status, body }) => {
+        response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+        response.end(JSON.stringify(body));
+      };
+
+      if (request.method !== 'POST') {
+        send(ContactCipherService._reply(405, { error: 'POSTのみ受け付けます' }));
+        return;
+      }
+
+      let data = '';
+      request.setEncoding('utf8');
+      request.on('data', chunk => {
+        data += chunk;
+        if (Buffer.byteLength(data) > MAX_BODY_BYTES) {
+          send(ContactCipherService._reply(413, { error: 'リクエストが大きすぎます' }));
+          request.destroy();
+        }
+      });
+      request.on('end', async () => {
+        let body;
+        try {
+          body = JSON.parse(data);
+        } catch (error) {
+          send(ContactCipherService._reply(400, { error: 'リクエストの形式が正しくありません' }));
+          return;
+        }
+        send(await service.handle(body));
+      });
+    });
+  }
+
+  /**
+   * レスポンスの作成
+   * @param {number} status - HTTPステータス
+   * @param {Object} body - レスポンスボディ
+   * @returns {Object} { status, body }
+   * @private
+   */
+  static _reply(status, body) {
+    return { status, body };
+  }
+}
+
+if (require.main === module) {
+  const service = new ContactCipherService({
+    kintoneBaseUrl: process.env.KINTONE_BASE_URL,
+    groupLookupAuthorization: process.env.GROUP_LOOKUP_AUTHORIZATION
+  });
+  ContactCipherService.createServer(service).listen(Number(process.env.PORT) || 8080);
+}
+
+module.exports = ContactCipherService;
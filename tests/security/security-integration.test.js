@@ -10,6 +10,11 @@
 const SecureHashManager = require('../../src/js/security/SecureHashManager');
 const InputValidator = require('../../src/js/security/InputValidator');
 const SecurityConfig = require('../../src/js/security/SecurityConfig');
+const Pbkdf2Engine = require('../../src/js/security/Pbkdf2Engine');
+const FieldCipher = require('../../src/js/security/FieldCipher');
+const ProxyFieldCipher = require('../../src/js/security/ProxyFieldCipher');
+const SessionManager = require('../../src/js/security/SessionManager');
+const ReauthManager = require('../../src/js/security/ReauthManager');
 
 describe('IPAガイドライン準拠セキュリティ統合テスト', () => {
   let hashManager;
@@ -27,9 +32,9 @@ describe('IPAガイドライン準拠セキュリティ統合テスト', () => {
   });
 
   describe('SecureHashManager', () => {
-    test('ICカード番号のハッシュ化が正常に動作する', () => {
+    test('ICカード番号のハッシュ化が正常に動作する', async () => {
       const cardNumber = 'TO1234567890123456';
-      const result = hashManager.hashICCardNumber(cardNumber);
+      const result = await hashManager.hashICCardNumber(cardNumber);
       
       expect(result).toHaveProperty('hash');
       expect(result).toHaveProperty('salt');
@@ -38,6 +43,93 @@ describe('IPAガイドライン準拠セキュリティ統合テスト', () => {
       expect(result.algorithm).toBe('PBKDF2-SHA512');
     });
 
+    test('ペッパーのローテーション後も旧バージョンのハッシュを照合できる', async () => {
+      const cardNumber = 'TO1234567890123456';
+      const legacy = SecureHashManager.fromConfig({ security_pepper: btoa('test_pepper_value_2025') });
+      const before = await legacy.hashICCardNumber(cardNumber);
+      expect(before.pepperVersion).toBe(1);
+
+      const rotated = SecureHashManager.fromConfig({
+        security_pepper: btoa('rotated_pepper_value_2026'),
+        security_pepper_version: '2',
+        security_peppers: JSON.stringify({ 1: btoa('test_pepper_value_2025'), 2: btoa('rotated_pepper_value_2026') })
+      });
+
+      // バージョン未記録のハッシュはバージョン1として照合
+      expect(await rotated.verifyICCardNumber(cardNumber, before.hash, before.salt)).toBe(true);
+      expect(await rotated.verifyICCardNumber(cardNumber, before.hash, before.salt, 2)).toBe(false);
+      expect(rotated.needsRehash(before.phc)).toBe(true);
+
+      const after = await rotated.hashICCardNumber(cardNumber, before.salt);
+      expect(after.pepperVersion).toBe(2);
+      expect(after.hash).not.toBe(before.hash);
+      expect(await rotated.verifyICCardNumber(cardNumber, after.hash, after.salt, after.pepperVersion)).toBe(true);
+      expect(await rotated.verifyICCardNumber(cardNumber, after.hash, after.salt, 3)).toBe(false);
+      expect(rotated.needsRehash(after.phc)).toBe(false);
+    });
+
+    test('PHC形式のハッシュは保存時のパラメーターで照合し、現行ポリシーとの差異を判定する', async () => {
+      const cardNumber = 'TO1234567890123456';
+      const result = await hashManager.hashICCardNumber(cardNumber);
+      expect(result.phc).toBe(`$pbkdf2-sha512$i=100000,p=1$${result.salt}$${result.hash}`);
+      expect(SecureHashManager.parsePhc(result.phc)).toEqual({
+        algorithm: 'SHA512',
+        iterations: 100000,
+        pepperVersion: 1,
+        salt: result.salt,
+        hash: result.hash
+      });
+
+      const upgraded = new SecureHashManager({ iterations: 120000, saltLength: 32, pepper: 'test_pepper_value_2025' });
+      expect(await upgraded.verifyICCardNumber(cardNumber, result.phc)).toBe(true);
+      expect(await upgraded.verifyICCardNumber('TO0000000000000000', result.phc)).toBe(false);
+      expect(upgraded.getUpgradeReasons(result.phc)).toEqual(['parameters']);
+      expect(upgraded.getUpgradeReasons(result.hash)).toEqual(['format']);
+      expect(upgraded.getUpgradeReasons('')).toEqual([]);
+      expect(hashManager.needsRehash(result.phc)).toBe(false);
+    });
+
+    test('鍵導出バックエンドによらず同一の結果を生成する', async () => {
+      const salt = 'c2FsdC1mb3ItYmFja2VuZC1jb21wYXJpc29uLXRlc3Q=';
+
+      for (const algorithm of ['SHA256', 'SHA512']) {
+        const params = { algorithm, iterations: 1000, keyLength: 64 };
+        const results = await Promise.all(Object.values(Pbkdf2Engine.BACKENDS).map(backend =>
+          new Pbkdf2Engine({ backend }).derive('TO1234567890123456ペッパー', salt, params)
+        ));
+        expect(new Set(results).size).toBe(1);
+      }
+
+      expect(Pbkdf2Engine.detectBackend()).toBe(Pbkdf2Engine.BACKENDS.NODE);
+      expect(hashManager.getSecurityConfig().backend).toBe(Pbkdf2Engine.BACKENDS.NODE);
+      expect(() => new Pbkdf2Engine({ backend: 'md5' })).toThrow('サポートされていない鍵導出バックエンドです');
+    });
+
+    test('ブラインドインデックスはペッパーごとに決定的で、ペッパー未設定の場合は生成しない', async () => {
+      const cardNumber = 'TO1234567890123456';
+      const rotated = new SecureHashManager({
+        peppers: { 1: 'test_pepper_value_2025', 2: 'rotated_pepper_value_2026' },
+        pepperVersion: 2
+      });
+
+      const index = rotated.computeBlindIndex(cardNumber);
+      expect(index).toMatch(/^[0-9a-f]{32}$/);
+      expect(rotated.computeBlindIndex(cardNumber)).toBe(index);
+      expect(rotated.computeBlindIndex(cardNumber, 1)).toBe(hashManager.computeBlindIndex(cardNumber));
+      expect(rotated.computeBlindIndex('TO0000000000000000')).not.toBe(index);
+      expect(rotated.getBlindIndexCandidates(cardNumber)).toEqual([hashManager.computeBlindIndex(cardNumber), index]);
+
+      // ソルトが異なってもインデックスは同一
+      const [first, second] = await Promise.all([rotated.hashICCardNumber(cardNumber), rotated.hashICCardNumber(cardNumber)]);
+      expect(first.hash).not.toBe(second.hash);
+      expect(first.blindIndex).toBe(index);
+      expect(second.blindIndex).toBe(index);
+
+      const unkeyed = new SecureHashManager();
+      expect(unkeyed.computeBlindIndex(cardNumber)).toBeNull();
+      expect(unkeyed.getBlindIndexCandidates(cardNumber)).toEqual([]);
+    });
+
     test('名古屋圏ICカード検証が正常に動作する', () => {
       const testCards = [
         'TO1234567890123456', // TOICA
@@ -55,6 +147,214 @@ describe('IPAガイドライン準拠セキュリティ統合テスト', () => {
     });
   });
 
+  describe('FieldCipher', () => {
+    test('AES-GCMで暗号化・復号し、改ざん・関連データの不一致を検出する', async () => {
+      const cipher = new FieldCipher({ keys: { 1: FieldCipher.generateKey() } });
+      const encrypted = await cipher.encrypt('052-123-4567', 'contact_phone');
+
+      expect(FieldCipher.parse(encrypted)).toEqual(expect.objectContaining({ keyVersion: 1 }));
+      expect(encrypted).not.toContain('052-123-4567');
+      expect(await cipher.encrypt('052-123-4567', 'contact_phone')).not.toBe(encrypted);
+      expect(await cipher.decrypt(encrypted, 'contact_phone')).toBe('052-123-4567');
+
+      await expect(cipher.decrypt(encrypted, 'contact_email')).rejects.toThrow('復号に失敗しました');
+      const { iv, ciphertext } = FieldCipher.parse(encrypted);
+      const tampered = `$aes-256-gcm$k=1$${iv}$${ciphertext.startsWith('A') ? 'B' : 'A'}${ciphertext.slice(1)}`;
+      await expect(cipher.decrypt(tampered, 'contact_phone')).rejects.toThrow('復号に失敗しました');
+    });
+
+    test('鍵のローテーション後も旧バージョンの鍵で復号できる', async () => {
+      const oldKey = FieldCipher.generateKey();
+      const before = await new FieldCipher({ keys: { 1: oldKey } }).encrypt('reporter@example.com', 'contact_email');
+
+      const rotated = new FieldCipher({ keys: { 1: oldKey, 2: FieldCipher.generateKey() }, keyVersion: 2 });
+      const after = await rotated.encrypt('reporter@example.com', 'contact_email');
+
+      expect(FieldCipher.parse(after).keyVersion).toBe(2);
+      expect(await rotated.decrypt(before, 'contact_email')).toBe('reporter@example.com');
+      expect(await rotated.decrypt(after, 'contact_email')).toBe('reporter@example.com');
+      expect(new FieldCipher().hasKey()).toBe(false);
+      expect(() => new FieldCipher({ keys: { 1: btoa('short') } })).toThrow('長さが正しくありません');
+    });
+  });
+
+  describe('ProxyFieldCipher', () => {
+    let proxy;
+
+    beforeEach(() => {
+      proxy = jest.fn(async (pluginId, url, method, headers, body) => (
+        body.action === 'decrypt' && body.credentials !== 'handler-credentials'
+          ? [JSON.stringify({ error: '連絡先を閲覧する権限がありません' }), 403, {}]
+          : [JSON.stringify({ value: `${body.action}:${body.value}` }), 200, {}]
+      ));
+      global.kintone = { plugin: { app: { proxy } } };
+    });
+
+    afterEach(() => {
+      delete global.kintone;
+    });
+
+    test('鍵を持たずに暗号化サービスへ委譲し、復号には資格情報を送信する', async () => {
+      const cipher = ProxyFieldCipher.fromConfig({
+        contact_cipher_endpoint: 'https://cipher.example.com/contact',
+        contact_cipher_key_version: '2'
+      });
+      cipher.pluginId = 'plugin-id';
+
+      expect(cipher.hasKey()).toBe(true);
+      expect(cipher.keys).toBeUndefined();
+      await expect(cipher.encrypt('052-123-4567', 'contact_phone')).resolves.toBe('encrypt:052-123-4567');
+      expect(proxy).toHaveBeenCalledWith('plugin-id', 'https://cipher.example.com/contact', 'POST',
+        { 'Content-Type': 'application/json' }, { action: 'encrypt', value: '052-123-4567', context: 'contact_phone' });
+
+      await expect(cipher.decrypt('$aes-256-gcm$k=2$iv$ct', 'contact_phone', 'handler-credentials')).resolves.toBe('decrypt:$aes-256-gcm$k=2$iv$ct');
+      await expect(cipher.decrypt('$aes-256-gcm$k=2$iv$ct', 'contact_phone', 'other-credentials')).rejects.toThrow('連絡先を閲覧する権限がありません');
+
+      // 資格情報がない場合は暗号化サービスを呼び出さない
+      proxy.mockClear();
+      await expect(cipher.decrypt('$aes-256-gcm$k=2$iv$ct', 'contact_phone')).rejects.toThrow('パスワードの再入力が必要です');
+      expect(proxy).not.toHaveBeenCalled();
+      expect(new ProxyFieldCipher({ keyVersion: 1 }).hasKey()).toBe(false);
+    });
+
+    test('プロキシ設定の鍵・担当者グループは1つの値として保存する', () => {
+      const data = ProxyFieldCipher.toProxyData({ keys: { 1: 'a2V5MQ==', 2: 'a2V5Mg==' }, keyVersion: 2, handlerGroups: ['incident-desk'] });
+
+      expect(Object.keys(data)).toEqual([ProxyFieldCipher.SETTINGS_KEY]);
+      expect(ProxyFieldCipher.settingsFromProxyData(data)).toEqual({
+        keys: { 1: 'a2V5MQ==', 2: 'a2V5Mg==' },
+        keyVersion: 2,
+        handlerGroups: ['incident-desk']
+      });
+      expect(ProxyFieldCipher.settingsFromProxyData({})).toEqual({ keys: {}, keyVersion: 0, handlerGroups: [] });
+    });
+  });
+
+  describe('SessionManager', () => {
+    test('無操作時間に応じて警告・継続・終了する', async () => {
+      let now = Date.parse('2026-10-19T09:00:00.000Z');
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+      const onWarning = jest.fn();
+      const onRenew = jest.fn();
+      const onExpire = jest.fn();
+      const auditLogger = { logAuditEvent: jest.fn(() => Promise.resolve()) };
+      const target = new EventTarget();
+
+      try {
+        const session = SessionManager.fromSecurityConfig(securityConfig, { onWarning, onRenew, onExpire });
+        expect(session.timeout).toBe(30 * 60 * 1000);
+
+        const manager = new SessionManager({ timeoutMinutes: 30, renewThreshold: 5, onWarning, onRenew, onExpire, auditLogger, target });
+        manager.start();
+
+        now += 25 * 60 * 1000;
+        expect(manager.check()).toBe('warning');
+        expect(onWarning).toHaveBeenCalledWith(5 * 60 * 1000);
+
+        // 警告後の操作でセッションを継続する
+        target.dispatchEvent(new Event('keydown'));
+        expect(onRenew).toHaveBeenCalledTimes(1);
+        expect(manager.check()).toBe('active');
+
+        now += 30 * 60 * 1000;
+        expect(manager.check()).toBe('expired');
+        expect(onExpire).toHaveBeenCalledTimes(1);
+        expect(auditLogger.logAuditEvent).toHaveBeenCalledWith('SESSION_EXPIRED', { idleMinutes: 30 });
+
+        // 終了後の操作ではセッションを再開しない
+        manager.touch();
+        expect(manager.isExpired()).toBe(true);
+        expect(manager.timer).toBeNull();
+      } finally {
+        Date.now.mockRestore();
+      }
+    });
+  });
+
+  describe('ReauthManager', () => {
+    let prompt;
+    let auditLogger;
+    let reauth;
+
+    beforeEach(() => {
+      const api = { url: (path) => `https://example.cybozu.com${path}.json` };
+      global.kintone = { api, getLoginUser: () => ({ code: 'admin01' }) };
+      global.fetch = jest.fn(async (url, init) => ({
+        ok: init.headers['X-Cybozu-Authorization'] === btoa('admin01:correct-password'),
+        status: init.headers['X-Cybozu-Authorization'] === btoa('admin01:correct-password') ? 200 : 401
+      }));
+      prompt = jest.fn();
+      auditLogger = { logAuditEvent: jest.fn(() => Promise.resolve()) };
+      reauth = new ReauthManager({ prompt, auditLogger });
+    });
+
+    afterEach(() => {
+      delete global.kintone;
+      delete global.fetch;
+    });
+
+    test('ログインユーザーのパスワードを確認して確認トークンを発行する', async () => {
+      prompt.mockResolvedValueOnce('wrong-password').mockResolvedValueOnce('correct-password');
+
+      const token = await reauth.confirm(ReauthManager.PURPOSES.BULK_DELETE, '一括削除');
+      expect(prompt).toHaveBeenLastCalledWith({
+        purpose: ReauthManager.PURPOSES.BULK_DELETE,
+        message: '一括削除',
+        error: 'パスワードが正しくありません'
+      });
+      expect(fetch).toHaveBeenCalledWith('https://example.cybozu.com/k/v1/apps.json?limit=1', expect.objectContaining({
+        credentials: 'omit'
+      }));
+      expect(auditLogger.logAuditEvent).toHaveBeenCalledWith('REAUTH_FAILED', { purpose: 'BULK_DELETE', attempt: 1 });
+      expect(auditLogger.logAuditEvent).toHaveBeenCalledWith('REAUTH_SUCCEEDED', { purpose: 'BULK_DELETE' });
+
+      // 目的が異なるトークン・使用済みのトークンは使用できない
+      expect(() => reauth.assertToken(token, ReauthManager.PURPOSES.CHANGE_PEPPER)).toThrow('再認証の有効期限が切れました');
+      reauth.assertToken(token, ReauthManager.PURPOSES.BULK_DELETE);
+      expect(() => reauth.assertToken(token, ReauthManager.PURPOSES.BULK_DELETE)).toThrow('再認証の有効期限が切れました');
+
+      prompt.mockResolvedValueOnce(null);
+      await expect(reauth.confirm(ReauthManager.PURPOSES.BULK_DELETE, '一括削除')).resolves.toBeNull();
+    });
+
+    test('個人情報の閲覧は有効期限内であれば再認証を省略する', async () => {
+      prompt.mockResolvedValue('correct-password');
+      const token = await reauth.confirm(ReauthManager.PURPOSES.VIEW_PII, '連絡先の表示');
+
+      await expect(reauth.confirm(ReauthManager.PURPOSES.VIEW_PII, '連絡先の表示')).resolves.toBe(token);
+      expect(prompt).toHaveBeenCalledTimes(1);
+
+      // 暗号化サービスが閲覧者本人を確認できるよう確認済みの資格情報を含める
+      expect(token.credentials).toBe(btoa('admin01:correct-password'));
+
+      // 別のユーザーに切り替わった場合・取り消し後は無効
+      kintone.getLoginUser = () => ({ code: 'staff02' });
+      expect(reauth.isValid(token, ReauthManager.PURPOSES.VIEW_PII)).toBe(false);
+      kintone.getLoginUser = () => ({ code: 'admin01' });
+      reauth.revokeAll();
+      expect(reauth.isValid(token, ReauthManager.PURPOSES.VIEW_PII)).toBe(false);
+
+      // パスワード認証を利用できない環境では実行しない
+      fetch.mockResolvedValueOnce({ ok: false, status: 403 });
+      await expect(reauth.confirm(ReauthManager.PURPOSES.VIEW_PII, '連絡先の表示')).rejects.toThrow('再認証を実行できません');
+    });
+
+    test('ロックアウト中はパスワードを確認しない', async () => {
+      const locked = Object.assign(new Error('操作の回数が上限を超えたため、利用を制限しています'), { code: 'RATE_LIMIT_LOCKED' });
+      const rateLimiter = {
+        consume: jest.fn().mockResolvedValueOnce({}).mockRejectedValueOnce(locked),
+        recordFailure: jest.fn(() => Promise.resolve({}))
+      };
+      reauth = new ReauthManager({ prompt, auditLogger, rateLimiter });
+      prompt.mockResolvedValueOnce('wrong-password').mockResolvedValueOnce('correct-password');
+
+      await expect(reauth.confirm(ReauthManager.PURPOSES.BULK_DELETE, '一括削除')).rejects.toBe(locked);
+      expect(rateLimiter.consume).toHaveBeenCalledWith('REAUTH');
+      expect(rateLimiter.recordFailure).toHaveBeenCalledTimes(1);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
   describe('InputValidator', () => {
     test('ICカード番号検証が正常に動作する', () => {
       const validCard = 'TO1234567890123456';
@@ -97,7 +397,7 @@ describe('IPAガイドライン準拠セキュリティ統合テスト', () => {
   });
 
   describe('統合セキュリティテスト', () => {
-    test('ICカード紛失報告フロー全体が安全に動作する', () => {
+    test('ICカード紛失報告フロー全体が安全に動作する', async () => {
       const reportData = {
         icCardNumber: 'TO1234567890123456',
         employeeId: 'EMP123456',
@@ -110,7 +410,7 @@ describe('IPAガイドライン準拠セキュリティ統合テスト', () => {
       expect(validationResult.valid).toBe(true);
 
       // 2. ICカード番号ハッシュ化
-      const hashedCard = hashManager.hashICCardNumber(
+      const hashedCard = await hashManager.hashICCardNumber(
         validationResult.results.icCardNumber.sanitized
       );
       expect(hashedCard.hash).toBeDefined();
@@ -60,13 +60,13 @@ async function testSecureHashManager() {
     console.log('  📋 ICカード番号ハッシュ化テスト:');
     
     for (const cardNumber of testCards) {
-      const result = hashManager.hashICCardNumber(cardNumber);
+      const result = await hashManager.hashICCardNumber(cardNumber);
       const validation = hashManager.validateNagoyaICCard(cardNumber);
       
       console.log(`    ${validation.name || 'UNKNOWN'}: ${result.maskedNumber} ✅`);
       
       // 検証テスト
-      const isValid = hashManager.verifyICCardNumber(cardNumber, result.hash, result.salt);
+      const isValid = await hashManager.verifyICCardNumber(cardNumber, result.hash, result.salt);
       console.log(`    検証結果: ${isValid ? '✅ 成功' : '❌ 失敗'}`);
     }
 
@@ -248,7 +248,7 @@ function generateUsageExamples() {
   pepper: 'your_pepper_value'
 });
 
-const result = hashManager.hashICCardNumber('TO1234567890123456');
+const result = await hashManager.hashICCardNumber('TO1234567890123456');
 console.log('ハッシュ値:', result.hash);
 console.log('マスク番号:', result.maskedNumber);`);
 
@@ -0,0 +1,131 @@
+/**
+ * audit-log-store.test.js
+ * 監査ログアプリへの保存・連結検証テスト
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ */
+
+const AuditLogStore = require('../../src/js/audit-log-store');
+const SecurityConfig = require('../../src/js/security/SecurityConfig');
+
+describe('AuditLogStore', () => {
+  const { FIELDS } = AuditLogStore;
+  let records;
+  let store;
+
+  /**
+   * 監査ログアプリのクエリ (本モジュールが使用する形式のみ) の簡易実装
+   */
+  const query = (text) => {
+    const [, condition, direction, limit] = /^(.*?)\s*order by sequence (asc|desc) limit (\d+)$/.exec(text);
+    const [, code, operator, raw] = /^(\w+) (>|<=|<) "?([^"]*)"?$/.exec(condition) || [];
+    const value = code === FIELDS.sequence ? Number(raw) : raw;
+    const matches = (record) => {
+      const field = code === FIELDS.sequence ? Number(record[code].value) : record[code]?.value;
+      return !operator || (operator === '>' ? field > value : operator === '<' ? field < value : field <= value);
+    };
+
+    return records
+      .filter(matches)
+      .sort((a, b) => (Number(a.sequence.value) - Number(b.sequence.value)) * (direction === 'asc' ? 1 : -1))
+      .slice(0, Number(limit));
+  };
+
+  beforeEach(() => {
+    records = [];
+    let nextId = 1;
+    const api = jest.fn((url, method, params) => {
+      if (method === 'GET') return Promise.resolve({ records: query(params.query) });
+      if (method === 'POST') {
+        records.push({ $id: { value: String(nextId++) }, ...params.record });
+        return Promise.resolve({ id: String(nextId - 1) });
+      }
+      records = records.filter(record => !params.ids.includes(record.$id.value));
+      return Promise.resolve({});
+    });
+    global.kintone = {
+      api: Object.assign(api, { url: (path) => path }),
+      getLoginUser: () => ({ code: 'admin01' })
+    };
+    store = AuditLogStore.fromConfig({ audit_app_id: '21', log_retention: '30' });
+  });
+
+  afterEach(() => {
+    delete global.kintone;
+  });
+
+  test('直前のログのハッシュで連結して保存し、変更・削除を検出する', async () => {
+    await store.append('CONTACT_DECRYPTED', { recordId: '1' });
+    await Promise.all([store.append('CONTACT_DECRYPTED', { recordId: '2' }), store.append('CONFIG_SAVED', {})]);
+
+    const entries = await store.fetchAll();
+    expect(entries.map(entry => entry.sequence)).toEqual([1, 2, 3]);
+    expect(entries[0].prevHash).toBe(AuditLogStore.GENESIS_HASH);
+    expect(entries[1].prevHash).toBe(entries[0].entryHash);
+    expect(entries[0].actor).toBe('admin01');
+    expect(await store.verify()).toEqual(expect.objectContaining({ valid: true, total: 3, problems: [] }));
+
+    records[1][FIELDS.details].value = JSON.stringify({ recordId: '99' });
+    const result = await store.verify();
+    expect(result.valid).toBe(false);
+    expect(result.problems).toEqual(['#2: 記録後に内容が変更されています']);
+
+    records.splice(1, 1);
+    expect((await store.verify()).problems).toEqual(['#2〜#2: ログが削除されています']);
+    expect(AuditLogStore.fromConfig({ audit_app_id: '21', audit_enabled: 'false' })).toBeNull();
+  });
+
+  test('連番が重複した場合は最新のログを取得し直して再試行する', async () => {
+    kintone.api.mockImplementationOnce(() => Promise.resolve({ records: [] }))
+      .mockImplementationOnce(() => Promise.reject({ code: 'CB_VA01' }));
+
+    const entry = await store.append('CONFIG_SAVED', {});
+    expect(entry.sequence).toBe(1);
+    expect(records).toHaveLength(1);
+  });
+
+  test('保持期間を過ぎたログを削除範囲の記録とともに削除し、残りの連結を検証できる', async () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    try {
+      for (let i = 0; i < 3; i++) await store.append('OLD_EVENT', { index: i });
+      records.forEach(record => { record[FIELDS.occurredAt].value = new Date(now - 40 * 86400000).toISOString(); });
+      // 日時を変更したため、連結値を再計算したログとして扱う
+      records.forEach((record, index) => {
+        const entry = AuditLogStore.fromRecord(record);
+        entry.prevHash = index === 0 ? AuditLogStore.GENESIS_HASH : records[index - 1][FIELDS.entryHash].value;
+        record[FIELDS.prevHash].value = entry.prevHash;
+        record[FIELDS.entryHash].value = AuditLogStore.computeHash(entry);
+      });
+      await store.append('RECENT_EVENT', {});
+
+      await expect(store.prune()).resolves.toEqual({ deleted: 3, throughSequence: 3 });
+      const entries = await store.fetchAll();
+      expect(entries.map(entry => entry.event)).toEqual(['RECENT_EVENT', AuditLogStore.PRUNE_EVENT]);
+      expect(await store.verify()).toEqual(expect.objectContaining({ valid: true, total: 2 }));
+
+      // 削除の記録がない削除は検出する
+      records.shift();
+      expect((await store.verify()).problems).toEqual(['#1〜#4: 保持期間による削除の記録がないまま削除されています']);
+    } finally {
+      Date.now.mockRestore();
+    }
+  });
+
+  test('セキュリティ設定の監査イベントを監査ログアプリに保存する', async () => {
+    const securityConfig = new SecurityConfig();
+    securityConfig.setAuditStore(store);
+
+    await securityConfig.logAuditEvent('CONTACT_DECRYPTED', { recordId: '7', token: 'secret' });
+    const [entry] = await store.fetchAll();
+    expect(entry.event).toBe('CONTACT_DECRYPTED');
+    expect(JSON.parse(entry.details)).toEqual({ recordId: '7', token: '[MASKED]' });
+
+    kintone.api.mockImplementation(() => Promise.reject(new Error('権限がありません')));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await expect(securityConfig.logAuditEvent('CONTACT_DECRYPTED', {})).rejects.toThrow('権限がありません');
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * badge-loss-workflow.test.js
+ * 社員証紛失ワークフローテスト
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ */
+
+const BadgeLossWorkflow = require('../../src/js/badge-loss-workflow');
+const IncidentLifecycle = require('../../src/js/incident-lifecycle');
+const ProviderStopChecklist = require('../../src/js/provider-stop-checklist');
+
+describe('BadgeLossWorkflow', () => {
+  let workflow;
+  let checklist;
+  const complete = (list, key, referenceNumber) =>
+    workflow.completeStep(list, `badge:${key}`, { actor: 'user01', referenceNumber });
+
+  beforeEach(() => {
+    workflow = new BadgeLossWorkflow();
+    checklist = workflow.createChecklist();
+  });
+
+  test('カード種別・報告区分からインシデント区分を判定する', () => {
+    expect(BadgeLossWorkflow.getReportType('社員証')).toBe('社員証紛失');
+    expect(BadgeLossWorkflow.getReportType('TOICA')).toBe('ICカード紛失');
+    expect(BadgeLossWorkflow.isBadgeIncident({ report_type: { value: 'ICカード紛失' }, card_type: { value: '社員証' } }))
+      .toBe(true);
+    expect(BadgeLossWorkflow.isBadgeIncident({ report_type: { value: 'ICカード紛失' } })).toBe(false);
+  });
+
+  test('権限停止を先に完了し、番号が必要な手順は入力を求める', () => {
+    expect(checklist.map(step => step.category))
+      .toEqual(['accessRevocation', 'temporaryPass', 'reissue', 'handover']);
+
+    expect(() => complete(checklist, 'temporary-pass', 'T-01'))
+      .toThrow('先に「入退館システムで紛失した社員証の権限を停止」を完了してください');
+
+    const revoked = complete(checklist, 'access-revocation');
+    expect(() => complete(revoked, 'temporary-pass')).toThrow('仮入館証番号を入力してください');
+
+    const issued = complete(revoked, 'temporary-pass', 'T-01');
+    expect(workflow.getOutstandingTemporaryPass(issued)).toBe('T-01');
+    expect(() => complete(issued, 'handover')).toThrow('先に「社員証の再発行を申請」を完了してください');
+
+    const handedOver = complete(complete(issued, 'reissue', 'R-01'), 'handover');
+    expect(workflow.getOutstandingTemporaryPass(handedOver)).toBe('');
+  });
+
+  test('手順の進捗がライフサイクルのガード条件に反映される', () => {
+    const lifecycle = new IncidentLifecycle();
+    const context = (list) => ({ actor: 'user01', ...workflow.toTransitionContext(list) });
+
+    expect(lifecycle.canTransition('REPORTED', 'PROVIDER_STOPPED', context(checklist)).errors)
+      .toEqual(['入退館権限の停止を完了してください']);
+
+    const revoked = complete(checklist, 'access-revocation');
+    expect(lifecycle.canTransition('REPORTED', 'PROVIDER_STOPPED', context(revoked)).allowed).toBe(true);
+    expect(lifecycle.canTransition('SEARCHING', 'REPLACED', context(revoked)).allowed).toBe(false);
+
+    const reissued = complete(revoked, 'reissue', 'R-01');
+    expect(lifecycle.canTransition('REPLACED', 'CLOSED', context(reissued)).errors)
+      .toContain('再発行カードの受領確認が完了していません');
+    expect(lifecycle.canTransition('REPLACED', 'CLOSED', context(complete(reissued, 'handover'))).allowed)
+      .toBe(true);
+  });
+
+  test('交通機関のチェックリストと同じサブテーブル形式で保存できる', () => {
+    const subtable = new ProviderStopChecklist({});
+    const revoked = complete(checklist, 'access-revocation');
+
+    expect(subtable.fromSubtable(subtable.toSubtable(revoked))).toEqual(revoked);
+  });
+});
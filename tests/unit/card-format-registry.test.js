@@ -0,0 +1,85 @@
+/**
+ * card-format-registry.test.js
+ * ICカード番号形式レジストリテスト
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ */
+
+const CardFormatRegistry = require('../../src/js/card-format-registry');
+const InputValidator = require('../../src/js/security/InputValidator');
+const SecureHashManager = require('../../src/js/security/SecureHashManager');
+const FoundCardReconciler = require('../../src/js/found-card-reconciler');
+
+describe('CardFormatRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new CardFormatRegistry();
+  });
+
+  test('接頭辞と桁数でカード種別を判定する', () => {
+    expect(registry.match('to-1234 5678 9012 3456')).toMatchObject({
+      valid: true,
+      normalized: 'TO1234567890123456'
+    });
+    expect(registry.match('TO12345678901234').format.type).toBe('TOICA');
+    expect(registry.match('PB12345678901234').format.type).toBe('PASMO');
+
+    const wrongLength = registry.match('JE1234567890123456');
+    expect(wrongLength.valid).toBe(false);
+    expect(wrongLength.errors[0]).toBe('Suica（JR東日本）の番号は JE + 15桁の数字 で入力してください');
+    expect(registry.match('XX12345678901234').format).toBeNull();
+  });
+
+  test('形式ごとのマスキング規則を適用する', () => {
+    expect(registry.mask('TO12345678901234')).toBe('************1234');
+
+    registry.register({ ...registry.get('TOICA'), mask: { head: 2, tail: 4 } });
+    expect(registry.mask('TO12345678901234')).toBe('TO**********1234');
+    expect(registry.mask('123')).toBe('****');
+  });
+
+  test('形式を追加登録でき、接頭辞の重複は拒否する', () => {
+    registry.register({ type: 'ODEKAKE', prefixes: ['OD'], digitCounts: [16], checksum: 'luhn' });
+
+    expect(registry.match('OD4111111111111111').valid).toBe(true);
+    expect(registry.match('OD4111111111111112').errors).toEqual(['ICカード番号のチェックサムが正しくありません']);
+    expect(registry.getPattern('TOICA')).toBe('^TO(?:\\d{14}|\\d{16})$');
+    expect(() => registry.register({ type: 'Other', prefixes: ['T'], digitCounts: [14] }))
+      .toThrow("接頭辞 'T' は 'TOICA' と重複しています");
+  });
+
+  test('接頭辞のない数字のみの番号は桁数で判定し、交通系16桁はLuhnで検証する', () => {
+    expect(registry.match('4111 1111 1111 1111')).toMatchObject({ valid: true, format: { type: 'SUICA' } });
+    expect(registry.match('4111111111111112').errors).toEqual(['ICカード番号のチェックサムが正しくありません']);
+    expect(registry.match('1234567890').format.type).toBe('CORPORATE');
+    expect(registry.match('12345678').format.type).toBe('STUDENT');
+    expect(registry.match('1234567890123').format.type).toBe('STUDENT');
+    expect(registry.match('123456789012345').format).toBeNull();
+    expect(registry.describe('CORPORATE')).toBe('10桁または11桁または12桁の数字');
+    expect(registry.getPattern('SUICA')).toBe('^\\d{16}$');
+    expect(registry.mask('4111111111111111')).toBe('************1111');
+
+    expect(() => registry.register({ type: 'Other', prefixes: [], digitCounts: [12, 15] }))
+      .toThrow("桁数 12 は 'CORPORATE' と重複しています");
+  });
+
+  test('入力値検証・ハッシュ化・拾得照合で同じ判定とマスキングを行う', () => {
+    const hashManager = new SecureHashManager();
+    const reconciler = new FoundCardReconciler(hashManager);
+
+    ['TO1234567890123456', 'ma-1234-5678-9012-34', 'JE123456789012345', 'NM12345678901234', '4111111111111111', '1234567890'].forEach(number => {
+      const normalized = CardFormatRegistry.normalize(number);
+      const input = new InputValidator().validateICCardNumber(number);
+      const hash = hashManager.validateNagoyaICCard(normalized);
+
+      expect(input.valid).toBe(true);
+      expect(hash.valid).toBe(true);
+      expect(hash.type).toBe(input.cardType);
+      expect(input.maskedNumber).toBe(hash.maskedNumber);
+      expect(reconciler.maskCardNumber(normalized)).toBe(input.maskedNumber);
+    });
+  });
+});
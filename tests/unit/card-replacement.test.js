@@ -0,0 +1,108 @@
+/**
+ * card-replacement.test.js
+ * 再発行カード・経費精算管理テスト
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ */
+
+const CardReplacement = require('../../src/js/card-replacement');
+const IncidentLifecycle = require('../../src/js/incident-lifecycle');
+
+describe('CardReplacement', () => {
+  let replacement;
+  let initial;
+
+  beforeEach(() => {
+    replacement = new CardReplacement({ reissueFee: 520, expenseAppId: 42 });
+    initial = replacement.create({ balance: '3000', features: ['定期券', 'オートチャージ'] });
+  });
+
+  afterEach(() => {
+    delete global.kintone;
+  });
+
+  test('プラグイン設定からルールを生成する', () => {
+    expect(CardReplacement.rulesFromConfig({})).toEqual({ reissueFee: 520, expenseAppId: null });
+    expect(CardReplacement.rulesFromConfig({ reissue_fee: '1000', expense_app_id: '15' }))
+      .toEqual({ reissueFee: 1000, expenseAppId: 15 });
+  });
+
+  test('申請と受領確認で状態が進み、定期券区間の復元確認が必須となる', () => {
+    expect(() => replacement.requestReissue(initial, { actor: 'user01' }))
+      .toThrow('再発行の受付番号を入力してください');
+
+    const requested = replacement.requestReissue(initial, { actor: 'user01', referenceNumber: 'R-100', reissueFee: '1000' });
+    expect(requested.status).toBe('申請済み');
+    expect(requested.reissueFee).toBe(1000);
+    expect(replacement.getOpenItems(requested)).toEqual([
+      '再発行カードの受領確認', '定期券区間の復元', '再発行手数料の経費精算'
+    ]);
+
+    expect(() => replacement.confirmReplacement(requested, { actor: 'user02', balanceTransferred: '2800' }))
+      .toThrow('定期券区間の復元を確認してください');
+
+    const confirmed = replacement.confirmReplacement(requested, {
+      actor: 'user02',
+      balanceTransferred: '2800',
+      commuterPassRestored: true
+    });
+    expect(confirmed.status).toBe('受領確認済み');
+    expect(replacement.getBalanceDifference(confirmed)).toBe(200);
+  });
+
+  test('受領確認まで再発行済みから完了へ変更できない', () => {
+    const lifecycle = new IncidentLifecycle();
+    const context = (r) => ({ actor: 'user01', ...replacement.toTransitionContext(r) });
+
+    expect(lifecycle.canTransition('SEARCHING', 'REPLACED', context(initial)).errors)
+      .toContain('再発行の申請を登録してください');
+
+    const requested = replacement.requestReissue(initial, { actor: 'user01', referenceNumber: 'R-100' });
+    expect(lifecycle.canTransition('SEARCHING', 'REPLACED', context(requested)).allowed).toBe(true);
+    expect(lifecycle.canTransition('REPLACED', 'CLOSED', context(requested)).errors)
+      .toContain('再発行カードの受領確認が完了していません');
+
+    const confirmed = replacement.confirmReplacement(requested, { actor: 'user01', commuterPassRestored: true });
+    expect(lifecycle.canTransition('REPLACED', 'CLOSED', context(confirmed)).allowed).toBe(true);
+  });
+
+  test('再発行手数料の経費精算レコードを登録する', async () => {
+    const api = jest.fn((path, method) => Promise.resolve(method === 'GET' ? { records: [] } : { id: '77', revision: '1' }));
+    global.kintone = { api: Object.assign(api, { url: (path) => path }) };
+
+    const record = { $id: { value: '10' }, reporter_name: { value: '山田太郎' }, card_type: { value: 'TOICA' } };
+    const requested = replacement.requestReissue(initial, { actor: 'user01', referenceNumber: 'R-100' });
+    const claimed = await replacement.submitExpenseClaim(record, requested);
+
+    expect(claimed.expenseClaimId).toBe('77');
+    expect(api).toHaveBeenCalledWith('/k/v1/records', 'GET', {
+      app: 42,
+      query: 'incident_record_id = "10" and claim_type = "ICカード再発行手数料" order by $id asc limit 1',
+      fields: ['$id']
+    });
+    expect(api).toHaveBeenCalledWith('/k/v1/record', 'POST', expect.objectContaining({ app: 42 }));
+    expect(api.mock.calls[1][2].record.amount.value).toBe('520');
+    await expect(replacement.submitExpenseClaim(record, claimed)).rejects.toThrow('経費精算は既に作成されています');
+  });
+
+  test('精算レコードの番号を保存できなかった場合は登録済みのレコードを使用する', async () => {
+    const api = jest.fn(() => Promise.resolve({ records: [{ $id: { value: '77' } }] }));
+    global.kintone = { api: Object.assign(api, { url: (path) => path }) };
+
+    const record = { $id: { value: '10' }, reporter_name: { value: '山田太郎' } };
+    const requested = replacement.requestReissue(initial, { actor: 'user01', referenceNumber: 'R-100' });
+
+    await expect(replacement.submitExpenseClaim(record, requested)).resolves.toMatchObject({ expenseClaimId: '77' });
+    expect(api).toHaveBeenCalledTimes(1);
+  });
+
+  test('レコードのフィールド値と相互変換し、旧レコードは報告内容から初期化する', () => {
+    const requested = replacement.requestReissue(initial, { actor: 'user01', referenceNumber: 'R-100' });
+    expect(replacement.fromRecord(replacement.toRecordFields(requested))).toEqual(requested);
+
+    const legacy = replacement.fromRecord({ card_balance: { value: '1500' }, card_features: { value: '定期券, 電子マネー' } });
+    expect(legacy).toMatchObject({ status: '未申請', balanceToTransfer: 1500, commuterPass: true });
+  });
+});
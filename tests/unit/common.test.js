@@ -0,0 +1,117 @@
+/**
+ * common.test.js
+ * Kintone APIヘルパーの保存データ検証テスト
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ */
+
+const { CommonUtils, KintoneAPIHelper } = require('../../src/js/common');
+const CardReplacement = require('../../src/js/card-replacement');
+const IncidentLifecycle = require('../../src/js/incident-lifecycle');
+
+describe('KintoneAPIHelper', () => {
+  let api;
+  let loading;
+
+  beforeEach(() => {
+    api = jest.fn(() => Promise.resolve({ records: [{ id: '1', revision: '3' }] }));
+    global.kintone = { app: { getId: () => 3 }, api: Object.assign(api, { url: (path) => path }) };
+    loading = jest.spyOn(CommonUtils, 'showLoading').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    loading.mockRestore();
+    delete global.kintone;
+  });
+
+  test('更新する値はエスケープせずにそのまま送信し、読み込んだサブテーブルを書き戻しても変化しない', async () => {
+    const note = 'A &amp; B 10/19 <担当>';
+    const longText = 'あ'.repeat(1500);
+
+    const result = await KintoneAPIHelper.updateRecordsSecurely([{
+      id: '1',
+      revision: '2',
+      status_history: {
+        value: [{ id: '10', value: { history_note: { type: 'SINGLE_LINE_TEXT', value: note } } }]
+      },
+      loss_circumstances: { value: longText },
+      card_balance: { value: 1200 },
+      status_note: { value: '' }
+    }]);
+
+    expect(result.success).toBe(true);
+    expect(api).toHaveBeenCalledWith('/k/v1/records', 'PUT', {
+      app: 3,
+      records: [{
+        id: 1,
+        revision: 2,
+        record: {
+          status_history: { value: [{ id: '10', value: { history_note: { value: note } } }] },
+          loss_circumstances: { value: longText },
+          card_balance: { value: 1200 },
+          status_note: { value: '' }
+        }
+      }]
+    });
+  });
+
+  test('チェックボックス・ユーザー選択・サブテーブルをフィールドの形式ごとに送信する', async () => {
+    const replacement = new CardReplacement();
+    const fields = replacement.toRecordFields({
+      ...replacement.create({ balance: '1500', features: ['定期券'] }),
+      commuterPassRestored: true
+    });
+    const history = new IncidentLifecycle().toHistoryTable([
+      { from: '報告受付', to: '利用停止済み', actor: 'desk01', at: '2026-10-19T01:00:00.000Z', note: '受付番号 A-1' }
+    ]);
+
+    await KintoneAPIHelper.updateRecordsSecurely([{
+      id: '1',
+      revision: '2',
+      ...fields,
+      status: { value: '利用停止済み' },
+      status_history: { value: history },
+      handlers: { value: [{ code: 'desk01' }] },
+      attachments: { value: [{ fileKey: 'f-1' }] }
+    }]);
+
+    const { record } = api.mock.calls[0][2].records[0];
+    expect(record.commuter_pass).toEqual({ value: ['対象'] });
+    expect(record.commuter_pass_restored).toEqual({ value: ['復元済み'] });
+    expect(record.reissue_fee).toEqual(fields.reissue_fee);
+    expect(record.status).toEqual({ value: '利用停止済み' });
+    expect(record.status_history).toEqual({ value: history });
+    expect(record.handlers).toEqual({ value: [{ code: 'desk01' }] });
+    expect(record.attachments).toEqual({ value: [{ fileKey: 'f-1' }] });
+  });
+
+  test('クエリに埋め込む文字列は \\ と " をエスケープして引用符で囲む', () => {
+    expect(KintoneAPIHelper.quoteQueryValue('山田 "太郎"')).toBe('"山田 \\"太郎\\""');
+    expect(KintoneAPIHelper.quoteQueryValue('a\\" or $id > "0')).toBe('"a\\\\\\" or $id > \\"0"');
+    expect(KintoneAPIHelper.quoteQueryValue(null)).toBe('""');
+  });
+
+  test('危険なパターン・長すぎる値・未対応の形式は送信せずにエラーとする', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    try {
+      const cases = [
+        { status_note: { value: '<script>alert(1)</script>' } },
+        { status_note: { value: 'a'.repeat(KintoneAPIHelper.MAX_FIELD_LENGTH + 1) } },
+        { status_history: { value: [{ value: { history_note: { value: 'javascript:alert(1)' } } }] } },
+        { status_note: { value: true } }
+      ];
+
+      for (const fields of cases) {
+        const result = await KintoneAPIHelper.updateRecordsSecurely([{ id: '1', revision: '2', ...fields }]);
+        expect(result.success).toBe(false);
+        expect(result.error).toContain('の値が不正です');
+      }
+      expect(api).not.toHaveBeenCalled();
+    } finally {
+      error.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * contact-access.test.js
+ * 報告者連絡先の暗号化・担当者による復号テスト
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ */
+
+const ContactAccess = require('../../src/js/contact-access');
+
+describe('ContactAccess', () => {
+  let cipher;
+  let auditLogger;
+  let access;
+
+  beforeEach(() => {
+    // AES-GCMの処理は FieldCipher のテストで確認するため、関連データを含む可逆な変換で代用
+    cipher = {
+      hasKey: jest.fn(() => true),
+      encrypt: jest.fn(async (value, context) => `enc(${context}):${value}`),
+      decrypt: jest.fn(async (value, context) => {
+        if (!value.startsWith(`enc(${context}):`)) throw new Error('復号に失敗しました');
+        return value.slice(`enc(${context}):`.length);
+      })
+    };
+    auditLogger = { logAuditEvent: jest.fn() };
+    access = new ContactAccess(cipher, {
+      handlerGroups: ContactAccess.handlerGroupsFromConfig({ contact_handler_groups: 'incident-desk, security' }),
+      auditLogger
+    });
+
+    const api = jest.fn((url, method, params) => Promise.resolve({
+      groups: params.code === 'desk01' ? [{ code: 'everyone' }, { code: 'incident-desk' }] : [{ code: 'everyone' }]
+    }));
+    global.kintone = { api: Object.assign(api, { url: (path) => path }) };
+  });
+
+  afterEach(() => {
+    delete global.kintone;
+  });
+
+  test('入力された連絡先のみ暗号化フィールドとして返す', async () => {
+    const fields = await access.encryptContacts({ contact_phone: '052-123-4567', contact_email: '' });
+    expect(fields).toEqual({ contact_phone_encrypted: { value: 'enc(contact_phone):052-123-4567' } });
+
+    cipher.hasKey.mockReturnValue(false);
+    await expect(access.encryptContacts({ contact_phone: '052-123-4567' }))
+      .rejects.toThrow('連絡先の暗号化キーが設定されていません');
+  });
+
+  test('担当者グループのユーザーのみ復号でき、復号・拒否を監査ログに記録する', async () => {
+    const record = {
+      $id: { value: '12' },
+      contact_phone_encrypted: { value: 'enc(contact_phone):052-123-4567' },
+      contact_email_encrypted: { value: 'enc(contact_email):reporter@example.com' }
+    };
+
+    await expect(access.decryptContacts(record, { code: 'desk01' })).resolves.toEqual({
+      contact_phone: '052-123-4567',
+      contact_email: 'reporter@example.com'
+    });
+    expect(auditLogger.logAuditEvent).toHaveBeenLastCalledWith('CONTACT_DECRYPTED', {
+      recordId: '12', user: 'desk01', fields: ['連絡先電話', '連絡先メール']
+    });
+
+    await expect(access.decryptContacts(record, { code: 'staff02' })).rejects.toThrow('連絡先を閲覧する権限がありません');
+    expect(auditLogger.logAuditEvent).toHaveBeenLastCalledWith('CONTACT_DECRYPT_DENIED', { recordId: '12', user: 'staff02' });
+
+    // 暗号文を別のフィールドに移したものは復号できない
+    const swapped = { $id: { value: '12' }, contact_email_encrypted: record.contact_phone_encrypted };
+    await expect(access.decryptContacts(swapped, { code: 'desk01' })).rejects.toThrow('復号に失敗しました');
+    expect(auditLogger.logAuditEvent).toHaveBeenLastCalledWith('CONTACT_DECRYPT_FAILED', expect.objectContaining({ recordId: '12' }));
+
+    // 所属グループの取得はユーザーごとに1回
+    expect(kintone.api).toHaveBeenCalledTimes(2);
+    expect(kintone.api).toHaveBeenCalledWith('/v1/user/groups', 'GET', { code: 'desk01' });
+  });
+
+  test('再認証を指定した場合は有効な確認トークンがなければ復号しない', async () => {
+    const reauth = { isValid: jest.fn((token, purpose) => token === 'valid-token' && purpose === 'VIEW_PII') };
+    access = new ContactAccess(cipher, { handlerGroups: ['incident-desk'], auditLogger, reauth });
+    const record = { $id: { value: '12' }, contact_phone_encrypted: { value: 'enc(contact_phone):052-123-4567' } };
+
+    await expect(access.decryptContacts(record, { code: 'desk01' })).rejects.toThrow('パスワードの再入力が必要です');
+    expect(auditLogger.logAuditEvent).toHaveBeenLastCalledWith('CONTACT_DECRYPT_DENIED', {
+      recordId: '12', user: 'desk01', reason: 'REAUTH_REQUIRED'
+    });
+    expect(cipher.decrypt).not.toHaveBeenCalled();
+
+    await expect(access.decryptContacts(record, { code: 'desk01' }, 'valid-token'))
+      .resolves.toEqual({ contact_phone: '052-123-4567', contact_email: '' });
+  });
+
+  test('復号時は確認トークンの資格情報を暗号化サービスに渡す', async () => {
+    const token = { purpose: 'VIEW_PII', credentials: 'ZGVzazAxOnBhc3N3b3Jk' };
+    const reauth = { isValid: jest.fn(value => value === token) };
+    access = new ContactAccess(cipher, { handlerGroups: ['incident-desk'], auditLogger, reauth });
+    const record = { $id: { value: '12' }, contact_phone_encrypted: { value: 'enc(contact_phone):052-123-4567' } };
+
+    await access.decryptContacts(record, { code: 'desk01' }, token);
+    expect(cipher.decrypt).toHaveBeenCalledWith('enc(contact_phone):052-123-4567', 'contact_phone', 'ZGVzazAxOnBhc3N3b3Jk');
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * contact-cipher-service.test.js
+ * 連絡先の暗号化サービスのテスト
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ */
+
+const ContactCipherService = require('../../src/server/contact-cipher-service');
+const FieldCipher = require('../../src/js/security/FieldCipher');
+const ProxyFieldCipher = require('../../src/js/security/ProxyFieldCipher');
+
+describe('ContactCipherService', () => {
+  const key = FieldCipher.generateKey();
+  const credentials = (code, password) => Buffer.from(`${code}:${password}`).toString('base64');
+  let proxyData;
+  let fetchMock;
+  let service;
+
+  beforeEach(() => {
+    // Kintoneがプロキシ設定からリクエストに付与するデータ
+    proxyData = ProxyFieldCipher.toProxyData({ keys: { 1: key }, keyVersion: 1, handlerGroups: ['incident-desk'] });
+
+    fetchMock = jest.fn(async (url, init) => {
+      if (url.startsWith('https://example.cybozu.com/k/v1/apps.json')) {
+        const ok = [credentials('desk01', 'pass'), credentials('staff02', 'pass')].includes(init.headers['X-Cybozu-Authorization']);
+        return { ok, status: ok ? 200 : 401 };
+      }
+      if (init.headers['X-Cybozu-Authorization'] !== 'group-lookup') {
+        return { ok: false, status: 403 };
+      }
+      const code = new URL(url).searchParams.get('code');
+      return {
+        ok: true,
+        status: 200,
+        json: async () => ({ groups: code === 'desk01' ? [{ code: 'everyone' }, { code: 'incident-desk' }] : [{ code: 'everyone' }] })
+      };
+    });
+    service = new ContactCipherService({
+      kintoneBaseUrl: 'https://example.cybozu.com/',
+      groupLookupAuthorization: 'group-lookup',
+      fetch: fetchMock
+    });
+  });
+
+  const encrypt = async (value, context) => {
+    const response = await service.handle({ ...proxyData, action: 'encrypt', value, context });
+    expect(response.status).toBe(200);
+    return response.body.value;
+  };
+
+  test('プロキシ設定の鍵で暗号化し、担当者グループのユーザーのみ復号できる', async () => {
+    const encrypted = await encrypt('052-123-4567', 'contact_phone');
+    expect(FieldCipher.parse(encrypted)).toEqual(expect.objectContaining({ keyVersion: 1 }));
+
+    await expect(service.handle({
+      ...proxyData, action: 'decrypt', value: encrypted, context: 'contact_phone', credentials: credentials('desk01', 'pass')
+    })).resolves.toEqual({ status: 200, body: { value: '052-123-4567' } });
+    expect(fetchMock).toHaveBeenCalledWith('https://example.cybozu.com/v1/user/groups.json?code=desk01', expect.anything());
+
+    await expect(service.handle({
+      ...proxyData, action: 'decrypt', value: encrypted, context: 'contact_phone', credentials: credentials('staff02', 'pass')
+    })).resolves.toEqual({ status: 403, body: { error: '連絡先を閲覧する権限がありません' } });
+  });
+
+  test('資格情報で本人を確認できない場合は所属グループを確認せずに拒否する', async () => {
+    const encrypted = await encrypt('reporter@example.com', 'contact_email');
+
+    for (const value of [credentials('desk01', 'wrong'), 'not-base64-credentials', undefined]) {
+      const response = await service.handle({ ...proxyData, action: 'decrypt', value: encrypted, context: 'contact_email', credentials: value });
+      expect(response.status).toBe(401);
+    }
+    expect(fetchMock.mock.calls.some(([url]) => url.includes('/v1/user/groups'))).toBe(false);
+  });
+
+  test('鍵のない・差し替えられた設定や関連データの不一致では復号しない', async () => {
+    const encrypted = await encrypt('052-123-4567', 'contact_phone');
+    const request = { action: 'decrypt', value: encrypted, context: 'contact_phone', credentials: credentials('desk01', 'pass') };
+
+    await expect(service.handle(request)).resolves.toEqual(expect.objectContaining({ status: 500 }));
+
+    // 担当者グループを差し替えるには鍵ごと差し替える必要がある
+    const replaced = ProxyFieldCipher.toProxyData({ keys: { 1: FieldCipher.generateKey() }, keyVersion: 1, handlerGroups: ['everyone'] });
+    const forged = await service.handle({ ...request, ...replaced, credentials: credentials('staff02', 'pass') });
+    expect(forged.status).toBe(422);
+
+    const mismatched = await service.handle({ ...proxyData, ...request, context: 'contact_email' });
+    expect(mismatched).toEqual({ status: 422, body: { error: expect.stringContaining('復号に失敗しました') } });
+
+    await expect(service.handle({ ...proxyData, action: 'export' })).resolves.toEqual(expect.objectContaining({ status: 400 }));
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * data-retention.test.js
+ * 完了した報告の個人情報の保持期間管理・削除テスト
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ */
+
+const DataRetention = require('../../src/js/data-retention');
+const IncidentLifecycle = require('../../src/js/incident-lifecycle');
+const { CommonUtils } = require('../../src/js/common');
+
+describe('DataRetention', () => {
+  const now = new Date('2026-10-19T00:00:00Z');
+  const daysAgo = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+  const lifecycle = new IncidentLifecycle();
+  const history = (closedDaysAgo, to = '完了') => ({
+    value: lifecycle.toHistoryTable([
+      { from: '', to: '報告受付', actor: 'yamada', at: daysAgo(closedDaysAgo + 5), note: '新規報告' },
+      { from: '発見済み', to, actor: 'desk01', at: daysAgo(closedDaysAgo), note: '' }
+    ]).map((row, index) => ({ id: String(index + 1), ...row }))
+  });
+  const record = (id, closedDaysAgo, extra = {}) => ({
+    $id: { value: String(id) },
+    $revision: { value: '4' },
+    record_number: { value: `IC-${id}` },
+    status_history: history(closedDaysAgo),
+    reporter_name: { value: '山田 太郎' },
+    reporter_employee_id_hash: { value: 'employee-hash' },
+    contact_phone_encrypted: { value: 'v1:cipher' },
+    card_number_hash: { value: 'card-hash' },
+    reporter_ip: { value: '192.0.2.1' },
+    ...extra
+  });
+  let retention;
+
+  beforeEach(() => {
+    retention = new DataRetention({ contact: 30, reporter: 90, identifier: 365, narrative: 365, technical: 90 });
+  });
+
+  test('終了からの経過日数に応じて区分ごとに削除・仮名化する', () => {
+    const open = record(2, 200);
+    open.status_history.value.pop();
+
+    const entries = retention.plan([
+      record(1, 100),
+      open,
+      record(3, 10),
+      record(4, 40, { status_history: history(40, 'キャンセル') }),
+      record(5, 400, {
+        reporter_name: { value: '仮名-5' },
+        reporter_employee_id_hash: { value: '' },
+        contact_phone_encrypted: { value: '' },
+        card_number_hash: { value: '' },
+        reporter_ip: { value: '' },
+        status_history: { value: history(400).value.map(row => ({
+          ...row, value: { ...row.value, history_actor: { value: row.value.history_from.value ? 'desk01' : '仮名-5' } }
+        })) }
+      })
+    ], now);
+
+    expect(entries.map(entry => [entry.id, entry.categories])).toEqual([
+      ['1', ['contact', 'reporter', 'technical']],
+      ['4', ['contact']]
+    ]);
+
+    const { fields } = entries[0];
+    expect(fields.reporter_name).toEqual({ value: '仮名-1' });
+    expect(fields.reporter_employee_id_hash).toEqual({ value: '' });
+    expect(fields.contact_phone_encrypted).toEqual({ value: '' });
+    expect(fields.reporter_ip).toEqual({ value: '' });
+    expect(fields.card_number_hash).toBeUndefined();
+    expect(lifecycle.fromHistoryTable(fields.status_history.value).map(entry => entry.actor)).toEqual(['仮名-1', 'desk01']);
+    expect(fields.status_history.value[0].id).toBe('1');
+
+    expect(retention.formatEntries(entries)).toEqual([
+      `#IC-1 (${daysAgo(100).slice(0, 10)} 終了): 連絡先・報告者・接続情報`,
+      `#IC-4 (${daysAgo(40).slice(0, 10)} 終了): 連絡先`
+    ]);
+  });
+
+  test('プラグイン設定の保持期間 (0は無期限、未設定・不正な値は既定値)', () => {
+    expect(DataRetention.policyFromConfig({
+      retention_contact_days: '0',
+      retention_reporter_days: '180',
+      retention_identifier_days: 'abc'
+    })).toEqual({ contact: 0, reporter: 180, identifier: 365, narrative: 365, technical: 90 });
+
+    retention = new DataRetention({ contact: 0, reporter: 0, identifier: 0, narrative: 0, technical: 0 });
+    expect(retention.plan([record(1, 1000)], now)).toEqual([]);
+  });
+
+  test('実行時はレコードを更新し、レコードごとに監査ログを記録する', async () => {
+    const auditLogger = { logAuditEvent: jest.fn().mockResolvedValue() };
+    retention = new DataRetention({}, { auditLogger });
+    const api = jest.fn((url, method) => Promise.resolve(method === 'GET'
+      ? { records: [record(1, 100), record(2, 10)] }
+      : { records: [{ id: '1', revision: '5' }] }));
+    global.kintone = { app: { getId: () => 3 }, api: Object.assign(api, { url: (path) => path }) };
+    const loading = jest.spyOn(CommonUtils, 'showLoading').mockImplementation(() => {});
+
+    try {
+      const result = await retention.execute(now);
+
+      expect(result.purged.map(entry => entry.id)).toEqual(['1']);
+      expect(result.failed).toEqual([]);
+
+      const [, method, params] = api.mock.calls[1];
+      expect(method).toBe('PUT');
+      expect(params.records).toHaveLength(1);
+      expect(params.records[0]).toMatchObject({
+        id: 1,
+        revision: 4,
+        record: {
+          reporter_name: { value: '仮名-1' },
+          contact_phone_encrypted: { value: '' },
+          reporter_ip: { value: '' }
+        }
+      });
+
+      expect(auditLogger.logAuditEvent).toHaveBeenCalledTimes(1);
+      expect(auditLogger.logAuditEvent).toHaveBeenCalledWith(DataRetention.PURGE_EVENT, expect.objectContaining({
+        recordId: '1',
+        categories: ['contact', 'reporter', 'technical']
+      }));
+    } finally {
+      loading.mockRestore();
+      delete global.kintone;
+    }
+  });
+
+  test('offsetの上限を超えても取得できるよう、レコードIDの続きから取得する', async () => {
+    const firstPage = Array.from({ length: 500 }, (_, index) => record(index + 1, 10));
+    const api = jest.fn()
+      .mockResolvedValueOnce({ records: firstPage })
+      .mockResolvedValueOnce({ records: [record(501, 10)] });
+    global.kintone = { app: { getId: () => 3 }, api: Object.assign(api, { url: (path) => path }) };
+
+    try {
+      const records = await retention.fetchRecords();
+
+      expect(records).toHaveLength(501);
+      expect(api.mock.calls.map(call => call[2].query)).toEqual([
+        '$id > 0 order by $id asc limit 500',
+        '$id > 500 order by $id asc limit 500'
+      ]);
+    } finally {
+      delete global.kintone;
+    }
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * data-security-scan.test.js
+ * 保存済みデータとアプリの権限のセキュリティ診断テスト
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ */
+
+const DataSecurityScan = require('../../src/js/data-security-scan');
+const SensitiveDataScrubber = require('../../src/js/sensitive-data-scrubber');
+const CardFormatRegistry = require('../../src/js/card-format-registry');
+
+describe('DataSecurityScan', () => {
+  // 32バイト・8バイトのソルト (Base64)
+  const strongSalt = 'A'.repeat(43) + '=';
+  const weakSalt = 'A'.repeat(11) + '=';
+  const phc = (iterations, salt) => `$pbkdf2-sha512$i=${iterations},p=1$${salt}$${'B'.repeat(86)}==`;
+  const record = (id, fields = {}) => ({
+    $id: { type: '__ID__', value: String(id) },
+    $revision: { type: '__REVISION__', value: '1' },
+    レコード番号: { type: 'RECORD_NUMBER', value: `IC-${id}` },
+    card_number: { type: 'SINGLE_LINE_TEXT', value: '' },
+    card_number_hash: { type: 'SINGLE_LINE_TEXT', value: phc(100000, strongSalt) },
+    card_number_index: { type: 'SINGLE_LINE_TEXT', value: '4111111111111111' },
+    loss_circumstances: { type: 'MULTI_LINE_TEXT', value: '改札で紛失' },
+    ...fields
+  });
+  let scan;
+
+  beforeEach(() => {
+    scan = new DataSecurityScan({ appId: 7, scrubber: new SensitiveDataScrubber(new CardFormatRegistry()) });
+  });
+
+  test('平文のカード番号・ソルトのないハッシュ・弱いハッシュ・自由記述欄の個人情報をレコードごとに検出する', () => {
+    const findings = scan.scanRecords([
+      record(1),
+      record(2, {
+        card_number: { type: 'SINGLE_LINE_TEXT', value: '1234' },
+        status_history: {
+          type: 'SUBTABLE',
+          value: [{ id: '1', value: { history_note: { type: 'SINGLE_LINE_TEXT', value: 'カード 4111-1111-1111-1111 を確認' } } }]
+        }
+      }),
+      record(3, {
+        card_number_hash: { type: 'SINGLE_LINE_TEXT', value: 'legacy-hash' },
+        card_number_salt: { type: 'SINGLE_LINE_TEXT', value: '' },
+        reporter_employee_id_hash: { type: 'SINGLE_LINE_TEXT', value: phc(1000, weakSalt) },
+        loss_circumstances: { type: 'MULTI_LINE_TEXT', value: '連絡は 090-1234-5678 まで' }
+      })
+    ]);
+
+    expect(findings.plaintextCard).toEqual([
+      { recordId: '2', recordNumber: 'IC-2', field: 'ICカード番号 (入力用・保存時に消去)', detail: '入力用の項目に値が残っています' },
+      { recordId: '2', recordNumber: 'IC-2', field: 'ステータス履歴', detail: '************1111' }
+    ]);
+    expect(findings.missingSalt).toEqual([
+      { recordId: '3', recordNumber: 'IC-3', field: 'カード番号 (ハッシュ)', detail: 'ソルトが保存されていません' }
+    ]);
+    expect(findings.weakHash).toEqual([
+      { recordId: '3', recordNumber: 'IC-3', field: '社員番号 (ハッシュ)', detail: '反復回数 1000回・ソルト 8バイト' }
+    ]);
+    expect(findings.freeTextPii).toEqual([
+      { recordId: '3', recordNumber: 'IC-3', field: '紛失状況', detail: '電話番号 *******5678' }
+    ]);
+    expect(scan.recordUrl('3')).toBe('/k/7/show#record=3');
+  });
+
+  test('「全員」と下位組織を含む組織への閲覧・削除等の許可を広すぎる権限として検出する', () => {
+    expect(scan.checkPermissions([
+      { entity: { type: 'CREATOR', code: null }, recordViewable: true, recordEditable: true, recordDeletable: true },
+      { entity: { type: 'GROUP', code: 'incident_desk' }, recordViewable: true, recordExportable: true },
+      { entity: { type: 'ORGANIZATION', code: 'head_office' }, includeSubs: false, recordViewable: true },
+      { entity: { type: 'ORGANIZATION', code: 'all_company' }, includeSubs: true, recordViewable: true, recordAddable: true },
+      { entity: { type: 'GROUP', code: 'everyone' }, recordAddable: true, recordViewable: true, recordExportable: true }
+    ])).toEqual([
+      { entity: 'all_company (下位組織を含む)', rights: ['閲覧'] },
+      { entity: '全員', rights: ['閲覧', '書き出し'] }
+    ]);
+
+    expect(scan.checkPermissions([
+      { entity: { type: 'GROUP', code: 'everyone' }, recordAddable: true }
+    ])).toEqual([]);
+  });
+
+  test('新しいレコードから上限件数までとアプリの権限を取得して診断する', async () => {
+    scan = new DataSecurityScan({ appId: 7, limit: 600 });
+    const api = jest.fn((url, method, params) => Promise.resolve(url === '/k/v1/app/acl'
+      ? { rights: [{ entity: { type: 'GROUP', code: 'everyone' }, recordViewable: true }] }
+      : { records: Array.from({ length: params.query.endsWith('offset 0') ? 500 : 100 }, (_, i) => record(i + 1)) }));
+    global.kintone = { api: Object.assign(api, { url: (path) => path }) };
+
+    try {
+      const result = await scan.run();
+
+      expect(api.mock.calls.map(([url, , params]) => params.query || url)).toEqual([
+        'order by $id desc limit 500 offset 0',
+        'order by $id desc limit 100 offset 500',
+        '/k/v1/app/acl'
+      ]);
+      expect(result.scanned).toBe(600);
+      expect(result.findings.plaintextCard).toEqual([]);
+      expect(result.findings.broadPermissions).toEqual([{ entity: '全員', rights: ['閲覧'] }]);
+    } finally {
+      delete global.kintone;
+    }
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * field-mapping.test.js
+ * フィールドコード対応付けテスト
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ */
+
+const FieldMapping = require('../../src/js/field-mapping');
+
+describe('FieldMapping', () => {
+  /**
+   * 既定の対応付けどおりのフィールド定義 (form/fields の properties)
+   */
+  const buildProperties = (mapping) => {
+    const properties = {};
+    FieldMapping.FIELDS.forEach(field => {
+      const code = mapping.code(field.key);
+      properties[code] = { code, label: field.label, type: field.types[0] };
+      if (field.columns) {
+        properties[code].fields = Object.fromEntries(field.columns.map(column => [
+          mapping.code(column),
+          { code: mapping.code(column), type: 'SINGLE_LINE_TEXT' }
+        ]));
+      }
+    });
+    return properties;
+  };
+
+  test('論理フィールド名とフィールドコードを相互変換する (サブテーブル内の項目を含む)', () => {
+    const mapping = FieldMapping.fromConfig({
+      field_mapping: JSON.stringify({ reporter_name: '報告者', status_history: '履歴', history_to: '変更後' })
+    });
+
+    const record = mapping.toRecord({
+      $id: { value: '10' },
+      reporter_name: { value: '山田太郎' },
+      status_history: { value: [{ value: { history_to: { value: '報告受付' }, history_actor: { value: 'yamada' } } }] }
+    });
+    expect(record).toEqual({
+      $id: { value: '10' },
+      '報告者': { value: '山田太郎' },
+      '履歴': { value: [{ value: { '変更後': { value: '報告受付' }, history_actor: { value: 'yamada' } } }] }
+    });
+
+    const restored = mapping.fromRecord(record);
+    expect(restored.reporter_name.value).toBe('山田太郎');
+    expect(restored.status_history.value[0].value.history_to.value).toBe('報告受付');
+    expect(mapping.code('record_number')).toBe('レコード番号');
+
+    // 既定と同じ対応付けは保存しない
+    expect(JSON.parse(mapping.toConfigValue())).toEqual({
+      reporter_name: '報告者', status_history: '履歴', history_to: '変更後'
+    });
+    expect(FieldMapping.fromConfig({ field_mapping: '{' }).code('reporter_name')).toBe('reporter_name');
+  });
+
+  test('必須フィールドの不足・種類違いはエラー、任意フィールドの不足は警告とし書き込みから除外する', () => {
+    const mapping = new FieldMapping();
+    const properties = buildProperties(mapping);
+    expect(mapping.check(properties)).toEqual({ valid: true, errors: [], warnings: [] });
+
+    delete properties.reporter_name;
+    properties.loss_date.type = 'SINGLE_LINE_TEXT';
+    delete properties.escalated_at;
+    delete properties.status_history.fields.history_note;
+    const result = mapping.check(properties);
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toHaveLength(3);
+    expect(result.errors.join('\n')).toContain('コード: reporter_name');
+    expect(result.errors.join('\n')).toContain('種類が SINGLE_LINE_TEXT です');
+    expect(result.warnings).toEqual([expect.stringContaining('コード: escalated_at')]);
+
+    expect(mapping.toRecord({ escalated_at: { value: 'x' }, priority: { value: '緊急' } }))
+      .toEqual({ priority: { value: '緊急' } });
+    expect(mapping.getCodes(['escalated_at', 'priority'])).toEqual(['priority']);
+  });
+
+  test('アプリのフィールド一覧を取得して照合する', async () => {
+    const mapping = new FieldMapping();
+    const api = jest.fn().mockResolvedValue({ properties: buildProperties(mapping) });
+    global.kintone = { api: Object.assign(api, { url: (path) => path }) };
+
+    try {
+      const result = await mapping.verify(5);
+      expect(result.valid).toBe(true);
+      expect(api).toHaveBeenCalledWith('/k/v1/app/form/fields', 'GET', { app: 5 });
+    } finally {
+      delete global.kintone;
+    }
+  });
+});
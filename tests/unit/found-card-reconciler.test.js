@@ -0,0 +1,200 @@
+/**
+ * found-card-reconciler.test.js
+ * 拾得ICカード照合テスト
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ */
+
+const FoundCardReconciler = require('../../src/js/found-card-reconciler');
+
+describe('FoundCardReconciler', () => {
+  const cardNumber = 'TO12345678901234';
+  let hashManager;
+  let reconciler;
+  let storedRecords;
+
+  const blindIndex = '0a1b2c3d';
+
+  const createRecord = (id, number, status = '報告受付', hashVersion = '2', index = blindIndex) => {
+    const salt = `salt${id}`;
+    return {
+      $id: { value: id },
+      $revision: { value: '1' },
+      '作成者': { value: { code: `user${id}`, name: `報告者${id}` } },
+      status: { value: status },
+      status_history: { value: [] },
+      card_type: { value: 'TOICA' },
+      card_number_hash: { value: `${number}:${salt}` },
+      card_number_salt: { value: salt },
+      card_number_hash_version: { value: hashVersion },
+      card_number_index: { value: index }
+    };
+  };
+
+  beforeAll(() => {
+    // PBKDF2の計算コストを避けるため照合部分のみ簡易実装
+    hashManager = {
+      verifyICCardNumber: jest.fn((number, hash, salt) => hash === `${number}:${salt}`),
+      needsRehash: jest.fn((hash, version) => version !== '2'),
+      hashICCardNumber: jest.fn(() => ({
+        phc: '$pbkdf2-sha512$i=100000,p=2$newsalt$rehashed',
+        salt: 'newsalt',
+        pepperVersion: 2,
+        blindIndex,
+        algorithm: 'PBKDF2-SHA512'
+      })),
+      computeBlindIndex: jest.fn(() => blindIndex),
+      getBlindIndexCandidates: jest.fn(() => [blindIndex, 'ffee0011'])
+    };
+    storedRecords = [
+      createRecord('1', 'MA98765432109876'),
+      createRecord('2', cardNumber, '捜索中')
+    ];
+  });
+
+  beforeEach(() => {
+    global.kintone = {
+      app: { getId: jest.fn(() => 1) },
+      api: jest.fn((url, method) => {
+        if (method === 'GET') {
+          return Promise.resolve({ records: storedRecords });
+        }
+        return Promise.resolve({});
+      })
+    };
+    global.kintone.api.url = jest.fn(path => path);
+    reconciler = new FoundCardReconciler(hashManager);
+  });
+
+  afterEach(() => {
+    delete global.kintone;
+  });
+
+  test('カード番号を正規化する', () => {
+    expect(FoundCardReconciler.normalizeCardNumber(' to-1234 5678 ')).toBe('TO12345678');
+  });
+
+  test('発見済みへ遷移可能なステータスのみ照合対象とする', () => {
+    expect(reconciler.getSearchableStatuses()).toEqual(['報告受付', '利用停止済み', '捜索中']);
+  });
+
+  test('一致した報告を発見済みに更新し報告者へ通知する', async () => {
+    const result = await reconciler.reconcile('to-1234-5678-9012-34', {
+      actor: 'desk01',
+      foundAt: '2026-10-19T01:00:00.000Z',
+      foundLocation: '名古屋駅'
+    });
+
+    expect(result.matched).toBe(true);
+    expect(result.checkedCount).toBe(2);
+    expect(result.records).toEqual([{ id: '2', cardType: 'TOICA' }]);
+    expect(result.maskedNumber).toBe('************1234');
+
+    const [, , update] = kintone.api.mock.calls.find(call => call[1] === 'PUT');
+    expect(update.id).toBe('2');
+    expect(update.record.status.value).toBe('発見済み');
+    expect(update.record.status_history.value).toHaveLength(1);
+    expect(update.record.card_number_hash).toBeUndefined();
+
+    const [, , comment] = kintone.api.mock.calls.find(call => call[0] === '/k/v1/record/comment');
+    expect(comment.comment.mentions).toEqual([{ code: 'user2', type: 'USER' }]);
+
+    // 入力されたカード番号は更新・通知内容に含まれない
+    expect(JSON.stringify([update, comment])).not.toContain(cardNumber);
+  });
+
+  test('旧ペッパーのハッシュは発見登録と同時に現行ペッパーで再ハッシュ化する', async () => {
+    storedRecords[1] = createRecord('2', cardNumber, '捜索中', '1');
+
+    try {
+      await reconciler.reconcile('TO12345678901234', {
+        actor: 'desk01',
+        foundAt: '2026-10-19T01:00:00.000Z'
+      });
+    } finally {
+      storedRecords[1] = createRecord('2', cardNumber, '捜索中');
+    }
+
+    expect(hashManager.verifyICCardNumber).toHaveBeenCalledWith(cardNumber, `${cardNumber}:salt2`, 'salt2', '1');
+    const [, , update] = kintone.api.mock.calls.find(call => call[1] === 'PUT');
+    expect(update.record.status.value).toBe('発見済み');
+    expect(update.record.card_number_hash.value).toBe('$pbkdf2-sha512$i=100000,p=2$newsalt$rehashed');
+    expect(update.record.card_number_salt.value).toBe('newsalt');
+    expect(update.record.card_number_hash_version.value).toBe('2');
+    expect(update.record.card_number_index.value).toBe(blindIndex);
+  });
+
+  test('ブラインドインデックスで照合対象を絞り込み、未設定の旧レコードはインデックスを補完する', async () => {
+    storedRecords[1] = createRecord('2', cardNumber, '捜索中', '2', '');
+
+    try {
+      await reconciler.reconcile('TO12345678901234', {
+        actor: 'desk01',
+        foundAt: '2026-10-19T01:00:00.000Z'
+      });
+    } finally {
+      storedRecords[1] = createRecord('2', cardNumber, '捜索中');
+    }
+
+    const [, , params] = kintone.api.mock.calls.find(call => call[1] === 'GET');
+    expect(params.query).toBe(
+      '(status in ("報告受付", "利用停止済み", "捜索中") and card_number_hash != "") and ' +
+      '(card_number_index in ("0a1b2c3d", "ffee0011") or card_number_index = "") and $id > 0 order by $id asc limit 500'
+    );
+    expect(params.fields).toContain('card_number_index');
+
+    const [, , update] = kintone.api.mock.calls.find(call => call[1] === 'PUT');
+    expect(update.record.card_number_index.value).toBe(blindIndex);
+    expect(update.record.card_number_hash).toBeUndefined();
+  });
+
+  test('照合対象はレコードIDの昇順に続きから取得する', async () => {
+    const firstPage = Array.from({ length: 500 }, (_, i) => createRecord(String(i + 1), 'MA98765432109876'));
+    global.kintone.api.mockImplementation((url, method, params) => Promise.resolve({
+      records: params.query.includes('$id > 0 ') ? firstPage : [createRecord('501', cardNumber, '捜索中')]
+    }));
+
+    const records = await reconciler.fetchOpenReports();
+
+    expect(records).toHaveLength(501);
+    const queries = global.kintone.api.mock.calls.map(([, , params]) => params.query);
+    expect(queries).toEqual([
+      'status in ("報告受付", "利用停止済み", "捜索中") and card_number_hash != "" and $id > 0 order by $id asc limit 500',
+      'status in ("報告受付", "利用停止済み", "捜索中") and card_number_hash != "" and $id > 500 order by $id asc limit 500'
+    ]);
+  });
+
+  test('ハッシュの照合は同時実行数を制限して全件行う', async () => {
+    let running = 0;
+    let peak = 0;
+    const slowHashManager = {
+      ...hashManager,
+      verifyICCardNumber: jest.fn(async (number, hash, salt) => {
+        running++;
+        peak = Math.max(peak, running);
+        await new Promise(resolve => setTimeout(resolve, 1));
+        running--;
+        return hash === `${number}:${salt}`;
+      })
+    };
+    const records = Array.from({ length: 10 }, (_, i) => createRecord(String(i + 1), i === 7 ? cardNumber : 'MA98765432109876'));
+
+    const matches = await new FoundCardReconciler(slowHashManager).findMatches(cardNumber, records);
+
+    expect(matches.map(record => record.$id.value)).toEqual(['8']);
+    expect(slowHashManager.verifyICCardNumber).toHaveBeenCalledTimes(10);
+    expect(peak).toBe(FoundCardReconciler.VERIFY_CONCURRENCY);
+  });
+
+  test('一致しない場合は更新しない', async () => {
+    const result = await reconciler.reconcile('IC0000000000000', {
+      actor: 'desk01',
+      foundAt: '2026-10-19T01:00:00.000Z'
+    });
+
+    expect(result.matched).toBe(false);
+    expect(kintone.api.mock.calls.some(call => call[1] === 'PUT')).toBe(false);
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * hash-policy-audit.test.js
+ * 保存済みハッシュのポリシー適合状況集計テスト
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ */
+
+const HashPolicyAudit = require('../../src/js/hash-policy-audit');
+const SecureHashManager = require('../../src/js/security/SecureHashManager');
+
+describe('HashPolicyAudit', () => {
+  const phc = (iterations, pepperVersion) => SecureHashManager.formatPhc({
+    algorithm: 'SHA512',
+    iterations,
+    pepperVersion,
+    salt: 'A'.repeat(43) + '=',
+    hash: 'B'.repeat(86) + '=='
+  });
+  let audit;
+
+  beforeEach(() => {
+    // 32バイトのソルト・64バイトのハッシュ、反復回数120,000、ペッパーバージョン2を現行ポリシーとする
+    audit = new HashPolicyAudit(new SecureHashManager({
+      iterations: 120000,
+      peppers: { 1: 'old', 2: 'new' },
+      pepperVersion: 2
+    }));
+  });
+
+  test('現行ポリシーと異なるハッシュを理由ごとに集計する', () => {
+    const summary = audit.summarize([
+      { card_number_hash: { value: phc(120000, 2) }, contact_phone_hash: { value: phc(120000, 2) } },
+      { card_number_hash: { value: phc(100000, 2) } },
+      { card_number_hash: { value: 'legacyhash' }, card_number_hash_version: { value: '2' } },
+      { card_number_hash: { value: phc(120000, 1) }, reporter_employee_id_hash: { value: phc(100000, 2) } },
+      { card_number_hash: { value: '' } }
+    ]);
+
+    expect(summary).toEqual({
+      total: 5,
+      upgradeRequired: 3,
+      reasons: { format: 1, pepper: 1, parameters: 2 }
+    });
+    expect(audit.formatSummary(summary)).toBe('更新が必要なレコード 3件 / 全5件 (旧形式 1件・旧ペッパー 1件・旧パラメーター 2件)');
+  });
+
+  test('全レコードを取得して集計する', async () => {
+    const api = jest.fn().mockResolvedValue({ records: [{ $id: { value: '1' }, card_number_hash: { value: phc(120000, 2) } }] });
+    global.kintone = { app: { getId: () => 3 }, api: Object.assign(api, { url: (path) => path }) };
+
+    try {
+      const summary = await audit.run();
+      expect(audit.formatSummary(summary)).toBe('全1件が現行ポリシーのハッシュです');
+      expect(api.mock.calls[0][2].fields).toEqual([
+        '$id', 'card_number_hash', 'card_number_hash_version', 'reporter_employee_id_hash', 'contact_phone_hash'
+      ]);
+    } finally {
+      delete global.kintone;
+    }
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * incident-lifecycle.test.js
+ * インシデントライフサイクル（状態遷移）テスト
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ */
+
+const IncidentLifecycle = require('../../src/js/incident-lifecycle');
+
+describe('IncidentLifecycle', () => {
+  let lifecycle;
+
+  beforeEach(() => {
+    lifecycle = new IncidentLifecycle();
+  });
+
+  describe('状態解決', () => {
+    test('状態キー・表示値・旧ステータス値を解決できる', () => {
+      expect(lifecycle.resolveState('SEARCHING')).toBe('SEARCHING');
+      expect(lifecycle.resolveState('捜索中')).toBe('SEARCHING');
+      expect(lifecycle.resolveState('緊急報告済み')).toBe('REPORTED');
+      expect(lifecycle.resolveState('調査中')).toBe('SEARCHING');
+      expect(lifecycle.resolveState('不明な値')).toBeNull();
+    });
+
+    test('CSSクラスとカテゴリを取得できる', () => {
+      expect(lifecycle.getCssClass('報告受付')).toBe('status-received');
+      expect(lifecycle.getCssClass('不明な値')).toBe('status-unknown');
+      expect(lifecycle.getCategory('再発行済み')).toBe('inProgress');
+      expect(lifecycle.isTerminal('完了')).toBe(true);
+    });
+  });
+
+  describe('状態遷移', () => {
+    test('初期状態は報告受付で履歴が生成される', () => {
+      const initial = lifecycle.createInitialState('user01');
+
+      expect(initial.status).toBe('報告受付');
+      expect(initial.historyEntry.from).toBe('');
+      expect(initial.historyEntry.to).toBe('報告受付');
+      expect(initial.historyEntry.actor).toBe('user01');
+    });
+
+    test('許可された遷移を実行できる', () => {
+      const result = lifecycle.transition('報告受付', 'PROVIDER_STOPPED', {
+        actor: 'user01',
+        providerReferenceNumber: 'REF-001'
+      });
+
+      expect(result.state).toBe('PROVIDER_STOPPED');
+      expect(result.status).toBe('利用停止済み');
+      expect(result.historyEntry.from).toBe('報告受付');
+    });
+
+    test('許可されていない遷移は拒否される', () => {
+      const check = lifecycle.canTransition('報告受付', '完了', { actor: 'user01' });
+
+      expect(check.allowed).toBe(false);
+      expect(() => lifecycle.transition('報告受付', '完了', { actor: 'user01' }))
+        .toThrow('ステータス変更エラー');
+    });
+
+    test('終了状態からは遷移できない', () => {
+      expect(lifecycle.getAvailableTransitions('完了')).toEqual([]);
+      expect(lifecycle.canTransition('キャンセル', '報告受付', { actor: 'user01' }).allowed).toBe(false);
+    });
+
+    test('ガード条件を満たさない遷移は拒否される', () => {
+      const noReference = lifecycle.canTransition('REPORTED', 'PROVIDER_STOPPED', { actor: 'user01' });
+      expect(noReference.allowed).toBe(false);
+      expect(noReference.errors).toContain('交通機関の受付番号を入力してください');
+
+      const noActor = lifecycle.canTransition('SEARCHING', 'REPLACED', {});
+      expect(noActor.allowed).toBe(false);
+    });
+
+    test('追加したガード条件が評価される', () => {
+      lifecycle.addGuard('CLOSED', (context) => context.confirmed ? null : '確認が必要です');
+
+      expect(lifecycle.canTransition('FOUND', 'CLOSED', { actor: 'user01' }).errors)
+        .toContain('確認が必要です');
+      expect(lifecycle.canTransition('FOUND', 'CLOSED', { actor: 'user01', confirmed: true }).allowed)
+        .toBe(true);
+    });
+  });
+
+  describe('履歴サブテーブル', () => {
+    test('サブテーブル値との相互変換ができる', () => {
+      const entry = lifecycle.createInitialState('user01').historyEntry;
+      const rows = lifecycle.toHistoryTable([entry]);
+
+      expect(rows[0].value.history_to.value).toBe('報告受付');
+      expect(lifecycle.fromHistoryTable(rows)).toEqual([entry]);
+      expect(lifecycle.fromHistoryTable(undefined)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * location-catalog.test.js
+ * 路線・駅カタログテスト
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ */
+
+const LocationCatalog = require('../../src/js/location-catalog');
+
+describe('LocationCatalog', () => {
+  let catalog;
+
+  beforeEach(() => {
+    catalog = new LocationCatalog();
+  });
+
+  test('地域の路線を交通機関・駅一覧付きで返す', async () => {
+    const routes = await catalog.getRoutes('nagoya');
+    const higashiyama = routes.find(route => route.line === '東山線');
+
+    expect(higashiyama.providerId).toBe('nagoya_subway');
+    expect(higashiyama.stops).toContain('栄');
+    expect(LocationCatalog.parseRouteValue(higashiyama.value)).toEqual({
+      providerId: 'nagoya_subway',
+      line: '東山線'
+    });
+    expect(routes.some(route => route.providerId === 'jr_east')).toBe(false);
+  });
+
+  test('駅名から担当交通機関を特定する', async () => {
+    const matches = await catalog.findByStop('天神駅', 'fukuoka');
+    expect(matches).toEqual([
+      { providerId: 'fukuoka_subway', providerName: '福岡市地下鉄', line: '空港線' }
+    ]);
+    expect(await catalog.findByStop('', 'fukuoka')).toEqual([]);
+  });
+
+  test('紛失場所を表示文字列に整形する', () => {
+    const location = { providerName: '名古屋市営地下鉄', line: '東山線', stop: '栄' };
+
+    expect(catalog.formatLocation({ ...location, detail: '改札付近' })).toBe('名古屋市営地下鉄 東山線 栄 (改札付近)');
+    expect(catalog.formatLocation({ detail: ' 会社内 ' })).toBe('会社内');
+  });
+
+  test('駅・停留所単位で件数を集計する', () => {
+    const records = [
+      { loss_stop: { value: '栄' } },
+      { loss_stop: { value: '栄駅' } },
+      { loss_stop: { value: '' }, loss_location: { value: '会社内' } },
+      { loss_stop: { value: '名古屋' } }
+    ];
+
+    expect(catalog.groupByLocation(records)).toEqual([
+      { label: '栄', count: 2 },
+      { label: LocationCatalog.UNSTRUCTURED_LABEL, count: 1 },
+      { label: '名古屋', count: 1 }
+    ]);
+  });
+});
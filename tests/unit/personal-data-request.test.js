@@ -0,0 +1,176 @@
+/**
+ * personal-data-request.test.js
+ * 本人からの開示・削除請求への対応テスト
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ */
+
+const PersonalDataRequest = require('../../src/js/personal-data-request');
+const DataRetention = require('../../src/js/data-retention');
+const IncidentLifecycle = require('../../src/js/incident-lifecycle');
+const { CommonUtils } = require('../../src/js/common');
+
+describe('PersonalDataRequest', () => {
+  const lifecycle = new IncidentLifecycle();
+  const record = (id, employeeHash, extra = {}) => ({
+    $id: { value: String(id) },
+    $revision: { value: '2' },
+    レコード番号: { value: `IC-${id}` },
+    reporter_name: { value: '山田 太郎' },
+    reporter_employee_id_hash: { value: employeeHash },
+    reporter_employee_id_salt: { value: 'salt' },
+    card_type: { value: 'TOICA' },
+    card_number_masked: { value: '************3456' },
+    card_number_hash: { value: 'card-hash' },
+    contact_phone_encrypted: { value: 'v1:cipher' },
+    loss_circumstances: { value: '改札で紛失' },
+    ステータス: { value: '対応中' },
+    status_history: {
+      value: lifecycle.toHistoryTable([
+        { from: '', to: '報告受付', actor: 'yamada', at: '2026-10-01T00:00:00Z', note: '新規報告' }
+      ]).map((row, index) => ({ id: String(index + 1), ...row }))
+    },
+    ...extra
+  });
+  let auditLogger;
+  let hashManager;
+  let api;
+
+  beforeEach(() => {
+    auditLogger = { logAuditEvent: jest.fn().mockResolvedValue() };
+    hashManager = { verifyICCardNumber: jest.fn(async (value, hash) => hash === `hash-of-${value}`) };
+    const stored = [record(1, 'hash-of-E100'), record(2, 'hash-of-E200'), record(3, 'hash-of-E100')];
+    api = jest.fn((url, method, params) => {
+      if (method !== 'GET') return Promise.resolve({ records: [] });
+      const ids = /^\$id in \(([^)]*)\)/.exec(params.query);
+      return Promise.resolve({ records: ids ? stored.filter(found => ids[1].split(', ').includes(found.$id.value)) : stored });
+    });
+    global.kintone = { app: { getId: () => 3 }, api: Object.assign(api, { url: (path) => path }) };
+  });
+
+  afterEach(() => {
+    delete global.kintone;
+  });
+
+  test('社員番号のハッシュを照合して該当する報告を検索し、社員番号を記録せずに監査ログを残す', async () => {
+    const request = new PersonalDataRequest(hashManager, { auditLogger, requestId: 'DSR-1' });
+
+    const records = await request.findRecords(' E100 ');
+
+    expect(records.map(found => found.$id.value)).toEqual(['1', '3']);
+    expect(api.mock.calls[0][2].query).toBe('reporter_employee_id_hash != "" and $id > 0 order by $id asc limit 500');
+    expect(api.mock.calls[0][2].fields).toEqual(['$id', 'reporter_employee_id_hash', 'reporter_employee_id_salt']);
+    expect(api.mock.calls[1][2].query).toBe('$id in (1, 3) order by $id asc limit 500');
+    expect(hashManager.verifyICCardNumber).toHaveBeenCalledWith('E100', 'hash-of-E100', 'salt');
+    expect(auditLogger.logAuditEvent).toHaveBeenCalledWith(PersonalDataRequest.EVENTS.SEARCHED, {
+      requestId: 'DSR-1',
+      checked: 3,
+      recordIds: ['1', '3']
+    });
+    expect(JSON.stringify(auditLogger.logAuditEvent.mock.calls)).not.toContain('E100');
+
+    await expect(new PersonalDataRequest(hashManager).findRecords('E100')).rejects.toThrow('監査ログが設定されていません');
+    await expect(request.findRecords('  ')).rejects.toThrow('社員番号を入力してください');
+  });
+
+  test('社員番号の照合は同時実行数を制限して全件行う', async () => {
+    let running = 0;
+    let peak = 0;
+    hashManager.verifyICCardNumber.mockImplementation(async (value, hash) => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, 1));
+      running--;
+      return hash === `hash-of-${value}`;
+    });
+    const candidates = Array.from({ length: 10 }, (_, i) => record(i + 1, i === 7 ? 'hash-of-E100' : 'hash-of-E200'));
+    api.mockImplementation((url, method, params) => Promise.resolve({
+      records: params.query.startsWith('$id in') ? [candidates[7]] : candidates
+    }));
+
+    const records = await new PersonalDataRequest(hashManager, { auditLogger }).findRecords('E100');
+
+    expect(records.map(found => found.$id.value)).toEqual(['8']);
+    expect(hashManager.verifyICCardNumber).toHaveBeenCalledTimes(10);
+    expect(peak).toBe(PersonalDataRequest.VERIFY_CONCURRENCY);
+  });
+
+  test('開示書には項目名を付けて記載し、復号できない連絡先・ハッシュは保存方法のみ記載する', async () => {
+    const contactAccess = {
+      decryptContacts: jest.fn(async (found) => {
+        if (found.$id.value === '3') throw new Error('連絡先を閲覧する権限がありません');
+        return { contact_phone: '09012345678', contact_email: '' };
+      })
+    };
+    const request = new PersonalDataRequest(hashManager, { auditLogger, contactAccess, requestId: 'DSR-1' });
+    const records = await request.findRecords('E100');
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    try {
+      const { fileName, content } = await request.exportPackage(records, { user: { code: 'admin' }, token: 'token' });
+
+      expect(fileName).toBe('personal-data-DSR-1.txt');
+      expect(content).toContain('請求番号: DSR-1');
+      expect(content).toContain('■ 1. 報告 IC-1');
+      expect(content).toContain('  ステータス: 対応中');
+      expect(content).toContain('  報告者名: 山田 太郎');
+      expect(content).toContain('  紛失状況: 改札で紛失');
+      expect(content).toContain('  マスク番号: ************3456');
+      expect(content).toContain('  連絡先電話: 09012345678');
+      expect(content).toContain('  連絡先電話: 暗号化して保存 (復号権限がないため表示していません)');
+      expect(content).toContain('  社員番号 (ハッシュ): 一方向ハッシュで保存 (元の値は保有していません)');
+      expect(content).toContain('報告受付 (新規報告)');
+      expect(content).not.toContain('hash-of-E100');
+      expect(contactAccess.decryptContacts).toHaveBeenCalledWith(records[0], { code: 'admin' }, 'token');
+      expect(auditLogger.logAuditEvent).toHaveBeenCalledWith(PersonalDataRequest.EVENTS.EXPORTED, {
+        requestId: 'DSR-1',
+        recordIds: ['1', '3'],
+        contactsIncluded: 1
+      });
+    } finally {
+      warn.mockRestore();
+    }
+  });
+
+  test('個人情報の削除は全区分を対象とし、レコードの削除は1件ごとに監査ログを記録する', async () => {
+    const request = new PersonalDataRequest(hashManager, { auditLogger, requestId: 'DSR-1' });
+    const records = await request.findRecords('E100');
+    const loading = jest.spyOn(CommonUtils, 'showLoading').mockImplementation(() => {});
+
+    try {
+      const entries = request.retention.planAll(records);
+      expect(entries.map(entry => entry.categories)).toEqual([
+        ['contact', 'reporter', 'identifier', 'narrative'],
+        ['contact', 'reporter', 'identifier', 'narrative']
+      ]);
+      expect(request.retention.formatEntries(entries)[0]).toBe('#IC-1 (未完了): 連絡先・報告者・カード番号 (ハッシュ)・自由記述');
+
+      api.mockImplementation(() => Promise.resolve({ records: [{ id: '1', revision: '3' }, { id: '3', revision: '3' }] }));
+      const anonymized = await request.anonymize(records);
+      expect(anonymized.purged.map(entry => entry.id)).toEqual(['1', '3']);
+      expect(api.mock.calls[api.mock.calls.length - 1][2].records[0].record).toMatchObject({
+        reporter_name: { value: `${DataRetention.PSEUDONYM_PREFIX}1` },
+        reporter_employee_id_hash: { value: '' },
+        loss_circumstances: { value: '' }
+      });
+      expect(auditLogger.logAuditEvent).toHaveBeenCalledWith(PersonalDataRequest.EVENTS.ANONYMIZED, expect.objectContaining({
+        requestId: 'DSR-1',
+        recordId: '1'
+      }));
+
+      api.mockImplementation(() => Promise.resolve({}));
+      const deleted = await request.deleteRecords(records);
+      expect(deleted).toEqual({ deleted: ['1', '3'], failed: [], errors: [] });
+      expect(api).toHaveBeenLastCalledWith('/k/v1/records', 'DELETE', { app: 3, ids: [1, 3] });
+      expect(auditLogger.logAuditEvent.mock.calls.filter(([event]) => event === PersonalDataRequest.EVENTS.DELETED))
+        .toEqual([
+          [PersonalDataRequest.EVENTS.DELETED, { requestId: 'DSR-1', recordId: '1' }],
+          [PersonalDataRequest.EVENTS.DELETED, { requestId: 'DSR-1', recordId: '3' }]
+        ]);
+    } finally {
+      loading.mockRestore();
+    }
+  });
+});
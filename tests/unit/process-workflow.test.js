@@ -0,0 +1,102 @@
+/**
+ * process-workflow.test.js
+ * Kintoneプロセス管理連携テスト
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ */
+
+const ProcessWorkflow = require('../../src/js/process-workflow');
+
+describe('ProcessWorkflow', () => {
+  const definition = {
+    enable: true,
+    states: {
+      '利用停止済み': { name: '利用停止済み', index: '1', assignee: { type: 'ONE' } },
+      '報告受付': { name: '報告受付', index: '0', assignee: { type: 'ANY' } },
+      '完了': { name: '完了', index: '2', assignee: { type: 'ANY' } }
+    },
+    actions: [
+      { name: '利用停止を報告', from: '報告受付', to: '利用停止済み' },
+      { name: '完了する', from: '利用停止済み', to: '完了' }
+    ],
+    revision: '3'
+  };
+  let api;
+  let workflow;
+
+  beforeEach(async () => {
+    api = jest.fn().mockImplementation((path) => Promise.resolve(
+      path === '/k/v1/app/status' ? definition : { revision: '8' }
+    ));
+    global.kintone = { api: Object.assign(api, { url: (path) => path }) };
+
+    workflow = new ProcessWorkflow({
+      appId: 5,
+      assignees: ProcessWorkflow.assigneesFromConfig({ handler_user_codes: 'admin@example.com, ,soumu@example.com' })
+    });
+    await workflow.load();
+  });
+
+  afterEach(() => {
+    delete global.kintone;
+  });
+
+  test('プロセス管理のステータス・作業者をレコードに反映する', () => {
+    expect(workflow.getStatusNames()).toEqual(['報告受付', '利用停止済み', '完了']);
+
+    const record = workflow.applyToRecord({
+      status: { value: '旧ステータス' },
+      'ステータス': { value: '報告受付' },
+      '作業者': { value: [{ code: 'admin@example.com', name: '管理者' }] }
+    });
+    expect(record.status.value).toBe('報告受付');
+    expect(record.assignee.value).toBe('管理者');
+  });
+
+  test('遷移に対応するアクションを実行し、作業者を指定する', async () => {
+    const record = { $id: { value: '10' }, $revision: { value: '7' }, 'ステータス': { value: '報告受付' } };
+
+    expect(await workflow.proceed(record, '利用停止済み')).toBe('8');
+    expect(api).toHaveBeenLastCalledWith('/k/v1/record/status', 'PUT', {
+      app: 5, id: '10', action: '利用停止を報告', revision: '7', assignee: 'admin@example.com'
+    });
+
+    await expect(workflow.proceed(record, '完了'))
+      .rejects.toThrow('「報告受付」から「完了」へ進めるアクションがプロセス管理に設定されていません');
+  });
+
+  test('対応担当者を作業者に設定し、プロセス管理が無効なアプリでは何もしない', async () => {
+    await workflow.assign('10');
+    expect(api).toHaveBeenLastCalledWith('/k/v1/record/assignees', 'PUT', {
+      app: 5, id: '10', assignees: ['admin@example.com', 'soumu@example.com']
+    });
+
+    workflow.definition = { enable: false };
+    expect(await workflow.assign('10')).toBeNull();
+    expect(workflow.getStatus({ status: { value: '報告受付' } })).toBe('報告受付');
+  });
+
+  test('ライフサイクルのステータスと一致しないステータス名は読み込み時に設定エラーとする', async () => {
+    api.mockResolvedValueOnce({
+      enable: true,
+      states: {
+        '未処理': { name: '未処理', index: '0' },
+        '報告受付': { name: '報告受付', index: '1' },
+        '処理済み': { name: '処理済み', index: '2' }
+      },
+      actions: []
+    });
+
+    const error = await workflow.load().catch(e => e);
+    expect(ProcessWorkflow.isStatusMismatchError(error)).toBe(true);
+    expect(error.message).toContain('プロセス管理のステータス「未処理」「処理済み」はプラグインのステータスに対応していません');
+    expect(error.message).toContain('「報告受付」「利用停止済み」「捜索中」');
+
+    // プロセス管理が無効なアプリではステータス名を照合しない
+    api.mockResolvedValueOnce({ enable: false, states: { '未処理': { name: '未処理', index: '0' } } });
+    await expect(workflow.load()).resolves.toBe(false);
+    expect(ProcessWorkflow.isStatusMismatchError(new Error('その他'))).toBe(false);
+  });
+});
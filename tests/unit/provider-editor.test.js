@@ -0,0 +1,55 @@
+/**
+ * provider-editor.test.js
+ * 設定画面の交通機関データ編集テスト
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ */
+
+const ProviderEditor = require('../../src/js/config/provider-editor');
+const TransportationManager = require('../../src/js/transportation-manager');
+
+describe('ProviderEditor', () => {
+  let editor;
+
+  beforeEach(async () => {
+    editor = new ProviderEditor(null);
+    await editor.load();
+  });
+
+  test('フォーム値との相互変換で編集元の項目を引き継ぐ', () => {
+    const values = editor.providerToForm(editor.getProvider('jr_east'));
+    expect(values.cardFormats).toContain('Suica | Suica（JR東日本発行） | JE123456789012***');
+
+    const provider = editor.formToProvider({ ...values, phone: '050-0000-0000' });
+    expect(provider.contact.phone).toBe('050-0000-0000');
+    expect(provider.serviceAreas).toEqual(editor.bundled.jr_east.serviceAreas);
+    // 番号形式はレジストリから付与されるため保存しない
+    expect(provider.cardNumberFormats.Suica).toEqual({
+      displayName: 'Suica（JR東日本発行）',
+      example: 'JE123456789012***'
+    });
+  });
+
+  test('同じ検証ルールを満たす編集のみ保存する', () => {
+    const values = editor.providerToForm(editor.getProvider('jr_east'));
+
+    expect(editor.saveProvider({ ...values, phone: '' }).valid).toBe(false);
+    expect(editor.saveProvider({ ...values, phone: '050-0000-0000' }).valid).toBe(true);
+    expect(editor.getRows().find(row => row.id === 'jr_east').state).toBe('edited');
+
+    // 既存IDでの新規追加は不可
+    expect(editor.saveProvider(values, true).errors).toContain("交通機関ID 'jr_east' は既に登録されています");
+  });
+
+  test('無効化・標準に戻す操作を設定値に保存する', () => {
+    editor.toggleDisabled('toei');
+    const saved = TransportationManager.overridesFromConfig({ provider_overrides: editor.toConfigValue() });
+    expect(saved.disabled).toEqual(['toei']);
+
+    editor.revertProvider('toei');
+    expect(editor.getRows().find(row => row.id === 'toei').disabled).toBe(false);
+    expect(editor.validateAll()).toEqual([]);
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * provider-stop-checklist.test.js
+ * 交通機関別利用停止チェックリストテスト
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ */
+
+const ProviderStopChecklist = require('../../src/js/provider-stop-checklist');
+
+describe('ProviderStopChecklist', () => {
+  let stopChecklist;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    stopChecklist = new ProviderStopChecklist();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('stopProcedureからチェックリストを生成する', async () => {
+    const checklist = await stopChecklist.createChecklist('jr_tokai');
+
+    expect(checklist[0].stepId).toBe('jr_tokai:contact');
+    expect(checklist[0].urgencyLevel).toBe('HIGH');
+    expect(checklist.filter(step => step.category === 'requiredInfo')).toHaveLength(4);
+    expect(checklist.map(step => step.label)).toContain('EX-ICサービス利用停止確認');
+    expect(stopChecklist.getOpenSteps(checklist)).toHaveLength(checklist.length);
+  });
+
+  test('同じ交通機関の手順は重複して追加できない', async () => {
+    const checklist = await stopChecklist.createChecklist('meitetsu');
+
+    await expect(stopChecklist.addProvider(checklist, 'meitetsu'))
+      .rejects.toThrow('既に追加されています');
+
+    const combined = await stopChecklist.addProvider(checklist, 'nagoya_subway');
+    expect(combined.some(step => step.providerId === 'nagoya_subway')).toBe(true);
+  });
+
+  test('手順完了時に完了者・日時・受付番号を記録する', async () => {
+    const checklist = await stopChecklist.createChecklist('jr_tokai');
+
+    expect(() => stopChecklist.completeStep(checklist, 'jr_tokai:contact', { actor: 'user01' }))
+      .toThrow('受付番号');
+
+    const updated = stopChecklist.completeStep(checklist, 'jr_tokai:contact', {
+      actor: 'user01',
+      referenceNumber: 'JR-12345'
+    });
+    const step = updated.find(s => s.stepId === 'jr_tokai:contact');
+
+    expect(step.completed).toBe(true);
+    expect(step.completedBy).toBe('user01');
+    expect(step.completedAt).not.toBe('');
+    expect(stopChecklist.getReferenceNumbers(updated)).toBe('JR-12345');
+    expect(stopChecklist.getProgress(updated).completed).toBe(1);
+    expect(() => stopChecklist.completeStep(updated, 'jr_tokai:contact', { actor: 'user01', referenceNumber: 'x' }))
+      .toThrow('既に完了');
+  });
+
+  test('サブテーブル値との相互変換ができる', async () => {
+    const checklist = stopChecklist.completeStep(
+      await stopChecklist.createChecklist('nagoya_bus'),
+      'nagoya_bus:info-1',
+      { actor: 'user01' }
+    );
+
+    expect(stopChecklist.fromSubtable(stopChecklist.toSubtable(checklist))).toEqual(checklist);
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * rate-limiter.test.js
+ * レート制限テスト
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ */
+
+const RateLimiter = require('../../src/js/rate-limiter');
+const SecurityConfig = require('../../src/js/security/SecurityConfig');
+
+describe('RateLimiter', () => {
+  const { FIELDS } = RateLimiter;
+  const start = new Date('2026-10-19T09:00:10.000Z').getTime();
+  let records;
+  let comments;
+  let now;
+  let auditLogger;
+  let limiter;
+
+  beforeEach(() => {
+    records = [];
+    comments = [];
+    now = start;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    const api = jest.fn((url, method, params) => {
+      if (url === '/k/v1/record/comment') {
+        comments.push(params);
+        return Promise.resolve({ id: '1' });
+      }
+      if (method === 'GET') {
+        const [, code] = /^user_code = "(.*)" limit 1$/.exec(params.query);
+        const matches = records.filter(record => record[FIELDS.user].value === code);
+        return Promise.resolve({ records: JSON.parse(JSON.stringify(matches)) });
+      }
+      if (method === 'POST') {
+        records.push({ $id: { value: String(records.length + 1) }, $revision: { value: '1' }, ...params.record });
+        return Promise.resolve({ id: String(records.length), revision: '1' });
+      }
+      const record = records.find(item => item.$id.value === params.id);
+      if (record.$revision.value !== params.revision) {
+        return Promise.reject({ code: 'GAIA_CO02', message: 'リビジョンが一致しません' });
+      }
+      Object.assign(record, params.record, { $revision: { value: String(Number(params.revision) + 1) } });
+      return Promise.resolve({ revision: record.$revision.value });
+    });
+    global.kintone = {
+      api: Object.assign(api, { url: (path) => path }),
+      getLoginUser: () => ({ code: 'user01' })
+    };
+
+    auditLogger = { logAuditEvent: jest.fn(() => Promise.resolve()) };
+    limiter = new RateLimiter(
+      { enabled: true, maxRequestsPerMinute: 3, maxFailedAttemptsPerHour: 2, lockoutDurationMinutes: 30 },
+      { appId: 31, auditLogger, adminRecipients: ['admin01'] }
+    );
+  });
+
+  afterEach(() => {
+    Date.now.mockRestore();
+    delete global.kintone;
+  });
+
+  test('プラグイン設定とセキュリティ設定の既定値からポリシーを生成する', () => {
+    expect(RateLimiter.policyFromConfig({ rate_limit_app_id: '31', rate_limit_lockout_minutes: '15' }))
+      .toEqual({ enabled: true, lockoutDurationMinutes: 15 });
+    expect(RateLimiter.policyFromConfig({}).enabled).toBe(false);
+
+    const fromConfig = RateLimiter.fromConfig({ rate_limit_app_id: '31', admin_email: 'admin@example.com', admin_user_codes: 'admin01' }, new SecurityConfig());
+    expect(fromConfig.policy).toEqual(expect.objectContaining({ maxRequestsPerMinute: 60, maxFailedAttemptsPerHour: 10 }));
+    expect(fromConfig.adminRecipients).toEqual(['admin01']);
+    expect(RateLimiter.fromConfig({ rate_limit_app_id: '31', rate_limit_enabled: 'false' }, new SecurityConfig())).toBeNull();
+  });
+
+  test('1分間の操作回数が上限を超えるとロックアウトし、管理者に通知する', async () => {
+    const operation = jest.fn(() => 'done');
+    for (let i = 0; i < 3; i++) {
+      await expect(limiter.run('REPORT_SUBMIT', operation)).resolves.toBe('done');
+    }
+
+    // 期間が変わると回数を数え直す
+    now += 60 * 1000;
+    await limiter.consume('REPORT_SUBMIT');
+    expect(records[0][FIELDS.requestCount].value).toBe('1');
+
+    await limiter.consume('REPORT_SUBMIT');
+    await limiter.consume('REPORT_SUBMIT');
+    const error = await limiter.consume('REPORT_SUBMIT').catch(e => e);
+    expect(RateLimiter.isLockedError(error)).toBe(true);
+    expect(error.lockedUntil.toISOString()).toBe('2026-10-19T09:32:00.000Z');
+    expect(records[0][FIELDS.lockReason].value).toBe(RateLimiter.LOCK_REASONS.REQUESTS);
+
+    expect(auditLogger.logAuditEvent).toHaveBeenCalledWith('RATE_LIMIT_LOCKOUT', expect.objectContaining({
+      user: 'user01',
+      action: 'REPORT_SUBMIT'
+    }));
+    expect(comments).toHaveLength(1);
+    expect(comments[0].record).toBe('1');
+    expect(comments[0].comment.mentions).toEqual([{ code: 'admin01', type: 'USER' }]);
+
+    // ロックアウト中は実行させず、回数も記録しない
+    await expect(limiter.run('REPORT_SUBMIT', operation)).rejects.toThrow('利用を制限しています');
+    expect(operation).toHaveBeenCalledTimes(3);
+    expect(comments).toHaveLength(1);
+
+    // 制限時間の経過後は再び操作できる
+    now += 31 * 60 * 1000;
+    await limiter.consume('REPORT_SUBMIT');
+    expect(records[0][FIELDS.lockedUntil].value).toBe('');
+  });
+
+  test('1時間の失敗回数が上限を超えるとロックアウトする', async () => {
+    expect((await limiter.recordFailure('FOUND_CARD_VERIFY')).lockedUntil).toBeNull();
+    expect((await limiter.recordFailure('FOUND_CARD_VERIFY')).lockedUntil).toBeNull();
+
+    const state = await limiter.recordFailure('FOUND_CARD_VERIFY');
+    expect(state.lockedUntil).toEqual(new Date('2026-10-19T09:31:00.000Z'));
+    expect(records[0][FIELDS.lockReason].value).toBe(RateLimiter.LOCK_REASONS.FAILURES);
+    await expect(limiter.consume('FOUND_CARD_VERIFY')).rejects.toThrow('利用を制限しています');
+  });
+
+  test('他端末の更新と競合した場合は取得し直して再試行する', async () => {
+    await limiter.consume('REPORT_SUBMIT');
+
+    // 取得後に他端末でカウンターが更新された
+    const load = limiter._load.bind(limiter);
+    jest.spyOn(limiter, '_load').mockImplementationOnce(async (userCode) => {
+      const loaded = await load(userCode);
+      records[0][FIELDS.requestCount].value = '2';
+      records[0].$revision.value = '2';
+      return loaded;
+    });
+
+    await limiter.consume('REPORT_SUBMIT');
+    expect(records[0][FIELDS.requestCount].value).toBe('3');
+  });
+});
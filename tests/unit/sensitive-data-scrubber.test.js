@@ -0,0 +1,72 @@
+/**
+ * sensitive-data-scrubber.test.js
+ * 自由記述欄の個人情報検出・マスキングテスト
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ */
+
+const SensitiveDataScrubber = require('../../src/js/sensitive-data-scrubber');
+const CardFormatRegistry = require('../../src/js/card-format-registry');
+
+describe('SensitiveDataScrubber', () => {
+  let scrubber;
+
+  beforeEach(() => {
+    scrubber = new SensitiveDataScrubber(new CardFormatRegistry());
+  });
+
+  test('登録済み形式・Luhnでカード番号を判定し、電話番号・メールアドレスとともにマスクする', () => {
+    const result = scrubber.scrub(
+      '改札でTO-1234 5678 9012 34を落としました。クレジットカード 4111-1111-1111-1111 も一緒です。' +
+      '連絡は０９０－１２３４－５６７８ か taro.yamada@example.co.jp まで'
+    );
+
+    expect(result.findings.map(finding => [finding.kind, finding.normalized])).toEqual([
+      ['card_number', 'TO12345678901234'],
+      ['card_number', '4111111111111111'],
+      ['phone', '09012345678'],
+      ['email', 'taro.yamada@example.co.jp']
+    ]);
+    expect(result.text).toBe(
+      '改札で[カード番号:************1234]を落としました。クレジットカード [カード番号:************1111] も一緒です。' +
+      '連絡は[電話番号:*******5678] か [メールアドレス:t***@example.co.jp] まで'
+    );
+  });
+
+  test('日時・社員番号・桁数の合わない数字列は対象外とする', () => {
+    const text = '2026-10-19 08:15頃、社員番号00123456の社員が3番線ホームで紛失。整理番号123456789012';
+
+    expect(CardFormatRegistry.luhn('123456789012')).toBe(false);
+    expect(scrubber.scrub(text)).toEqual({ text, findings: [] });
+
+    // 接頭辞付きでもチェックサム・桁数が形式に合わないものは対象外
+    scrubber.registry.register({ ...scrubber.registry.get('TOICA'), checksum: 'luhn' });
+    expect(scrubber.findAll('TO12345678901234')).toEqual([]);
+  });
+
+  test('専用の項目が未入力の場合は検出した値を移し、警告文を生成する', () => {
+    const data = {
+      loss_circumstances: '電車内で紛失 (03(1234)5678 / 09011112222)',
+      contact_phone: '',
+      card_number: 'JE123456789012345'
+    };
+
+    const result = scrubber.scrubFields(data, ['loss_circumstances'], {
+      phone: 'contact_phone',
+      card_number: 'card_number'
+    });
+
+    expect(result.data).toEqual({
+      loss_circumstances: '電車内で紛失 ([電話番号:******5678] / [電話番号:*******2222])',
+      contact_phone: '0312345678',
+      card_number: 'JE123456789012345'
+    });
+    expect(data.loss_circumstances).toContain('03(1234)5678');
+    expect(result.findings.map(finding => finding.movedTo)).toEqual(['contact_phone', null]);
+    expect(SensitiveDataScrubber.formatWarning(result.findings))
+      .toBe('自由記述欄に電話番号2件が含まれていたため、マスクしました。電話番号は専用の項目に移して保護します');
+    expect(SensitiveDataScrubber.formatWarning([])).toBe('');
+  });
+});
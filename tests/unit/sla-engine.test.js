@@ -0,0 +1,181 @@
+/**
+ * sla-engine.test.js
+ * 対応期限 (SLA) エンジンテスト
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ */
+
+const SlaEngine = require('../../src/js/sla-engine');
+
+describe('SlaEngine', () => {
+  const lossTime = '2026-10-19T00:00:00.000Z';
+  let sla;
+
+  beforeEach(async () => {
+    sla = new SlaEngine(SlaEngine.rulesFromConfig({
+      emergency_contacts: 'security@example.com, manager@example.com',
+      emergency_contact_user_codes: 'security01, manager01',
+      admin_user_codes: 'admin01',
+      sla_escalation_target: 'both',
+      sla_escalation_priority: '高'
+    }));
+    await sla.loadProviders();
+  });
+
+  afterEach(() => {
+    delete global.kintone;
+  });
+
+  test('プラグイン設定からルールを生成する', () => {
+    const rules = SlaEngine.rulesFromConfig({ sla_high_minutes: '15', sla_low_minutes: 'abc' });
+
+    expect(rules.allowanceMinutes.HIGH).toBe(15);
+    expect(rules.allowanceMinutes.LOW).toBe(480);
+    expect(rules.enabled).toBe(true);
+    expect(rules.escalationPriority).toBe('緊急');
+    expect(SlaEngine.rulesFromConfig({ sla_escalation_priority: '' }).escalationPriority).toBe('');
+  });
+
+  test('旧バージョンのエスカレーション先と通知先の設定を読み替える', () => {
+    const legacy = SlaEngine.rulesFromConfig({
+      sla_escalation_target: 'admin_email',
+      admin_email: 'admin@example.com',
+      emergency_contacts: 'security@example.com, manager@example.com'
+    });
+    expect(legacy.escalationTarget).toBe('admins');
+    expect(legacy.admins).toEqual(['admin@example.com']);
+    expect(legacy.emergencyContacts).toEqual(['security@example.com', 'manager@example.com']);
+    expect(new SlaEngine(legacy).getEscalationRecipients()).toEqual(['admin@example.com']);
+
+    expect(SlaEngine.rulesFromConfig({ sla_escalation_target: 'emergency_contacts' }).escalationTarget).toBe('emergency_contact_users');
+    expect(SlaEngine.rulesFromConfig({ sla_escalation_target: 'unknown' }).escalationTarget).toBe('emergency_contact_users');
+
+    // ログイン名を保存済みの設定では旧バージョンの設定を使用しない
+    expect(SlaEngine.rulesFromConfig({ admin_email: 'admin@example.com', admin_user_codes: '' }).admins).toEqual([]);
+  });
+
+  test('処理時間表記を分に変換する', () => {
+    expect(sla.parseProcessingTime('即座')).toBe(0);
+    expect(sla.parseProcessingTime('30分以内')).toBe(30);
+    expect(sla.parseProcessingTime('1時間30分以内')).toBe(90);
+  });
+
+  test('交通機関の緊急度と処理時間から期限を算出する', () => {
+    // jr_tokai: HIGH / 即座 → 30分
+    const jr = sla.calculateDueTime(lossTime, ['jr_tokai', 'meitetsu_bus']);
+    expect(jr.urgencyLevel).toBe('HIGH');
+    expect(jr.dueAt.toISOString()).toBe('2026-10-19T00:30:00.000Z');
+
+    // kintetsu: MEDIUM / 30分以内 → 120 + 30分
+    const kintetsu = sla.calculateDueTime(lossTime, ['kintetsu']);
+    expect(kintetsu.dueAt.toISOString()).toBe('2026-10-19T02:30:00.000Z');
+
+    // 交通機関未登録は既定の緊急度
+    expect(sla.calculateDueTime(lossTime, []).urgencyLevel).toBe('MEDIUM');
+    expect(sla.calculateDueTime('', [])).toBeNull();
+  });
+
+  test('ステータスと残り時間から状態を判定する', () => {
+    const incident = { status: '報告受付', lossTime, providerIds: ['jr_tokai'] };
+
+    const kintetsu = { ...incident, providerIds: ['kintetsu'] };
+    expect(sla.evaluate(kintetsu, new Date('2026-10-19T00:00:00.000Z')).state).toBe('on-track');
+    expect(sla.evaluate(incident, new Date('2026-10-19T00:10:00.000Z')).state).toBe('due-soon');
+
+    const overdue = sla.evaluate(incident, new Date('2026-10-19T01:35:00.000Z'));
+    expect(overdue.state).toBe('overdue');
+    expect(sla.formatCountdown(overdue)).toBe('1時間5分超過');
+
+    const stopped = sla.evaluate({ ...incident, status: '利用停止済み' }, new Date('2026-10-19T05:00:00.000Z'));
+    expect(stopped.state).toBe('met');
+    expect(sla.evaluate({ ...incident, status: 'キャンセル' }, new Date('2026-10-19T05:00:00.000Z')).state).toBe('met');
+
+    // 不明なステータスは達成とせず期限不明とする (エスカレーション対象外)
+    const unknown = sla.evaluate({ ...incident, status: '受付待ち' }, new Date('2026-10-19T05:00:00.000Z'));
+    expect(unknown.state).toBe('unknown');
+    expect(sla.formatCountdown(unknown)).toBe('期限不明');
+  });
+
+  test('期限超過時に一度だけエスカレーションする', async () => {
+    global.kintone = {
+      app: { getId: jest.fn(() => 1) },
+      api: jest.fn((url, method) => Promise.resolve(method === 'PUT' ? { revision: '3' } : {}))
+    };
+    global.kintone.api.url = jest.fn(path => path);
+
+    const record = {
+      $id: { value: '10' },
+      $revision: { value: '2' },
+      escalated_at: { value: '' }
+    };
+    const result = sla.evaluate(
+      { status: '報告受付', lossTime, providerIds: ['jr_tokai'] },
+      new Date('2026-10-19T02:00:00.000Z')
+    );
+
+    expect(await sla.escalate(record, result)).toBe(true);
+    expect(record.$revision.value).toBe('3');
+
+    const [, , update] = kintone.api.mock.calls.find(call => call[0] === '/k/v1/record');
+    expect(update.record.priority).toEqual({ value: '高' });
+
+    const [, , comment] = kintone.api.mock.calls.find(call => call[0] === '/k/v1/record/comment');
+    expect(comment.comment.mentions).toEqual([
+      { code: 'security01', type: 'USER' },
+      { code: 'manager01', type: 'USER' },
+      { code: 'admin01', type: 'USER' }
+    ]);
+
+    expect(await sla.escalate(record, result)).toBe(false);
+  });
+
+  test('通知の投稿に失敗した場合はエスカレーション日時と優先度を戻し、次回に再実行する', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    let revision = 2;
+    let commentFails = true;
+    global.kintone = {
+      app: { getId: jest.fn(() => 1) },
+      api: jest.fn((url, method) => {
+        if (url === '/k/v1/record/comment') {
+          return commentFails ? Promise.reject(new Error('GAIA_US01')) : Promise.resolve({});
+        }
+        revision++;
+        return Promise.resolve({ revision: String(revision) });
+      })
+    };
+    global.kintone.api.url = jest.fn(path => path);
+
+    const record = {
+      $id: { value: '10' },
+      $revision: { value: '2' },
+      escalated_at: { value: '' },
+      priority: { value: '中' }
+    };
+    const result = sla.evaluate(
+      { status: '報告受付', lossTime, providerIds: ['jr_tokai'] },
+      new Date('2026-10-19T02:00:00.000Z')
+    );
+
+    try {
+      expect(await sla.escalate(record, result)).toBe(false);
+
+      const updates = kintone.api.mock.calls.filter(call => call[0] === '/k/v1/record');
+      expect(updates[1][2]).toEqual({
+        app: 1,
+        id: '10',
+        revision: '3',
+        record: { escalated_at: { value: '' }, priority: { value: '中' } }
+      });
+      expect(record.escalated_at.value).toBe('');
+      expect(record.$revision.value).toBe('4');
+
+      commentFails = false;
+      expect(await sla.escalate(record, result)).toBe(true);
+      expect(record.priority.value).toBe('高');
+    } finally {
+      error.mockRestore();
+    }
+  });
+});
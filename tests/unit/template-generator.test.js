@@ -0,0 +1,41 @@
+/**
+ * template-generator.test.js
+ * 定型文生成のレート制限連携テスト
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ */
+
+// tests/template-generator.test.js と同じくロガー・入力検証・ハッシュ管理はモックする (データ検証は実際の処理を使用)
+jest.mock('../../src/js/common/logger.js', () => ({
+  Logger: jest.fn().mockImplementation(() => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }))
+}), { virtual: true });
+jest.mock('../../src/js/security/input-validator.js', () => ({
+  InputValidator: jest.fn().mockImplementation(() => ({ sanitizeString: value => value }))
+}), { virtual: true });
+jest.mock('../../src/js/security/hash-manager.js', () => ({
+  SecureHashManager: jest.fn()
+}), { virtual: true });
+
+const { TemplateGenerator } = require('../../src/js/template-generator');
+
+describe('TemplateGenerator', () => {
+  test('攻撃と判定された入力をレート制限の失敗として記録', () => {
+    const rateLimiter = { recordFailure: jest.fn().mockResolvedValue({}) };
+    const generator = new TemplateGenerator({ rateLimiter });
+
+    generator.generateTemplate('lossReport', { employeeName: '<script>alert("XSS")</script>' });
+
+    expect(rateLimiter.recordFailure).toHaveBeenCalledWith(expect.stringMatching(/^SECURITY_VIOLATION:/));
+  });
+
+  test('攻撃と判定されない入力は記録しない', () => {
+    const rateLimiter = { recordFailure: jest.fn().mockResolvedValue({}) };
+    const generator = new TemplateGenerator({ rateLimiter });
+
+    generator.generateTemplate('lossReport', { employeeName: '山田 太郎' });
+
+    expect(rateLimiter.recordFailure).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * transportation-manager.test.js
+ * 地域別交通機関データテスト
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ */
+
+const TransportationManager = require('../../src/js/transportation-manager');
+
+describe('TransportationManager 地域別データ', () => {
+  let manager;
+
+  beforeEach(() => {
+    manager = new TransportationManager();
+  });
+
+  test('全地域の交通機関を地域ID付きで統合する', async () => {
+    const data = await manager.getAllTransportationData();
+
+    expect(data.transportationProviders.jr_tokai.region).toBe('nagoya');
+    expect(data.transportationProviders.jr_east.region).toBe('tokyo');
+    expect(data.transportationProviders.jr_west.region).toBe('osaka');
+    expect(data.transportationProviders.nishitetsu.region).toBe('fukuoka');
+  });
+
+  test('地域ごとに交通機関と紛失場所候補を絞り込む', async () => {
+    const providers = await manager.getProvidersByRegion('fukuoka');
+    expect(providers.map(p => p.id)).toEqual(['jr_kyushu', 'fukuoka_subway', 'nishitetsu']);
+
+    const areas = await manager.getServiceAreas('tokyo');
+    expect(areas).toContain('東京メトロ 銀座線');
+    expect(areas.some(area => area.startsWith('JR東海'))).toBe(false);
+  });
+
+  test('事業所名・地域タグから地域を解決する', async () => {
+    expect(await manager.resolveRegion({ office: '大阪支社' })).toBe('osaka');
+    expect(await manager.resolveRegion({ areaTag: '九州' })).toBe('fukuoka');
+    expect(await manager.resolveRegion({ office: '不明', areaTag: '北海道' })).toBe('nagoya');
+  });
+
+  test('ICカード種別を取り扱う地域を返す', async () => {
+    expect(await manager.getRegionsForCardType('SUGOCA')).toEqual(['fukuoka']);
+    expect(await manager.getRegionsForCardType('ICOCA')).toEqual(expect.arrayContaining(['nagoya', 'osaka']));
+  });
+
+  test('他地域の交通機関も個別取得できる', async () => {
+    const procedure = await manager.getStopProcedure('tokyo_metro');
+    expect(procedure.urgencyLevel).toBe('MEDIUM');
+
+    await expect(manager.loadRegionData('sapporo')).rejects.toThrow('Unknown region');
+  });
+
+  test('カード番号形式はレジストリの検証規則を使用する', async () => {
+    const result = await manager.validateICCardForTransportation('jr_tokai', 'TOICA');
+
+    expect(result.cardFormat.pattern).toBe('^TO(?:\\d{14}|\\d{16})$');
+    expect(result.cardFormat.displayName).toBe('TOICA（JR東海発行）');
+  });
+
+  describe('管理者編集データ', () => {
+    const edited = (overrides) => ({
+      name: '東京メトロ',
+      icCards: ['PASMO'],
+      contact: { phone: '03-0000-0000', businessHours: '9:00-17:00' },
+      stopProcedure: { urgencyLevel: 'HIGH', processingTime: '即座' },
+      ...overrides
+    });
+
+    test('プラグイン設定の編集データを解析する', () => {
+      expect(TransportationManager.overridesFromConfig({})).toEqual({ providers: {}, disabled: [] });
+      expect(TransportationManager.overridesFromConfig({ provider_overrides: '{broken' }).providers).toEqual({});
+    });
+
+    test('編集・追加・無効化が同梱データより優先される', async () => {
+      manager.setOverrides({
+        providers: {
+          tokyo_metro: edited(),
+          tokyo_monorail: edited({ name: '東京モノレール', region: 'tokyo' })
+        },
+        disabled: ['toei']
+      });
+
+      const data = await manager.getAllTransportationData();
+      expect(data.transportationProviders.tokyo_metro.contact.phone).toBe('03-0000-0000');
+      expect(data.transportationProviders.tokyo_metro.region).toBe('tokyo');
+      expect(data.transportationProviders.toei).toBeUndefined();
+
+      // 追加した交通機関も個別取得できる
+      expect(await manager.getUrgencyLevel('tokyo_monorail')).toBe('HIGH');
+    });
+
+    test('検証に失敗した編集データは無視される', async () => {
+      manager.setOverrides({
+        providers: { tokyo_metro: edited({ contact: { phone: '' } }) },
+        disabled: []
+      });
+
+      const data = await manager.getAllTransportationData();
+      expect(data.transportationProviders.tokyo_metro.contact.phone).toBe('0570-200-222');
+    });
+
+    test('カード番号形式・地域・ICカード種別を検証する', async () => {
+      const index = await manager.getRegionIndex();
+      const errors = manager.validateProviderOverride('new_line', edited({
+        region: 'sapporo',
+        icCards: ['PASMO', 'Unknown'],
+        cardNumberFormats: { Kitaca: { displayName: 'Kitaca' } }
+      }), index);
+
+      expect(errors).toHaveLength(3);
+      expect(manager.validateProviderOverride('Bad-Id', edited({ region: 'tokyo' }), index)).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * user-codes.test.js
+ * プラグイン設定のKintoneユーザーコード一覧テスト
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ */
+
+const UserCodes = require('../../src/js/user-codes');
+const ProcessWorkflow = require('../../src/js/process-workflow');
+
+describe('UserCodes', () => {
+  test('ログイン名をカンマ区切りで読み込み、緊急連絡先のメールアドレスは作業者に使用しない', () => {
+    const config = {
+      emergency_contacts: 'security@example.com',
+      [UserCodes.CONFIG_KEYS.handlers]: ' desk01, ,soumu@example.com,desk01 '
+    };
+
+    expect(UserCodes.fromConfig(config, 'handlers')).toEqual(['desk01', 'soumu@example.com']);
+    expect(ProcessWorkflow.assigneesFromConfig(config)).toEqual(['desk01', 'soumu@example.com']);
+    expect(ProcessWorkflow.assigneesFromConfig({ emergency_contacts: 'security@example.com' })).toEqual([]);
+  });
+
+  test('空白・引用符などを含むログイン名は設定エラーとする', () => {
+    expect(UserCodes.checkConfigValue('desk01, yamada.taro@example.com', 'handlers')).toEqual([]);
+    expect(UserCodes.checkConfigValue('desk 01,"admin"', 'handlers')).toEqual([
+      '対応担当者のログイン名が正しくありません: desk 01',
+      '対応担当者のログイン名が正しくありません: "admin"'
+    ]);
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * validation-schema.test.js
+ * 宣言的な入力検証ルールのコンパイル・検証テスト
+ *
+ * @author Kei-Adachi0709
+ * @version 1.0.0
+ * @date 2026-10-19
+ */
+
+const ValidationSchema = require('../../src/js/validation-schema');
+
+describe('ValidationSchema', () => {
+  const ruleSet = {
+    properties: {
+      employeeId: { type: 'string', required: true, pattern: '^[A-Z0-9]{4,10}$', message: '社員番号は4-10桁の英数字で入力してください' },
+      cardType: { type: 'string', required: true, enum: ['TOICA', 'manaca'], description: 'カードの種類' },
+      balance: { type: 'integer', minimum: 0, maximum: 100000, description: '残高' },
+      lossDate: { type: 'string', format: 'date', description: '紛失日' },
+      contactMethod: { type: 'string', enum: ['phone', 'email'] },
+      phone: { type: 'string', format: 'phone', description: '電話番号', requiredIf: { field: 'contactMethod', equals: 'phone' } },
+      email: { type: 'string', format: 'email', description: 'メールアドレス', requiredIf: { field: 'contactMethod', equals: 'email' } },
+      stop: { type: 'string' },
+      location: { type: 'string', minLength: 3, maxLength: 20, description: '紛失場所', requiredIf: { field: 'stop', empty: true } },
+      witnesses: {
+        type: 'array',
+        maxItems: 2,
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', required: true, description: '目撃者名' },
+            email: { type: 'string', format: 'email', description: '目撃者のメールアドレス' }
+          }
+        }
+      }
+    }
+  };
+  let schema;
+
+  beforeEach(() => {
+    schema = ValidationSchema.compile(ruleSet);
+  });
+
+  test('型・選択肢・範囲・形式・条件付き必須をパス付きのエラーとして返す', () => {
+    expect(schema.validate({
+      employeeId: 'EMP001',
+      cardType: 'TOICA',
+      balance: '3000',
+      lossDate: '2026-10-19',
+      contactMethod: 'phone',
+      phone: '090-1234-5678',
+      stop: '名古屋'
+    })).toEqual({ valid: true, errors: [] });
+
+    const result = schema.validate({
+      employeeId: 'emp-1',
+      cardType: 'Suica',
+      balance: '1500.5',
+      lossDate: '2026-02-30',
+      contactMethod: 'email',
+      location: '駅',
+      witnesses: [{ name: '佐藤' }, { name: '', email: 'invalid' }, { name: '鈴木' }]
+    });
+
+    expect(result.valid).toBe(false);
+    expect(result.errors.map(error => [error.path, error.code])).toEqual([
+      ['employeeId', 'INVALID_FORMAT'],
+      ['cardType', 'INVALID_ENUM'],
+      ['balance', 'INVALID_TYPE'],
+      ['lossDate', 'INVALID_FORMAT'],
+      ['email', 'REQUIRED_FIELD'],
+      ['location', 'INSUFFICIENT_LENGTH'],
+      ['witnesses', 'INVALID_ITEM_COUNT'],
+      ['witnesses[1].name', 'REQUIRED_FIELD'],
+      ['witnesses[1].email', 'INVALID_FORMAT']
+    ]);
+    expect(result.errors[0].message).toBe('社員番号は4-10桁の英数字で入力してください');
+    expect(result.errors[1].message).toBe('カードの種類は次のいずれかを指定してください: TOICA、manaca');
+    expect(result.errors[4].message).toBe('メールアドレスは必須項目です');
+    expect(result.errors[6].message).toBe('witnessesは2件以内で指定してください');
+
+    expect(schema.validateProperty('balance', 200000, {})).toEqual([{
+      path: 'balance', code: 'OUT_OF_RANGE', message: '残高は0以上100000以下で入力してください', minimum: 0, maximum: 100000
+    }]);
+    expect(schema.validateProperty('location', '', { stop: '' })[0].code).toBe('REQUIRED_FIELD');
+    expect(schema.validateProperty('location', '', { stop: '名古屋' })).toEqual([]);
+    expect(schema.getRequiredProperties({ contactMethod: 'phone', stop: '' }))
+      .toEqual(['employeeId', 'cardType', 'phone', 'location']);
+  });
+
+  test('不正なルールセットはコンパイル時にエラーとする', () => {
+    expect(() => ValidationSchema.compile({ properties: { id: { type: 'text' } } }))
+      .toThrow('検証ルールが不正です (id): type は string / number / integer / boolean / array / object のいずれかを指定してください');
+    expect(() => ValidationSchema.compile({ properties: { id: { type: 'string', maxlength: 10 } } }))
+      .toThrow('未対応のキーです: maxlength');
+    expect(() => ValidationSchema.compile({ properties: { id: { type: 'string', pattern: '[' } } }))
+      .toThrow('pattern の正規表現が不正です');
+    expect(() => ValidationSchema.compile({ properties: { id: { type: 'string', format: 'zip' } } }))
+      .toThrow('format は');
+    expect(() => ValidationSchema.compile({
+      properties: { phone: { type: 'string', requiredIf: { field: 'method', equals: 'phone' } } }
+    })).toThrow('phone の requiredIf が未定義の項目 method を参照しています');
+  });
+
+  test('プラグイン設定のルールセットで既定のルールを上書きし、不正な設定は既定のルールを使用する', () => {
+    const defaults = { properties: { employeeId: { type: 'string', required: true } } };
+    const config = {
+      [ValidationSchema.CONFIG_KEY]: JSON.stringify({
+        reportForm: { properties: { employeeId: { type: 'string', required: true, format: 'alphanumeric' } } }
+      })
+    };
+
+    expect(ValidationSchema.fromConfig(config, 'reportForm', defaults).validateProperty('employeeId', 'A-1', {})[0].code)
+      .toBe('INVALID_FORMAT');
+    expect(ValidationSchema.fromConfig(config, 'emergency', defaults).definition).toBe(defaults);
+
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    try {
+      expect(ValidationSchema.fromConfig({ [ValidationSchema.CONFIG_KEY]: '{' }, 'reportForm', defaults).definition).toBe(defaults);
+    } finally {
+      warn.mockRestore();
+    }
+
+    expect(ValidationSchema.checkConfigValue('')).toEqual([]);
+    expect(ValidationSchema.checkConfigValue('[]')).toEqual(['検証ルールはルールセット名をキーとするオブジェクトで指定してください']);
+    expect(ValidationSchema.checkConfigValue(JSON.stringify({ reportForm: { properties: { id: { type: 'text' } } } })))
+      .toEqual(['reportForm: 検証ルールが不正です (id): type は string / number / integer / boolean / array / object のいずれかを指定してください']);
+  });
+});